@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const database = require('../src/services/database');
+const Migrator = require('../src/services/Migrator');
+const { getConnectionOptions } = require('../src/config/database');
+
+const USAGE = `Usage: npm run migrate -- <command>
+
+Commands:
+  status          List migrations and whether they are applied
+  up [version]    Apply pending migrations (up to version)
+  down [steps]    Revert the last applied migrations (default: 1)
+  create <name>   Create a new migration file`;
+
+// Parse an optional positive integer argument
+const parseCount = (value, label) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`${label} must be a positive integer`);
+  }
+  return count;
+};
+
+const printMigrations = (migrations, verb) => {
+  if (migrations.length === 0) {
+    console.log(`Nothing to ${verb}`);
+  }
+  migrations.forEach(({ version, name }) => console.log(`${verb === 'apply' ? 'Applied' : 'Reverted'} ${version} ${name}`));
+};
+
+const run = (command, args) => {
+  if (!['status', 'up', 'down', 'create'].includes(command)) {
+    console.error(`${command ? `Unknown command: ${command}` : 'Missing command'}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (command === 'create') {
+    if (!args[0]) {
+      throw new Error('create needs a migration name');
+    }
+    // Creating a file does not need the database
+    console.log(`Created ${new Migrator(null).create(args.join(' '))}`);
+    return;
+  }
+
+  // Opened without the automatic startup migration, so status and down see
+  // the database as it is
+  const db = database.open(getConnectionOptions());
+  const migrator = new Migrator(db);
+
+  try {
+    switch (command) {
+      case 'status':
+        migrator.status().forEach(({ version, name, applied, appliedAt, missing }) => {
+          const state = applied ? `applied ${appliedAt}` : 'pending';
+          console.log(`${String(version).padStart(3, '0')} ${name.padEnd(40)} ${state}${missing ? ' (file missing)' : ''}`);
+        });
+        break;
+      case 'up':
+        printMigrations(migrator.up({ to: parseCount(args[0], 'version') }), 'apply');
+        break;
+      case 'down':
+        printMigrations(migrator.down({ steps: parseCount(args[0], 'steps') }), 'revert');
+        break;
+    }
+  } finally {
+    db.close();
+  }
+};
+
+try {
+  run(process.argv[2], process.argv.slice(3));
+} catch (error) {
+  console.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+}
@@ -1,19 +1,46 @@
 require('dotenv').config();
 const app = require('./src/app');
 const logger = require('./src/utils/logger');
+const nonceManager = require('./src/services/nonceManager');
+const compoundKeeper = require('./src/services/compoundKeeper');
+const database = require('./src/services/database');
+const monitoringService = require('./src/services/monitoringService');
+const webhookService = require('./src/services/webhookService');
 
 const PORT = process.env.PORT || 3001;
 
+// Open the database before serving, so a bad DATABASE_URL fails at startup
+database.getConnection();
+
 const server = app.listen(PORT, () => {
   logger.info(`🚀 Enso Yield Farming API server running on port ${PORT}`);
   logger.info(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`🌐 CORS enabled for: ${process.env.CORS_ORIGIN || 'http://localhost:3000'}`);
+
+  // Resync hot-wallet nonces from pending state and reconcile them periodically
+  nonceManager.start().catch((error) => {
+    logger.error('Failed to start nonce manager', { error: error.message });
+  });
+
+  // Periodically compound opted-in positions when it pays for the gas
+  compoundKeeper.start();
+
+  // Check queued transactions, resuming those left unfinished by the last run
+  monitoringService.start();
+
+  // Send queued webhook deliveries, including retries left by the last run
+  webhookService.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  nonceManager.stop();
+  compoundKeeper.stop();
+  monitoringService.stop();
+  webhookService.stop();
   server.close(() => {
+    database.close();
     logger.info('Process terminated');
     process.exit(0);
   });
@@ -21,7 +48,12 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  nonceManager.stop();
+  compoundKeeper.stop();
+  monitoringService.stop();
+  webhookService.stop();
   server.close(() => {
+    database.close();
     logger.info('Process terminated');
     process.exit(0);
   });
@@ -46,7 +46,8 @@ app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Compression middleware
@@ -96,9 +97,14 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       balances: '/api/balances',
+      tokens: '/api/tokens',
+      strategies: '/api/strategies',
       deposit: '/api/deposit',
       withdraw: '/api/withdraw',
       compound: '/api/compound',
+      positions: '/api/positions',
+      reports: '/api/reports',
+      keeper: '/api/keeper',
       transactions: '/api/transactions'
     }
   });
@@ -0,0 +1,50 @@
+const { parseAbiItem } = require('viem');
+
+// Parse `chainId:address` pairs, comma-separated, into addresses by chain ID
+const parseContracts = (value) => {
+  return Object.fromEntries((value || '')
+    .split(',')
+    .map(pair => pair.trim().split(':'))
+    .filter(([chainId, address]) => chainId && address)
+    .map(([chainId, address]) => [Number(chainId), address.toLowerCase()]));
+};
+
+// Bridges Enso routes may use for cross-chain legs. Each entry names the event
+// the bridge emits on the source chain when a message leaves, and the event
+// emitted on the destination chain when it is delivered; both carry the same
+// message ID so the two legs can be matched exactly. Events only count when
+// emitted by the bridge's contract on that chain, so a bridge without
+// configured contracts is never matched.
+const BRIDGES = {
+  stargate: {
+    name: 'Stargate (LayerZero OFT)',
+    // OFT contracts by chain ID, from STARGATE_OFT_ADDRESSES (e.g. `137:0x...,100:0x...`)
+    contracts: parseContracts(process.env.STARGATE_OFT_ADDRESSES),
+    sourceEvent: parseAbiItem(
+      'event OFTSent(bytes32 indexed guid, uint32 dstEid, address indexed fromAddress, uint256 amountSentLD, uint256 amountReceivedLD)'
+    ),
+    destinationEvent: parseAbiItem(
+      'event OFTReceived(bytes32 indexed guid, uint32 srcEid, address indexed toAddress, uint256 amountReceivedLD)'
+    ),
+    messageIdField: 'guid',
+    // Amount the destination is credited, carried by both events
+    amountField: 'amountReceivedLD'
+  }
+};
+
+// Fallback for bridges without a known message event: the routed token
+// arriving at the receiver on the destination chain
+const TRANSFER_EVENT = parseAbiItem(
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+);
+
+// Get all known bridges
+const getBridges = () => {
+  return Object.entries(BRIDGES).map(([id, bridge]) => ({ id, ...bridge }));
+};
+
+module.exports = {
+  BRIDGES,
+  TRANSFER_EVENT,
+  getBridges
+};
@@ -1,11 +1,34 @@
-// Chain configurations for supported networks
+const { ethers } = require('ethers');
+const { createPublicClient, createWalletClient, defineChain, http } = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+
+// Chain configurations for known EVM networks. Adding a network is a matter of
+// adding an entry here; enabling it is done with SUPPORTED_CHAINS.
+// `confirmations` is how many blocks deep a receipt must be before it is
+// treated as final, and `pollingInterval` how often (ms) the monitor checks.
 const CHAINS = {
+  ETHEREUM: {
+    chainId: 1,
+    name: 'Ethereum',
+    rpcUrl: process.env.ETHEREUM_RPC_URL || 'https://eth.llamarpc.com',
+    blockExplorer: 'https://etherscan.io',
+    confirmations: 12,
+    pollingInterval: 15000,
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18
+    }
+  },
   POLYGON: {
     chainId: 137,
     name: 'Polygon',
     rpcUrl: process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com',
     blockExplorer: 'https://polygonscan.com',
+    confirmations: 64,
+    pollingInterval: 10000,
     nativeCurrency: {
+      name: 'MATIC',
       symbol: 'MATIC',
       decimals: 18
     }
@@ -15,16 +38,159 @@ const CHAINS = {
     name: 'Gnosis',
     rpcUrl: process.env.GNOSIS_RPC_URL || 'https://rpc.gnosischain.com',
     blockExplorer: 'https://gnosisscan.io',
+    confirmations: 12,
+    pollingInterval: 10000,
     nativeCurrency: {
+      name: 'xDAI',
       symbol: 'xDAI',
       decimals: 18
     }
+  },
+  ARBITRUM: {
+    chainId: 42161,
+    name: 'Arbitrum One',
+    rpcUrl: process.env.ARBITRUM_RPC_URL || 'https://arb1.arbitrum.io/rpc',
+    blockExplorer: 'https://arbiscan.io',
+    confirmations: 20,
+    pollingInterval: 5000,
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18
+    }
+  },
+  BASE: {
+    chainId: 8453,
+    name: 'Base',
+    rpcUrl: process.env.BASE_RPC_URL || 'https://mainnet.base.org',
+    blockExplorer: 'https://basescan.org',
+    confirmations: 10,
+    pollingInterval: 5000,
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18
+    }
+  },
+
+  // Testnets
+  SEPOLIA: {
+    chainId: 11155111,
+    name: 'Sepolia',
+    rpcUrl: process.env.SEPOLIA_RPC_URL || 'https://rpc.sepolia.org',
+    blockExplorer: 'https://sepolia.etherscan.io',
+    confirmations: 3,
+    pollingInterval: 15000,
+    nativeCurrency: {
+      name: 'Sepolia Ether',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    testnet: true
+  },
+  POLYGON_AMOY: {
+    chainId: 80002,
+    name: 'Polygon Amoy',
+    rpcUrl: process.env.POLYGON_AMOY_RPC_URL || 'https://rpc-amoy.polygon.technology',
+    blockExplorer: 'https://amoy.polygonscan.com',
+    confirmations: 16,
+    pollingInterval: 5000,
+    nativeCurrency: {
+      name: 'MATIC',
+      symbol: 'MATIC',
+      decimals: 18
+    },
+    testnet: true
+  },
+  GNOSIS_CHIADO: {
+    chainId: 10200,
+    name: 'Gnosis Chiado',
+    rpcUrl: process.env.GNOSIS_CHIADO_RPC_URL || 'https://rpc.chiadochain.net',
+    blockExplorer: 'https://gnosis-chiado.blockscout.com',
+    confirmations: 6,
+    pollingInterval: 10000,
+    nativeCurrency: {
+      name: 'Chiado xDAI',
+      symbol: 'xDAI',
+      decimals: 18
+    },
+    testnet: true
+  },
+  ARBITRUM_SEPOLIA: {
+    chainId: 421614,
+    name: 'Arbitrum Sepolia',
+    rpcUrl: process.env.ARBITRUM_SEPOLIA_RPC_URL || 'https://sepolia-rollup.arbitrum.io/rpc',
+    blockExplorer: 'https://sepolia.arbiscan.io',
+    confirmations: 20,
+    pollingInterval: 5000,
+    nativeCurrency: {
+      name: 'Sepolia Ether',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    testnet: true
+  },
+  BASE_SEPOLIA: {
+    chainId: 84532,
+    name: 'Base Sepolia',
+    rpcUrl: process.env.BASE_SEPOLIA_RPC_URL || 'https://sepolia.base.org',
+    blockExplorer: 'https://sepolia.basescan.org',
+    confirmations: 5,
+    pollingInterval: 5000,
+    nativeCurrency: {
+      name: 'Sepolia Ether',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    testnet: true
   }
 };
 
+// Multicall3 is deployed at the same address on every chain above; a chain
+// entry may set `multicall3` to override it
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Chains enabled for this deployment (comma-separated keys or slugs)
+const DEFAULT_SUPPORTED_CHAINS = 'polygon,gnosis';
+
+// Confirmation policy for chains that do not declare one
+const DEFAULT_CONFIRMATIONS = 12;
+const DEFAULT_POLLING_INTERVAL = 30000;
+
+// Lazily built clients, keyed by chain ID
+const providers = new Map();
+const publicClients = new Map();
+const viemChains = new Map();
+
+// Normalize "polygon-amoy" / "polygon_amoy" / "POLYGON_AMOY" to a CHAINS key
+const toChainKey = (name) => {
+  return name.trim().toUpperCase().replace(/-/g, '_');
+};
+
+// Get the lowercase slug for a chain (e.g. "polygon", "base-sepolia")
+const getChainSlug = (chain) => {
+  const key = Object.keys(CHAINS).find(k => CHAINS[k] === chain);
+  return key.toLowerCase().replace(/_/g, '-');
+};
+
+// Get all enabled chain configurations
+const getEnabledChains = () => {
+  const keys = (process.env.SUPPORTED_CHAINS || DEFAULT_SUPPORTED_CHAINS)
+    .split(',')
+    .filter(Boolean)
+    .map(toChainKey);
+
+  return keys.map(key => {
+    if (!CHAINS[key]) {
+      throw new Error(`Unknown chain in SUPPORTED_CHAINS: ${key}`);
+    }
+    return CHAINS[key];
+  });
+};
+
 // Get chain configuration by chain ID
 const getChainConfig = (chainId) => {
-  const chain = Object.values(CHAINS).find(c => c.chainId === chainId);
+  const chain = getEnabledChains().find(c => c.chainId === Number(chainId));
   if (!chain) {
     throw new Error(`Unsupported chain ID: ${chainId}`);
   }
@@ -33,21 +199,21 @@ const getChainConfig = (chainId) => {
 
 // Get chain configuration by name
 const getChainByName = (name) => {
-  const chainName = name.toUpperCase();
-  if (!CHAINS[chainName]) {
+  const chain = CHAINS[toChainKey(name)];
+  if (!chain || !getEnabledChains().includes(chain)) {
     throw new Error(`Unsupported chain name: ${name}`);
   }
-  return CHAINS[chainName];
+  return chain;
 };
 
 // Get all supported chain IDs
 const getSupportedChainIds = () => {
-  return Object.values(CHAINS).map(chain => chain.chainId);
+  return getEnabledChains().map(chain => chain.chainId);
 };
 
 // Check if chain ID is supported
 const isChainSupported = (chainId) => {
-  return getSupportedChainIds().includes(chainId);
+  return getSupportedChainIds().includes(Number(chainId));
 };
 
 // Get RPC URL for chain
@@ -56,6 +222,27 @@ const getRpcUrl = (chainId) => {
   return chain.rpcUrl;
 };
 
+// Get native currency for chain
+const getNativeCurrency = (chainId) => {
+  const chain = getChainConfig(chainId);
+  return chain.nativeCurrency;
+};
+
+// Get Multicall3 contract address for chain
+const getMulticallAddress = (chainId) => {
+  const chain = getChainConfig(chainId);
+  return chain.multicall3 || MULTICALL3_ADDRESS;
+};
+
+// Get the confirmation depth and polling cadence for a chain
+const getConfirmationPolicy = (chainId) => {
+  const chain = getChainConfig(chainId);
+  return {
+    confirmations: chain.confirmations || DEFAULT_CONFIRMATIONS,
+    pollingInterval: chain.pollingInterval || DEFAULT_POLLING_INTERVAL
+  };
+};
+
 // Get block explorer URL for transaction
 const getTransactionUrl = (chainId, txHash) => {
   const chain = getChainConfig(chainId);
@@ -68,13 +255,90 @@ const getAddressUrl = (chainId, address) => {
   return `${chain.blockExplorer}/address/${address}`;
 };
 
+// Build (once) the viem chain definition for a configured chain
+const getViemChain = (chainId) => {
+  const chain = getChainConfig(chainId);
+
+  if (!viemChains.has(chain.chainId)) {
+    viemChains.set(chain.chainId, defineChain({
+      id: chain.chainId,
+      name: chain.name,
+      network: getChainSlug(chain),
+      nativeCurrency: chain.nativeCurrency,
+      rpcUrls: {
+        default: { http: [chain.rpcUrl] },
+        public: { http: [chain.rpcUrl] }
+      },
+      blockExplorers: {
+        default: { name: `${chain.name} Explorer`, url: chain.blockExplorer }
+      },
+      contracts: {
+        multicall3: { address: chain.multicall3 || MULTICALL3_ADDRESS }
+      },
+      testnet: chain.testnet || false
+    }));
+  }
+
+  return viemChains.get(chain.chainId);
+};
+
+// Get (or create) the shared ethers provider for a chain
+const getProvider = (chainId) => {
+  const chain = getChainConfig(chainId);
+
+  if (!providers.has(chain.chainId)) {
+    providers.set(chain.chainId, new ethers.JsonRpcProvider(chain.rpcUrl, chain.chainId, {
+      staticNetwork: true
+    }));
+  }
+
+  return providers.get(chain.chainId);
+};
+
+// Get (or create) the shared viem public client for a chain
+const getPublicClient = (chainId) => {
+  const chain = getChainConfig(chainId);
+
+  if (!publicClients.has(chain.chainId)) {
+    publicClients.set(chain.chainId, createPublicClient({
+      chain: getViemChain(chain.chainId),
+      transport: http(chain.rpcUrl)
+    }));
+  }
+
+  return publicClients.get(chain.chainId);
+};
+
+// Create the signing clients for a chain: an ethers wallet and a viem wallet client
+const createSigners = (chainId, privateKey) => {
+  const chain = getChainConfig(chainId);
+
+  return {
+    wallet: new ethers.Wallet(privateKey, getProvider(chain.chainId)),
+    walletClient: createWalletClient({
+      account: privateKeyToAccount(privateKey),
+      chain: getViemChain(chain.chainId),
+      transport: http(chain.rpcUrl)
+    })
+  };
+};
+
 module.exports = {
   CHAINS,
+  getEnabledChains,
   getChainConfig,
   getChainByName,
+  getChainSlug,
   getSupportedChainIds,
   isChainSupported,
   getRpcUrl,
+  getNativeCurrency,
+  getMulticallAddress,
+  getConfirmationPolicy,
   getTransactionUrl,
-  getAddressUrl
-};
\ No newline at end of file
+  getAddressUrl,
+  getViemChain,
+  getProvider,
+  getPublicClient,
+  createSigners
+};
@@ -16,75 +16,19 @@ const DATABASE_CONFIG = {
     }
   },
   
-  // Table schemas
-  schemas: {
-    transactions: `
-      CREATE TABLE IF NOT EXISTS transactions (
-        id TEXT PRIMARY KEY,
-        user_address TEXT NOT NULL,
-        type TEXT NOT NULL,
-        amount TEXT NOT NULL,
-        token_address TEXT NOT NULL,
-        from_chain INTEGER NOT NULL,
-        to_chain INTEGER NOT NULL,
-        tx_hash TEXT,
-        enso_tx_id TEXT,
-        status TEXT DEFAULT 'pending',
-        gas_used TEXT,
-        gas_price TEXT,
-        slippage REAL,
-        error_message TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `,
-    
-    balances: `
-      CREATE TABLE IF NOT EXISTS balances (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_address TEXT NOT NULL,
-        token_address TEXT NOT NULL,
-        chain_id INTEGER NOT NULL,
-        balance TEXT NOT NULL,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(user_address, token_address, chain_id)
-      )
-    `,
-    
-    user_sessions: `
-      CREATE TABLE IF NOT EXISTS user_sessions (
-        session_id TEXT PRIMARY KEY,
-        user_address TEXT NOT NULL,
-        socket_id TEXT,
-        last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `
-  }
-};
-
-// Initialize database tables
-const initializeDatabase = async (db) => {
-  try {
-    // Create tables if they don't exist
-    for (const [tableName, schema] of Object.entries(DATABASE_CONFIG.schemas)) {
-      await db.exec(schema);
-    }
-    
-    console.log('✅ Database tables initialized successfully');
-    return true;
-  } catch (error) {
-    console.error('❌ Database initialization failed:', error);
-    throw error;
+  // Versioned schema migrations, applied in order and recorded in the table
+  migrations: {
+    directory: path.join(__dirname, '../migrations'),
+    table: 'schema_migrations'
   }
 };
 
 // Get database file path
 const getDatabasePath = () => {
   const dbPath = DATABASE_CONFIG.sqlite.filename;
-  
-  // Ensure absolute path
-  if (path.isAbsolute(dbPath)) {
+
+  // In-memory databases (sqlite::memory:) have no file
+  if (dbPath === ':memory:' || path.isAbsolute(dbPath)) {
     return dbPath;
   }
   
@@ -101,7 +45,6 @@ const getConnectionOptions = () => {
 
 module.exports = {
   DATABASE_CONFIG,
-  initializeDatabase,
   getDatabasePath,
   getConnectionOptions
 };
\ No newline at end of file
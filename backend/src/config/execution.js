@@ -0,0 +1,88 @@
+// Execution modes for fund-moving operations
+const EXECUTION_MODES = {
+  // Request the route, fake the send (no RPC writes)
+  SIMULATE: 'simulate',
+  // Request the route and eth_call it from the executing wallet (no broadcast)
+  DRY_RUN: 'dry-run',
+  // Request the route, approve and broadcast it
+  LIVE: 'live'
+};
+
+// Ordered from least to most consequential
+const MODE_ORDER = [EXECUTION_MODES.SIMULATE, EXECUTION_MODES.DRY_RUN, EXECUTION_MODES.LIVE];
+
+// Default mode per environment when EXECUTION_MODE is not set
+const ENVIRONMENT_DEFAULTS = {
+  production: EXECUTION_MODES.LIVE,
+  staging: EXECUTION_MODES.DRY_RUN,
+  development: EXECUTION_MODES.SIMULATE,
+  test: EXECUTION_MODES.SIMULATE
+};
+
+// Check if a value is a known execution mode
+const isValidExecutionMode = (mode) => {
+  return MODE_ORDER.includes(mode);
+};
+
+// Get the execution mode configured for this environment
+const getDefaultExecutionMode = () => {
+  const configured = process.env.EXECUTION_MODE;
+
+  if (configured) {
+    if (!isValidExecutionMode(configured)) {
+      throw new Error(`Invalid EXECUTION_MODE: ${configured}. Must be one of: ${MODE_ORDER.join(', ')}`);
+    }
+    return configured;
+  }
+
+  return ENVIRONMENT_DEFAULTS[process.env.NODE_ENV] || EXECUTION_MODES.SIMULATE;
+};
+
+// Resolve the mode for a single request. A request may pick a mode at or
+// below the environment's mode, so a simulate-only deployment can never be
+// pushed into broadcasting transactions.
+const resolveExecutionMode = (requestedMode = null) => {
+  const defaultMode = getDefaultExecutionMode();
+
+  if (!requestedMode) {
+    return defaultMode;
+  }
+
+  if (!isValidExecutionMode(requestedMode)) {
+    throw new Error(`Invalid execution mode: ${requestedMode}. Must be one of: ${MODE_ORDER.join(', ')}`);
+  }
+
+  if (MODE_ORDER.indexOf(requestedMode) > MODE_ORDER.indexOf(defaultMode)) {
+    throw new Error(`Execution mode "${requestedMode}" is not allowed in this environment (maximum: ${defaultMode})`);
+  }
+
+  return requestedMode;
+};
+
+// Highest quoted price impact a route may have, in basis points, when
+// MAX_PRICE_IMPACT_BPS is not set
+const DEFAULT_MAX_PRICE_IMPACT_BPS = 100;
+
+// Get the price impact ceiling above which operations are rejected
+const getMaxPriceImpactBps = () => {
+  const configured = process.env.MAX_PRICE_IMPACT_BPS;
+
+  if (configured === undefined || configured === '') {
+    return DEFAULT_MAX_PRICE_IMPACT_BPS;
+  }
+
+  const bps = Number(configured);
+  if (!Number.isInteger(bps) || bps < 0 || bps > 10000) {
+    throw new Error(`Invalid MAX_PRICE_IMPACT_BPS: ${configured}. Must be an integer from 0 to 10000`);
+  }
+
+  return bps;
+};
+
+module.exports = {
+  EXECUTION_MODES,
+  isValidExecutionMode,
+  getDefaultExecutionMode,
+  resolveExecutionMode,
+  getMaxPriceImpactBps
+};
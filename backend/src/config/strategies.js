@@ -0,0 +1,171 @@
+const { getTokenBySymbol } = require('./tokens');
+const { CHAINS, isChainSupported } = require('./chains');
+
+// Build the Enso route parameters for entering a strategy position
+const depositRouteBuilder = (strategy) => ({ amountIn, fromAddress, receiver, slippage }) => ({
+  chainId: strategy.deposit.chain,
+  destinationChainId: strategy.position.chain,
+  fromAddress,
+  receiver: receiver || fromAddress,
+  tokenIn: strategy.deposit.token.address,
+  tokenOut: strategy.position.token.address,
+  amountIn,
+  slippage
+});
+
+// Build the Enso route parameters for exiting a strategy position
+const withdrawRouteBuilder = (strategy) => ({ amountIn, fromAddress, receiver, slippage }) => ({
+  chainId: strategy.position.chain,
+  destinationChainId: strategy.deposit.chain,
+  fromAddress,
+  receiver: receiver || fromAddress,
+  tokenIn: strategy.position.token.address,
+  tokenOut: strategy.deposit.token.address,
+  amountIn,
+  slippage
+});
+
+// Build the Enso route parameters for reinvesting a claimed reward token: it
+// is swapped into the position on the chain the rewards are paid out on
+const compoundRouteBuilder = (strategy) => ({ tokenIn, amountIn, fromAddress, receiver, slippage }) => ({
+  chainId: strategy.earnings.chain,
+  destinationChainId: strategy.position.chain,
+  fromAddress,
+  receiver: receiver || fromAddress,
+  tokenIn,
+  tokenOut: strategy.position.token.address,
+  amountIn,
+  slippage
+});
+
+// Earnings of the Gnosis EURe pool: gauge rewards plus fee growth in the pool's
+// virtual price. Curve factory pools are their own LP token.
+const EURE_LP_EARNINGS = {
+  source: 'curve-gauge',
+  token: getTokenBySymbol('LP-EURe', CHAINS.GNOSIS.chainId),
+  chain: CHAINS.GNOSIS.chainId,
+  pool: getTokenBySymbol('LP-EURe', CHAINS.GNOSIS.chainId).address,
+  // Without a gauge only fee growth is reported
+  gauge: process.env.EURE_LP_GAUGE_ADDRESS || null,
+  // Earnings are valued, and the compound threshold applied, in this currency
+  currency: 'EUR',
+  minCompoundAmount: '0.01'
+};
+
+// Farming strategy definitions; tokens resolve through the token-list registry
+const STRATEGIES = {
+  'eure-polygon-gnosis-lp': {
+    id: 'eure-polygon-gnosis-lp',
+    name: 'EURe (Polygon) → Gnosis EURe LP',
+    description: 'Bridge EURe from Polygon into the EURe liquidity pool on Gnosis',
+    deposit: {
+      token: getTokenBySymbol('EURe', CHAINS.POLYGON.chainId),
+      chain: CHAINS.POLYGON.chainId
+    },
+    position: {
+      token: getTokenBySymbol('LP-EURe', CHAINS.GNOSIS.chainId),
+      chain: CHAINS.GNOSIS.chainId
+    },
+    earnings: EURE_LP_EARNINGS
+  },
+  'eure-gnosis-lp': {
+    id: 'eure-gnosis-lp',
+    name: 'EURe (Gnosis) → Gnosis EURe LP',
+    description: 'Provide EURe already on Gnosis to the EURe liquidity pool, without bridging',
+    deposit: {
+      token: getTokenBySymbol('EURe', CHAINS.GNOSIS.chainId),
+      chain: CHAINS.GNOSIS.chainId
+    },
+    position: {
+      token: getTokenBySymbol('LP-EURe', CHAINS.GNOSIS.chainId),
+      chain: CHAINS.GNOSIS.chainId
+    },
+    earnings: EURE_LP_EARNINGS
+  }
+};
+
+// Attach route builders to each strategy
+Object.values(STRATEGIES).forEach(strategy => {
+  strategy.buildDepositRoute = depositRouteBuilder(strategy);
+  strategy.buildWithdrawRoute = withdrawRouteBuilder(strategy);
+  strategy.buildCompoundRoute = compoundRouteBuilder(strategy);
+});
+
+// Strategy used when a request does not name one
+const DEFAULT_STRATEGY_ID = process.env.DEFAULT_STRATEGY_ID || 'eure-polygon-gnosis-lp';
+
+// Check if both sides of a strategy run on enabled chains
+const isStrategyAvailable = (strategy) => {
+  return isChainSupported(strategy.deposit.chain) && isChainSupported(strategy.position.chain);
+};
+
+// Get all strategies available on the enabled chains
+const getStrategies = () => {
+  return Object.values(STRATEGIES).filter(isStrategyAvailable);
+};
+
+// Get strategy by ID (falls back to the default strategy)
+const getStrategy = (strategyId = null) => {
+  const id = strategyId || DEFAULT_STRATEGY_ID;
+  const strategy = STRATEGIES[id];
+
+  if (!strategy) {
+    throw new Error(`Unknown strategy: ${id}`);
+  }
+
+  if (!isStrategyAvailable(strategy)) {
+    throw new Error(`Strategy ${id} is not available on the enabled chains`);
+  }
+
+  return strategy;
+};
+
+// Check if a strategy exists and is available
+const isSupportedStrategy = (strategyId) => {
+  try {
+    getStrategy(strategyId);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Strip route builders for API responses
+const getStrategyMetadata = (strategy) => {
+  const describeLeg = ({ token, chain }) => ({
+    chainId: chain,
+    token: {
+      address: token.address,
+      symbol: token.symbol,
+      name: token.name,
+      decimals: token.decimals
+    }
+  });
+
+  return {
+    id: strategy.id,
+    name: strategy.name,
+    description: strategy.description,
+    crossChain: strategy.deposit.chain !== strategy.position.chain,
+    isDefault: strategy.id === DEFAULT_STRATEGY_ID,
+    deposit: describeLeg(strategy.deposit),
+    position: describeLeg(strategy.position),
+    earnings: {
+      source: strategy.earnings.source,
+      pool: strategy.earnings.pool,
+      gauge: strategy.earnings.gauge,
+      currency: strategy.earnings.currency,
+      minCompoundAmount: strategy.earnings.minCompoundAmount,
+      ...describeLeg(strategy.earnings)
+    }
+  };
+};
+
+module.exports = {
+  STRATEGIES,
+  DEFAULT_STRATEGY_ID,
+  getStrategies,
+  getStrategy,
+  isSupportedStrategy,
+  getStrategyMetadata
+};
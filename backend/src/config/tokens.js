@@ -1,152 +1,212 @@
-// Token configurations for supported networks
-const TOKENS = {
-  // Polygon tokens
-  POLYGON: {
-    EURe: {
-      address: '0x18ec0A6E18E5bc3784fDd3a3634b31245ab704F6',
-      symbol: 'EURe',
-      name: 'Monerium EUR emoney',
-      decimals: 18,
-      chainId: 137,
-      isStable: true,
-      coingeckoId: 'monerium-eur-money'
-    },
-    MATIC: {
-      address: '0x0000000000000000000000000000000000000000',
-      symbol: 'MATIC',
-      name: 'Polygon',
-      decimals: 18,
-      chainId: 137,
-      isNative: true,
-      coingeckoId: 'matic-network'
-    }
-  },
-  
-  // Gnosis tokens
-  GNOSIS: {
-    LP_TOKEN: {
-      address: '0xedbc7449a9b594ca4e053d9737ec5dc4cbccbfb2',
-      symbol: 'LP-EURe',
-      name: 'EURe Liquidity Provider Token',
-      decimals: 18,
-      chainId: 100,
-      isLP: true
-    },
-    xDAI: {
-      address: '0x0000000000000000000000000000000000000000',
-      symbol: 'xDAI',
-      name: 'xDAI',
-      decimals: 18,
-      chainId: 100,
-      isNative: true,
-      isStable: true,
-      coingeckoId: 'xdai'
-    }
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+
+// Token lists shipped with the service (Uniswap token-list format)
+const BUNDLED_LISTS_DIR = path.join(__dirname, 'tokenlists');
+
+// Native currencies are listed under the zero address
+const NATIVE_TOKEN_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Subset of the Uniswap token-list schema (https://uniswap.org/tokenlist.schema.json)
+// that the registry relies on; unknown fields are allowed and ignored
+const tokenListSchema = Joi.object({
+  name: Joi.string().min(1).max(30).required(),
+  timestamp: Joi.string().isoDate().required(),
+  version: Joi.object({
+    major: Joi.number().integer().min(0).required(),
+    minor: Joi.number().integer().min(0).required(),
+    patch: Joi.number().integer().min(0).required()
+  }).required(),
+  tokens: Joi.array().items(Joi.object({
+    chainId: Joi.number().integer().min(1).required(),
+    address: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).required(),
+    name: Joi.string().min(1).max(60).required(),
+    symbol: Joi.string().min(1).max(20).pattern(/^\S+$/).required(),
+    decimals: Joi.number().integer().min(0).max(255).required(),
+    logoURI: Joi.string().uri(),
+    tags: Joi.array().items(Joi.string()),
+    extensions: Joi.object({
+      coingeckoId: Joi.string(),
+      isStable: Joi.boolean(),
+      isNative: Joi.boolean(),
+      isLP: Joi.boolean(),
+      peg: Joi.string().uppercase()
+    }).unknown(true)
+  }).unknown(true)).min(1).required()
+}).unknown(true);
+
+// Read and validate a single token-list file
+const readTokenList = (filePath) => {
+  let list;
+
+  try {
+    list = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read token list ${filePath}: ${error.message}`);
+  }
+
+  const { error, value } = tokenListSchema.validate(list);
+  if (error) {
+    throw new Error(`Invalid token list ${filePath}: ${error.message}`);
   }
+
+  return value;
+};
+
+// Operator-supplied lists (TOKEN_LIST_PATHS) come first so they take
+// precedence over the bundled lists for the same chain+address
+const getTokenListPaths = () => {
+  const operatorPaths = (process.env.TOKEN_LIST_PATHS || '')
+    .split(',')
+    .map(p => p.trim())
+    .filter(Boolean)
+    .map(p => path.resolve(p));
+
+  const bundledPaths = fs.readdirSync(BUNDLED_LISTS_DIR)
+    .filter(file => file.endsWith('.tokenlist.json'))
+    .sort()
+    .map(file => path.join(BUNDLED_LISTS_DIR, file));
+
+  return [...operatorPaths, ...bundledPaths];
+};
+
+// Flatten a token-list entry into the shape used across the service
+const toToken = (entry, list) => ({
+  address: entry.address,
+  symbol: entry.symbol,
+  name: entry.name,
+  decimals: entry.decimals,
+  chainId: entry.chainId,
+  ...(entry.logoURI && { logoURI: entry.logoURI }),
+  tags: entry.tags || [],
+  isNative: entry.extensions?.isNative || entry.address === NATIVE_TOKEN_ADDRESS,
+  isStable: entry.extensions?.isStable || false,
+  isLP: entry.extensions?.isLP || false,
+  ...(entry.extensions?.coingeckoId && { coingeckoId: entry.extensions.coingeckoId }),
+  ...(entry.extensions?.peg && { peg: entry.extensions.peg }),
+  list: list.name
+});
+
+const addressKey = (chainId, address) => `${Number(chainId)}:${address.toLowerCase()}`;
+const symbolKey = (chainId, symbol) => `${Number(chainId)}:${symbol.toLowerCase()}`;
+
+// Load every list and build the chain+address and chain+symbol indexes
+const loadRegistry = () => {
+  const byAddress = new Map();
+  const bySymbol = new Map();
+  const lists = [];
+
+  getTokenListPaths().forEach(filePath => {
+    const list = readTokenList(filePath);
+
+    lists.push({
+      name: list.name,
+      version: `${list.version.major}.${list.version.minor}.${list.version.patch}`,
+      timestamp: list.timestamp,
+      path: filePath,
+      tokenCount: list.tokens.length
+    });
+
+    list.tokens.forEach(entry => {
+      const token = toToken(entry, list);
+      const key = addressKey(token.chainId, token.address);
+
+      // First list wins for a given chain+address
+      if (byAddress.has(key)) {
+        return;
+      }
+
+      byAddress.set(key, token);
+
+      const symKey = symbolKey(token.chainId, token.symbol);
+      if (!bySymbol.has(symKey)) {
+        bySymbol.set(symKey, token);
+      }
+    });
+  });
+
+  return { byAddress, bySymbol, lists };
+};
+
+const registry = loadRegistry();
+
+// Get every token in the registry
+const getAllTokens = () => {
+  return Array.from(registry.byAddress.values());
+};
+
+// Get metadata for the loaded token lists
+const getLoadedTokenLists = () => {
+  return registry.lists;
 };
 
 // Get token configuration by address and chain ID
 const getTokenByAddress = (address, chainId) => {
-  const chainKey = chainId === 137 ? 'POLYGON' : 'GNOSIS';
-  const tokens = TOKENS[chainKey];
-  
-  if (!tokens) {
-    throw new Error(`No tokens configured for chain ID: ${chainId}`);
-  }
-  
-  const token = Object.values(tokens).find(t => 
-    t.address.toLowerCase() === address.toLowerCase()
-  );
-  
+  const token = registry.byAddress.get(addressKey(chainId, address));
+
   if (!token) {
     throw new Error(`Token not found: ${address} on chain ${chainId}`);
   }
-  
+
   return token;
 };
 
 // Get token configuration by symbol and chain ID
 const getTokenBySymbol = (symbol, chainId) => {
-  const chainKey = chainId === 137 ? 'POLYGON' : 'GNOSIS';
-  const tokens = TOKENS[chainKey];
-  
-  if (!tokens) {
-    throw new Error(`No tokens configured for chain ID: ${chainId}`);
-  }
-  
-  const token = Object.values(tokens).find(t => 
-    t.symbol.toLowerCase() === symbol.toLowerCase()
-  );
-  
+  const token = registry.bySymbol.get(symbolKey(chainId, symbol));
+
   if (!token) {
     throw new Error(`Token not found: ${symbol} on chain ${chainId}`);
   }
-  
+
   return token;
 };
 
 // Get all tokens for a specific chain
 const getTokensByChain = (chainId) => {
-  const chainKey = chainId === 137 ? 'POLYGON' : 'GNOSIS';
-  const tokens = TOKENS[chainKey];
-  
-  if (!tokens) {
+  const tokens = getAllTokens().filter(token => token.chainId === Number(chainId));
+
+  if (tokens.length === 0) {
     throw new Error(`No tokens configured for chain ID: ${chainId}`);
   }
-  
-  return Object.values(tokens);
-};
 
-// Get farming pair configuration
-const getFarmingPair = () => {
-  return {
-    deposit: {
-      token: TOKENS.POLYGON.EURe,
-      chain: 137
-    },
-    reward: {
-      token: TOKENS.GNOSIS.LP_TOKEN,
-      chain: 100
-    }
-  };
+  return tokens;
 };
 
 // Check if address is a supported token
 const isSupportedToken = (address, chainId) => {
-  try {
-    getTokenByAddress(address, chainId);
-    return true;
-  } catch (error) {
-    return false;
-  }
+  return registry.byAddress.has(addressKey(chainId, address));
 };
 
-// Get token price configuration (for external price feeds)
-const getTokenPriceConfig = (symbol) => {
-  const allTokens = [
-    ...Object.values(TOKENS.POLYGON),
-    ...Object.values(TOKENS.GNOSIS)
-  ];
-  
-  const token = allTokens.find(t => t.symbol.toLowerCase() === symbol.toLowerCase());
-  
-  if (!token || !token.coingeckoId) {
-    return null;
-  }
-  
+// Get token price configuration (for the price oracle's sources). Tokens
+// outside the registry are priced from their own fields.
+const getTokenPriceConfig = (address, chainId) => {
+  const token = isSupportedToken(address, chainId)
+    ? getTokenByAddress(address, chainId)
+    : { address, chainId: Number(chainId) };
+
   return {
-    coingeckoId: token.coingeckoId,
-    symbol: token.symbol,
-    isStable: token.isStable || false
+    key: addressKey(token.chainId, token.address),
+    address: token.address,
+    chainId: token.chainId,
+    symbol: token.symbol || null,
+    decimals: token.decimals ?? null,
+    coingeckoId: token.coingeckoId || null,
+    isStable: token.isStable || false,
+    isLP: token.isLP || false,
+    // Fiat currency a stablecoin is pegged to (e.g. EUR)
+    peg: token.peg || null
   };
 };
 
 module.exports = {
-  TOKENS,
+  NATIVE_TOKEN_ADDRESS,
+  getAllTokens,
+  getLoadedTokenLists,
   getTokenByAddress,
   getTokenBySymbol,
   getTokensByChain,
-  getFarmingPair,
   isSupportedToken,
   getTokenPriceConfig
-};
\ No newline at end of file
+};
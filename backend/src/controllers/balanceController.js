@@ -1,6 +1,10 @@
 const logger = require('../utils/logger');
 const EnsoYieldFarming = require('../services/EnsoYieldFarming');
 const socketService = require('../services/socketService');
+const priceService = require('../services/priceService');
+const { VALUATION_CURRENCIES } = require('../services/priceService');
+const { CHAINS, getEnabledChains, getChainByName, getChainSlug } = require('../config/chains');
+const { getTokenBySymbol } = require('../config/tokens');
 
 // Initialize Enso service
 const ensoService = new EnsoYieldFarming(
@@ -25,19 +29,17 @@ const getBalances = async (req, res) => {
     
     if (chain && chain !== 'all') {
       // Get balances for specific chain
-      if (chain === 'polygon') {
-        const polygonBalance = await ensoService.getPolygonBalance(userAddress);
-        balances = { polygon: polygonBalance };
-      } else if (chain === 'gnosis') {
-        const gnosisBalance = await ensoService.getGnosisBalance(userAddress);
-        balances = { gnosis: gnosisBalance };
-      } else {
+      let chainConfig;
+      try {
+        chainConfig = getChainByName(chain);
+      } catch (error) {
         return res.status(400).json({
           error: 'Invalid Chain',
-          message: 'Chain must be "polygon", "gnosis", or "all"',
+          message: `Chain must be one of: ${getEnabledChains().map(getChainSlug).join(', ')}, or "all"`,
           requestId: req.id
         });
       }
+      balances = await ensoService.getBalances(userAddress, [chainConfig.chainId]);
     } else {
       // Get balances for all chains
       balances = await ensoService.getBalances(userAddress);
@@ -100,30 +102,27 @@ const getBalancesByChain = async (req, res) => {
       chain
     });
 
-    let balances;
-
-    switch (chain.toLowerCase()) {
-      case 'polygon':
-        balances = await ensoService.getPolygonBalance(userAddress);
-        break;
-      case 'gnosis':
-        balances = await ensoService.getGnosisBalance(userAddress);
-        break;
-      default:
-        return res.status(400).json({
-          error: 'Invalid Chain',
-          message: 'Supported chains: polygon, gnosis',
-          requestId: req.id
-        });
+    let chainConfig;
+    try {
+      chainConfig = getChainByName(chain);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid Chain',
+        message: `Supported chains: ${getEnabledChains().map(getChainSlug).join(', ')}`,
+        requestId: req.id
+      });
     }
 
+    const chainSlug = getChainSlug(chainConfig);
+    const { [chainSlug]: balances } = await ensoService.getBalances(userAddress, [chainConfig.chainId]);
+
     // Broadcast balance update via WebSocket
-    socketService.broadcastBalanceUpdate(userAddress, { [chain.toLowerCase()]: balances });
+    socketService.broadcastBalanceUpdate(userAddress, { [chainSlug]: balances });
 
     res.json({
       success: true,
       data: {
-        chain: chain.toLowerCase(),
+        chain: chainSlug,
         balances
       },
       timestamp: new Date().toISOString(),
@@ -219,15 +218,17 @@ const getBalanceHistory = async (req, res) => {
       days
     });
 
-    // In a real implementation, this would query historical data
-    // For now, we'll return mock historical data
-    const history = generateMockBalanceHistory(parseInt(days));
+    // No balance snapshots are stored yet, so the history is random demo
+    // balances valued at current prices, and labelled as such
+    const history = generateMockBalanceHistory(parseInt(days), await getHistoryPrices());
 
     res.json({
       success: true,
       data: {
         userAddress,
         days: parseInt(days),
+        synthetic: true,
+        notice: 'Demonstration data: balances are randomly generated, not the address\'s, and valued at current prices',
         history
       },
       timestamp: new Date().toISOString(),
@@ -257,42 +258,70 @@ const getBalanceHistory = async (req, res) => {
   }
 };
 
+// Tokens shown in the balance history, by chain slug and entry name
+const getHistoryTokens = () => ({
+  polygon: {
+    eure: getTokenBySymbol('EURe', CHAINS.POLYGON.chainId),
+    matic: getTokenBySymbol('MATIC', CHAINS.POLYGON.chainId)
+  },
+  gnosis: {
+    lpToken: getTokenBySymbol('LP-EURe', CHAINS.GNOSIS.chainId),
+    xdai: getTokenBySymbol('xDAI', CHAINS.GNOSIS.chainId)
+  }
+});
+
+/**
+ * Get unit prices of the balance history tokens from the price oracle
+ * @returns {Object} Prices keyed like the history entries ({ EUR, USD }, null where unpriced)
+ */
+const getHistoryPrices = async () => {
+  const historyTokens = getHistoryTokens();
+  const tokens = Object.values(historyTokens).flatMap(Object.values);
+  const prices = await Promise.all(VALUATION_CURRENCIES.map(currency => priceService.getPrices(tokens, currency)));
+
+  return Object.fromEntries(Object.entries(historyTokens).map(([chain, entries]) => [
+    chain,
+    Object.fromEntries(Object.entries(entries).map(([name, token]) => [
+      name,
+      Object.fromEntries(VALUATION_CURRENCIES.map((currency, index) => [
+        currency,
+        prices[index].get(priceService.keyOf(token)) ?? null
+      ]))
+    ]))
+  ]));
+};
+
 /**
  * Generate mock balance history for demonstration
  * @param {number} days - Number of days of history
+ * @param {Object} prices - Unit prices from getHistoryPrices
  * @returns {Array} Mock balance history
  */
-const generateMockBalanceHistory = (days) => {
+const generateMockBalanceHistory = (days, prices) => {
   const history = [];
   const now = Date.now();
   const dayMs = 24 * 60 * 60 * 1000;
 
+  const describe = (balance, unitPrices) => ({
+    balance: balance.toFixed(4),
+    values: Object.fromEntries(Object.entries(unitPrices).map(([currency, price]) => [
+      currency,
+      price !== null ? (balance * price).toFixed(2) : null
+    ]))
+  });
+
   for (let i = days; i >= 0; i--) {
     const timestamp = new Date(now - (i * dayMs));
-    const baseEure = 1000 + Math.random() * 500;
-    const baseLp = 500 + Math.random() * 300;
 
     history.push({
       timestamp: timestamp.toISOString(),
       polygon: {
-        eure: {
-          balance: baseEure.toFixed(4),
-          usdValue: (baseEure * 1.08).toFixed(2) // Mock EUR to USD rate
-        },
-        matic: {
-          balance: (10 + Math.random() * 5).toFixed(4),
-          usdValue: ((10 + Math.random() * 5) * 0.85).toFixed(2)
-        }
+        eure: describe(1000 + Math.random() * 500, prices.polygon.eure),
+        matic: describe(10 + Math.random() * 5, prices.polygon.matic)
       },
       gnosis: {
-        lpToken: {
-          balance: baseLp.toFixed(4),
-          usdValue: (baseLp * 1.12).toFixed(2) // Mock LP token value
-        },
-        xdai: {
-          balance: (5 + Math.random() * 2).toFixed(4),
-          usdValue: (5 + Math.random() * 2).toFixed(2)
-        }
+        lpToken: describe(500 + Math.random() * 300, prices.gnosis.lpToken),
+        xdai: describe(5 + Math.random() * 2, prices.gnosis.xdai)
       }
     });
   }
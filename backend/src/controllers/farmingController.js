@@ -1,8 +1,12 @@
 const logger = require('../utils/logger');
 const EnsoYieldFarming = require('../services/EnsoYieldFarming');
-const monitoringService = require('../services/monitoringService');
+const { PRICE_IMPACT_TOO_HIGH, REWARDS_NOT_CLAIMABLE } = require('../services/EnsoYieldFarming');
+const PositionLedger = require('../services/PositionLedger');
 const socketService = require('../services/socketService');
-const { generateTxId } = require('../utils/helpers');
+const { describeRoute, describeCompoundRoute, trackTransaction } = require('../services/operationTracker');
+const { toBaseUnits, fromBaseUnits } = require('../utils/amounts');
+const { EXECUTION_MODES, resolveExecutionMode } = require('../config/execution');
+const { getStrategy, getStrategies, getStrategyMetadata } = require('../config/strategies');
 
 // Initialize Enso service
 const ensoService = new EnsoYieldFarming(
@@ -10,71 +14,194 @@ const ensoService = new EnsoYieldFarming(
   process.env.PRIVATE_KEY
 );
 
+// Withdrawals are limited to the LP the caller's own operations hold
+const positionLedger = new PositionLedger();
+
+/**
+ * Resolve the execution mode for a request, answering 400 if it is not allowed
+ * @returns {string|null} Execution mode, or null if a response was sent
+ */
+const getRequestExecutionMode = (req, res) => {
+  try {
+    return resolveExecutionMode(req.body.executionMode);
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid Execution Mode',
+      message: error.message,
+      requestId: req.id
+    });
+    return null;
+  }
+};
+
+/**
+ * Convert a request amount to base units of a token, answering 400 if the
+ * token cannot represent it exactly
+ * @returns {bigint|null} Amount in base units, or null if a response was sent
+ */
+const getRequestAmount = (req, res, amount, token) => {
+  try {
+    return toBaseUnits(amount, token.decimals);
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid Amount',
+      message: error.message,
+      requestId: req.id
+    });
+    return null;
+  }
+};
+
+/**
+ * Answer 400 unless an available amount covers the required one (exact
+ * base-unit comparison)
+ * @param {bigint} available - Available amount in base units
+ * @param {bigint} required - Required amount in base units
+ * @param {Object} token - Token both amounts are denominated in
+ * @param {string} source - What holds the available amount, for the message
+ * @returns {boolean} Whether a response was sent
+ */
+const rejectInsufficient = (req, res, available, required, token, source) => {
+  if (available >= required) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: 'Insufficient Balance',
+    message: `Insufficient ${token.symbol} ${source}. Available: ${fromBaseUnits(available, token.decimals)}, Required: ${fromBaseUnits(required, token.decimals)}`,
+    requestId: req.id
+  });
+  return true;
+};
+
+/**
+ * Answer 400 for an operation whose route quote exceeded the price impact
+ * ceiling
+ * @returns {boolean} Whether the error was a price impact rejection
+ */
+const rejectPriceImpact = (req, res, error) => {
+  if (error.code !== PRICE_IMPACT_TOO_HIGH) {
+    return false;
+  }
+
+  logger.warn('Operation rejected for price impact', {
+    requestId: req.id,
+    priceImpact: error.quote.priceImpact,
+    maxPriceImpact: error.quote.maxPriceImpact,
+    userAddress: req.body.userAddress
+  });
+
+  res.status(400).json({
+    error: 'Price Impact Too High',
+    message: error.message,
+    data: {
+      quotedOutputRaw: error.quote.amountOut,
+      priceImpact: error.quote.priceImpact,
+      maxPriceImpact: error.quote.maxPriceImpact
+    },
+    requestId: req.id
+  });
+  return true;
+};
+
+/**
+ * Shape the common response fields for a deposit, withdraw or compound result
+ * @param {Object} result - Result from EnsoYieldFarming.executeOperation
+ * @param {Object} tokenIn - Token the amount is denominated in
+ * @param {Object} tokenOut - Token the expected output is denominated in
+ * @returns {Object} Response data
+ */
+const buildOperationResponse = (result, tokenIn, tokenOut) => {
+  return {
+    txId: result.txId,
+    txHash: result.txHash,
+    executionMode: result.executionMode,
+    strategyId: result.strategyId,
+    amount: fromBaseUnits(result.amount, tokenIn.decimals),
+    amountRaw: result.amount,
+    slippage: result.slippage,
+    userAddress: result.userAddress,
+    expectedOutput: fromBaseUnits(result.expectedOutput, tokenOut.decimals),
+    expectedOutputRaw: result.expectedOutput,
+    quotedOutput: fromBaseUnits(result.quotedOutput, tokenOut.decimals),
+    quotedOutputRaw: result.quotedOutput,
+    minAmountOut: fromBaseUnits(result.minAmountOut, tokenOut.decimals),
+    minAmountOutRaw: result.minAmountOut,
+    // Basis points
+    priceImpact: result.priceImpact,
+    maxPriceImpact: result.maxPriceImpact,
+    status: result.status,
+    ...(result.dryRun && { dryRun: result.dryRun })
+  };
+};
+
 /**
- * Deposit EURe for LP tokens
+ * Deposit a strategy's deposit token for its position token
  */
 const deposit = async (req, res) => {
   try {
-    const { amount, slippage, userAddress } = req.body;
+    const { amount, slippage, userAddress, strategyId } = req.body;
+    const executionMode = getRequestExecutionMode(req, res);
+    if (!executionMode) return;
+
+    const strategy = getStrategy(strategyId);
+    const depositToken = strategy.deposit.token;
 
     logger.info('Processing deposit request', {
       requestId: req.id,
       amount,
       slippage,
-      userAddress
+      userAddress,
+      executionMode,
+      strategyId: strategy.id
     });
 
-    // Validate amount is positive
-    if (parseFloat(amount) <= 0) {
-      return res.status(400).json({
-        error: 'Invalid Amount',
-        message: 'Amount must be greater than 0',
-        requestId: req.id
-      });
-    }
-
-    // Check user balance before deposit
-    const balances = await ensoService.getPolygonBalance(userAddress);
-    const eureBalance = parseFloat(balances.eure.balance);
-    const depositAmount = parseFloat(amount);
+    const amountIn = getRequestAmount(req, res, amount, depositToken);
+    if (amountIn === null) return;
+
+    // The caller has to hold what it deposits, and the hot wallet, which
+    // routes the deposit, has to be able to fund it
+    const [userBalance, walletBalance] = await Promise.all([
+      ensoService.getTokenBalance(userAddress, depositToken.address, strategy.deposit.chain),
+      ensoService.getTokenBalance(ensoService.wallet.address, depositToken.address, strategy.deposit.chain)
+    ]);
+    if (rejectInsufficient(req, res, userBalance, amountIn, depositToken, 'balance')) return;
+    if (rejectInsufficient(req, res, walletBalance, amountIn, depositToken, 'balance in the execution wallet')) return;
+
+    // Process deposit in the resolved execution mode
+    const result = await ensoService.executeOperation('deposit', {
+      amount: amountIn.toString(),
+      slippage,
+      userAddress,
+      executionMode,
+      strategyId: strategy.id
+    });
 
-    if (eureBalance < depositAmount) {
-      return res.status(400).json({
-        error: 'Insufficient Balance',
-        message: `Insufficient EURe balance. Available: ${eureBalance}, Required: ${depositAmount}`,
+    if (executionMode === EXECUTION_MODES.DRY_RUN) {
+      return res.json({
+        success: result.dryRun.success,
+        message: result.dryRun.success ? 'Deposit dry-run succeeded' : 'Deposit dry-run reverted',
+        data: buildOperationResponse(result, depositToken, strategy.position.token),
+        timestamp: new Date().toISOString(),
         requestId: req.id
       });
     }
 
-    // Process deposit with monitoring
-    const result = await ensoService.depositWithMonitoring(amount, slippage, userAddress);
-
-    // Start monitoring the transaction
-    monitoringService.startTransactionMonitoring(
-      result.txId,
-      result.txHash,
-      userAddress,
-      'deposit',
-      {
-        amount,
-        slippage,
-        fromChain: 'polygon',
-        toChain: 'gnosis',
-        token: 'EURe'
-      }
-    );
+    // Record and start monitoring the transaction
+    trackTransaction(result, 'deposit', {
+      amount: fromBaseUnits(amountIn, depositToken.decimals),
+      slippage,
+      executionMode,
+      strategyId: strategy.id,
+      ...describeRoute(strategy.deposit, strategy.position)
+    });
 
     // Send immediate response
     res.status(202).json({
       success: true,
       message: 'Deposit initiated successfully',
       data: {
-        txId: result.txId,
-        txHash: result.txHash,
-        amount,
-        slippage,
-        userAddress,
-        status: 'initiated',
+        ...buildOperationResponse(result, depositToken, strategy.position.token),
         estimatedCompletionTime: '2-5 minutes'
       },
       timestamp: new Date().toISOString(),
@@ -86,19 +213,22 @@ const deposit = async (req, res) => {
       txId: result.txId,
       txHash: result.txHash,
       amount,
-      userAddress
+      userAddress,
+      executionMode
     });
 
     // Send WebSocket notification
     socketService.sendUserNotification(userAddress, {
       type: 'info',
       title: 'Deposit Initiated',
-      message: `Deposit of ${amount} EURe has been initiated`,
+      message: `Deposit of ${fromBaseUnits(amountIn, depositToken.decimals)} ${depositToken.symbol} has been initiated`,
       txId: result.txId,
       txHash: result.txHash
     });
 
   } catch (error) {
+    if (rejectPriceImpact(req, res, error)) return;
+
     logger.error('Deposit failed', {
       requestId: req.id,
       error: error.message,
@@ -118,70 +248,71 @@ const deposit = async (req, res) => {
 };
 
 /**
- * Withdraw LP tokens for EURe
+ * Withdraw a strategy's position token back to its deposit token
  */
 const withdraw = async (req, res) => {
   try {
-    const { amount, slippage, userAddress } = req.body;
+    const { amount, slippage, userAddress, strategyId } = req.body;
+    const executionMode = getRequestExecutionMode(req, res);
+    if (!executionMode) return;
+
+    const strategy = getStrategy(strategyId);
+    const positionToken = strategy.position.token;
 
     logger.info('Processing withdraw request', {
       requestId: req.id,
       amount,
       slippage,
-      userAddress
+      userAddress,
+      executionMode,
+      strategyId: strategy.id
     });
 
-    // Validate amount is positive
-    if (parseFloat(amount) <= 0) {
-      return res.status(400).json({
-        error: 'Invalid Amount',
-        message: 'Amount must be greater than 0',
-        requestId: req.id
-      });
-    }
+    const amountIn = getRequestAmount(req, res, amount, positionToken);
+    if (amountIn === null) return;
 
-    // Check user LP token balance before withdraw
-    const balances = await ensoService.getGnosisBalance(userAddress);
-    const lpBalance = parseFloat(balances.lpToken.balance);
-    const withdrawAmount = parseFloat(amount);
+    // The hot wallet holds every address's LP, so the caller may only
+    // withdraw what its own operations put there
+    const position = positionLedger.getWithdrawableLp(userAddress, strategy, executionMode);
+    if (rejectInsufficient(req, res, position, amountIn, positionToken, 'position')) return;
 
-    if (lpBalance < withdrawAmount) {
-      return res.status(400).json({
-        error: 'Insufficient Balance',
-        message: `Insufficient LP token balance. Available: ${lpBalance}, Required: ${withdrawAmount}`,
+    const walletBalance = await ensoService.getTokenBalance(ensoService.wallet.address, positionToken.address, strategy.position.chain);
+    if (rejectInsufficient(req, res, walletBalance, amountIn, positionToken, 'balance in the execution wallet')) return;
+
+    // Process withdraw in the resolved execution mode
+    const result = await ensoService.executeOperation('withdraw', {
+      amount: amountIn.toString(),
+      slippage,
+      userAddress,
+      executionMode,
+      strategyId: strategy.id
+    });
+
+    if (executionMode === EXECUTION_MODES.DRY_RUN) {
+      return res.json({
+        success: result.dryRun.success,
+        message: result.dryRun.success ? 'Withdrawal dry-run succeeded' : 'Withdrawal dry-run reverted',
+        data: buildOperationResponse(result, positionToken, strategy.deposit.token),
+        timestamp: new Date().toISOString(),
         requestId: req.id
       });
     }
 
-    // Process withdraw with monitoring
-    const result = await ensoService.withdrawWithMonitoring(amount, slippage, userAddress);
-
-    // Start monitoring the transaction
-    monitoringService.startTransactionMonitoring(
-      result.txId,
-      result.txHash,
-      userAddress,
-      'withdraw',
-      {
-        amount,
-        slippage,
-        fromChain: 'gnosis',
-        toChain: 'polygon',
-        token: 'LP-EURe'
-      }
-    );
+    // Record and start monitoring the transaction
+    trackTransaction(result, 'withdraw', {
+      amount: fromBaseUnits(amountIn, positionToken.decimals),
+      slippage,
+      executionMode,
+      strategyId: strategy.id,
+      ...describeRoute(strategy.position, strategy.deposit)
+    });
 
     // Send immediate response
     res.status(202).json({
       success: true,
       message: 'Withdrawal initiated successfully',
       data: {
-        txId: result.txId,
-        txHash: result.txHash,
-        amount,
-        slippage,
-        userAddress,
-        status: 'initiated',
+        ...buildOperationResponse(result, positionToken, strategy.deposit.token),
         estimatedCompletionTime: '2-5 minutes'
       },
       timestamp: new Date().toISOString(),
@@ -193,19 +324,22 @@ const withdraw = async (req, res) => {
       txId: result.txId,
       txHash: result.txHash,
       amount,
-      userAddress
+      userAddress,
+      executionMode
     });
 
     // Send WebSocket notification
     socketService.sendUserNotification(userAddress, {
       type: 'info',
       title: 'Withdrawal Initiated',
-      message: `Withdrawal of ${amount} LP tokens has been initiated`,
+      message: `Withdrawal of ${fromBaseUnits(amountIn, positionToken.decimals)} ${positionToken.symbol} has been initiated`,
       txId: result.txId,
       txHash: result.txHash
     });
 
   } catch (error) {
+    if (rejectPriceImpact(req, res, error)) return;
+
     logger.error('Withdraw failed', {
       requestId: req.id,
       error: error.message,
@@ -229,72 +363,109 @@ const withdraw = async (req, res) => {
  */
 const compound = async (req, res) => {
   try {
-    const { userAddress, slippage = 0.5 } = req.body;
+    const { userAddress, slippage = 0.5, strategyId } = req.body;
+    const executionMode = getRequestExecutionMode(req, res);
+    if (!executionMode) return;
+
+    const strategy = getStrategy(strategyId);
+    const { currency, minCompoundAmount } = strategy.earnings;
 
     logger.info('Processing compound request', {
       requestId: req.id,
       userAddress,
-      slippage
+      slippage,
+      executionMode,
+      strategyId: strategy.id
     });
 
-    // Get available earnings
-    const earnings = await ensoService.getEarnings(userAddress);
-    const earningsAmount = parseFloat(earnings);
+    // Get claimable rewards, valued in the strategy's currency
+    const earnings = await ensoService.getEarnings(userAddress, strategy.id);
 
-    if (earningsAmount <= 0.01) {
+    if (!earnings.canCompound) {
       return res.status(400).json({
         error: 'No Earnings Available',
-        message: `Insufficient earnings to compound. Available: ${earnings} (minimum: 0.01)`,
+        message: `Insufficient earnings to compound. Claimable: ${earnings.claimableValue} ${currency} (minimum: ${minCompoundAmount} ${currency})`,
         data: {
-          availableEarnings: earnings,
-          minimumRequired: '0.01'
+          claimableValue: earnings.claimableValue,
+          currency,
+          minimumRequired: minCompoundAmount,
+          strategyId: strategy.id
         },
         requestId: req.id
       });
     }
 
-    // Process auto-compound
-    const result = await ensoService.autoCompound(userAddress);
+    // Claim the rewards, swap what was received into the position
+    const result = await ensoService.autoCompound(userAddress, {
+      slippage,
+      executionMode,
+      strategyId: strategy.id
+    });
 
     if (result.message) {
-      // No earnings to compound
+      // No earnings to compound, or the claim paid out nothing
       return res.json({
         success: true,
         message: result.message,
         data: {
-          availableEarnings: result.earnings,
-          userAddress
+          claimableValue: result.earnings.claimableValue,
+          currency,
+          userAddress,
+          executionMode,
+          strategyId: strategy.id,
+          ...(result.claimTxHash && { claimTxHash: result.claimTxHash })
         },
         timestamp: new Date().toISOString(),
         requestId: req.id
       });
     }
 
-    // Start monitoring the compound transaction
-    monitoringService.startTransactionMonitoring(
-      result.txId,
-      result.txHash,
-      userAddress,
-      'compound',
-      {
-        amount: earnings,
-        slippage,
-        type: 'auto-compound',
-        originalEarnings: earnings
-      }
-    );
+    // Value of the rewards actually received, in deposit-token terms
+    const compoundAmount = fromBaseUnits(result.amount, strategy.deposit.token.decimals);
+
+    if (executionMode === EXECUTION_MODES.DRY_RUN) {
+      return res.json({
+        success: result.dryRun.success,
+        message: result.dryRun.success ? 'Auto-compound dry-run succeeded' : 'Auto-compound dry-run reverted',
+        data: {
+          ...buildOperationResponse(result, strategy.deposit.token, strategy.position.token),
+          compoundAmount,
+          claimableValue: earnings.claimableValue,
+          currency,
+          claim: result.claim,
+          swaps: result.swaps
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+
+    // Record and start monitoring the transaction
+    trackTransaction(result, 'compound', {
+      amount: compoundAmount,
+      slippage,
+      executionMode,
+      strategyId: strategy.id,
+      ...describeCompoundRoute(strategy),
+      type: 'auto-compound',
+      originalEarnings: earnings.compoundable,
+      claimableValue: earnings.claimableValue,
+      currency,
+      claim: result.claim,
+      swaps: result.swaps
+    });
 
     // Send immediate response
     res.status(202).json({
       success: true,
       message: 'Auto-compound initiated successfully',
       data: {
-        txId: result.txId,
-        txHash: result.txHash,
-        compoundAmount: earnings,
-        slippage,
-        userAddress,
-        status: 'initiated',
+        ...buildOperationResponse(result, strategy.deposit.token, strategy.position.token),
+        compoundAmount,
+        claimableValue: earnings.claimableValue,
+        currency,
+        claim: result.claim,
+        swaps: result.swaps,
         estimatedCompletionTime: '2-5 minutes'
       },
       timestamp: new Date().toISOString(),
@@ -305,20 +476,32 @@ const compound = async (req, res) => {
       requestId: req.id,
       txId: result.txId,
       txHash: result.txHash,
-      compoundAmount: earnings,
-      userAddress
+      claimTxHash: result.claim.txHash,
+      compoundAmount,
+      userAddress,
+      executionMode
     });
 
     // Send WebSocket notification
     socketService.sendUserNotification(userAddress, {
       type: 'info',
       title: 'Auto-Compound Initiated',
-      message: `Auto-compound of ${earnings} earnings has been initiated`,
+      message: `Auto-compound of ${compoundAmount} ${strategy.deposit.token.symbol} in claimed rewards has been initiated`,
       txId: result.txId,
       txHash: result.txHash
     });
 
   } catch (error) {
+    if (rejectPriceImpact(req, res, error)) return;
+
+    if (error.code === REWARDS_NOT_CLAIMABLE) {
+      return res.status(400).json({
+        error: 'Rewards Not Claimable',
+        message: error.message,
+        requestId: req.id
+      });
+    }
+
     logger.error('Compound failed', {
       requestId: req.id,
       error: error.message,
@@ -341,7 +524,7 @@ const compound = async (req, res) => {
  */
 const estimate = async (req, res) => {
   try {
-    const { amount, type, userAddress } = req.body;
+    const { amount, type, userAddress, strategyId } = req.body;
 
     logger.info('Processing gas estimation request', {
       requestId: req.id,
@@ -360,13 +543,23 @@ const estimate = async (req, res) => {
       });
     }
 
+    // Withdrawals spend the position token, everything else the deposit token
+    const strategy = getStrategy(strategyId);
+    const token = type === 'withdraw' ? strategy.position.token : strategy.deposit.token;
+    const amountIn = getRequestAmount(req, res, amount, token);
+    if (amountIn === null) return;
+
     // Get gas estimation
-    const estimation = await ensoService.estimateGas(type, amount);
+    const estimation = await ensoService.estimateGas(type, amountIn.toString(), strategy.id);
 
     res.json({
       success: true,
       message: 'Gas estimation completed',
-      data: estimation,
+      data: {
+        ...estimation,
+        amount: fromBaseUnits(estimation.amount, token.decimals),
+        amountRaw: estimation.amount
+      },
       timestamp: new Date().toISOString(),
       requestId: req.id
     });
@@ -402,30 +595,37 @@ const estimate = async (req, res) => {
  */
 const getEarnings = async (req, res) => {
   try {
-    const { userAddress } = req.query;
-
-    if (!userAddress) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'userAddress query parameter is required',
-        requestId: req.id
-      });
-    }
+    const { userAddress, strategyId } = req.query;
+    const strategy = getStrategy(strategyId);
 
     logger.info('Getting earnings', {
       requestId: req.id,
-      userAddress
+      userAddress,
+      strategyId: strategy.id
     });
 
-    const earnings = await ensoService.getEarnings(userAddress);
+    const earnings = await ensoService.getEarnings(userAddress, strategy.id);
 
     res.json({
       success: true,
       data: {
         userAddress,
-        availableEarnings: earnings,
-        canCompound: parseFloat(earnings) > 0.01,
-        minimumCompoundAmount: '0.01'
+        strategyId: strategy.id,
+        chainId: earnings.chainId,
+        currency: earnings.currency,
+        // Claimable gauge rewards, one entry per reward token
+        rewards: earnings.rewards,
+        // LP value growth since the cost basis
+        lp: earnings.lp,
+        claimableValue: earnings.claimableValue,
+        totalValue: earnings.totalValue,
+        // Claimable and total, in EUR and USD
+        values: earnings.values,
+        compoundToken: earnings.compoundToken,
+        compoundable: earnings.compoundable,
+        compoundableRaw: earnings.compoundableRaw,
+        canCompound: earnings.canCompound,
+        minimumCompoundAmount: earnings.minCompoundAmount
       },
       timestamp: new Date().toISOString(),
       requestId: req.id
@@ -434,7 +634,8 @@ const getEarnings = async (req, res) => {
     logger.info('Earnings retrieved successfully', {
       requestId: req.id,
       userAddress,
-      earnings
+      totalValue: earnings.totalValue,
+      currency: earnings.currency
     });
 
   } catch (error) {
@@ -454,7 +655,40 @@ const getEarnings = async (req, res) => {
   }
 };
 
+/**
+ * List available farming strategies
+ */
+const listStrategies = async (req, res) => {
+  try {
+    const strategies = getStrategies().map(getStrategyMetadata);
+
+    res.json({
+      success: true,
+      data: {
+        strategies,
+        count: strategies.length
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  } catch (error) {
+    logger.error('Failed to list strategies', {
+      requestId: req.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve strategies',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
 module.exports = {
+  listStrategies,
   deposit,
   withdraw,
   compound,
@@ -0,0 +1,151 @@
+const logger = require('../utils/logger');
+const compoundKeeper = require('../services/compoundKeeper');
+
+/**
+ * List an address's keeper subscriptions
+ */
+const listSubscriptions = async (req, res) => {
+  const { userAddress } = req.query;
+
+  res.json({
+    success: true,
+    data: {
+      subscriptions: compoundKeeper.getSubscriptions(userAddress),
+      keeper: compoundKeeper.getStats()
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.id
+  });
+};
+
+/**
+ * Opt a position in to keeper compounding, or update its margin and settings
+ */
+const subscribe = async (req, res) => {
+  try {
+    const { userAddress, strategyId, margin, slippage, executionMode } = req.body;
+
+    logger.info('Saving keeper subscription', {
+      requestId: req.id,
+      userAddress,
+      strategyId,
+      margin
+    });
+
+    const { subscription, created } = compoundKeeper.subscribe({
+      userAddress,
+      strategyId,
+      margin,
+      slippage,
+      executionMode
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: subscription,
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+
+  } catch (error) {
+    logger.error('Failed to save keeper subscription', {
+      requestId: req.id,
+      error: error.message,
+      userAddress: req.body.userAddress
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to save keeper subscription',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Opt a position out of keeper compounding
+ */
+const unsubscribe = async (req, res) => {
+  const { userAddress, strategyId } = req.body;
+
+  if (!compoundKeeper.unsubscribe(userAddress, strategyId)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `No keeper subscription for ${userAddress} on ${strategyId}`,
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Keeper subscription removed',
+    data: { userAddress, strategyId },
+    timestamp: new Date().toISOString(),
+    requestId: req.id
+  });
+};
+
+/**
+ * Query the keeper's decision log, newest first
+ */
+const listDecisions = async (req, res) => {
+  const { userAddress, strategyId, decision, limit } = req.query;
+  const { decisions, total } = compoundKeeper.getDecisions({ userAddress, strategyId, decision, limit });
+
+  res.json({
+    success: true,
+    data: {
+      decisions,
+      total,
+      filters: { userAddress, strategyId, decision }
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.id
+  });
+};
+
+/**
+ * Run the keeper now instead of waiting for the next scheduled run
+ */
+const run = async (req, res) => {
+  try {
+    logger.info('Keeper run requested', { requestId: req.id });
+
+    const decisions = await compoundKeeper.run();
+
+    res.json({
+      success: true,
+      data: {
+        decisions,
+        keeper: compoundKeeper.getStats()
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+
+  } catch (error) {
+    logger.error('Keeper run failed', {
+      requestId: req.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Keeper run failed',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = {
+  listSubscriptions,
+  subscribe,
+  unsubscribe,
+  listDecisions,
+  run
+};
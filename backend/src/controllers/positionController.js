@@ -0,0 +1,57 @@
+const logger = require('../utils/logger');
+const PositionLedger = require('../services/PositionLedger');
+
+const positionLedger = new PositionLedger();
+
+/**
+ * Get an address's strategy positions: cost basis, current value, realised
+ * and unrealised P&L and time-weighted return, in every valuation currency
+ */
+const getPositions = async (req, res) => {
+  try {
+    const { userAddress } = req.query;
+
+    logger.info('Getting positions', {
+      requestId: req.id,
+      userAddress
+    });
+
+    const ledger = await positionLedger.getPositions(userAddress);
+
+    res.json({
+      success: true,
+      data: {
+        userAddress,
+        positions: ledger.positions,
+        totals: ledger.totals
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+
+    logger.info('Positions retrieved successfully', {
+      requestId: req.id,
+      userAddress,
+      positions: ledger.positions.length
+    });
+
+  } catch (error) {
+    logger.error('Failed to get positions', {
+      requestId: req.id,
+      error: error.message,
+      userAddress: req.query.userAddress
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve positions',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = {
+  getPositions
+};
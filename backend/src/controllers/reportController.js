@@ -0,0 +1,65 @@
+const logger = require('../utils/logger');
+const TaxReport = require('../services/TaxReport');
+
+const taxReport = new TaxReport();
+
+/**
+ * Get a yearly tax report: LP entries and exits, withdrawals matched against
+ * lots (fifo, lifo or hifo) and compounded rewards as income, valued in EUR.
+ * `format=csv` returns the events in a crypto-tax import layout instead.
+ */
+const getTaxReport = async (req, res) => {
+  try {
+    const { userAddress, year, method, format } = req.query;
+
+    logger.info('Building tax report', {
+      requestId: req.id,
+      userAddress,
+      year,
+      method,
+      format
+    });
+
+    const report = taxReport.build({ address: userAddress, year, method });
+
+    if (format === 'csv') {
+      res.attachment(`tax-report-${year}-${userAddress.toLowerCase()}.csv`);
+      res.type('text/csv');
+      res.send(taxReport.toCsv(report));
+    } else {
+      res.json({
+        success: true,
+        data: report,
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+
+    logger.info('Tax report built successfully', {
+      requestId: req.id,
+      userAddress,
+      year,
+      events: report.events.length,
+      disposals: report.disposals.length
+    });
+
+  } catch (error) {
+    logger.error('Failed to build tax report', {
+      requestId: req.id,
+      error: error.message,
+      userAddress: req.query.userAddress
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to build tax report',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = {
+  getTaxReport
+};
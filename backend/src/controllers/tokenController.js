@@ -0,0 +1,49 @@
+const logger = require('../utils/logger');
+const { getAllTokens, getLoadedTokenLists } = require('../config/tokens');
+
+/**
+ * List registry tokens, optionally filtered by chain
+ */
+const listTokens = async (req, res) => {
+  try {
+    const { chainId } = req.query;
+
+    const tokens = chainId
+      ? getAllTokens().filter(token => token.chainId === chainId)
+      : getAllTokens();
+
+    res.json({
+      success: true,
+      data: {
+        tokens,
+        count: tokens.length,
+        chainId: chainId || null,
+        lists: getLoadedTokenLists().map(({ name, version, timestamp, tokenCount }) => ({
+          name,
+          version,
+          timestamp,
+          tokenCount
+        }))
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  } catch (error) {
+    logger.error('Failed to list tokens', {
+      requestId: req.id,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve tokens',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = {
+  listTokens
+};
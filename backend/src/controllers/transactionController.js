@@ -1,38 +1,123 @@
 const logger = require('../utils/logger');
+const EnsoYieldFarming = require('../services/EnsoYieldFarming');
+const { PRICE_IMPACT_TOO_HIGH } = require('../services/EnsoYieldFarming');
 const monitoringService = require('../services/monitoringService');
 const socketService = require('../services/socketService');
+const transactionStore = require('../services/transactionStore');
+const transactionStateMachine = require('../services/transactionStateMachine');
+const { VALUATION_CURRENCIES } = require('../services/priceService');
+const { describeRoute, trackTransaction } = require('../services/operationTracker');
+const { VALUE_DECIMALS, toBaseUnits, fromBaseUnits } = require('../utils/amounts');
+const { EXECUTION_MODES, resolveExecutionMode } = require('../config/execution');
+const { getStrategy } = require('../config/strategies');
 
-// Mock transaction storage (in production, use a database)
-const transactionStore = new Map();
+const { TRANSACTION_STATUS, FINAL_STATUSES, ACTIVE_STATUSES, ILLEGAL_TRANSITION } = transactionStateMachine;
+
+// Operations a retry can run again as they were requested
+const RETRYABLE_TYPES = ['deposit', 'withdraw'];
+
+// Initialize Enso service
+const ensoService = new EnsoYieldFarming(
+  process.env.ENSO_API_KEY,
+  process.env.PRIVATE_KEY
+);
+
+/**
+ * Get the fees a replacement has to outbid: those of the newest broadcast
+ * for the transaction's nonce
+ * @param {Object} transaction - Stored transaction with a live broadcast
+ * @returns {Object} Broadcast with the latest fees
+ */
+const getLatestBroadcast = (transaction) => {
+  const latest = transaction.replacements[transaction.replacements.length - 1];
+
+  return latest
+    ? { ...transaction.broadcast, maxFeePerGas: latest.maxFeePerGas, maxPriorityFeePerGas: latest.maxPriorityFeePerGas }
+    : transaction.broadcast;
+};
+
+/**
+ * Get an address's transaction for a speed-up or cancel, answering 404 for
+ * unknown transactions and other addresses', and 401 when it has a broadcast
+ * to replace and the request has no token (the hot wallet pays the gas)
+ * @returns {Object|null} Stored transaction, or null if a response was sent
+ */
+const getReplaceableTransaction = (req, res) => {
+  const { transactionId, userAddress } = req.body;
+  const transaction = transactionStore.get(transactionId);
+
+  if (!transaction || transaction.userAddress.toLowerCase() !== userAddress.toLowerCase()) {
+    res.status(404).json({
+      error: 'Transaction Not Found',
+      message: `Transaction with ID ${transactionId} not found`,
+      requestId: req.id
+    });
+    return null;
+  }
+
+  if (transaction.broadcast && !req.user) {
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Replacing a live transaction requires an access token for the user address',
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+    return null;
+  }
+
+  return transaction;
+};
+
+/**
+ * Send a same-nonce replacement for a stored transaction and follow it
+ * @param {Object} transaction - Stored transaction with a live broadcast
+ * @param {string} kind - 'speedup' or 'cancel'
+ * @param {number} feeBumpPercent - Optional fee bump override
+ * @returns {Object} Replacement details
+ */
+const sendReplacement = async (transaction, kind, feeBumpPercent) => {
+  const replacement = await ensoService.replaceTransaction(getLatestBroadcast(transaction), kind, feeBumpPercent);
+
+  transactionStore.addReplacement(transaction.id, replacement);
+  transactionStateMachine.transition(
+    transaction.id,
+    kind === 'cancel' ? TRANSACTION_STATUS.CANCELLING : transaction.status,
+    {
+      reason: kind === 'cancel' ? 'Cancellation transaction sent' : 'Speed-up transaction sent',
+      update: { txHash: replacement.txHash, originalTxHash: transaction.txHash }
+    }
+  );
+  monitoringService.addReplacement(transaction.id, replacement);
+
+  return replacement;
+};
 
 /**
  * Get transaction history with filtering and pagination
  */
 const getTransactions = async (req, res) => {
   try {
-    const { 
-      userAddress, 
-      status, 
-      type, 
-      limit = 20, 
-      offset = 0 
-    } = req.query;
+    const { userAddress, status, type, strategyId, from, to, limit, offset } = req.query;
 
     logger.info('Getting transaction history', {
       requestId: req.id,
       userAddress,
       status,
       type,
+      strategyId,
       limit,
       offset
     });
 
-    // Generate mock transaction history
-    const transactions = generateMockTransactions(userAddress, {
+    const { transactions, total } = transactionStore.query({
+      userAddress,
       status,
       type,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
+      strategyId,
+      from,
+      to,
+      limit,
+      offset
     });
 
     res.json({
@@ -40,15 +125,18 @@ const getTransactions = async (req, res) => {
       data: {
         transactions,
         pagination: {
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          total: transactions.length,
-          hasMore: transactions.length === parseInt(limit)
+          limit,
+          offset,
+          total,
+          hasMore: offset + transactions.length < total
         },
         filters: {
           userAddress,
           status,
-          type
+          type,
+          strategyId,
+          from,
+          to
         }
       },
       timestamp: new Date().toISOString(),
@@ -58,6 +146,7 @@ const getTransactions = async (req, res) => {
     logger.info('Transaction history retrieved', {
       requestId: req.id,
       count: transactions.length,
+      total,
       userAddress
     });
 
@@ -90,13 +179,7 @@ const getTransactionById = async (req, res) => {
       transactionId: id
     });
 
-    // Check if transaction exists in our mock store
-    let transaction = transactionStore.get(id);
-
-    if (!transaction) {
-      // Generate a mock transaction if not found
-      transaction = generateMockTransaction(id);
-    }
+    const transaction = transactionStore.get(id);
 
     if (!transaction) {
       return res.status(404).json({
@@ -109,7 +192,10 @@ const getTransactionById = async (req, res) => {
 
     res.json({
       success: true,
-      data: transaction,
+      data: {
+        ...transaction,
+        transitions: transactionStateMachine.getTransitions(id)
+      },
       timestamp: new Date().toISOString(),
       requestId: req.id
     });
@@ -138,21 +224,23 @@ const getTransactionById = async (req, res) => {
 };
 
 /**
- * Retry a failed transaction
+ * Retry a failed deposit or withdrawal by running it again: a fresh route,
+ * nonce and transaction, linked to the original by `retryOf`
  */
 const retryTransaction = async (req, res) => {
   try {
-    const { transactionId } = req.body;
+    const { transactionId, userAddress } = req.body;
 
     logger.info('Retrying transaction', {
       requestId: req.id,
-      transactionId
+      transactionId,
+      userAddress
     });
 
     // Get original transaction
-    let transaction = transactionStore.get(transactionId);
+    const transaction = transactionStore.get(transactionId);
 
-    if (!transaction) {
+    if (!transaction || transaction.userAddress.toLowerCase() !== userAddress.toLowerCase()) {
       return res.status(404).json({
         error: 'Transaction Not Found',
         message: `Transaction with ID ${transactionId} not found`,
@@ -160,7 +248,7 @@ const retryTransaction = async (req, res) => {
       });
     }
 
-    if (transaction.status !== 'failed') {
+    if (transaction.status !== TRANSACTION_STATUS.FAILED) {
       return res.status(400).json({
         error: 'Invalid Transaction Status',
         message: 'Only failed transactions can be retried',
@@ -169,43 +257,82 @@ const retryTransaction = async (req, res) => {
       });
     }
 
-    // Create new transaction for retry
-    const retryTxId = `retry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const retryTransaction = {
-      ...transaction,
-      id: retryTxId,
-      status: 'pending',
-      retryOf: transactionId,
-      retryAttempt: (transaction.retryAttempt || 0) + 1,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      error: null
-    };
-
-    // Store retry transaction
-    transactionStore.set(retryTxId, retryTransaction);
-
-    // Start monitoring the retry
-    monitoringService.startTransactionMonitoring(
-      retryTxId,
-      retryTransaction.txHash,
-      transaction.userAddress,
-      transaction.type,
-      {
-        ...transaction.details,
-        isRetry: true,
-        originalTxId: transactionId
-      }
-    );
+    // A compound's amount depends on the rewards claimable at the time
+    if (!RETRYABLE_TYPES.includes(transaction.type)) {
+      return res.status(400).json({
+        error: 'Retry Not Supported',
+        message: `${transaction.type} transactions cannot be retried; start a new one instead`,
+        requestId: req.id
+      });
+    }
+
+    const activeRetry = transactionStore.list({ retryOf: transactionId })
+      .find(retry => retry.status !== TRANSACTION_STATUS.FAILED);
+
+    if (activeRetry) {
+      return res.status(409).json({
+        error: 'Retry Already Exists',
+        message: `Transaction ${transactionId} was already retried as ${activeRetry.id}`,
+        retryTransactionId: activeRetry.id,
+        requestId: req.id
+      });
+    }
+
+    let executionMode;
+    try {
+      executionMode = resolveExecutionMode(transaction.executionMode);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid Execution Mode',
+        message: error.message,
+        requestId: req.id
+      });
+    }
+
+    // A live retry broadcasts from the hot wallet, like a live deposit or withdrawal
+    if (executionMode === EXECUTION_MODES.LIVE && !req.user) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Live execution requires an access token for the user address',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+
+    const strategy = getStrategy(transaction.strategyId);
+    const [fromLeg, toLeg] = transaction.type === 'deposit'
+      ? [strategy.deposit, strategy.position]
+      : [strategy.position, strategy.deposit];
+    const retryAttempt = (transaction.retryAttempt || 0) + 1;
+
+    const result = await ensoService.executeOperation(transaction.type, {
+      amount: transaction.amountRaw,
+      slippage: transaction.slippage,
+      userAddress: transaction.userAddress,
+      executionMode,
+      strategyId: strategy.id
+    });
+
+    trackTransaction(result, transaction.type, {
+      amount: transaction.amount,
+      slippage: transaction.slippage,
+      executionMode,
+      strategyId: strategy.id,
+      isRetry: true,
+      originalTxId: transactionId,
+      ...describeRoute(fromLeg, toLeg)
+    }, { retryOf: transactionId, retryAttempt });
 
     res.status(202).json({
       success: true,
       message: 'Transaction retry initiated',
       data: {
         originalTransactionId: transactionId,
-        retryTransactionId: retryTxId,
-        retryAttempt: retryTransaction.retryAttempt,
-        status: 'pending'
+        retryTransactionId: result.txId,
+        retryAttempt,
+        txHash: result.txHash,
+        executionMode,
+        status: transactionStore.get(result.txId).status
       },
       timestamp: new Date().toISOString(),
       requestId: req.id
@@ -214,8 +341,9 @@ const retryTransaction = async (req, res) => {
     logger.info('Transaction retry initiated', {
       requestId: req.id,
       originalTxId: transactionId,
-      retryTxId,
-      retryAttempt: retryTransaction.retryAttempt
+      retryTxId: result.txId,
+      txHash: result.txHash,
+      retryAttempt
     });
 
     // Send WebSocket notification
@@ -223,11 +351,25 @@ const retryTransaction = async (req, res) => {
       type: 'info',
       title: 'Transaction Retry Initiated',
       message: `Retry for ${transaction.type} transaction has been initiated`,
-      txId: retryTxId,
+      txId: result.txId,
+      txHash: result.txHash,
       originalTxId: transactionId
     });
 
   } catch (error) {
+    if (error.code === PRICE_IMPACT_TOO_HIGH) {
+      return res.status(400).json({
+        error: 'Price Impact Too High',
+        message: error.message,
+        data: {
+          quotedOutputRaw: error.quote.amountOut,
+          priceImpact: error.quote.priceImpact,
+          maxPriceImpact: error.quote.maxPriceImpact
+        },
+        requestId: req.id
+      });
+    }
+
     logger.error('Failed to retry transaction', {
       requestId: req.id,
       error: error.message,
@@ -245,65 +387,77 @@ const retryTransaction = async (req, res) => {
 };
 
 /**
- * Cancel a pending transaction
+ * Cancel a pending transaction. Live transactions are cancelled on chain with
+ * a same-nonce, zero-value replacement; simulated ones only locally.
  */
 const cancelTransaction = async (req, res) => {
   try {
-    const { transactionId } = req.body;
+    const { transactionId, userAddress, feeBumpPercent } = req.body;
 
     logger.info('Cancelling transaction', {
       requestId: req.id,
-      transactionId
+      transactionId,
+      userAddress
     });
 
-    let transaction = transactionStore.get(transactionId);
+    const transaction = getReplaceableTransaction(req, res);
+    if (!transaction) return;
 
-    if (!transaction) {
-      return res.status(404).json({
-        error: 'Transaction Not Found',
-        message: `Transaction with ID ${transactionId} not found`,
-        requestId: req.id
-      });
-    }
+    // Broadcast transactions are cancelled once the replacement is mined
+    const cancelStatus = transaction.broadcast ? TRANSACTION_STATUS.CANCELLING : TRANSACTION_STATUS.CANCELLED;
 
-    if (transaction.status !== 'pending') {
+    if (!transactionStateMachine.canTransition(transaction.status, cancelStatus)) {
       return res.status(400).json({
         error: 'Invalid Transaction Status',
-        message: 'Only pending transactions can be cancelled',
+        message: `A ${transaction.status} transaction cannot be cancelled`,
         currentStatus: transaction.status,
         requestId: req.id
       });
     }
 
-    // Update transaction status
-    transaction.status = 'cancelled';
-    transaction.updatedAt = new Date().toISOString();
-    transaction.cancelledAt = new Date().toISOString();
+    if (!transaction.broadcast) {
+      // Nothing was broadcast, so there is nothing to replace on chain
+      const cancelled = transactionStateMachine.transition(transactionId, TRANSACTION_STATUS.CANCELLED, {
+        reason: 'Transaction cancelled before broadcast',
+        changes: { cancelledAt: new Date().toISOString() }
+      });
+      monitoringService.stopMonitoring(transactionId);
+
+      return res.json({
+        success: true,
+        message: 'Transaction cancelled successfully',
+        data: {
+          transactionId,
+          status: cancelled.status,
+          cancelledAt: cancelled.cancelledAt
+        },
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
 
-    // Stop monitoring
-    monitoringService.stopMonitoring(transactionId);
+    const replacement = await sendReplacement(transaction, 'cancel', feeBumpPercent);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Transaction cancelled successfully',
+      message: 'Cancellation transaction sent',
       data: {
         transactionId,
-        status: 'cancelled',
-        cancelledAt: transaction.cancelledAt
+        status: TRANSACTION_STATUS.CANCELLING,
+        originalTxHash: transaction.txHash,
+        replacementTxHash: replacement.txHash,
+        nonce: replacement.nonce,
+        maxFeePerGas: replacement.maxFeePerGas,
+        maxPriorityFeePerGas: replacement.maxPriorityFeePerGas
       },
       timestamp: new Date().toISOString(),
       requestId: req.id
     });
 
-    logger.info('Transaction cancelled successfully', {
+    logger.info('Cancellation transaction sent', {
       requestId: req.id,
-      transactionId
-    });
-
-    // Send WebSocket notification
-    socketService.broadcastTransactionUpdate(transaction.userAddress, {
-      ...transaction,
-      status: 'cancelled'
+      transactionId,
+      replacementTxHash: replacement.txHash
     });
 
   } catch (error) {
@@ -313,6 +467,23 @@ const cancelTransaction = async (req, res) => {
       transactionId: req.body.transactionId
     });
 
+    if (error.message.includes('already been mined')) {
+      return res.status(409).json({
+        error: 'Transaction Already Mined',
+        message: error.message,
+        requestId: req.id
+      });
+    }
+
+    if (error.code === ILLEGAL_TRANSITION) {
+      return res.status(409).json({
+        error: 'Invalid Transaction Status',
+        message: error.message,
+        currentStatus: error.from,
+        requestId: req.id
+      });
+    }
+
     res.status(500).json({
       error: 'Transaction Cancellation Failed',
       message: 'Failed to cancel transaction',
@@ -323,21 +494,115 @@ const cancelTransaction = async (req, res) => {
   }
 };
 
+/**
+ * Speed up a pending transaction by resending it with the same nonce and
+ * higher fees
+ */
+const speedUpTransaction = async (req, res) => {
+  try {
+    const { transactionId, userAddress, feeBumpPercent } = req.body;
+
+    logger.info('Speeding up transaction', {
+      requestId: req.id,
+      transactionId,
+      userAddress
+    });
+
+    const transaction = getReplaceableTransaction(req, res);
+    if (!transaction) return;
+
+    if (![TRANSACTION_STATUS.MONITORING, TRANSACTION_STATUS.PENDING, TRANSACTION_STATUS.REORGED].includes(transaction.status)) {
+      return res.status(400).json({
+        error: 'Invalid Transaction Status',
+        message: 'Only pending transactions can be sped up',
+        currentStatus: transaction.status,
+        requestId: req.id
+      });
+    }
+
+    if (!transaction.broadcast) {
+      return res.status(400).json({
+        error: 'Not Broadcast',
+        message: `Only live transactions can be sped up (execution mode: ${transaction.executionMode})`,
+        requestId: req.id
+      });
+    }
+
+    const replacement = await sendReplacement(transaction, 'speedup', feeBumpPercent);
+
+    res.status(202).json({
+      success: true,
+      message: 'Speed-up transaction sent',
+      data: {
+        transactionId,
+        status: transaction.status,
+        originalTxHash: transaction.txHash,
+        replacementTxHash: replacement.txHash,
+        nonce: replacement.nonce,
+        maxFeePerGas: replacement.maxFeePerGas,
+        maxPriorityFeePerGas: replacement.maxPriorityFeePerGas
+      },
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+
+    logger.info('Speed-up transaction sent', {
+      requestId: req.id,
+      transactionId,
+      replacementTxHash: replacement.txHash
+    });
+
+  } catch (error) {
+    logger.error('Failed to speed up transaction', {
+      requestId: req.id,
+      error: error.message,
+      transactionId: req.body.transactionId
+    });
+
+    if (error.message.includes('already been mined')) {
+      return res.status(409).json({
+        error: 'Transaction Already Mined',
+        message: error.message,
+        requestId: req.id
+      });
+    }
+
+    if (error.code === ILLEGAL_TRANSITION) {
+      return res.status(409).json({
+        error: 'Invalid Transaction Status',
+        message: error.message,
+        currentStatus: error.from,
+        requestId: req.id
+      });
+    }
+
+    res.status(500).json({
+      error: 'Transaction Speed-Up Failed',
+      message: 'Failed to speed up transaction',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
 /**
  * Get transaction statistics
  */
 const getTransactionStats = async (req, res) => {
   try {
-    const { userAddress, days = 30 } = req.query;
+    const { userAddress, strategyId, days } = req.query;
 
     logger.info('Getting transaction statistics', {
       requestId: req.id,
       userAddress,
+      strategyId,
       days
     });
 
-    // Generate mock statistics
-    const stats = generateMockTransactionStats(userAddress, parseInt(days));
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const { transactions } = transactionStore.query({ userAddress, strategyId, from, limit: null });
+    const stats = buildTransactionStats(transactions, { userAddress, strategyId, days, from });
 
     res.json({
       success: true,
@@ -370,109 +635,71 @@ const getTransactionStats = async (req, res) => {
 };
 
 /**
- * Generate mock transactions for demonstration
+ * Aggregate stored transactions into counts, volumes and gas used
+ * @param {Array} transactions - Transactions in the period
+ * @param {Object} period - Filters the transactions were selected by
+ * @returns {Object} Transaction statistics
  */
-const generateMockTransactions = (userAddress, filters = {}) => {
-  const { status, type, limit = 20, offset = 0 } = filters;
-  const transactions = [];
-  
-  const types = ['deposit', 'withdraw', 'compound'];
-  const statuses = ['completed', 'pending', 'failed'];
-  
-  for (let i = 0; i < limit; i++) {
-    const txType = type || types[Math.floor(Math.random() * types.length)];
-    const txStatus = status || statuses[Math.floor(Math.random() * statuses.length)];
-    const timestamp = new Date(Date.now() - (Math.random() * 30 * 24 * 60 * 60 * 1000));
-    
-    const transaction = {
-      id: `tx_${Date.now()}_${i}_${Math.random().toString(36).substr(2, 9)}`,
-      txHash: '0x' + Array.from({length: 64}, () => Math.floor(Math.random() * 16).toString(16)).join(''),
-      userAddress: userAddress || '0x742d35Cc4700C2532237A43F4C1b05a4c8FE1B5C',
-      type: txType,
-      status: txStatus,
-      amount: (Math.random() * 1000 + 100).toFixed(4),
-      token: txType === 'deposit' ? 'EURe' : 'LP-EURe',
-      fromChain: txType === 'deposit' ? 'polygon' : 'gnosis',
-      toChain: txType === 'deposit' ? 'gnosis' : 'polygon',
-      slippage: (Math.random() * 2 + 0.1).toFixed(1),
-      gasUsed: txStatus === 'completed' ? (Math.random() * 100000 + 50000).toFixed(0) : null,
-      gasPrice: txStatus === 'completed' ? (Math.random() * 100 + 20).toFixed(2) : null,
-      createdAt: timestamp.toISOString(),
-      updatedAt: new Date(timestamp.getTime() + Math.random() * 300000).toISOString(),
-      completedAt: txStatus === 'completed' ? new Date(timestamp.getTime() + Math.random() * 300000).toISOString() : null,
-      error: txStatus === 'failed' ? 'Transaction reverted due to insufficient gas' : null
-    };
-    
-    transactions.push(transaction);
-  }
-  
-  return transactions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-};
+const buildTransactionStats = (transactions, { userAddress, strategyId, days, from }) => {
+  const count = (field) => transactions.reduce((counts, transaction) => {
+    counts[transaction[field]] = (counts[transaction[field]] || 0) + 1;
+    return counts;
+  }, {});
+  const byStatus = count('status');
+  const completed = transactions.filter(transaction => transaction.status === TRANSACTION_STATUS.COMPLETED);
+  // Success rate over finished transactions; in-flight ones have no outcome yet
+  const finished = transactions.filter(transaction => FINAL_STATUSES.includes(transaction.status)).length;
+
+  // Token amounts are summed at 18 decimals, exact for every registry token
+  const byToken = {};
+  completed.forEach(transaction => {
+    if (transaction.token && transaction.amount) {
+      byToken[transaction.token] = (byToken[transaction.token] || 0n) + toBaseUnits(transaction.amount, 18);
+    }
+  });
 
-/**
- * Generate a mock transaction by ID
- */
-const generateMockTransaction = (id) => {
-  const types = ['deposit', 'withdraw', 'compound'];
-  const statuses = ['completed', 'pending', 'failed'];
-  
-  const txType = types[Math.floor(Math.random() * types.length)];
-  const txStatus = statuses[Math.floor(Math.random() * statuses.length)];
-  const timestamp = new Date(Date.now() - Math.random() * 24 * 60 * 60 * 1000);
-  
-  return {
-    id,
-    txHash: '0x' + Array.from({length: 64}, () => Math.floor(Math.random() * 16).toString(16)).join(''),
-    userAddress: '0x742d35Cc4700C2532237A43F4C1b05a4c8FE1B5C',
-    type: txType,
-    status: txStatus,
-    amount: (Math.random() * 1000 + 100).toFixed(4),
-    token: txType === 'deposit' ? 'EURe' : 'LP-EURe',
-    fromChain: txType === 'deposit' ? 'polygon' : 'gnosis',
-    toChain: txType === 'deposit' ? 'gnosis' : 'polygon',
-    slippage: (Math.random() * 2 + 0.1).toFixed(1),
-    gasUsed: txStatus === 'completed' ? (Math.random() * 100000 + 50000).toFixed(0) : null,
-    gasPrice: txStatus === 'completed' ? (Math.random() * 100 + 20).toFixed(2) : null,
-    createdAt: timestamp.toISOString(),
-    updatedAt: new Date(timestamp.getTime() + Math.random() * 300000).toISOString(),
-    completedAt: txStatus === 'completed' ? new Date(timestamp.getTime() + Math.random() * 300000).toISOString() : null,
-    error: txStatus === 'failed' ? 'Transaction reverted due to insufficient gas' : null
-  };
-};
+  const values = Object.fromEntries(VALUATION_CURRENCIES.map(currency => {
+    const valued = completed.map(transaction => transaction.values?.[currency]).filter(value => value != null);
+    const total = valued.reduce((sum, value) => sum + toBaseUnits(value, VALUE_DECIMALS), 0n);
+
+    return [currency, {
+      total: fromBaseUnits(total, VALUE_DECIMALS),
+      average: valued.length > 0 ? fromBaseUnits(total / BigInt(valued.length), VALUE_DECIMALS) : null,
+      valued: valued.length
+    }];
+  }));
+
+  const gasUsed = completed.filter(transaction => transaction.gasUsed != null).map(transaction => BigInt(transaction.gasUsed));
+  const totalGasUsed = gasUsed.reduce((sum, gas) => sum + gas, 0n);
 
-/**
- * Generate mock transaction statistics
- */
-const generateMockTransactionStats = (userAddress, days) => {
-  const totalTransactions = Math.floor(Math.random() * 50) + 10;
-  const completed = Math.floor(totalTransactions * 0.8);
-  const pending = Math.floor(totalTransactions * 0.1);
-  const failed = totalTransactions - completed - pending;
-  
   return {
     userAddress,
+    strategyId,
     period: `${days} days`,
+    from: from.toISOString(),
     summary: {
-      total: totalTransactions,
-      completed,
-      pending,
-      failed,
-      successRate: ((completed / totalTransactions) * 100).toFixed(1)
-    },
-    byType: {
-      deposit: Math.floor(totalTransactions * 0.4),
-      withdraw: Math.floor(totalTransactions * 0.4),
-      compound: Math.floor(totalTransactions * 0.2)
+      total: transactions.length,
+      completed: byStatus.completed || 0,
+      // Every status still in progress, except stale
+      pending: ACTIVE_STATUSES
+        .filter(status => status !== TRANSACTION_STATUS.STALE)
+        .reduce((sum, status) => sum + (byStatus[status] || 0), 0),
+      // No final status by the deadline, still re-checked
+      stale: byStatus.stale || 0,
+      failed: (byStatus.failed || 0) + (byStatus.timeout || 0),
+      cancelled: byStatus.cancelled || 0,
+      successRate: finished > 0 ? ((completed.length / finished) * 100).toFixed(1) : null
     },
+    byStatus,
+    byType: count('type'),
+    // Completed transactions only
     volumes: {
-      totalVolume: (Math.random() * 50000 + 10000).toFixed(2),
-      averageTransaction: (Math.random() * 1000 + 200).toFixed(2),
-      currency: 'USD'
+      byToken: Object.fromEntries(Object.entries(byToken).map(([token, raw]) => [token, fromBaseUnits(raw, 18)])),
+      ...values
     },
-    fees: {
-      totalGasFees: (Math.random() * 100 + 20).toFixed(4),
-      averageGasFee: (Math.random() * 5 + 1).toFixed(4),
-      currency: 'MATIC'
+    gas: {
+      totalGasUsed: totalGasUsed.toString(),
+      averageGasUsed: gasUsed.length > 0 ? (totalGasUsed / BigInt(gasUsed.length)).toString() : null
     }
   };
 };
@@ -482,5 +709,6 @@ module.exports = {
   getTransactionById,
   retryTransaction,
   cancelTransaction,
+  speedUpTransaction,
   getTransactionStats
 };
\ No newline at end of file
@@ -0,0 +1,155 @@
+const logger = require('../utils/logger');
+const webhookService = require('../services/webhookService');
+const { PRIVATE_ADDRESS } = require('../utils/hostGuard');
+
+/**
+ * List an address's webhooks (optionally for one event type)
+ */
+const listWebhooks = async (req, res) => {
+  const { userAddress, event } = req.query;
+
+  res.json({
+    success: true,
+    data: {
+      webhooks: webhookService.getWebhooks({ userAddress, event }),
+      filters: { userAddress, event }
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.id
+  });
+};
+
+/**
+ * Subscribe a URL to events. The secret is only returned here.
+ */
+const subscribe = async (req, res) => {
+  try {
+    const { url, userAddress, events, secret } = req.body;
+
+    logger.info('Creating webhook', {
+      requestId: req.id,
+      url,
+      userAddress,
+      events
+    });
+
+    const webhook = await webhookService.subscribe({ url, userAddress, events, secret });
+
+    res.status(201).json({
+      success: true,
+      data: webhook,
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+
+  } catch (error) {
+    if (error.code === PRIVATE_ADDRESS || error.code === 'ENOTFOUND') {
+      return res.status(400).json({
+        error: 'Invalid Webhook URL',
+        message: error.code === PRIVATE_ADDRESS ? error.message : `${new URL(req.body.url).hostname} does not resolve`,
+        requestId: req.id
+      });
+    }
+
+    logger.error('Failed to create webhook', {
+      requestId: req.id,
+      error: error.message,
+      url: req.body.url
+    });
+
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create webhook',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Delete an address's webhook and its delivery log
+ */
+const unsubscribe = async (req, res) => {
+  const { id } = req.params;
+  const { userAddress } = req.body;
+
+  if (!webhookService.unsubscribe(id, userAddress)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Webhook ${id} not found`,
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Webhook removed',
+    data: { id },
+    timestamp: new Date().toISOString(),
+    requestId: req.id
+  });
+};
+
+/**
+ * Query an address's webhook delivery log, newest first
+ */
+const listDeliveries = async (req, res) => {
+  const { id } = req.params;
+  const { userAddress, status, limit } = req.query;
+
+  if (!webhookService.getWebhook(id, userAddress)) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Webhook ${id} not found`,
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+
+  const { deliveries, total } = webhookService.getDeliveries(id, { status, limit });
+
+  res.json({
+    success: true,
+    data: {
+      deliveries,
+      total,
+      filters: { status }
+    },
+    timestamp: new Date().toISOString(),
+    requestId: req.id
+  });
+};
+
+/**
+ * Send a delivery's event again as a new delivery
+ */
+const redeliver = async (req, res) => {
+  const { id } = req.params;
+  const delivery = webhookService.redeliver(id, req.body.userAddress);
+
+  if (!delivery) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Delivery ${id} not found`,
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+
+  res.status(202).json({
+    success: true,
+    data: delivery,
+    timestamp: new Date().toISOString(),
+    requestId: req.id
+  });
+};
+
+module.exports = {
+  listWebhooks,
+  subscribe,
+  unsubscribe,
+  listDeliveries,
+  redeliver
+};
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const { isValidAddress } = require('../utils/helpers');
+const { EXECUTION_MODES, resolveExecutionMode } = require('../config/execution');
 
 // JWT secret from environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'change-this-secret-in-production';
@@ -98,7 +99,8 @@ const optionalAuth = (req, res, next) => {
 
 // Middleware to validate user address matches token
 const validateUserAddress = (req, res, next) => {
-  const { userAddress } = req.body || req.query;
+  // Body for writes, query string for reads
+  const userAddress = req.body?.userAddress || req.query.userAddress;
   
   if (!userAddress) {
     return res.status(400).json({
@@ -128,6 +130,36 @@ const validateUserAddress = (req, res, next) => {
   next();
 };
 
+// Middleware requiring an authenticated owner for live execution, where the
+// hot wallet broadcasts and pays on the address's behalf. Runs after
+// validateUserAddress, which ties the token to the request's address.
+const requireLiveAuth = (req, res, next) => {
+  let executionMode;
+  try {
+    executionMode = resolveExecutionMode(req.body?.executionMode);
+  } catch (error) {
+    // Invalid modes are answered by the controller
+    return next();
+  }
+
+  if (executionMode === EXECUTION_MODES.LIVE && !req.user) {
+    logger.warn('Live execution denied - Not authenticated', {
+      requestId: req.id,
+      userAddress: req.body?.userAddress,
+      url: req.url
+    });
+
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Live execution requires an access token for the user address',
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+
+  next();
+};
+
 // Middleware for admin-only routes
 const requireAdmin = (req, res, next) => {
   if (!req.user || !req.user.isAdmin) {
@@ -175,12 +207,34 @@ const authenticateApiKey = (req, res, next) => {
   next();
 };
 
+// API key authentication for internal routes that must never be public:
+// unlike authenticateApiKey, refuses every request when no key is configured
+const requireApiKey = (req, res, next) => {
+  if (!process.env.INTERNAL_API_KEY) {
+    logger.warn('Internal route disabled - No API key configured', {
+      requestId: req.id,
+      url: req.url
+    });
+
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This route is disabled until INTERNAL_API_KEY is configured',
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+
+  authenticateApiKey(req, res, next);
+};
+
 module.exports = {
   generateToken,
   verifyToken,
   authenticateToken,
   optionalAuth,
   validateUserAddress,
+  requireLiveAuth,
   requireAdmin,
-  authenticateApiKey
+  authenticateApiKey,
+  requireApiKey
 };
\ No newline at end of file
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const idempotencyStore = require('../services/idempotencyStore');
+const { trackBroadcasts } = require('../utils/broadcastContext');
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (body) => {
+  return crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+};
+
+// Replay the stored response of a request made with the same Idempotency-Key,
+// so a retried deposit, withdraw, compound or retry does not start a second
+// operation. Keys are scoped to the caller's address, and bound to the body
+// of their first request. Successful responses are stored, and so is any
+// response of a request that broadcast a transaction; other responses release
+// the key and the request can be retried with it. The key's lock is renewed
+// while the request runs, so a retry only takes it over once the process
+// holding it is gone.
+const idempotency = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency Key',
+      message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    });
+  }
+
+  const userAddress = (req.body?.userAddress || req.query.userAddress || '').toLowerCase();
+  const scope = `${req.method} ${req.baseUrl}${req.path} ${userAddress}`;
+  const requestHash = hashRequest(req.body);
+
+  let reservation;
+  try {
+    reservation = idempotencyStore.reserve(key, scope, requestHash);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!reservation.reserved) {
+    const { existing } = reservation;
+
+    if (existing.requestHash !== requestHash) {
+      logger.warn('Idempotency key reused with a different request', { requestId: req.id, key, scope });
+
+      return res.status(409).json({
+        error: 'Idempotency Key Reused',
+        message: 'This Idempotency-Key was already used with a different request body',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+
+    if (existing.state !== idempotencyStore.STATES.COMPLETED) {
+      return res.status(409).json({
+        error: 'Request In Progress',
+        message: 'A request with this Idempotency-Key is still being processed',
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      });
+    }
+
+    logger.info('Replaying idempotent response', { requestId: req.id, key, scope, statusCode: existing.statusCode });
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.response);
+  }
+
+  const { lockId } = reservation;
+
+  // However long the request runs (a live operation can wait minutes on the
+  // chain), it keeps the key until it responds
+  const renewal = setInterval(() => {
+    try {
+      if (!idempotencyStore.renew(key, scope, lockId)) {
+        logger.warn('Lost idempotency key lock', { requestId: req.id, key, scope });
+        clearInterval(renewal);
+      }
+    } catch (error) {
+      logger.error('Failed to renew idempotency key lock', { requestId: req.id, key, scope, error: error.message });
+    }
+  }, idempotencyStore.lockTimeout / 3);
+  renewal.unref();
+  res.on('finish', () => clearInterval(renewal));
+
+  // A failure after a broadcast must not free the key: retrying it would
+  // send a second transaction
+  const state = { broadcast: false };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    clearInterval(renewal);
+
+    try {
+      if ((res.statusCode >= 200 && res.statusCode < 300) || state.broadcast) {
+        idempotencyStore.complete(key, scope, lockId, res.statusCode, body);
+      } else {
+        idempotencyStore.release(key, scope, lockId);
+      }
+    } catch (error) {
+      logger.error('Failed to store idempotent response', { requestId: req.id, key, scope, error: error.message });
+    }
+
+    return json(body);
+  };
+
+  trackBroadcasts(state, next);
+};
+
+module.exports = {
+  idempotency,
+  hashRequest
+};
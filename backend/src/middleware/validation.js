@@ -1,6 +1,12 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
-const { isValidAddress } = require('../utils/helpers');
+const { isValidAddress, getRangeEnd } = require('../utils/helpers');
+const { getChainByName, getChainSlug } = require('../config/chains');
+const { EXECUTION_MODES } = require('../config/execution');
+const { DEFAULT_STRATEGY_ID, isSupportedStrategy } = require('../config/strategies');
+const { DECIMAL_AMOUNT_PATTERN } = require('../utils/amounts');
+const { TRANSACTION_STATUS } = require('../services/transactionStateMachine');
+const { WEBHOOK_EVENTS, DELIVERY_STATUS } = require('../services/webhookService');
 
 // Custom Joi extension for Ethereum addresses
 const JoiWithEthAddress = Joi.extend({
@@ -16,17 +22,48 @@ const JoiWithEthAddress = Joi.extend({
   }
 });
 
+// Optional per-request execution mode override
+const executionModeSchema = Joi.string()
+  .valid(...Object.values(EXECUTION_MODES))
+  .optional()
+  .messages({
+    'any.only': `Execution mode must be one of: ${Object.values(EXECUTION_MODES).join(', ')}`
+  });
+
+// Farming strategy ID, defaulting to the configured default strategy
+const strategyIdSchema = Joi.string()
+  .default(DEFAULT_STRATEGY_ID)
+  .custom((value, helpers) => {
+    if (!isSupportedStrategy(value)) {
+      return helpers.error('strategy.invalid');
+    }
+    return value;
+  })
+  .messages({
+    'strategy.invalid': 'Unknown or unavailable strategy: {{#value}}'
+  });
+
+// Token amount as a decimal string; kept as a string so it is never rounded
+// through floating point (token decimals are checked once the token is known)
+const amountSchema = Joi.string()
+  .pattern(DECIMAL_AMOUNT_PATTERN)
+  .custom((value, helpers) => {
+    if (!/[1-9]/.test(value)) {
+      return helpers.error('amount.positive');
+    }
+    return value;
+  })
+  .messages({
+    'string.pattern.base': 'Amount must be a valid number',
+    'amount.positive': 'Amount must be greater than 0',
+    'any.required': 'Amount is required'
+  });
+
 // Validation schemas
 const schemas = {
   // Deposit validation
   deposit: Joi.object({
-    amount: Joi.string()
-      .pattern(/^\d+(\.\d+)?$/)
-      .required()
-      .messages({
-        'string.pattern.base': 'Amount must be a valid number',
-        'any.required': 'Amount is required'
-      }),
+    amount: amountSchema.required(),
     slippage: Joi.number()
       .min(0.1)
       .max(5)
@@ -39,18 +76,14 @@ const schemas = {
       .required()
       .messages({
         'any.required': 'User address is required'
-      })
+      }),
+    executionMode: executionModeSchema,
+    strategyId: strategyIdSchema
   }),
 
   // Withdraw validation
   withdraw: Joi.object({
-    amount: Joi.string()
-      .pattern(/^\d+(\.\d+)?$/)
-      .required()
-      .messages({
-        'string.pattern.base': 'Amount must be a valid number',
-        'any.required': 'Amount is required'
-      }),
+    amount: amountSchema.required(),
     slippage: Joi.number()
       .min(0.1)
       .max(5)
@@ -63,7 +96,9 @@ const schemas = {
       .required()
       .messages({
         'any.required': 'User address is required'
-      })
+      }),
+    executionMode: executionModeSchema,
+    strategyId: strategyIdSchema
   }),
 
   // Compound validation
@@ -77,7 +112,9 @@ const schemas = {
       .min(0.1)
       .max(5)
       .default(0.5)
-      .optional()
+      .optional(),
+    executionMode: executionModeSchema,
+    strategyId: strategyIdSchema
   }),
 
   // Balance query validation
@@ -88,10 +125,20 @@ const schemas = {
         'any.required': 'User address is required'
       }),
     chain: Joi.string()
-      .valid('polygon', 'gnosis', 'all')
+      .lowercase()
       .default('all')
+      .custom((value, helpers) => {
+        if (value === 'all') {
+          return value;
+        }
+        try {
+          return getChainSlug(getChainByName(value));
+        } catch (error) {
+          return helpers.error('chain.invalid');
+        }
+      })
       .messages({
-        'any.only': 'Chain must be polygon, gnosis, or all'
+        'chain.invalid': 'Chain must be one of the enabled chains or "all"'
       })
   }),
 
@@ -100,11 +147,29 @@ const schemas = {
     userAddress: JoiWithEthAddress.ethAddress()
       .optional(),
     status: Joi.string()
-      .valid('pending', 'completed', 'failed', 'cancelled')
+      .valid(...Object.values(TRANSACTION_STATUS))
       .optional(),
     type: Joi.string()
       .valid('deposit', 'withdraw', 'compound')
       .optional(),
+    strategyId: Joi.string()
+      .optional(),
+    // Created-at range (ISO 8601), both ends inclusive; `to` is kept as
+    // sent so a date-only bound can cover its whole day
+    from: Joi.date()
+      .iso()
+      .optional(),
+    to: Joi.date()
+      .iso()
+      .custom((value, helpers) => {
+        const { from } = helpers.state.ancestors[0];
+        return from && getRangeEnd(helpers.original) < from ? helpers.error('date.min') : value;
+      })
+      .raw()
+      .optional()
+      .messages({
+        'date.min': 'to must not be before from'
+      }),
     limit: Joi.number()
       .integer()
       .min(1)
@@ -116,16 +181,248 @@ const schemas = {
       .default(0)
   }),
 
+  // Transaction statistics query validation
+  transactionStatsQuery: Joi.object({
+    userAddress: JoiWithEthAddress.ethAddress()
+      .optional(),
+    strategyId: Joi.string()
+      .optional(),
+    days: Joi.number()
+      .integer()
+      .min(1)
+      .max(365)
+      .default(30)
+  }),
+
   // Gas estimation validation
   gasEstimate: Joi.object({
-    amount: Joi.string()
-      .pattern(/^\d+(\.\d+)?$/)
-      .required(),
+    amount: amountSchema.required(),
     type: Joi.string()
       .valid('deposit', 'withdraw', 'compound')
       .required(),
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required(),
+    strategyId: strategyIdSchema
+  }),
+
+  // Earnings query validation
+  earningsQuery: Joi.object({
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'userAddress query parameter is required'
+      }),
+    strategyId: strategyIdSchema
+  }),
+
+  // Position ledger query validation
+  positionQuery: Joi.object({
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'userAddress query parameter is required'
+      })
+  }),
+
+  // Tax report query validation
+  taxReportQuery: Joi.object({
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'userAddress query parameter is required'
+      }),
+    year: Joi.number()
+      .integer()
+      .min(2000)
+      .max(9999)
+      .required()
+      .messages({
+        'any.required': 'year query parameter is required'
+      }),
+    method: Joi.string()
+      .valid('fifo', 'lifo', 'hifo')
+      .default('fifo'),
+    format: Joi.string()
+      .valid('json', 'csv')
+      .default('json')
+  }),
+
+  // Speed-up / cancel validation
+  transactionReplacement: Joi.object({
+    transactionId: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Transaction ID is required'
+      }),
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'User address is required'
+      }),
+    feeBumpPercent: Joi.number()
+      .min(10)
+      .max(500)
+      .optional()
+      .messages({
+        'number.min': 'Fee bump must be at least 10%',
+        'number.max': 'Fee bump cannot exceed 500%'
+      })
+  }),
+
+  // Transaction retry validation
+  transactionRetry: Joi.object({
+    transactionId: Joi.string()
+      .required()
+      .messages({
+        'any.required': 'Transaction ID is required'
+      }),
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'User address is required'
+      })
+  }),
+
+  // Keeper subscription validation
+  keeperSubscription: Joi.object({
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'User address is required'
+      }),
+    strategyId: strategyIdSchema,
+    // Minimum net gain after gas, in the strategy's earnings currency
+    margin: Joi.string()
+      .pattern(DECIMAL_AMOUNT_PATTERN)
+      .default('0')
+      .messages({
+        'string.pattern.base': 'Margin must be a valid non-negative number'
+      }),
+    slippage: Joi.number()
+      .min(0.1)
+      .max(5)
+      .default(0.5)
+      .messages({
+        'number.min': 'Slippage must be at least 0.1%',
+        'number.max': 'Slippage cannot exceed 5%'
+      }),
+    executionMode: executionModeSchema
+  }),
+
+  // Keeper unsubscribe validation
+  keeperUnsubscribe: Joi.object({
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'User address is required'
+      }),
+    strategyId: strategyIdSchema
+  }),
+
+  // Keeper subscription query validation
+  keeperSubscriptionQuery: Joi.object({
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'User address is required'
+      })
+  }),
+
+  // Keeper decision log query validation
+  keeperDecisionQuery: Joi.object({
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'User address is required'
+      }),
+    strategyId: Joi.string()
+      .optional(),
+    decision: Joi.string()
+      .valid('compound', 'skip', 'error')
+      .optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(500)
+      .default(50)
+  }),
+
+  // Webhook subscription validation
+  webhookSubscription: Joi.object({
+    url: Joi.string()
+      .uri({ scheme: ['http', 'https'] })
+      .required()
+      .messages({
+        'any.required': 'Webhook URL is required',
+        'string.uriCustomScheme': 'Webhook URL must be an http or https URL'
+      }),
+    // Address whose events the webhook receives
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'User address is required'
+      }),
+    // Empty to receive every event
+    events: Joi.array()
+      .items(Joi.string().valid(...Object.values(WEBHOOK_EVENTS)))
+      .unique()
+      .default([])
+      .messages({
+        'any.only': `Events must be among: ${Object.values(WEBHOOK_EVENTS).join(', ')}`
+      }),
+    secret: Joi.string()
+      .min(16)
+      .max(256)
+      .optional()
+      .messages({
+        'string.min': 'Secret must be at least 16 characters'
+      })
+  }),
+
+  // Webhook list query validation
+  webhookQuery: Joi.object({
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'User address is required'
+      }),
+    event: Joi.string()
+      .valid(...Object.values(WEBHOOK_EVENTS))
+      .optional()
+  }),
+
+  // Webhook delivery log query validation
+  webhookDeliveryQuery: Joi.object({
     userAddress: JoiWithEthAddress.ethAddress()
       .required()
+      .messages({
+        'any.required': 'User address is required'
+      }),
+    status: Joi.string()
+      .valid(...Object.values(DELIVERY_STATUS))
+      .optional(),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(500)
+      .default(50)
+  }),
+
+  // Webhook owner validation, for deleting a webhook or redelivering
+  webhookOwner: Joi.object({
+    userAddress: JoiWithEthAddress.ethAddress()
+      .required()
+      .messages({
+        'any.required': 'User address is required'
+      })
+  }),
+
+  // Token registry query validation
+  tokenQuery: Joi.object({
+    chainId: Joi.number()
+      .integer()
+      .positive()
+      .optional()
   })
 };
 
@@ -180,7 +477,22 @@ const validateWithdraw = validateRequest(schemas.withdraw);
 const validateCompound = validateRequest(schemas.compound);
 const validateBalanceQuery = validateRequest(schemas.balanceQuery, 'query');
 const validateTransactionQuery = validateRequest(schemas.transactionQuery, 'query');
+const validateTransactionStatsQuery = validateRequest(schemas.transactionStatsQuery, 'query');
 const validateGasEstimate = validateRequest(schemas.gasEstimate);
+const validateEarningsQuery = validateRequest(schemas.earningsQuery, 'query');
+const validatePositionQuery = validateRequest(schemas.positionQuery, 'query');
+const validateTaxReportQuery = validateRequest(schemas.taxReportQuery, 'query');
+const validateTokenQuery = validateRequest(schemas.tokenQuery, 'query');
+const validateTransactionReplacement = validateRequest(schemas.transactionReplacement);
+const validateTransactionRetry = validateRequest(schemas.transactionRetry);
+const validateKeeperSubscription = validateRequest(schemas.keeperSubscription);
+const validateKeeperUnsubscribe = validateRequest(schemas.keeperUnsubscribe);
+const validateKeeperSubscriptionQuery = validateRequest(schemas.keeperSubscriptionQuery, 'query');
+const validateKeeperDecisionQuery = validateRequest(schemas.keeperDecisionQuery, 'query');
+const validateWebhookSubscription = validateRequest(schemas.webhookSubscription);
+const validateWebhookQuery = validateRequest(schemas.webhookQuery, 'query');
+const validateWebhookDeliveryQuery = validateRequest(schemas.webhookDeliveryQuery, 'query');
+const validateWebhookOwner = validateRequest(schemas.webhookOwner);
 
 // Generic validation error handler
 const handleValidationError = (error, req, res, next) => {
@@ -210,6 +522,21 @@ module.exports = {
   validateCompound,
   validateBalanceQuery,
   validateTransactionQuery,
+  validateTransactionStatsQuery,
   validateGasEstimate,
+  validateEarningsQuery,
+  validatePositionQuery,
+  validateTaxReportQuery,
+  validateTokenQuery,
+  validateTransactionReplacement,
+  validateTransactionRetry,
+  validateKeeperSubscription,
+  validateKeeperUnsubscribe,
+  validateKeeperSubscriptionQuery,
+  validateKeeperDecisionQuery,
+  validateWebhookSubscription,
+  validateWebhookQuery,
+  validateWebhookDeliveryQuery,
+  validateWebhookOwner,
   handleValidationError
 };
\ No newline at end of file
@@ -0,0 +1,58 @@
+// Transactions, balances and user sessions. IF NOT EXISTS adopts databases
+// created before migrations were versioned.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS transactions (
+        id TEXT PRIMARY KEY,
+        user_address TEXT NOT NULL,
+        type TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        from_chain INTEGER NOT NULL,
+        to_chain INTEGER NOT NULL,
+        tx_hash TEXT,
+        enso_tx_id TEXT,
+        status TEXT DEFAULT 'pending',
+        gas_used TEXT,
+        gas_price TEXT,
+        slippage REAL,
+        error_message TEXT,
+        strategy_id TEXT,
+        -- Full transaction record as JSON; the columns above are for querying
+        data TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_transactions_user ON transactions (user_address COLLATE NOCASE, created_at);
+      CREATE INDEX IF NOT EXISTS idx_transactions_status ON transactions (status);
+
+      CREATE TABLE IF NOT EXISTS balances (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_address TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        balance TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_address, token_address, chain_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        session_id TEXT PRIMARY KEY,
+        user_address TEXT NOT NULL,
+        socket_id TEXT,
+        last_activity DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS user_sessions;
+      DROP TABLE IF EXISTS balances;
+      DROP TABLE IF EXISTS transactions;
+    `);
+  }
+};
@@ -0,0 +1,27 @@
+// Responses of fund-moving requests, kept per Idempotency-Key so a retried
+// request replays the original response instead of moving funds again
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE idempotency_keys (
+        idempotency_key TEXT NOT NULL,
+        -- Method and path the key was used on
+        scope TEXT NOT NULL,
+        request_hash TEXT NOT NULL,
+        -- in_progress until the response is stored
+        state TEXT NOT NULL,
+        status_code INTEGER,
+        response TEXT,
+        created_at DATETIME NOT NULL,
+        completed_at DATETIME,
+        PRIMARY KEY (idempotency_key, scope)
+      );
+      CREATE INDEX idx_idempotency_keys_created ON idempotency_keys (created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS idempotency_keys');
+  }
+};
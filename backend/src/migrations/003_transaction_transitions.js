@@ -0,0 +1,23 @@
+// Audit log of transaction status changes, written by the transaction state
+// machine in the same SQLite transaction as the status itself
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE transaction_transitions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id TEXT NOT NULL,
+        -- NULL for the transition that created the transaction
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        created_at DATETIME NOT NULL
+      );
+      CREATE INDEX idx_transaction_transitions_transaction ON transaction_transitions (transaction_id, id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS transaction_transitions');
+  }
+};
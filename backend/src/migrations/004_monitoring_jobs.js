@@ -0,0 +1,25 @@
+// Monitoring jobs, one per transaction being watched, so monitoring resumes
+// after a restart. A worker claims due jobs by locking them until a lease
+// expires; a crashed worker's jobs are picked up again once it does.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE monitoring_jobs (
+        tx_id TEXT PRIMARY KEY,
+        -- Monitor state as JSON (details, check counts, inclusion, settlement)
+        monitor TEXT NOT NULL,
+        run_at DATETIME NOT NULL,
+        locked_by TEXT,
+        locked_until DATETIME,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+      );
+      CREATE INDEX idx_monitoring_jobs_run_at ON monitoring_jobs (run_at);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS monitoring_jobs');
+  }
+};
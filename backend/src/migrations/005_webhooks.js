@@ -0,0 +1,49 @@
+// Outbound webhook subscriptions and their delivery log. Each event that
+// matches a subscription becomes a delivery, retried until it is accepted or
+// runs out of attempts; a worker locks due deliveries while sending them.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE webhooks (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        -- Lowercase address to receive events for; NULL for every address
+        user_address TEXT,
+        -- JSON array of event types; empty for every event
+        events TEXT NOT NULL,
+        created_at DATETIME NOT NULL
+      );
+      CREATE INDEX idx_webhooks_user_address ON webhooks (user_address);
+
+      CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        -- Signed request body as JSON
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME,
+        locked_until DATETIME,
+        last_attempt_at DATETIME,
+        response_status INTEGER,
+        error_message TEXT,
+        -- Delivery this one was manually redelivered from
+        redelivery_of TEXT,
+        created_at DATETIME NOT NULL,
+        delivered_at DATETIME
+      );
+      CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+      CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS webhook_deliveries;
+      DROP TABLE IF EXISTS webhooks;
+    `);
+  }
+};
@@ -0,0 +1,41 @@
+// Compound keeper subscriptions and its decision log, so opted-in positions
+// and the reasons behind past compounds and skips survive a restart
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE keeper_subscriptions (
+        -- Lowercase address
+        user_address TEXT NOT NULL,
+        strategy_id TEXT NOT NULL,
+        margin TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        slippage REAL NOT NULL,
+        execution_mode TEXT,
+        -- Latest decision as JSON ({ id, decision, reason, timestamp })
+        last_decision TEXT,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL,
+        PRIMARY KEY (user_address, strategy_id)
+      );
+
+      CREATE TABLE keeper_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_address TEXT NOT NULL,
+        strategy_id TEXT NOT NULL,
+        decision TEXT NOT NULL,
+        -- Decision fields as JSON (reason, gas cost, amounts, transaction)
+        entry TEXT NOT NULL,
+        created_at DATETIME NOT NULL
+      );
+      CREATE INDEX idx_keeper_decisions_user ON keeper_decisions (user_address, strategy_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS keeper_decisions;
+      DROP TABLE IF EXISTS keeper_subscriptions;
+    `);
+  }
+};
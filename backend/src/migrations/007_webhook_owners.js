@@ -0,0 +1,45 @@
+// Every webhook belongs to one address: webhooks without one received every
+// address's events, so they are removed with their delivery log and
+// user_address becomes required
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      DELETE FROM webhook_deliveries
+        WHERE webhook_id IN (SELECT id FROM webhooks WHERE user_address IS NULL);
+      DELETE FROM webhooks WHERE user_address IS NULL;
+
+      CREATE TABLE webhooks_owned (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        -- Lowercase address the webhook receives events for
+        user_address TEXT NOT NULL,
+        -- JSON array of event types; empty for every event
+        events TEXT NOT NULL,
+        created_at DATETIME NOT NULL
+      );
+      INSERT INTO webhooks_owned SELECT id, url, secret, user_address, events, created_at FROM webhooks;
+      DROP TABLE webhooks;
+      ALTER TABLE webhooks_owned RENAME TO webhooks;
+      CREATE INDEX idx_webhooks_user_address ON webhooks (user_address);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      CREATE TABLE webhooks_any (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        user_address TEXT,
+        events TEXT NOT NULL,
+        created_at DATETIME NOT NULL
+      );
+      INSERT INTO webhooks_any SELECT id, url, secret, user_address, events, created_at FROM webhooks;
+      DROP TABLE webhooks;
+      ALTER TABLE webhooks_any RENAME TO webhooks;
+      CREATE INDEX idx_webhooks_user_address ON webhooks (user_address);
+    `);
+  }
+};
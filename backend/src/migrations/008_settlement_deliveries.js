@@ -0,0 +1,24 @@
+// Destination-chain deliveries matched to a transaction's settlement. A
+// delivery event settles one transaction only, so a later transaction that
+// scans the same blocks can't match it again.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE settlement_deliveries (
+        chain_id INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        -- Transaction whose settlement the delivery was matched to
+        tx_id TEXT NOT NULL,
+        created_at DATETIME NOT NULL,
+        PRIMARY KEY (chain_id, tx_hash, log_index)
+      );
+      CREATE INDEX idx_settlement_deliveries_tx ON settlement_deliveries (tx_id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS settlement_deliveries');
+  }
+};
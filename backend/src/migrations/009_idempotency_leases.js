@@ -0,0 +1,23 @@
+// In-progress idempotency keys are leased to the request holding them, which
+// renews the lease while it runs; a key is only taken over once its lease
+// lapses (the process holding it is gone), not after a fixed time
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      -- Random ID of the request holding an in_progress key
+      ALTER TABLE idempotency_keys ADD COLUMN locked_by TEXT;
+      ALTER TABLE idempotency_keys ADD COLUMN locked_until DATETIME;
+      -- Requests already running keep the five minutes they had
+      UPDATE idempotency_keys SET locked_until = strftime('%Y-%m-%dT%H:%M:%fZ', created_at, '+5 minutes')
+        WHERE state = 'in_progress';
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      ALTER TABLE idempotency_keys DROP COLUMN locked_until;
+      ALTER TABLE idempotency_keys DROP COLUMN locked_by;
+    `);
+  }
+};
@@ -0,0 +1,169 @@
+// Local stand-in for the Enso HTTP API so route handling can be exercised
+// without network access. Responses are deterministic for a given request.
+const http = require('http');
+const { URL } = require('url');
+const { ethers } = require('ethers');
+
+const MOCK_ROUTER_ADDRESS = '0x80EbA3855878739F4710233A8a19d89Bdd2ffB8E';
+const MOCK_FEE_BPS = 30n; // 0.3% route cost baked into amountOut
+const MOCK_PRICE_IMPACT_BPS = 12;
+const MOCK_ROUTE_GAS = '285000';
+const MOCK_APPROVE_GAS = '46000';
+
+const routeInterface = new ethers.Interface([
+  'function routeMulti(address tokenIn, address tokenOut, uint256 amountIn, uint256 minAmountOut, address receiver, uint256 destinationChainId)'
+]);
+const erc20Interface = new ethers.Interface([
+  'function approve(address spender, uint256 amount) returns (bool)'
+]);
+
+// axios serializes arrays as `key[]=value`, plain clients send `key=value`
+const getParam = (searchParams, name) => {
+  return searchParams.get(name) ?? searchParams.get(`${name}[]`);
+};
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const buildRoute = (searchParams, { priceImpactBps }) => {
+  const chainId = Number(getParam(searchParams, 'chainId'));
+  const destinationChainId = Number(getParam(searchParams, 'destinationChainId') || chainId);
+  const fromAddress = getParam(searchParams, 'fromAddress');
+  const receiver = getParam(searchParams, 'receiver') || fromAddress;
+  const tokenIn = getParam(searchParams, 'tokenIn');
+  const tokenOut = getParam(searchParams, 'tokenOut');
+  const amountIn = BigInt(getParam(searchParams, 'amountIn'));
+  const slippageBps = BigInt(getParam(searchParams, 'slippage') || '50');
+
+  const amountOut = amountIn * (10000n - MOCK_FEE_BPS) / 10000n;
+  // An explicit minAmountOut replaces the slippage-derived bound
+  const minAmountOut = getParam(searchParams, 'minAmountOut')
+    ? BigInt(getParam(searchParams, 'minAmountOut'))
+    : amountOut * (10000n - slippageBps) / 10000n;
+
+  if (minAmountOut > amountOut) {
+    throw new Error(`Route output ${amountOut} is below minAmountOut ${minAmountOut}`);
+  }
+
+  return {
+    route: [
+      {
+        tokenIn: [tokenIn],
+        tokenOut: [tokenOut],
+        protocol: destinationChainId !== chainId ? 'stargate' : 'enso',
+        action: destinationChainId !== chainId ? 'bridge' : 'route',
+        primary: MOCK_ROUTER_ADDRESS,
+        internalRoutes: [],
+        chainId,
+        destinationChainId
+      }
+    ],
+    gas: MOCK_ROUTE_GAS,
+    amountOut: amountOut.toString(),
+    priceImpact: priceImpactBps,
+    createdAt: 0,
+    tx: {
+      to: MOCK_ROUTER_ADDRESS,
+      from: fromAddress,
+      data: routeInterface.encodeFunctionData('routeMulti', [
+        tokenIn,
+        tokenOut,
+        amountIn,
+        minAmountOut,
+        receiver,
+        destinationChainId
+      ]),
+      value: '0'
+    },
+    feeAmount: ['0']
+  };
+};
+
+const buildApproval = (searchParams) => {
+  const fromAddress = getParam(searchParams, 'fromAddress');
+  const tokenAddress = getParam(searchParams, 'tokenAddress');
+  const amount = getParam(searchParams, 'amount');
+
+  return {
+    amount,
+    gas: MOCK_APPROVE_GAS,
+    spender: MOCK_ROUTER_ADDRESS,
+    token: tokenAddress,
+    tx: {
+      to: tokenAddress,
+      from: fromAddress,
+      data: erc20Interface.encodeFunctionData('approve', [MOCK_ROUTER_ADDRESS, amount]),
+      value: '0'
+    }
+  };
+};
+
+/**
+ * Create a mock Enso API server
+ * @param {Object} options - Server options
+ * @param {string} options.apiKey - If set, requests must carry this bearer token
+ * @param {number|null} options.priceImpactBps - Price impact reported on every route
+ * @returns {Object} Server handle with start(), stop(), url and recorded requests
+ */
+const createEnsoMockServer = ({ apiKey = null, priceImpactBps = MOCK_PRICE_IMPACT_BPS } = {}) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+
+    if (apiKey && req.headers.authorization !== `Bearer ${apiKey}`) {
+      return sendJson(res, 401, { statusCode: 401, message: 'Invalid API key' });
+    }
+
+    try {
+      switch (url.pathname) {
+        case '/api/v1/shortcuts/route':
+          return sendJson(res, 200, buildRoute(url.searchParams, { priceImpactBps }));
+        case '/api/v1/wallet/approve':
+          return sendJson(res, 200, buildApproval(url.searchParams));
+        default:
+          return sendJson(res, 404, { statusCode: 404, message: `Unknown endpoint ${url.pathname}` });
+      }
+    } catch (error) {
+      return sendJson(res, 400, { statusCode: 400, message: error.message });
+    }
+  });
+
+  const handle = {
+    server,
+    requests,
+    url: null,
+
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          handle.url = `http://127.0.0.1:${server.address().port}/api/v1`;
+          resolve(handle.url);
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
+  };
+
+  return handle;
+};
+
+module.exports = {
+  MOCK_ROUTER_ADDRESS,
+  createEnsoMockServer
+};
+
+// Allow running standalone: `npm run mock:enso`
+if (require.main === module) {
+  const port = parseInt(process.env.ENSO_MOCK_PORT) || 4010;
+  createEnsoMockServer().start(port).then((url) => {
+    console.log(`Mock Enso API listening on ${url}`);
+  });
+}
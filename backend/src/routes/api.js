@@ -5,11 +5,17 @@ const router = express.Router();
 const balanceController = require('../controllers/balanceController');
 const farmingController = require('../controllers/farmingController');
 const transactionController = require('../controllers/transactionController');
+const tokenController = require('../controllers/tokenController');
+const keeperController = require('../controllers/keeperController');
+const positionController = require('../controllers/positionController');
+const reportController = require('../controllers/reportController');
+const webhookController = require('../controllers/webhookController');
 
 // Import middleware
-const { validateBalanceQuery, validateDeposit, validateWithdraw, validateCompound, validateGasEstimate, validateTransactionQuery } = require('../middleware/validation');
+const { validateBalanceQuery, validateDeposit, validateWithdraw, validateCompound, validateGasEstimate, validateEarningsQuery, validatePositionQuery, validateTaxReportQuery, validateTokenQuery, validateTransactionQuery, validateTransactionStatsQuery, validateTransactionReplacement, validateTransactionRetry, validateKeeperSubscription, validateKeeperUnsubscribe, validateKeeperSubscriptionQuery, validateKeeperDecisionQuery, validateWebhookSubscription, validateWebhookQuery, validateWebhookDeliveryQuery, validateWebhookOwner } = require('../middleware/validation');
 const { transactionRateLimiter } = require('../middleware/rateLimiter');
-const { optionalAuth, validateUserAddress } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { optionalAuth, validateUserAddress, requireLiveAuth, requireApiKey } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 // Middleware to log all API requests
@@ -36,6 +42,9 @@ router.use((req, res, next) => {
 router.get('/status', (req, res) => {
   const monitoringService = require('../services/monitoringService');
   const socketService = require('../services/socketService');
+  const nonceManager = require('../services/nonceManager');
+  const compoundKeeper = require('../services/compoundKeeper');
+  const webhookService = require('../services/webhookService');
 
   res.json({
     success: true,
@@ -45,7 +54,10 @@ router.get('/status', (req, res) => {
     timestamp: new Date().toISOString(),
     stats: {
       monitoring: monitoringService.getMonitoringStats(),
-      connections: socketService.getConnectionStats()
+      connections: socketService.getConnectionStats(),
+      nonces: nonceManager.getStats(),
+      keeper: compoundKeeper.getStats(),
+      webhooks: webhookService.getStats()
     }
   });
 });
@@ -61,6 +73,13 @@ router.get('/status', (req, res) => {
  */
 router.get('/balances', validateBalanceQuery, balanceController.getBalances);
 
+/**
+ * @route GET /api/balances/history
+ * @desc Get synthetic demo balance history (declared before /balances/:chain so it is not taken as a chain)
+ * @access Public
+ */
+router.get('/balances/history', validateBalanceQuery, balanceController.getBalanceHistory);
+
 /**
  * @route GET /api/balances/:chain
  * @desc Get balances for specific chain (polygon or gnosis)
@@ -75,53 +94,70 @@ router.get('/balances/:chain', balanceController.getBalancesByChain);
  */
 router.post('/balances/refresh', optionalAuth, validateUserAddress, balanceController.refreshBalances);
 
+// ==============
+// TOKEN ROUTES
+// ==============
+
 /**
- * @route GET /api/balances/history
- * @desc Get balance history for analytics
+ * @route GET /api/tokens
+ * @desc List registry tokens loaded from token lists (optional chainId filter)
  * @access Public
  */
-router.get('/balances/history', validateBalanceQuery, balanceController.getBalanceHistory);
+router.get('/tokens', validateTokenQuery, tokenController.listTokens);
 
 // =================
 // FARMING ROUTES
 // =================
 
 /**
- * @route POST /api/deposit
- * @desc Deposit EURe for LP tokens
+ * @route GET /api/strategies
+ * @desc List available farming strategies and their metadata
  * @access Public
  */
+router.get('/strategies', farmingController.listStrategies);
+
+/**
+ * @route POST /api/deposit
+ * @desc Deposit into a farming strategy (strategyId, default EURe → LP)
+ * @access Public (live execution requires a token for the user address)
+ */
 router.post('/deposit', 
   transactionRateLimiter,
   validateDeposit, 
   optionalAuth, 
   validateUserAddress, 
+  requireLiveAuth,
+  idempotency,
   farmingController.deposit
 );
 
 /**
  * @route POST /api/withdraw
- * @desc Withdraw LP tokens for EURe
- * @access Public
+ * @desc Withdraw from a farming strategy (strategyId, default LP → EURe)
+ * @access Public (live execution requires a token for the user address)
  */
 router.post('/withdraw', 
   transactionRateLimiter,
   validateWithdraw, 
   optionalAuth, 
   validateUserAddress, 
+  requireLiveAuth,
+  idempotency,
   farmingController.withdraw
 );
 
 /**
  * @route POST /api/compound
  * @desc Auto-compound available earnings
- * @access Public
+ * @access Public (live execution requires a token for the user address)
  */
 router.post('/compound', 
   transactionRateLimiter,
   validateCompound, 
   optionalAuth, 
   validateUserAddress, 
+  requireLiveAuth,
+  idempotency,
   farmingController.compound
 );
 
@@ -137,7 +173,153 @@ router.post('/estimate', validateGasEstimate, farmingController.estimate);
  * @desc Get available earnings for user
  * @access Public
  */
-router.get('/earnings', farmingController.getEarnings);
+router.get('/earnings', validateEarningsQuery, farmingController.getEarnings);
+
+// =================
+// POSITION ROUTES
+// =================
+
+/**
+ * @route GET /api/positions
+ * @desc Get cost basis, value, P&L and time-weighted return per strategy position
+ * @access Public
+ */
+router.get('/positions', validatePositionQuery, positionController.getPositions);
+
+// =================
+// REPORT ROUTES
+// =================
+
+/**
+ * @route GET /api/reports/tax
+ * @desc Yearly tax report with lot-matched disposals and compounding income (JSON or CSV)
+ * @access Public
+ */
+router.get('/reports/tax', validateTaxReportQuery, reportController.getTaxReport);
+
+// =================
+// KEEPER ROUTES
+// =================
+
+/**
+ * @route GET /api/keeper/subscriptions
+ * @desc List an address's positions opted in to keeper compounding
+ * @access Public
+ */
+router.get('/keeper/subscriptions',
+  validateKeeperSubscriptionQuery,
+  optionalAuth,
+  validateUserAddress,
+  keeperController.listSubscriptions
+);
+
+/**
+ * @route POST /api/keeper/subscriptions
+ * @desc Opt a position in to keeper compounding, or update its margin
+ * @access Public (live compounding requires a token for the user address)
+ */
+router.post('/keeper/subscriptions',
+  validateKeeperSubscription,
+  optionalAuth,
+  validateUserAddress,
+  requireLiveAuth,
+  keeperController.subscribe
+);
+
+/**
+ * @route DELETE /api/keeper/subscriptions
+ * @desc Opt a position out of keeper compounding
+ * @access Public
+ */
+router.delete('/keeper/subscriptions',
+  validateKeeperUnsubscribe,
+  optionalAuth,
+  validateUserAddress,
+  keeperController.unsubscribe
+);
+
+/**
+ * @route GET /api/keeper/decisions
+ * @desc Query an address's keeper decision log (compounds, skips and errors), newest first
+ * @access Public
+ */
+router.get('/keeper/decisions',
+  validateKeeperDecisionQuery,
+  optionalAuth,
+  validateUserAddress,
+  keeperController.listDecisions
+);
+
+/**
+ * @route POST /api/keeper/run
+ * @desc Check every subscription now
+ * @access Internal (X-API-Key: INTERNAL_API_KEY; disabled without it)
+ */
+router.post('/keeper/run', requireApiKey, keeperController.run);
+
+// ===============
+// WEBHOOK ROUTES
+// ===============
+
+/**
+ * @route GET /api/webhooks
+ * @desc List an address's webhooks (optional event filter)
+ * @access Public
+ */
+router.get('/webhooks',
+  validateWebhookQuery,
+  optionalAuth,
+  validateUserAddress,
+  webhookController.listWebhooks
+);
+
+/**
+ * @route POST /api/webhooks
+ * @desc Subscribe a URL to signed event deliveries for an address
+ * @access Public
+ */
+router.post('/webhooks',
+  validateWebhookSubscription,
+  optionalAuth,
+  validateUserAddress,
+  webhookController.subscribe
+);
+
+/**
+ * @route DELETE /api/webhooks/:id
+ * @desc Delete an address's webhook and its delivery log
+ * @access Public
+ */
+router.delete('/webhooks/:id',
+  validateWebhookOwner,
+  optionalAuth,
+  validateUserAddress,
+  webhookController.unsubscribe
+);
+
+/**
+ * @route GET /api/webhooks/:id/deliveries
+ * @desc Query an address's webhook delivery log (optional status filter), newest first
+ * @access Public
+ */
+router.get('/webhooks/:id/deliveries',
+  validateWebhookDeliveryQuery,
+  optionalAuth,
+  validateUserAddress,
+  webhookController.listDeliveries
+);
+
+/**
+ * @route POST /api/webhooks/deliveries/:id/redeliver
+ * @desc Send a delivery's event again
+ * @access Public
+ */
+router.post('/webhooks/deliveries/:id/redeliver',
+  validateWebhookOwner,
+  optionalAuth,
+  validateUserAddress,
+  webhookController.redeliver
+);
 
 // =====================
 // TRANSACTION ROUTES
@@ -150,6 +332,13 @@ router.get('/earnings', farmingController.getEarnings);
  */
 router.get('/transactions', validateTransactionQuery, transactionController.getTransactions);
 
+/**
+ * @route GET /api/transactions/stats
+ * @desc Get transaction statistics aggregated from stored transactions
+ * @access Public
+ */
+router.get('/transactions/stats', validateTransactionStatsQuery, transactionController.getTransactionStats);
+
 /**
  * @route GET /api/transactions/:id
  * @desc Get specific transaction by ID
@@ -159,27 +348,43 @@ router.get('/transactions/:id', transactionController.getTransactionById);
 
 /**
  * @route POST /api/transactions/retry
- * @desc Retry a failed transaction
+ * @desc Retry a failed deposit or withdrawal as a new transaction
  * @access Public
  */
 router.post('/transactions/retry', 
   transactionRateLimiter,
+  validateTransactionRetry,
+  optionalAuth,
+  validateUserAddress,
+  idempotency,
   transactionController.retryTransaction
 );
 
 /**
  * @route POST /api/transactions/cancel
- * @desc Cancel a pending transaction
- * @access Public
+ * @desc Cancel a pending transaction (same-nonce, zero-value replacement with bumped fees)
+ * @access Public (replacing a broadcast requires a token for the user address)
  */
-router.post('/transactions/cancel', transactionController.cancelTransaction);
+router.post('/transactions/cancel',
+  transactionRateLimiter,
+  validateTransactionReplacement,
+  optionalAuth,
+  validateUserAddress,
+  transactionController.cancelTransaction
+);
 
 /**
- * @route GET /api/transactions/stats
- * @desc Get transaction statistics
- * @access Public
+ * @route POST /api/transactions/speedup
+ * @desc Resend a pending transaction with the same nonce and higher fees
+ * @access Public (requires a token for the user address)
  */
-router.get('/transactions/stats', transactionController.getTransactionStats);
+router.post('/transactions/speedup',
+  transactionRateLimiter,
+  validateTransactionReplacement,
+  optionalAuth,
+  validateUserAddress,
+  transactionController.speedUpTransaction
+);
 
 // ======================
 // MONITORING ROUTES
@@ -286,13 +491,30 @@ router.use('*', (req, res) => {
       'GET /api/status',
       'GET /api/balances',
       'GET /api/balances/:chain',
+      'GET /api/tokens',
+      'GET /api/strategies',
       'POST /api/deposit',
       'POST /api/withdraw',
       'POST /api/compound',
       'POST /api/estimate',
+      'GET /api/positions',
+      'GET /api/reports/tax',
+      'GET /api/keeper/subscriptions',
+      'POST /api/keeper/subscriptions',
+      'DELETE /api/keeper/subscriptions',
+      'GET /api/keeper/decisions',
+      'POST /api/keeper/run',
+      'GET /api/webhooks',
+      'POST /api/webhooks',
+      'DELETE /api/webhooks/:id',
+      'GET /api/webhooks/:id/deliveries',
+      'POST /api/webhooks/deliveries/:id/redeliver',
       'GET /api/transactions',
+      'GET /api/transactions/stats',
       'GET /api/transactions/:id',
-      'POST /api/transactions/retry'
+      'POST /api/transactions/retry',
+      'POST /api/transactions/cancel',
+      'POST /api/transactions/speedup'
     ],
     timestamp: new Date().toISOString(),
     requestId: req.id
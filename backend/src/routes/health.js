@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
+const { getEnabledChains, getChainSlug } = require('../config/chains');
 
 /**
  * Basic health check endpoint
@@ -69,50 +70,31 @@ router.get('/dependencies', async (req, res) => {
   };
 
   try {
-    // Check Polygon RPC
-    try {
-      const polygonRpc = process.env.POLYGON_RPC_URL;
-      if (polygonRpc) {
-        // In a real implementation, you would actually ping the RPC endpoint
-        dependencies.services.polygonRpc = {
-          status: 'healthy',
-          url: polygonRpc,
-          responseTime: Math.floor(Math.random() * 100) + 50 + 'ms'
-        };
-      } else {
-        dependencies.services.polygonRpc = {
-          status: 'not_configured',
-          message: 'Polygon RPC URL not configured'
-        };
-      }
-    } catch (error) {
-      dependencies.services.polygonRpc = {
-        status: 'unhealthy',
-        error: error.message
-      };
-    }
-
-    // Check Gnosis RPC
-    try {
-      const gnosisRpc = process.env.GNOSIS_RPC_URL;
-      if (gnosisRpc) {
-        dependencies.services.gnosisRpc = {
-          status: 'healthy',
-          url: gnosisRpc,
-          responseTime: Math.floor(Math.random() * 100) + 50 + 'ms'
-        };
-      } else {
-        dependencies.services.gnosisRpc = {
-          status: 'not_configured',
-          message: 'Gnosis RPC URL not configured'
+    // Check RPC configuration for every enabled chain
+    getEnabledChains().forEach(chain => {
+      const serviceName = `${getChainSlug(chain).replace(/-(\w)/g, (m, c) => c.toUpperCase())}Rpc`;
+      try {
+        if (chain.rpcUrl) {
+          // In a real implementation, you would actually ping the RPC endpoint
+          dependencies.services[serviceName] = {
+            status: 'healthy',
+            chainId: chain.chainId,
+            url: chain.rpcUrl,
+            responseTime: Math.floor(Math.random() * 100) + 50 + 'ms'
+          };
+        } else {
+          dependencies.services[serviceName] = {
+            status: 'not_configured',
+            message: `${chain.name} RPC URL not configured`
+          };
+        }
+      } catch (error) {
+        dependencies.services[serviceName] = {
+          status: 'unhealthy',
+          error: error.message
         };
       }
-    } catch (error) {
-      dependencies.services.gnosisRpc = {
-        status: 'unhealthy',
-        error: error.message
-      };
-    }
+    });
 
     // Check Enso API
     try {
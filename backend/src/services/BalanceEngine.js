@@ -0,0 +1,173 @@
+const logger = require('../utils/logger');
+const { fromBaseUnits } = require('../utils/amounts');
+const { getEnabledChains, getChainConfig, getChainSlug, getPublicClient, getMulticallAddress } = require('../config/chains');
+const { getTokensByChain } = require('../config/tokens');
+
+const erc20BalanceAbi = [
+  {
+    name: 'balanceOf',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'owner', type: 'address' }],
+    outputs: [{ name: '', type: 'uint256' }]
+  }
+];
+
+const multicall3Abi = [
+  {
+    name: 'getBlockNumber',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [],
+    outputs: [{ name: 'blockNumber', type: 'uint256' }]
+  },
+  {
+    name: 'getEthBalance',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'addr', type: 'address' }],
+    outputs: [{ name: 'balance', type: 'uint256' }]
+  }
+];
+
+class BalanceEngine {
+  /**
+   * Read native and ERC-20 balances for an address on every enabled chain
+   * @param {string} address - Wallet address
+   * @param {number[]} chainIds - Chains to read (default: all enabled chains)
+   * @returns {Object} Balances keyed by chain slug
+   */
+  async getBalances(address, chainIds = null) {
+    const chains = chainIds
+      ? chainIds.map(getChainConfig)
+      : getEnabledChains();
+
+    const results = await Promise.all(
+      chains.map(chain => this.getChainBalances(address, chain.chainId))
+    );
+
+    const balances = {};
+    chains.forEach((chain, index) => {
+      balances[getChainSlug(chain)] = results[index];
+    });
+
+    return balances;
+  }
+
+  /**
+   * Read native and ERC-20 balances for an address on one chain in a single
+   * Multicall3 batch
+   * @param {string} address - Wallet address
+   * @param {number} chainId - Chain ID
+   * @returns {Object} Native and token balances for the chain
+   */
+  async getChainBalances(address, chainId) {
+    const chain = getChainConfig(chainId);
+    const client = getPublicClient(chain.chainId);
+    const multicallAddress = getMulticallAddress(chain.chainId);
+    const tokens = this.getErc20Tokens(chain.chainId);
+
+    const contracts = [
+      {
+        address: multicallAddress,
+        abi: multicall3Abi,
+        functionName: 'getBlockNumber'
+      },
+      {
+        address: multicallAddress,
+        abi: multicall3Abi,
+        functionName: 'getEthBalance',
+        args: [address]
+      },
+      ...tokens.map(token => ({
+        address: token.address,
+        abi: erc20BalanceAbi,
+        functionName: 'balanceOf',
+        args: [address]
+      }))
+    ];
+
+    try {
+      // batchSize 0 keeps every call in one aggregate3 request
+      const [blockResult, nativeResult, ...tokenResults] = await client.multicall({
+        contracts,
+        multicallAddress,
+        allowFailure: true,
+        batchSize: 0
+      });
+
+      const tokenBalances = {};
+      tokens.forEach((token, index) => {
+        tokenBalances[token.symbol] = this.formatResult(tokenResults[index], token, chain.chainId);
+      });
+
+      return {
+        chainId: chain.chainId,
+        chain: getChainSlug(chain),
+        address,
+        blockNumber: blockResult.status === 'success' ? blockResult.result.toString() : null,
+        native: this.formatResult(nativeResult, chain.nativeCurrency, chain.chainId),
+        tokens: tokenBalances
+      };
+    } catch (error) {
+      logger.error('Failed to read balances via Multicall3', {
+        error: error.message,
+        address,
+        chainId: chain.chainId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the registry's ERC-20 tokens for a chain (native currency excluded)
+   * @param {number} chainId - Chain ID
+   * @returns {Array} Token configurations
+   */
+  getErc20Tokens(chainId) {
+    try {
+      return getTokensByChain(chainId).filter(token => !token.isNative);
+    } catch (error) {
+      // Chains without registry entries still report their native balance
+      return [];
+    }
+  }
+
+  /**
+   * Format a single multicall result using the token's registry decimals
+   * @param {Object} result - Multicall result ({ status, result, error })
+   * @param {Object} token - Token or native currency configuration
+   * @param {number} chainId - Chain ID
+   * @returns {Object} Formatted balance entry
+   */
+  formatResult(result, token, chainId) {
+    const entry = {
+      symbol: token.symbol,
+      decimals: token.decimals,
+      ...(token.address && { address: token.address })
+    };
+
+    if (result.status !== 'success') {
+      logger.warn('Balance call failed in multicall batch', {
+        chainId,
+        symbol: token.symbol,
+        error: result.error?.shortMessage || result.error?.message
+      });
+
+      return {
+        ...entry,
+        balance: null,
+        raw: null,
+        error: 'Balance unavailable'
+      };
+    }
+
+    return {
+      ...entry,
+      balance: fromBaseUnits(result.result, token.decimals),
+      raw: result.result.toString()
+    };
+  }
+}
+
+module.exports = BalanceEngine;
@@ -0,0 +1,72 @@
+const DEFAULT_COINGECKO_API_URL = 'https://api.coingecko.com/api/v3';
+
+class CoinGeckoPriceSource {
+  /**
+   * Prices tokens that have a coingeckoId through a CoinGecko-compatible
+   * /simple/price endpoint (a local fixture server works too)
+   * @param {Object} options - Source options
+   * @param {string} options.baseURL - API base URL (default: COINGECKO_API_URL or the public API)
+   * @param {string} options.apiKey - Demo API key (default: COINGECKO_API_KEY)
+   */
+  constructor({
+    baseURL = process.env.COINGECKO_API_URL || DEFAULT_COINGECKO_API_URL,
+    apiKey = process.env.COINGECKO_API_KEY || null
+  } = {}) {
+    this.name = 'coingecko';
+    this.baseURL = baseURL;
+    this.apiKey = apiKey;
+    this.requestTimeout = 10000; // 10 seconds
+  }
+
+  /**
+   * Check if this source can price a token
+   * @param {Object} config - Token price configuration
+   * @returns {boolean} Whether the token has a coingeckoId
+   */
+  supports(config) {
+    return Boolean(config.coingeckoId);
+  }
+
+  /**
+   * Get quotes for tokens in one request
+   * @param {Array} configs - Token price configurations
+   * @param {string} currency - Fiat currency (lowercase)
+   * @returns {Map} Quotes ({ price, updatedAt }) by token key
+   */
+  async getQuotes(configs, currency) {
+    const ids = [...new Set(configs.map(config => config.coingeckoId))];
+    const url = new URL(`${this.baseURL.replace(/\/$/, '')}/simple/price`);
+    url.searchParams.set('ids', ids.join(','));
+    url.searchParams.set('vs_currencies', currency);
+    url.searchParams.set('include_last_updated_at', 'true');
+
+    const response = await fetch(url, {
+      headers: this.apiKey ? { 'x-cg-demo-api-key': this.apiKey } : {},
+      signal: AbortSignal.timeout(this.requestTimeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Price request failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    const quotes = new Map();
+
+    configs.forEach(config => {
+      const entry = body[config.coingeckoId];
+      const price = entry?.[currency];
+
+      if (typeof price === 'number') {
+        quotes.set(config.key, {
+          price,
+          // Unix seconds; servers that omit it are taken as current
+          updatedAt: entry.last_updated_at ? entry.last_updated_at * 1000 : Date.now()
+        });
+      }
+    });
+
+    return quotes;
+  }
+}
+
+module.exports = CoinGeckoPriceSource;
@@ -0,0 +1,313 @@
+const { parseAbi } = require('viem');
+const logger = require('../utils/logger');
+const {
+  VALUE_DECIMALS,
+  toBaseUnits,
+  toSignedBaseUnits,
+  fromBaseUnits,
+  valueAtPrice,
+  amountAtPrice
+} = require('../utils/amounts');
+const { getPublicClient, getMulticallAddress } = require('../config/chains');
+const { getTokenByAddress, isSupportedToken } = require('../config/tokens');
+const priceService = require('./priceService');
+const { VALUATION_CURRENCIES } = require('./priceService');
+const PositionLedger = require('./PositionLedger');
+
+const poolAbi = parseAbi([
+  'function get_virtual_price() view returns (uint256)'
+]);
+
+const gaugeAbi = parseAbi([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function reward_count() view returns (uint256)',
+  'function reward_tokens(uint256 index) view returns (address)',
+  'function claimable_reward(address user, address token) view returns (uint256)'
+]);
+
+const erc20Abi = parseAbi([
+  'function balanceOf(address owner) view returns (uint256)',
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)'
+]);
+
+// Curve virtual prices are scaled by 1e18
+const VIRTUAL_PRICE_DECIMALS = 18;
+
+class EarningsReader {
+  constructor() {
+    this.ledger = new PositionLedger();
+  }
+
+  /**
+   * Read a strategy's earnings for an address: claimable gauge rewards and
+   * LP value growth since the cost basis, valued in the strategy's currency
+   * @param {string} address - Wallet address
+   * @param {Object} strategy - Strategy configuration
+   * @returns {Object} Itemised earnings
+   */
+  async getEarnings(address, strategy) {
+    const { chain, currency, minCompoundAmount } = strategy.earnings;
+    const depositToken = strategy.deposit.token;
+    const client = getPublicClient(chain);
+    const multicallAddress = getMulticallAddress(chain);
+
+    const position = await this.readPosition(client, multicallAddress, address, strategy.earnings);
+    const rewardTokens = await this.readRewardTokens(client, multicallAddress, strategy.earnings, position.rewardCount);
+    const claimable = await this.readClaimable(client, multicallAddress, address, strategy.earnings, rewardTokens);
+
+    const prices = await priceService.getPrices([...rewardTokens, depositToken], currency.toLowerCase());
+    const priceOf = (token) => prices.get(priceService.keyOf(token)) ?? null;
+
+    const rewards = rewardTokens.map((token, index) => this.describeReward(token, claimable[index], priceOf(token)));
+    const lp = this.describeLp(address, strategy, position, priceOf(depositToken));
+
+    // Unpriced rewards can't be added up, so they are left out of the totals
+    const claimableValue = rewards
+      .filter(reward => reward.value !== null)
+      .reduce((sum, reward) => sum + toBaseUnits(reward.value, VALUE_DECIMALS), 0n);
+    const totalValue = claimableValue + (lp.growthValue !== null ? toSignedBaseUnits(lp.growthValue, VALUE_DECIMALS) : 0n);
+
+    // Claimed rewards are reinvested through the deposit route, so the
+    // compoundable amount is their value in the deposit token
+    const depositPrice = priceOf(depositToken);
+    const compoundableRaw = depositPrice
+      ? amountAtPrice(claimableValue, depositToken.decimals, depositPrice)
+      : 0n;
+
+    // The same items valued in every valuation currency
+    const [rewardValues, [lpValues, growthValues]] = await Promise.all([
+      priceService.valueAll(rewardTokens.map((token, index) => ({ token, raw: claimable[index] }))),
+      priceService.valueAll([
+        { token: depositToken, raw: toBaseUnits(lp.underlying, depositToken.decimals) },
+        { token: depositToken, raw: lp.growth !== null ? toSignedBaseUnits(lp.growth, depositToken.decimals) : null }
+      ])
+    ]);
+    rewards.forEach((reward, index) => {
+      reward.values = rewardValues[index];
+    });
+    lp.values = lpValues;
+    lp.growthValues = growthValues;
+
+    return {
+      address,
+      strategyId: strategy.id,
+      chainId: chain,
+      currency,
+      rewards,
+      lp,
+      claimableValue: fromBaseUnits(claimableValue, VALUE_DECIMALS),
+      totalValue: fromBaseUnits(totalValue, VALUE_DECIMALS),
+      values: this.summarizeValues(rewardValues, growthValues),
+      compoundToken: depositToken.symbol,
+      compoundable: fromBaseUnits(compoundableRaw, depositToken.decimals),
+      compoundableRaw: compoundableRaw.toString(),
+      minCompoundAmount,
+      canCompound: compoundableRaw > 0n && claimableValue > toBaseUnits(minCompoundAmount, VALUE_DECIMALS),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Read the pool's virtual price, the LP held in the wallet and staked in the
+   * gauge, and the gauge's reward count in one Multicall3 batch
+   */
+  async readPosition(client, multicallAddress, address, { token, pool, gauge }) {
+    const contracts = [
+      { address: pool, abi: poolAbi, functionName: 'get_virtual_price' },
+      { address: token.address, abi: erc20Abi, functionName: 'balanceOf', args: [address] },
+      ...(gauge ? [
+        { address: gauge, abi: gaugeAbi, functionName: 'balanceOf', args: [address] },
+        { address: gauge, abi: gaugeAbi, functionName: 'reward_count' }
+      ] : [])
+    ];
+
+    const [virtualPrice, walletBalance, stakedBalance = 0n, rewardCount = 0n] = await client.multicall({
+      contracts,
+      multicallAddress,
+      allowFailure: false,
+      batchSize: 0
+    });
+
+    return { virtualPrice, walletBalance, stakedBalance, rewardCount: Number(rewardCount) };
+  }
+
+  /**
+   * Resolve the gauge's reward tokens, reading symbol and decimals on chain
+   * for tokens missing from the registry
+   */
+  async readRewardTokens(client, multicallAddress, { chain, gauge }, rewardCount) {
+    if (!gauge || rewardCount === 0) {
+      return [];
+    }
+
+    const addresses = await client.multicall({
+      contracts: Array.from({ length: rewardCount }, (_, index) => ({
+        address: gauge,
+        abi: gaugeAbi,
+        functionName: 'reward_tokens',
+        args: [BigInt(index)]
+      })),
+      multicallAddress,
+      allowFailure: false,
+      batchSize: 0
+    });
+
+    const unknown = addresses.filter(tokenAddress => !isSupportedToken(tokenAddress, chain));
+    const metadata = unknown.length > 0
+      ? await client.multicall({
+        contracts: unknown.flatMap(tokenAddress => [
+          { address: tokenAddress, abi: erc20Abi, functionName: 'symbol' },
+          { address: tokenAddress, abi: erc20Abi, functionName: 'decimals' }
+        ]),
+        multicallAddress,
+        allowFailure: false,
+        batchSize: 0
+      })
+      : [];
+
+    return addresses.map(tokenAddress => {
+      if (isSupportedToken(tokenAddress, chain)) {
+        return getTokenByAddress(tokenAddress, chain);
+      }
+
+      const index = unknown.indexOf(tokenAddress);
+      return {
+        address: tokenAddress,
+        symbol: metadata[index * 2],
+        decimals: metadata[index * 2 + 1],
+        chainId: chain
+      };
+    });
+  }
+
+  /**
+   * Read claimable amounts of each reward token for an address
+   */
+  async readClaimable(client, multicallAddress, address, { gauge }, rewardTokens) {
+    if (rewardTokens.length === 0) {
+      return [];
+    }
+
+    return client.multicall({
+      contracts: rewardTokens.map(token => ({
+        address: gauge,
+        abi: gaugeAbi,
+        functionName: 'claimable_reward',
+        args: [address, token.address]
+      })),
+      multicallAddress,
+      allowFailure: false,
+      batchSize: 0
+    });
+  }
+
+  /**
+   * Describe one claimable reward and its value
+   */
+  describeReward(token, raw, price) {
+    return {
+      token: {
+        address: token.address,
+        symbol: token.symbol,
+        decimals: token.decimals
+      },
+      claimable: fromBaseUnits(raw, token.decimals),
+      claimableRaw: raw.toString(),
+      price,
+      value: price !== null
+        ? fromBaseUnits(valueAtPrice(raw, token.decimals, price), VALUE_DECIMALS)
+        : null
+    };
+  }
+
+  /**
+   * Describe the LP position: its value at the pool's virtual price and its
+   * growth over the cost basis, both in deposit-token terms (the pool's unit)
+   */
+  describeLp(address, strategy, position, depositPrice) {
+    const { token: lpToken } = strategy.earnings;
+    const depositToken = strategy.deposit.token;
+    const balance = position.walletBalance + position.stakedBalance;
+
+    const underlying = this.toDepositUnits(
+      balance * position.virtualPrice / 10n ** BigInt(VIRTUAL_PRICE_DECIMALS),
+      lpToken.decimals,
+      depositToken.decimals
+    );
+
+    // Cost of the LP held, at the average cost of recorded entries
+    const basis = this.getCostBasis(address, strategy);
+    const costBasis = basis.lp > 0n ? basis.cost * balance / basis.lp : null;
+    const growth = costBasis !== null ? underlying - costBasis : null;
+
+    const toValue = (raw) => (raw !== null && depositPrice !== null)
+      ? fromBaseUnits(valueAtPrice(raw, depositToken.decimals, depositPrice), VALUE_DECIMALS)
+      : null;
+
+    return {
+      token: {
+        address: lpToken.address,
+        symbol: lpToken.symbol,
+        decimals: lpToken.decimals
+      },
+      balance: fromBaseUnits(balance, lpToken.decimals),
+      balanceRaw: balance.toString(),
+      staked: fromBaseUnits(position.stakedBalance, lpToken.decimals),
+      stakedRaw: position.stakedBalance.toString(),
+      virtualPrice: fromBaseUnits(position.virtualPrice, VIRTUAL_PRICE_DECIMALS),
+      underlyingToken: depositToken.symbol,
+      underlying: fromBaseUnits(underlying, depositToken.decimals),
+      costBasis: costBasis !== null ? fromBaseUnits(costBasis, depositToken.decimals) : null,
+      growth: growth !== null ? fromBaseUnits(growth, depositToken.decimals) : null,
+      value: toValue(underlying),
+      growthValue: toValue(growth)
+    };
+  }
+
+  /**
+   * Average-cost basis of a strategy position, replayed from completed
+   * deposit, compound and withdraw records (see PositionLedger.replay).
+   * @param {string} address - Wallet address
+   * @param {Object} strategy - Strategy configuration
+   * @returns {Object} Recorded LP and its cost in deposit-token base units
+   */
+  getCostBasis(address, strategy) {
+    const { lp, cost } = this.ledger.replay(this.ledger.listOperations(address, strategy.id), strategy.position.token.decimals);
+
+    if (lp === 0n) {
+      logger.debug('No recorded cost basis for position', { address, strategyId: strategy.id });
+    }
+
+    return { lp, cost };
+  }
+
+  /**
+   * Total claimable rewards and LP growth in every valuation currency,
+   * leaving out unpriced items as the strategy-currency totals do
+   */
+  summarizeValues(rewardValues, growthValues) {
+    return Object.fromEntries(VALUATION_CURRENCIES.map(currency => {
+      const claimable = rewardValues
+        .filter(values => values[currency] !== null)
+        .reduce((sum, values) => sum + toBaseUnits(values[currency], VALUE_DECIMALS), 0n);
+      const growth = growthValues[currency] !== null ? toSignedBaseUnits(growthValues[currency], VALUE_DECIMALS) : 0n;
+
+      return [currency, {
+        claimable: fromBaseUnits(claimable, VALUE_DECIMALS),
+        total: fromBaseUnits(claimable + growth, VALUE_DECIMALS)
+      }];
+    }));
+  }
+
+  /**
+   * Rescale an amount between token decimals
+   */
+  toDepositUnits(raw, fromDecimals, toDecimals) {
+    return fromDecimals >= toDecimals
+      ? raw / 10n ** BigInt(fromDecimals - toDecimals)
+      : raw * 10n ** BigInt(toDecimals - fromDecimals);
+  }
+}
+
+module.exports = EarningsReader;
@@ -0,0 +1,160 @@
+const { EnsoClient } = require('@ensofinance/sdk');
+const logger = require('../utils/logger');
+
+const DEFAULT_ENSO_API_URL = 'https://api.enso.finance/api/v1';
+
+class EnsoRouteClient {
+  constructor(apiKey, baseURL = process.env.ENSO_API_URL || DEFAULT_ENSO_API_URL) {
+    this.baseURL = baseURL;
+    this.client = new EnsoClient({ apiKey, baseURL });
+  }
+
+  /**
+   * Request a (possibly cross-chain) route from Enso
+   * @param {Object} params - Route parameters
+   * @param {number} params.chainId - Source chain ID
+   * @param {number} params.destinationChainId - Destination chain ID
+   * @param {string} params.fromAddress - Address executing the route
+   * @param {string} params.receiver - Address receiving tokenOut
+   * @param {string} params.tokenIn - Token sent on the source chain
+   * @param {string} params.tokenOut - Token received on the destination chain
+   * @param {string} params.amountIn - Amount of tokenIn in base units
+   * @param {number} params.slippage - Slippage tolerance in percent (0.5 = 0.5%)
+   * @param {string} params.minAmountOut - Lowest acceptable tokenOut in base units; replaces slippage as the route's bound
+   * @returns {Object} Normalized route with calldata, approval target and expected output
+   */
+  async getRoute({ chainId, destinationChainId, fromAddress, receiver, tokenIn, tokenOut, amountIn, slippage = 0.5, minAmountOut = null }) {
+    const params = {
+      chainId,
+      fromAddress,
+      receiver: receiver || fromAddress,
+      spender: fromAddress,
+      amountIn: [amountIn.toString()],
+      tokenIn: [tokenIn],
+      tokenOut: [tokenOut],
+      routingStrategy: 'router'
+    };
+
+    // Enso takes either bound, not both
+    if (minAmountOut !== null) {
+      params.minAmountOut = [minAmountOut.toString()];
+    } else {
+      params.slippage = Math.round(slippage * 100).toString(); // percent -> basis points
+    }
+
+    if (destinationChainId && destinationChainId !== chainId) {
+      params.destinationChainId = destinationChainId;
+    }
+
+    logger.info('Requesting Enso route', {
+      chainId,
+      destinationChainId,
+      tokenIn,
+      tokenOut,
+      amountIn: params.amountIn[0],
+      slippageBps: params.slippage,
+      minAmountOut: params.minAmountOut?.[0]
+    });
+
+    try {
+      const route = await this.client.getRouteData(params);
+      return this.normalizeRoute(route, params);
+    } catch (error) {
+      logger.error('Enso route request failed', {
+        error: error.message,
+        chainId,
+        destinationChainId,
+        tokenIn,
+        tokenOut
+      });
+      throw new Error(`Enso route request failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Quote a route: its expected output and price impact, before any bound is
+   * applied. The SDK has no separate quote call, so this requests the route
+   * and keeps only the quote fields.
+   * @param {Object} params - Route parameters (as for getRoute)
+   * @returns {Object} Quote ({ amountOut, priceImpact in basis points or null, gas })
+   */
+  async getQuote(params) {
+    const route = await this.getRoute({ ...params, minAmountOut: null });
+
+    return {
+      amountOut: route.amountOut,
+      priceImpact: route.priceImpact,
+      gas: route.gas
+    };
+  }
+
+  /**
+   * Request the approval transaction for spending a token through the Enso router
+   * @param {Object} params - Approval parameters
+   * @param {number} params.chainId - Chain ID
+   * @param {string} params.fromAddress - Token owner
+   * @param {string} params.tokenAddress - Token to approve
+   * @param {string} params.amount - Amount in base units
+   * @returns {Object} Approval spender and transaction
+   */
+  async getApproval({ chainId, fromAddress, tokenAddress, amount }) {
+    try {
+      const approval = await this.client.getApprovalData({
+        chainId,
+        fromAddress,
+        tokenAddress,
+        amount: amount.toString()
+      });
+
+      return {
+        spender: approval.spender,
+        token: approval.token,
+        amount: approval.amount.toString(),
+        gas: approval.gas?.toString() || null,
+        tx: approval.tx
+      };
+    } catch (error) {
+      logger.error('Enso approval request failed', {
+        error: error.message,
+        chainId,
+        tokenAddress
+      });
+      throw new Error(`Enso approval request failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reduce the raw Enso response to the fields the execution path needs
+   * @param {Object} route - Raw Enso route response
+   * @param {Object} params - Parameters the route was requested with
+   * @returns {Object} Normalized route
+   */
+  normalizeRoute(route, params) {
+    if (!route || !route.tx || !route.tx.to || !route.tx.data) {
+      throw new Error('Enso route response is missing transaction data');
+    }
+
+    return {
+      chainId: params.chainId,
+      destinationChainId: params.destinationChainId || params.chainId,
+      tokenIn: params.tokenIn[0],
+      tokenOut: params.tokenOut[0],
+      amountIn: params.amountIn[0],
+      amountOut: route.amountOut.toString(),
+      minAmountOut: params.minAmountOut ? params.minAmountOut[0] : null,
+      // Basis points; Enso returns null when it has no USD price for a token
+      priceImpact: route.priceImpact !== null && route.priceImpact !== undefined ? Number(route.priceImpact) : null,
+      gas: route.gas ? route.gas.toString() : null,
+      // Enso routes are executed by the router, which is also the spender to approve
+      approvalTarget: route.tx.to,
+      tx: {
+        to: route.tx.to,
+        data: route.tx.data,
+        value: route.tx.value ? route.tx.value.toString() : '0'
+      },
+      route: route.route || []
+    };
+  }
+}
+
+module.exports = EnsoRouteClient;
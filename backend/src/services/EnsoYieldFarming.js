@@ -1,11 +1,51 @@
 const { ethers } = require('ethers');
-const { createPublicClient, createWalletClient, http } = require('viem');
-const { polygon, gnosis } = require('viem/chains');
-const { privateKeyToAccount } = require('viem/accounts');
+const { keccak256, parseAbi, encodeFunctionData, decodeEventLog, zeroAddress } = require('viem');
 const logger = require('../utils/logger');
-const { retryWithBackoff, generateTxId, formatAmount, parseAmount } = require('../utils/helpers');
-const { getChainConfig, getRpcUrl } = require('../config/chains');
-const { getFarmingPair, getTokenByAddress } = require('../config/tokens');
+const { generateTxId } = require('../utils/helpers');
+const { VALUE_DECIMALS, toBaseUnits, toBigInt, applyBps, fromBaseUnits, valueAtPrice } = require('../utils/amounts');
+const { getEnabledChains, getProvider, getPublicClient, createSigners } = require('../config/chains');
+const { getStrategy } = require('../config/strategies');
+const { NATIVE_TOKEN_ADDRESS, getTokenByAddress, isSupportedToken } = require('../config/tokens');
+const { EXECUTION_MODES, resolveExecutionMode, getMaxPriceImpactBps } = require('../config/execution');
+const EnsoRouteClient = require('./EnsoRouteClient');
+const BalanceEngine = require('./BalanceEngine');
+const EarningsReader = require('./EarningsReader');
+const nonceManager = require('./nonceManager');
+const priceService = require('./priceService');
+const { VALUATION_CURRENCIES } = require('./priceService');
+
+// Curve gauges let anyone claim rewards on behalf of an address
+const gaugeClaimAbi = [
+  {
+    name: 'claim_rewards',
+    type: 'function',
+    stateMutability: 'nonpayable',
+    inputs: [{ name: 'addr', type: 'address' }],
+    outputs: []
+  },
+  {
+    name: 'rewards_receiver',
+    type: 'function',
+    stateMutability: 'view',
+    inputs: [{ name: 'addr', type: 'address' }],
+    outputs: [{ name: '', type: 'address' }]
+  }
+];
+
+const erc20ApproveAbi = parseAbi([
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function allowance(address owner, address spender) view returns (uint256)'
+]);
+
+const transferEventAbi = parseAbi([
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+
+// Error code for routes rejected by the price impact ceiling
+const PRICE_IMPACT_TOO_HIGH = 'PRICE_IMPACT_TOO_HIGH';
+
+// Error code for compounds whose rewards would not be paid to the service wallet
+const REWARDS_NOT_CLAIMABLE = 'REWARDS_NOT_CLAIMABLE';
 
 class EnsoYieldFarming {
   constructor(apiKey, privateKey) {
@@ -15,38 +55,28 @@ class EnsoYieldFarming {
     // Initialize ethers wallet
     this.wallet = new ethers.Wallet(privateKey);
     
-    // Initialize ethers providers
-    this.polygonProvider = new ethers.JsonRpcProvider(getRpcUrl(137));
-    this.gnosisProvider = new ethers.JsonRpcProvider(getRpcUrl(100));
-    
-    // Connect wallet to providers
-    this.polygonWallet = this.wallet.connect(this.polygonProvider);
-    this.gnosisWallet = this.wallet.connect(this.gnosisProvider);
-    
-    // Initialize viem clients for enhanced functionality
-    this.polygonClient = createPublicClient({
-      chain: polygon,
-      transport: http(getRpcUrl(137))
+    // Providers, viem clients and signers for every enabled chain
+    this.chains = new Map();
+    getEnabledChains().forEach(chain => {
+      this.chains.set(chain.chainId, {
+        config: chain,
+        provider: getProvider(chain.chainId),
+        client: getPublicClient(chain.chainId),
+        ...createSigners(chain.chainId, privateKey)
+      });
+      
+      // All sends from the hot wallet draw nonces from the shared manager
+      nonceManager.register(chain.chainId, this.wallet.address, getProvider(chain.chainId));
     });
     
-    this.gnosisClient = createPublicClient({
-      chain: gnosis,
-      transport: http(getRpcUrl(100))
-    });
+    // Enso route API client
+    this.routeClient = new EnsoRouteClient(apiKey);
     
-    // Viem wallet clients
-    const account = privateKeyToAccount(privateKey);
-    this.polygonWalletClient = createWalletClient({
-      account,
-      chain: polygon,
-      transport: http(getRpcUrl(137))
-    });
+    // Multicall3 balance reader
+    this.balanceEngine = new BalanceEngine();
     
-    this.gnosisWalletClient = createWalletClient({
-      account,
-      chain: gnosis,
-      transport: http(getRpcUrl(100))
-    });
+    // On-chain strategy earnings reader
+    this.earningsReader = new EarningsReader();
     
     // Cache for balances and transactions
     this.cache = new Map();
@@ -54,19 +84,33 @@ class EnsoYieldFarming {
     
     logger.info('EnsoYieldFarming service initialized', {
       walletAddress: this.wallet.address,
-      polygonRpc: getRpcUrl(137),
-      gnosisRpc: getRpcUrl(100)
+      chains: Array.from(this.chains.values()).map(c => `${c.config.name} (${c.config.rpcUrl})`),
+      ensoApi: this.routeClient.baseURL
     });
   }
 
   /**
-   * Get balances from both chains using enhanced ethers.js + viem integration
-   * @param {string} userAddress - User's wallet address
-   * @returns {Object} Balances from both chains
+   * Get provider, clients and signers for a chain
+   * @param {number} chainId - Chain ID
+   * @returns {Object} Chain context ({ config, provider, client, wallet, walletClient })
    */
-  async getBalances(userAddress = null) {
+  getChainContext(chainId) {
+    const context = this.chains.get(Number(chainId));
+    if (!context) {
+      throw new Error(`Chain ${chainId} is not enabled for this service`);
+    }
+    return context;
+  }
+
+  /**
+   * Get native and token balances on every enabled chain (one Multicall3 batch per chain)
+   * @param {string} userAddress - User's wallet address (default: service wallet)
+   * @param {number[]} chainIds - Chains to read (default: all enabled chains)
+   * @returns {Object} Balances keyed by chain slug
+   */
+  async getBalances(userAddress = null, chainIds = null) {
     const address = userAddress || this.wallet.address;
-    const cacheKey = `balances_${address}`;
+    const cacheKey = `balances_${address.toLowerCase()}_${chainIds ? chainIds.join(',') : 'all'}`;
     
     // Check cache first
     const cached = this.getCachedData(cacheKey);
@@ -75,16 +119,9 @@ class EnsoYieldFarming {
     }
 
     try {
-      const [polygonBalance, gnosisBalance] = await Promise.all([
-        this.getPolygonBalanceViem(),
-        this.getGnosisBalanceViem()
-      ]);
-
-      const balances = {
-        polygon: polygonBalance,
-        gnosis: gnosisBalance,
-        timestamp: new Date().toISOString()
-      };
+      const balances = await this.balanceEngine.getBalances(address, chainIds);
+      await this.valueBalances(balances);
+      balances.timestamp = new Date().toISOString();
 
       // Cache the result
       this.setCachedData(cacheKey, balances);
@@ -100,99 +137,64 @@ class EnsoYieldFarming {
   }
 
   /**
-   * Get Polygon balances (EURe and MATIC)
-   * @param {string} address - Wallet address
-   * @returns {Object} Polygon balances
+   * Add EUR and USD values to every balance entry, and per-chain totals
+   * @param {Object} balances - Balances keyed by chain slug (from BalanceEngine)
    */
-  async getPolygonBalance(address) {
-    try {
-      const farmingPair = getFarmingPair();
-      const eureToken = farmingPair.deposit.token;
-      
-      // Get native MATIC balance
-      const nativeBalance = await this.polygonProvider.getBalance(address);
-      
-      // Get EURe token balance
-      const eureBalance = await this.getTokenBalance(
-        address,
-        eureToken.address,
-        137
-      );
+  async valueBalances(balances) {
+    const entries = Object.values(balances).flatMap(chainBalances => {
+      const { chainId } = chainBalances;
+      const native = isSupportedToken(NATIVE_TOKEN_ADDRESS, chainId)
+        ? getTokenByAddress(NATIVE_TOKEN_ADDRESS, chainId)
+        : null;
 
-      return {
-        native: {
-          symbol: 'MATIC',
-          balance: formatAmount(nativeBalance, 18),
-          raw: nativeBalance.toString()
-        },
-        eure: {
-          symbol: 'EURe',
-          balance: formatAmount(eureBalance, eureToken.decimals),
-          raw: eureBalance.toString(),
-          address: eureToken.address
-        }
-      };
-    } catch (error) {
-      logger.error('Failed to get Polygon balance', {
-        error: error.message,
-        address
-      });
-      throw error;
-    }
-  }
+      return [
+        { chainBalances, entry: chainBalances.native, token: native },
+        ...Object.values(chainBalances.tokens).map(entry => ({
+          chainBalances,
+          entry,
+          token: getTokenByAddress(entry.address, chainId)
+        }))
+      ];
+    });
 
-  /**
-   * Get Gnosis balances (xDAI and LP tokens)
-   * @param {string} address - Wallet address
-   * @returns {Object} Gnosis balances
-   */
-  async getGnosisBalance(address) {
-    try {
-      const farmingPair = getFarmingPair();
-      const lpToken = farmingPair.reward.token;
-      
-      // Get native xDAI balance
-      const nativeBalance = await this.gnosisProvider.getBalance(address);
-      
-      // Get LP token balance
-      const lpBalance = await this.getTokenBalance(
-        address,
-        lpToken.address,
-        100
-      );
+    const priced = entries.filter(({ token }) => token);
+    const values = await priceService.valueAll(priced.map(({ token, entry }) => ({ token, raw: entry.raw })));
+    const unpriced = Object.fromEntries(VALUATION_CURRENCIES.map(currency => [currency, null]));
 
-      return {
-        native: {
-          symbol: 'xDAI',
-          balance: formatAmount(nativeBalance, 18),
-          raw: nativeBalance.toString()
-        },
-        lpToken: {
-          symbol: 'LP-EURe',
-          balance: formatAmount(lpBalance, lpToken.decimals),
-          raw: lpBalance.toString(),
-          address: lpToken.address
-        }
-      };
-    } catch (error) {
-      logger.error('Failed to get Gnosis balance', {
-        error: error.message,
-        address
-      });
-      throw error;
-    }
+    entries.forEach(item => {
+      item.entry.values = unpriced;
+    });
+    priced.forEach((item, index) => {
+      item.entry.values = values[index];
+    });
+
+    // Unpriced or unreadable balances are left out of the totals
+    Object.values(balances).forEach(chainBalances => {
+      const chainEntries = [chainBalances.native, ...Object.values(chainBalances.tokens)];
+
+      chainBalances.totalValues = Object.fromEntries(VALUATION_CURRENCIES.map(currency => [
+        currency,
+        fromBaseUnits(
+          chainEntries
+            .filter(entry => entry.values[currency] !== null)
+            .reduce((sum, entry) => sum + toBaseUnits(entry.values[currency], VALUE_DECIMALS), 0n),
+          VALUE_DECIMALS
+        )
+      ]));
+    });
   }
 
   /**
-   * Get token balance using ERC20 contract
+   * Get token balance using ERC20 contract. RPC failures are thrown rather
+   * than read as a zero balance.
    * @param {string} address - Wallet address
    * @param {string} tokenAddress - Token contract address
    * @param {number} chainId - Chain ID
-   * @returns {BigNumber} Token balance
+   * @returns {bigint} Token balance in base units
    */
   async getTokenBalance(address, tokenAddress, chainId) {
     try {
-      const provider = chainId === 137 ? this.polygonProvider : this.gnosisProvider;
+      const { provider } = this.getChainContext(chainId);
       
       // ERC20 ABI for balanceOf function
       const erc20Abi = [
@@ -208,97 +210,90 @@ class EnsoYieldFarming {
         tokenAddress,
         chainId
       });
-      return ethers.parseUnits('0', 18);
+      throw error;
     }
   }
 
   /**
-   * Deposit EURe for LP tokens with monitoring
-   * @param {string} amount - Amount to deposit
-   * @param {number} slippage - Slippage tolerance (default: 0.5%)
-   * @param {string} userAddress - User's wallet address
-   * @returns {Object} Transaction result with monitoring
+   * Run a deposit or withdraw through the selected execution mode
+   * @param {string} operation - Operation type (deposit, withdraw)
+   * @param {Object} params - Operation parameters
+   * @param {string} params.amount - Amount of the input token in base units
+   * @param {number} params.slippage - Slippage tolerance (default: 0.5%)
+   * @param {string} params.userAddress - User's wallet address
+   * @param {string} params.executionMode - simulate, dry-run or live (default: environment mode)
+   * @param {string} params.strategyId - Strategy ID (default strategy if omitted)
+   * @returns {Object} Transaction result tagged with the execution mode
    */
-  async depositWithMonitoring(amount, slippage = 0.5, userAddress = null) {
+  async executeOperation(operation, { amount, slippage = 0.5, userAddress = null, executionMode = null, strategyId = null }) {
     const txId = generateTxId();
     const address = userAddress || this.wallet.address;
+    const mode = resolveExecutionMode(executionMode);
+    const strategy = getStrategy(strategyId);
     
-    logger.info('Starting deposit with monitoring', {
+    logger.info(`Starting ${operation}`, {
       txId,
       amount,
       slippage,
-      userAddress: address
+      userAddress: address,
+      executionMode: mode,
+      strategyId: strategy.id
     });
 
     try {
-      // Simulate Enso SDK deposit operation
-      const txHash = await this.simulateDeposit(amount, slippage, address);
-      
-      // Start monitoring the cross-chain transaction
-      const monitoringResult = await this.monitorCrossChainTransaction(txHash, txId);
+      const route = operation === 'withdraw'
+        ? await this.getWithdrawRoute(amount, slippage, address, strategy.id)
+        : await this.getDepositRoute(amount, slippage, address, strategy.id);
       
-      return {
+      const result = {
         txId,
-        txHash,
+        txHash: null,
+        operation,
+        executionMode: mode,
+        strategyId: strategy.id,
         amount,
         slippage,
         userAddress: address,
+        expectedOutput: route.amountOut,
+        quotedOutput: route.quote.amountOut,
+        // Lowest delivery the route accepts, used to match settlement on the destination chain
+        minAmountOut: route.minAmountOut,
+        priceImpact: route.quote.priceImpact,
+        maxPriceImpact: route.quote.maxPriceImpact,
+        tokenOut: route.tokenOut,
+        receiver: address,
+        approvalTarget: route.approvalTarget,
+        fromChainId: route.chainId,
+        toChainId: route.destinationChainId,
         status: 'initiated',
-        monitoring: monitoringResult,
         timestamp: new Date().toISOString()
       };
-    } catch (error) {
-      logger.error('Deposit failed', {
-        txId,
-        error: error.message,
-        amount,
-        userAddress: address
-      });
-      throw error;
-    }
-  }
-
-  /**
-   * Withdraw LP tokens for EURe with monitoring
-   * @param {string} amount - Amount to withdraw
-   * @param {number} slippage - Slippage tolerance (default: 0.5%)
-   * @param {string} userAddress - User's wallet address
-   * @returns {Object} Transaction result with monitoring
-   */
-  async withdrawWithMonitoring(amount, slippage = 0.5, userAddress = null) {
-    const txId = generateTxId();
-    const address = userAddress || this.wallet.address;
-    
-    logger.info('Starting withdraw with monitoring', {
-      txId,
-      amount,
-      slippage,
-      userAddress: address
-    });
-
-    try {
-      // Simulate Enso SDK withdraw operation
-      const txHash = await this.simulateWithdraw(amount, slippage, address);
       
-      // Start monitoring the cross-chain transaction
-      const monitoringResult = await this.monitorCrossChainTransaction(txHash, txId);
+      switch (mode) {
+        case EXECUTION_MODES.SIMULATE:
+          result.txHash = await this.simulateRouteExecution(route, operation);
+          break;
+        case EXECUTION_MODES.DRY_RUN:
+          result.dryRun = await this.dryRunRoute(route);
+          result.status = result.dryRun.success ? 'validated' : 'reverted';
+          break;
+        case EXECUTION_MODES.LIVE: {
+          const { wallet, walletClient } = this.getChainContext(route.chainId);
+          const { txHash, broadcast } = await this.executeRoute(route, wallet, walletClient);
+          result.txHash = txHash;
+          result.broadcast = broadcast;
+          break;
+        }
+      }
       
-      return {
-        txId,
-        txHash,
-        amount,
-        slippage,
-        userAddress: address,
-        status: 'initiated',
-        monitoring: monitoringResult,
-        timestamp: new Date().toISOString()
-      };
+      return result;
     } catch (error) {
-      logger.error('Withdraw failed', {
+      logger.error(`${operation} failed`, {
         txId,
         error: error.message,
         amount,
-        userAddress: address
+        userAddress: address,
+        executionMode: mode
       });
       throw error;
     }
@@ -307,30 +302,42 @@ class EnsoYieldFarming {
   /**
    * Auto-compound available earnings
    * @param {string} userAddress - User's wallet address
+   * @param {Object} options - Compound options
+   * @param {number} options.slippage - Slippage tolerance (default: 0.5%)
+   * @param {string} options.executionMode - Execution mode override
+   * @param {string} options.strategyId - Strategy ID (default strategy if omitted)
    * @returns {Object} Compound result or null if no earnings
    */
-  async autoCompound(userAddress = null) {
+  async autoCompound(userAddress = null, { slippage = 0.5, executionMode = null, strategyId = null } = {}) {
     const address = userAddress || this.wallet.address;
     
     try {
-      const earnings = await this.getEarnings(address);
+      const strategy = getStrategy(strategyId);
+      const earnings = await this.getEarnings(address, strategy.id);
       
-      if (earnings && parseFloat(earnings) > 0.01) { // Minimum threshold
+      if (earnings.canCompound) {
         logger.info('Auto-compounding earnings', {
           userAddress: address,
-          earnings
+          claimableValue: earnings.claimableValue,
+          currency: earnings.currency,
+          compoundable: earnings.compoundableRaw
         });
         
-        return await this.depositWithMonitoring(earnings.toString(), 0.5, address);
+        return await this.compound(address, earnings, {
+          slippage,
+          executionMode,
+          strategyId: strategy.id
+        });
       } else {
         logger.info('No earnings to compound', {
           userAddress: address,
-          earnings
+          claimableValue: earnings.claimableValue,
+          currency: earnings.currency
         });
         
         return {
           message: 'No earnings available to compound',
-          earnings: earnings || '0',
+          earnings,
           userAddress: address,
           timestamp: new Date().toISOString()
         };
@@ -345,144 +352,416 @@ class EnsoYieldFarming {
   }
 
   /**
-   * Get available earnings for compounding
-   * @param {string} address - User's wallet address
-   * @returns {string} Available earnings amount
+   * Compound a position's gauge rewards: claim them, swap each reward token the
+   * service wallet actually received into the position through Enso and send
+   * the LP to the user. Simulate and dry-run modes don't claim, so they route
+   * the amounts currently claimable instead.
+   * @param {string} address - Address whose rewards are compounded
+   * @param {Object} earnings - Earnings read with getEarnings
+   * @param {Object} options - Compound options
+   * @param {number} options.slippage - Slippage tolerance (default: 0.5%)
+   * @param {string} options.executionMode - Execution mode override
+   * @param {string} options.strategyId - Strategy ID (default strategy if omitted)
+   * @returns {Object} Compound result, or a message if the claim paid out nothing
    */
-  async getEarnings(address) {
+  async compound(address, earnings, { slippage = 0.5, executionMode = null, strategyId = null } = {}) {
+    const txId = generateTxId();
+    const mode = resolveExecutionMode(executionMode);
+    const strategy = getStrategy(strategyId);
+
+    logger.info('Starting compound', {
+      txId,
+      userAddress: address,
+      claimableValue: earnings.claimableValue,
+      executionMode: mode,
+      strategyId: strategy.id
+    });
+
     try {
-      // Simulate earnings calculation
-      // In a real implementation, this would query the LP contract for rewards
-      const balance = await this.getGnosisBalance(address);
-      const lpAmount = parseFloat(balance.lpToken.balance);
-      
-      // Simulate 1% earnings on LP tokens
-      const earnings = lpAmount * 0.01;
-      
-      return earnings.toFixed(6);
+      await this.assertRewardsReceiver(address, strategy);
+
+      const claim = mode === EXECUTION_MODES.LIVE
+        ? await this.claimRewards(address, strategy, earnings.rewards)
+        : {
+          txHash: null,
+          rewards: earnings.rewards
+            .filter(reward => BigInt(reward.claimableRaw) > 0n)
+            .map(reward => ({ token: reward.token, price: reward.price, amountRaw: reward.claimableRaw }))
+        };
+
+      if (claim.rewards.length === 0) {
+        return {
+          message: 'The claim paid out no rewards to compound',
+          earnings,
+          claimTxHash: claim.txHash,
+          userAddress: address,
+          timestamp: new Date().toISOString()
+        };
+      }
+
+      // One route per reward token, each swapping it into the position
+      const routes = [];
+      for (const reward of claim.rewards) {
+        routes.push(await this.getBoundedRoute(strategy.buildCompoundRoute({
+          tokenIn: reward.token.address,
+          amountIn: reward.amountRaw,
+          fromAddress: this.wallet.address,
+          receiver: address,
+          slippage
+        })));
+      }
+
+      const sum = (field) => routes.reduce((total, route) => total + BigInt(field(route)), 0n).toString();
+      const priceImpacts = routes.map(route => route.quote.priceImpact).filter(impact => impact !== null);
+      const last = routes[routes.length - 1];
+
+      const result = {
+        txId,
+        txHash: null,
+        operation: 'compound',
+        executionMode: mode,
+        strategyId: strategy.id,
+        // Rewards received, in deposit-token base units: the compound's cost basis
+        amount: this.getCompoundAmount(earnings, claim.rewards),
+        slippage,
+        userAddress: address,
+        expectedOutput: sum(route => route.amountOut),
+        quotedOutput: sum(route => route.quote.amountOut),
+        minAmountOut: sum(route => route.minAmountOut),
+        priceImpact: priceImpacts.length > 0 ? Math.max(...priceImpacts) : null,
+        maxPriceImpact: last.quote.maxPriceImpact,
+        tokenOut: last.tokenOut,
+        receiver: address,
+        approvalTarget: last.approvalTarget,
+        fromChainId: last.chainId,
+        toChainId: last.destinationChainId,
+        claim: {
+          txHash: claim.txHash,
+          rewards: claim.rewards.map(({ token, amountRaw }) => ({ token: token.address, symbol: token.symbol, amountRaw }))
+        },
+        swaps: routes.map(route => ({
+          tokenIn: route.tokenIn,
+          amountIn: route.amountIn,
+          expectedOutput: route.amountOut,
+          minAmountOut: route.minAmountOut,
+          txHash: null
+        })),
+        status: 'initiated',
+        timestamp: new Date().toISOString()
+      };
+
+      switch (mode) {
+        case EXECUTION_MODES.SIMULATE:
+          for (const [index, route] of routes.entries()) {
+            result.swaps[index].txHash = await this.simulateRouteExecution(route, 'compound');
+          }
+          break;
+        case EXECUTION_MODES.DRY_RUN:
+          // The swaps spend tokens the claim has yet to pay out, so only the
+          // claim itself can be dry-run
+          result.dryRun = await this.dryRunClaim(address, strategy);
+          result.status = result.dryRun.success ? 'validated' : 'reverted';
+          break;
+        case EXECUTION_MODES.LIVE: {
+          const { client, wallet, walletClient } = this.getChainContext(last.chainId);
+          for (const [index, route] of routes.entries()) {
+            const { txHash, broadcast } = await this.executeRoute(route, wallet, walletClient);
+            result.swaps[index].txHash = txHash;
+            result.broadcast = broadcast;
+
+            // Earlier swaps have to land here; the last one is monitored as the compound
+            if (index < routes.length - 1) {
+              const receipt = await client.waitForTransactionReceipt({ hash: txHash });
+              if (receipt.status !== 'success') {
+                throw new Error(`Compound swap ${txHash} reverted; the claimed rewards are held by the service wallet`);
+              }
+            }
+          }
+          break;
+        }
+      }
+
+      result.txHash = result.swaps[result.swaps.length - 1].txHash;
+
+      return result;
     } catch (error) {
-      logger.error('Failed to get earnings', {
+      logger.error('compound failed', {
+        txId,
         error: error.message,
-        address
+        userAddress: address,
+        executionMode: mode
       });
-      return '0';
+      throw error;
     }
   }
 
   /**
-   * Simulate deposit operation (placeholder for Enso SDK)
-   * @param {string} amount - Amount to deposit
-   * @param {number} slippage - Slippage tolerance
-   * @param {string} address - User address
-   * @returns {string} Transaction hash
+   * Check that claiming an address's gauge rewards pays them to the service
+   * wallet: it has to hold the position or be set as its rewards receiver
+   * @param {string} address - Position holder
+   * @param {Object} strategy - Strategy configuration
    */
-  async simulateDeposit(amount, slippage, address) {
-    // Simulate network delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Generate mock transaction hash
-    const txHash = '0x' + Array.from({length: 64}, () => 
-      Math.floor(Math.random() * 16).toString(16)
-    ).join('');
-    
-    logger.info('Simulated deposit transaction', {
-      txHash,
-      amount,
-      slippage,
-      address
+  async assertRewardsReceiver(address, strategy) {
+    const { gauge, chain } = strategy.earnings;
+
+    if (!gauge) {
+      const error = new Error(`Strategy ${strategy.id} has no gauge rewards to compound`);
+      error.code = REWARDS_NOT_CLAIMABLE;
+      throw error;
+    }
+
+    const { client } = this.getChainContext(chain);
+    const receiver = await client.readContract({
+      address: gauge,
+      abi: gaugeClaimAbi,
+      functionName: 'rewards_receiver',
+      args: [address]
     });
-    
-    return txHash;
+
+    // Without a receiver set, rewards are paid to the holder
+    const payee = receiver === zeroAddress ? address : receiver;
+
+    if (payee.toLowerCase() !== this.wallet.address.toLowerCase()) {
+      const error = new Error(
+        `Rewards of ${address} are paid to ${payee}, not the service wallet, so they can't be compounded`
+      );
+      error.code = REWARDS_NOT_CLAIMABLE;
+      throw error;
+    }
   }
 
   /**
-   * Simulate withdraw operation (placeholder for Enso SDK)
-   * @param {string} amount - Amount to withdraw
-   * @param {number} slippage - Slippage tolerance
-   * @param {string} address - User address
-   * @returns {string} Transaction hash
+   * Claim an address's gauge rewards and read what the service wallet received
+   * from the gauge's Transfer events in the claim receipt
+   * @param {string} address - Position holder
+   * @param {Object} strategy - Strategy configuration
+   * @param {Array} rewards - Reward tokens from getEarnings
+   * @returns {Object} Claim hash and the rewards received ({ txHash, rewards })
    */
-  async simulateWithdraw(amount, slippage, address) {
-    // Simulate network delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    
-    // Generate mock transaction hash
-    const txHash = '0x' + Array.from({length: 64}, () => 
-      Math.floor(Math.random() * 16).toString(16)
-    ).join('');
-    
-    logger.info('Simulated withdraw transaction', {
+  async claimRewards(address, strategy, rewards) {
+    const { gauge, chain } = strategy.earnings;
+    const { client, wallet, walletClient } = this.getChainContext(chain);
+    const request = {
+      to: gauge,
+      data: encodeFunctionData({ abi: gaugeClaimAbi, functionName: 'claim_rewards', args: [address] })
+    };
+
+    const txHash = await nonceManager.send(chain, wallet.address, {
+      sign: async (nonce) => {
+        const prepared = await walletClient.prepareTransactionRequest({ ...request, nonce });
+        const serialized = await walletClient.signTransaction(prepared);
+        return { hash: keccak256(serialized), serialized };
+      },
+      broadcast: (serialized) => walletClient.sendRawTransaction({ serializedTransaction: serialized })
+    });
+
+    const receipt = await client.waitForTransactionReceipt({ hash: txHash });
+    if (receipt.status !== 'success') {
+      throw new Error(`Reward claim ${txHash} reverted`);
+    }
+
+    const isPayout = (log) => {
+      try {
+        const { args } = decodeEventLog({ abi: transferEventAbi, data: log.data, topics: log.topics });
+        return args.from.toLowerCase() === gauge.toLowerCase() &&
+          args.to.toLowerCase() === wallet.address.toLowerCase() ? args.value : 0n;
+      } catch (error) {
+        return 0n;
+      }
+    };
+
+    const received = rewards
+      .map(reward => ({
+        token: reward.token,
+        price: reward.price,
+        amountRaw: receipt.logs
+          .filter(log => log.address.toLowerCase() === reward.token.address.toLowerCase())
+          .reduce((total, log) => total + isPayout(log), 0n)
+          .toString()
+      }))
+      .filter(reward => BigInt(reward.amountRaw) > 0n);
+
+    logger.info('Gauge rewards claimed', {
       txHash,
-      amount,
-      slippage,
-      address
+      chainId: chain,
+      userAddress: address,
+      received: received.map(reward => `${reward.amountRaw} ${reward.token.symbol}`)
     });
-    
-    return txHash;
+
+    return { txHash, rewards: received };
   }
 
   /**
-   * Monitor cross-chain transaction status
-   * @param {string} txHash - Transaction hash
-   * @param {string} txId - Internal transaction ID
-   * @returns {Object} Monitoring result
+   * Dry-run a gauge claim with eth_call from the service wallet
+   * @param {string} address - Position holder
+   * @param {Object} strategy - Strategy configuration
+   * @returns {Object} Dry-run outcome (reverts are reported, not thrown)
    */
-  async monitorCrossChainTransaction(txHash, txId) {
-    logger.info('Starting cross-chain transaction monitoring', {
-      txHash,
-      txId
+  async dryRunClaim(address, strategy) {
+    const { gauge, chain } = strategy.earnings;
+
+    return this.dryRunRoute({
+      chainId: chain,
+      amountIn: null,
+      tx: {
+        to: gauge,
+        data: encodeFunctionData({ abi: gaugeClaimAbi, functionName: 'claim_rewards', args: [address] }),
+        value: '0'
+      }
     });
+  }
 
-    try {
-      // Simulate monitoring with retries
-      const result = await retryWithBackoff(async () => {
-        // Simulate checking transaction status
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Random success/failure for demonstration
-        const success = Math.random() > 0.1; // 90% success rate
-        
-        if (!success) {
-          throw new Error('Transaction still pending');
-        }
-        
-        return {
-          status: 'completed',
-          confirmations: 12,
-          gasUsed: '21000',
-          blockNumber: Math.floor(Math.random() * 1000000) + 40000000
-        };
-      }, 3, 2000);
+  /**
+   * Convert received rewards to deposit-token base units, in proportion to the
+   * compoundable amount read with the earnings. Unpriced rewards are still
+   * reinvested but add nothing, as they can't be valued.
+   * @param {Object} earnings - Earnings read with getEarnings
+   * @param {Array} rewards - Rewards received ({ token, price, amountRaw })
+   * @returns {string} Amount in deposit-token base units
+   */
+  getCompoundAmount(earnings, rewards) {
+    const claimableValue = toBaseUnits(earnings.claimableValue, VALUE_DECIMALS);
 
-      logger.info('Cross-chain transaction completed', {
-        txHash,
-        txId,
-        result
-      });
+    if (claimableValue === 0n) {
+      return '0';
+    }
 
-      return result;
+    const receivedValue = rewards
+      .filter(reward => reward.price !== null)
+      .reduce((total, reward) => total + valueAtPrice(reward.amountRaw, reward.token.decimals, reward.price), 0n);
+
+    return (BigInt(earnings.compoundableRaw) * receivedValue / claimableValue).toString();
+  }
+
+  /**
+   * Get earnings read from the strategy's pool and gauge contracts
+   * @param {string} address - User's wallet address
+   * @param {string} strategyId - Strategy ID (default strategy if omitted)
+   * @returns {Object} Claimable rewards and LP growth, itemised and valued
+   */
+  async getEarnings(address, strategyId = null) {
+    try {
+      const strategy = getStrategy(strategyId);
+      return await this.earningsReader.getEarnings(address, strategy);
     } catch (error) {
-      logger.error('Cross-chain transaction monitoring failed', {
-        txHash,
-        txId,
-        error: error.message
+      logger.error('Failed to get earnings', {
+        error: error.message,
+        address,
+        strategyId
       });
-      
-      return {
-        status: 'failed',
-        error: error.message
-      };
+      throw error;
     }
   }
 
+  /**
+   * Get Enso route for entering a strategy position
+   * @param {string} amount - Amount of the strategy's deposit token in base units
+   * @param {number} slippage - Slippage tolerance in percent
+   * @param {string} receiver - Address receiving the position tokens
+   * @param {string} strategyId - Strategy ID (default strategy if omitted)
+   * @returns {Object} Normalized Enso route bounded by minAmountOut, with its quote
+   */
+  async getDepositRoute(amount, slippage = 0.5, receiver = null, strategyId = null) {
+    const strategy = getStrategy(strategyId);
+
+    return this.getBoundedRoute(strategy.buildDepositRoute({
+      amountIn: toBigInt(amount).toString(),
+      fromAddress: this.wallet.address,
+      receiver: receiver || this.wallet.address,
+      slippage
+    }));
+  }
+
+  /**
+   * Get Enso route for exiting a strategy position
+   * @param {string} amount - Amount of the strategy's position token in base units
+   * @param {number} slippage - Slippage tolerance in percent
+   * @param {string} receiver - Address receiving the deposit tokens
+   * @param {string} strategyId - Strategy ID (default strategy if omitted)
+   * @returns {Object} Normalized Enso route bounded by minAmountOut, with its quote
+   */
+  async getWithdrawRoute(amount, slippage = 0.5, receiver = null, strategyId = null) {
+    const strategy = getStrategy(strategyId);
+
+    return this.getBoundedRoute(strategy.buildWithdrawRoute({
+      amountIn: toBigInt(amount).toString(),
+      fromAddress: this.wallet.address,
+      receiver: receiver || this.wallet.address,
+      slippage
+    }));
+  }
+
+  /**
+   * Quote a route, reject it if its price impact is above the ceiling, then
+   * request it with the slippage-derived minAmountOut encoded as its bound
+   * @param {Object} routeParams - Route parameters from a strategy route builder
+   * @returns {Object} Normalized Enso route with its quote
+   */
+  async getBoundedRoute(routeParams) {
+    const quote = await this.routeClient.getQuote(routeParams);
+    const maxPriceImpact = getMaxPriceImpactBps();
+
+    if (quote.priceImpact === null) {
+      logger.warn('Route quote has no price impact, ceiling not applied', {
+        chainId: routeParams.chainId,
+        tokenIn: routeParams.tokenIn,
+        tokenOut: routeParams.tokenOut
+      });
+    } else if (quote.priceImpact > maxPriceImpact) {
+      const error = new Error(
+        `Price impact of ${quote.priceImpact} bps exceeds the maximum of ${maxPriceImpact} bps`
+      );
+      error.code = PRICE_IMPACT_TOO_HIGH;
+      error.quote = { ...quote, maxPriceImpact };
+      throw error;
+    }
+
+    const minAmountOut = applyBps(quote.amountOut, Math.round(10000 - routeParams.slippage * 100));
+    const route = await this.routeClient.getRoute({ ...routeParams, minAmountOut: minAmountOut.toString() });
+
+    return {
+      ...route,
+      quote: { ...quote, maxPriceImpact }
+    };
+  }
+
+  /**
+   * Simulate execution of an Enso route without signing (placeholder hash)
+   * @param {Object} route - Normalized Enso route
+   * @param {string} operation - Operation type (deposit/withdraw)
+   * @returns {string} Transaction hash
+   */
+  async simulateRouteExecution(route, operation) {
+    // Simulate network delay
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    
+    // Derive a mock transaction hash from the route calldata
+    const txHash = ethers.keccak256(
+      ethers.concat([route.tx.data, ethers.toBeHex(Date.now(), 32)])
+    );
+    
+    logger.info('Simulated route execution', {
+      operation,
+      txHash,
+      chainId: route.chainId,
+      destinationChainId: route.destinationChainId,
+      amountIn: route.amountIn,
+      amountOut: route.amountOut
+    });
+    
+    return txHash;
+  }
+
   /**
    * Estimate gas costs for operations
    * @param {string} operation - Type of operation (deposit, withdraw, compound)
-   * @param {string} amount - Amount for the operation
+   * @param {string} amount - Amount for the operation in base units
+   * @param {string} strategyId - Strategy ID (default strategy if omitted)
    * @returns {Object} Gas estimation
    */
-  async estimateGas(operation, amount) {
+  async estimateGas(operation, amount, strategyId = null) {
     try {
+      const strategy = getStrategy(strategyId);
       // Simulate gas estimation
       const baseGas = {
         deposit: 150000,
@@ -491,7 +770,11 @@ class EnsoYieldFarming {
       };
 
       const estimatedGas = baseGas[operation] || 100000;
-      const gasPrice = await this.polygonProvider.getFeeData();
+      const sourceChainId = operation === 'withdraw'
+        ? strategy.position.chain
+        : strategy.deposit.chain;
+      const { provider, config } = this.getChainContext(sourceChainId);
+      const gasPrice = await provider.getFeeData();
       
       const estimatedCost = ethers.formatEther(
         BigInt(estimatedGas) * gasPrice.gasPrice
@@ -499,11 +782,12 @@ class EnsoYieldFarming {
 
       return {
         operation,
+        strategyId: strategy.id,
         amount,
         estimatedGas,
         gasPrice: gasPrice.gasPrice.toString(),
         estimatedCost,
-        currency: 'MATIC',
+        currency: config.nativeCurrency.symbol,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -517,267 +801,343 @@ class EnsoYieldFarming {
   }
 
   /**
-   * Get Polygon balances using viem for enhanced functionality
-   * @returns {Object} Polygon balances with viem integration
+   * Estimate the gas cost of the compound that would run now, step by step:
+   * claiming gauge rewards, then approving and swapping each claimable reward
+   * token into the position, all on the earnings chain
+   * @param {string} address - User's wallet address
+   * @param {Object} earnings - Earnings read with getEarnings
+   * @param {Object} options - Estimate options
+   * @param {number} options.slippage - Slippage tolerance (default: 0.5%)
+   * @param {string} options.strategyId - Strategy ID (default strategy if omitted)
+   * @returns {Array} Per-step estimates ({ step, chainId, gas, maxFeePerGas, cost, costRaw, currency, token })
    */
-  async getPolygonBalanceViem() {
-    const EURE_TOKEN = '0x18ec0A6E18E5bc3784fDd3a3634b31245ab704F6';
-    
-    try {
-      // Get native MATIC balance using viem
-      const maticBalance = await this.polygonClient.getBalance({
-        address: this.polygonWallet.address
-      });
-      
-      // Get EURe token balance using ethers.js contract
-      const eureContract = new ethers.Contract(
-        EURE_TOKEN,
-        ['function balanceOf(address) view returns (uint256)'],
-        this.polygonProvider
-      );
-      
-      const eureBalance = await eureContract.balanceOf(this.polygonWallet.address);
-      
-      return {
-        matic: ethers.formatEther(maticBalance.toString()),
-        eure: ethers.formatEther(eureBalance.toString()),
-        address: this.polygonWallet.address
-      };
-    } catch (error) {
-      logger.error('Failed to get Polygon balance with viem', {
-        error: error.message,
-        address: this.polygonWallet.address
+  async estimateCompoundCost(address, earnings, { slippage = 0.5, strategyId = null } = {}) {
+    const strategy = getStrategy(strategyId);
+    const { gauge, chain } = strategy.earnings;
+    const { client, wallet } = this.getChainContext(chain);
+    const steps = [];
+
+    const claimGas = await client.estimateContractGas({
+      account: wallet.address,
+      address: gauge,
+      abi: gaugeClaimAbi,
+      functionName: 'claim_rewards',
+      args: [address]
+    });
+    steps.push(await this.priceGas('claim', chain, claimGas));
+
+    const rewards = earnings.rewards.filter(reward => BigInt(reward.claimableRaw) > 0n);
+
+    for (const reward of rewards) {
+      const route = await this.getBoundedRoute(strategy.buildCompoundRoute({
+        tokenIn: reward.token.address,
+        amountIn: reward.claimableRaw,
+        fromAddress: wallet.address,
+        receiver: address,
+        slippage
+      }));
+      const amountIn = BigInt(route.amountIn);
+
+      const allowance = await client.readContract({
+        address: reward.token.address,
+        abi: erc20ApproveAbi,
+        functionName: 'allowance',
+        args: [wallet.address, route.approvalTarget]
       });
-      throw error;
+
+      if (allowance < amountIn) {
+        const approveGas = await client.estimateContractGas({
+          account: wallet.address,
+          address: reward.token.address,
+          abi: erc20ApproveAbi,
+          functionName: 'approve',
+          args: [route.approvalTarget, amountIn]
+        });
+        steps.push({ ...await this.priceGas('approve', chain, approveGas), token: reward.token.symbol });
+      }
+
+      let swapGas;
+      try {
+        swapGas = await client.estimateGas({
+          account: wallet.address,
+          to: route.tx.to,
+          data: route.tx.data,
+          value: BigInt(route.tx.value)
+        });
+      } catch (error) {
+        // Until the claim pays the reward out the swap can't run, so fall
+        // back to Enso's own estimate
+        if (!route.gas) {
+          throw error;
+        }
+        swapGas = BigInt(route.gas);
+      }
+      steps.push({ ...await this.priceGas('swap', chain, swapGas), token: reward.token.symbol });
     }
+
+    return steps;
   }
 
   /**
-   * Get Gnosis balances using viem for enhanced functionality
-   * @returns {Object} Gnosis balances with viem integration
+   * Price a gas amount at the chain's current max fee per gas
+   * @param {string} step - Step name
+   * @param {number} chainId - Chain ID
+   * @param {bigint} gas - Gas units
+   * @returns {Object} Gas estimate and its cost in the native currency
    */
-  async getGnosisBalanceViem() {
-    const LP_TOKEN = '0xedbc7449a9b594ca4e053d9737ec5dc4cbccbfb2';
+  async priceGas(step, chainId, gas) {
+    const { client, config } = this.getChainContext(chainId);
+    const { maxFeePerGas } = await client.estimateFeesPerGas();
+    const costRaw = gas * maxFeePerGas;
+
+    return {
+      step,
+      chainId,
+      gas: gas.toString(),
+      maxFeePerGas: maxFeePerGas.toString(),
+      cost: fromBaseUnits(costRaw, config.nativeCurrency.decimals),
+      costRaw: costRaw.toString(),
+      currency: config.nativeCurrency.symbol
+    };
+  }
+
+  /**
+   * Dry-run an Enso route with eth_call from the executing wallet
+   * @param {Object} route - Normalized Enso route
+   * @returns {Object} Dry-run outcome (reverts are reported, not thrown)
+   */
+  async dryRunRoute(route) {
+    const { wallet, client } = this.getChainContext(route.chainId);
     
     try {
-      // Get native xDAI balance using viem
-      const xdaiBalance = await this.gnosisClient.getBalance({
-        address: this.gnosisWallet.address
+      const { data } = await client.call({
+        account: wallet.address,
+        to: route.tx.to,
+        data: route.tx.data,
+        value: BigInt(route.tx.value)
       });
       
-      // Get LP token balance using ethers.js contract
-      const lpContract = new ethers.Contract(
-        LP_TOKEN,
-        ['function balanceOf(address) view returns (uint256)'],
-        this.gnosisProvider
-      );
-      
-      const lpBalance = await lpContract.balanceOf(this.gnosisWallet.address);
+      logger.info('Route dry-run succeeded', {
+        chainId: route.chainId,
+        amountIn: route.amountIn
+      });
       
       return {
-        xdai: ethers.formatEther(xdaiBalance.toString()),
-        lp: ethers.formatEther(lpBalance.toString()),
-        address: this.gnosisWallet.address
+        success: true,
+        returnData: data || '0x',
+        from: wallet.address
       };
     } catch (error) {
-      logger.error('Failed to get Gnosis balance with viem', {
-        error: error.message,
-        address: this.gnosisWallet.address
+      // An unreachable RPC is an infrastructure failure, not a revert
+      if (error.walk?.((e) => e.name === 'HttpRequestError' || e.name === 'TimeoutError')) {
+        throw error;
+      }
+      
+      logger.warn('Route dry-run reverted', {
+        chainId: route.chainId,
+        error: error.shortMessage || error.message
       });
-      throw error;
+      
+      return {
+        success: false,
+        error: error.shortMessage || error.message,
+        from: wallet.address
+      };
     }
   }
 
   /**
-   * Deposit EURe for LP tokens using ethers.js + viem integration
-   * @param {string} amount - Amount to deposit
-   * @returns {Object} Transaction result
+   * Execute an Enso route: approve the router if needed, then send the calldata
+   * @param {Object} route - Normalized Enso route
+   * @param {Object} wallet - ethers wallet connected to the source chain
+   * @param {Object} walletClient - viem wallet client for the source chain
+   * @returns {Object} Transaction hash and the broadcast request ({ txHash, broadcast })
    */
-  async depositWithEthersViem(amount) {
-    const EURE_TOKEN = '0x18ec0A6E18E5bc3784fDd3a3634b31245ab704F6';
+  async executeRoute(route, wallet, walletClient) {
+    // 1. Approve token spending using ethers.js
+    await this.ensureAllowance(route.tokenIn, route.approvalTarget, BigInt(route.amountIn), wallet, route.chainId);
     
-    try {
-      // 1. Approve EURe token spending using ethers.js
-      const eureContract = new ethers.Contract(
-        EURE_TOKEN,
-        [
-          'function approve(address spender, uint256 amount) returns (bool)',
-          'function allowance(address owner, address spender) view returns (uint256)'
-        ],
-        this.polygonWallet
-      );
-      
-      const amountWei = ethers.parseEther(amount.toString());
-      
-      // Check current allowance
-      const currentAllowance = await eureContract.allowance(
-        this.polygonWallet.address,
-        process.env.ENSO_ROUTER_ADDRESS || '0x1234567890123456789012345678901234567890'
-      );
-      
-      if (currentAllowance < amountWei) {
-        const approveTx = await eureContract.approve(
-          process.env.ENSO_ROUTER_ADDRESS || '0x1234567890123456789012345678901234567890',
-          amountWei
-        );
-        await approveTx.wait();
+    // 2. Execute route transaction using viem wallet client. Fees are set
+    // explicitly so a later speed-up or cancel knows what it has to outbid.
+    const { client } = this.getChainContext(route.chainId);
+    const { maxFeePerGas, maxPriorityFeePerGas } = await client.estimateFeesPerGas();
+    const request = {
+      to: route.tx.to,
+      data: route.tx.data,
+      value: BigInt(route.tx.value),
+      gas: route.gas ? BigInt(route.gas) : undefined,
+      maxFeePerGas,
+      maxPriorityFeePerGas
+    };
+    
+    let sentNonce;
+    const txHash = await nonceManager.send(route.chainId, wallet.address, {
+      sign: async (nonce) => {
+        sentNonce = nonce;
+        const prepared = await walletClient.prepareTransactionRequest({ ...request, nonce });
+        const serialized = await walletClient.signTransaction(prepared);
+        return { hash: keccak256(serialized), serialized };
+      },
+      broadcast: (serialized) => walletClient.sendRawTransaction({ serializedTransaction: serialized })
+    });
+    
+    logger.info('Enso route transaction sent', {
+      txHash,
+      chainId: route.chainId,
+      destinationChainId: route.destinationChainId,
+      amountIn: route.amountIn,
+      expectedOutput: route.amountOut
+    });
+    
+    return {
+      txHash,
+      broadcast: {
+        chainId: route.chainId,
+        from: wallet.address,
+        nonce: sentNonce,
+        to: request.to,
+        data: request.data,
+        value: request.value.toString(),
+        gas: request.gas ? request.gas.toString() : null,
+        maxFeePerGas: maxFeePerGas.toString(),
+        maxPriorityFeePerGas: maxPriorityFeePerGas.toString()
       }
-      
-      // 2. Simulate Enso deposit transaction (placeholder for actual Enso SDK integration)
-      const depositData = {
-        to: process.env.ENSO_ROUTER_ADDRESS || '0x1234567890123456789012345678901234567890',
-        data: '0x',
-        value: 0n,
-        gasLimit: 300000
-      };
-      
-      // 3. Execute transaction using viem wallet client
-      const txHash = await this.polygonWalletClient.sendTransaction({
-        to: depositData.to,
-        data: depositData.data,
-        value: depositData.value,
-        gas: BigInt(depositData.gasLimit)
-      });
-      
-      // 4. Monitor cross-chain transaction
-      return this.monitorCrossChainTransactionViem(txHash, 'deposit');
-      
-    } catch (error) {
-      logger.error('Deposit with ethers+viem failed:', error);
-      throw new Error(`Deposit failed: ${error.message}`);
-    }
+    };
   }
 
   /**
-   * Withdraw LP tokens for EURe using ethers.js + viem integration
-   * @param {string} amount - Amount to withdraw
-   * @returns {Object} Transaction result
+   * Replace a pending transaction with a same-nonce transaction paying higher
+   * EIP-1559 fees: either the original call again (speed-up) or a zero-value
+   * self-transfer (cancel)
+   * @param {Object} broadcast - Broadcast request recorded when the transaction was sent
+   * @param {string} kind - 'speedup' or 'cancel'
+   * @param {number} feeBumpPercent - Minimum fee increase over the last broadcast (default: FEE_BUMP_PERCENT or 15)
+   * @returns {Object} Replacement ({ kind, txHash, nonce, maxFeePerGas, maxPriorityFeePerGas })
    */
-  async withdrawWithEthersViem(amount) {
-    const LP_TOKEN = '0xedbc7449a9b594ca4e053d9737ec5dc4cbccbfb2';
+  async replaceTransaction(broadcast, kind, feeBumpPercent = null) {
+    const { client, wallet, walletClient } = this.getChainContext(broadcast.chainId);
+    const bumpPercent = feeBumpPercent || parseFloat(process.env.FEE_BUMP_PERCENT) || 15;
     
-    try {
-      // 1. Approve LP token spending using ethers.js
-      const lpContract = new ethers.Contract(
-        LP_TOKEN,
-        [
-          'function approve(address spender, uint256 amount) returns (bool)',
-          'function allowance(address owner, address spender) view returns (uint256)'
-        ],
-        this.gnosisWallet
-      );
-      
-      const amountWei = ethers.parseEther(amount.toString());
-      
-      // Check current allowance
-      const currentAllowance = await lpContract.allowance(
-        this.gnosisWallet.address,
-        process.env.ENSO_ROUTER_ADDRESS || '0x1234567890123456789012345678901234567890'
-      );
-      
-      if (currentAllowance < amountWei) {
-        const approveTx = await lpContract.approve(
-          process.env.ENSO_ROUTER_ADDRESS || '0x1234567890123456789012345678901234567890',
-          amountWei
-        );
-        await approveTx.wait();
-      }
-      
-      // 2. Simulate Enso withdrawal transaction (placeholder for actual Enso SDK integration)
-      const withdrawData = {
-        to: process.env.ENSO_ROUTER_ADDRESS || '0x1234567890123456789012345678901234567890',
-        data: '0x',
-        value: 0n,
-        gasLimit: 300000
-      };
-      
-      // 3. Execute transaction using viem wallet client
-      const txHash = await this.gnosisWalletClient.sendTransaction({
-        to: withdrawData.to,
-        data: withdrawData.data,
-        value: withdrawData.value,
-        gas: BigInt(withdrawData.gasLimit)
-      });
-      
-      // 4. Monitor cross-chain transaction
-      return this.monitorCrossChainTransactionViem(txHash, 'withdraw');
-      
-    } catch (error) {
-      logger.error('Withdrawal with ethers+viem failed:', error);
-      throw new Error(`Withdrawal failed: ${error.message}`);
+    // Once the nonce is mined there is nothing left to replace
+    const minedCount = await client.getTransactionCount({ address: broadcast.from, blockTag: 'latest' });
+    if (minedCount > broadcast.nonce) {
+      throw new Error(`Nonce ${broadcast.nonce} has already been mined`);
     }
+    
+    // Outbid the previous fees by the bump, and never go below the current market
+    const current = await client.estimateFeesPerGas();
+    const bump = (fee) => {
+      const bps = BigInt(Math.round(bumpPercent * 100));
+      return (BigInt(fee) * (10000n + bps) + 9999n) / 10000n;
+    };
+    const maxPriorityFeePerGas = [bump(broadcast.maxPriorityFeePerGas), current.maxPriorityFeePerGas]
+      .reduce((a, b) => (a > b ? a : b));
+    const maxFeePerGas = [bump(broadcast.maxFeePerGas), current.maxFeePerGas, maxPriorityFeePerGas]
+      .reduce((a, b) => (a > b ? a : b));
+    
+    const request = kind === 'cancel'
+      ? { to: wallet.address, data: '0x', value: 0n, gas: 21000n }
+      : {
+        to: broadcast.to,
+        data: broadcast.data,
+        value: BigInt(broadcast.value),
+        gas: broadcast.gas ? BigInt(broadcast.gas) : undefined
+      };
+    
+    const txHash = await walletClient.sendTransaction({
+      ...request,
+      nonce: broadcast.nonce,
+      maxFeePerGas,
+      maxPriorityFeePerGas
+    });
+    
+    // The nonce manager follows the newest hash for drop detection
+    nonceManager.markSent(broadcast.chainId, broadcast.from, broadcast.nonce, txHash);
+    
+    logger.info('Replacement transaction sent', {
+      kind,
+      txHash,
+      chainId: broadcast.chainId,
+      nonce: broadcast.nonce,
+      maxFeePerGas: maxFeePerGas.toString(),
+      maxPriorityFeePerGas: maxPriorityFeePerGas.toString()
+    });
+    
+    return {
+      kind,
+      txHash,
+      nonce: broadcast.nonce,
+      to: request.to,
+      data: request.data,
+      value: request.value.toString(),
+      gas: request.gas ? request.gas.toString() : null,
+      maxFeePerGas: maxFeePerGas.toString(),
+      maxPriorityFeePerGas: maxPriorityFeePerGas.toString()
+    };
   }
 
   /**
-   * Monitor cross-chain transaction using viem
-   * @param {string} txHash - Transaction hash
-   * @param {string} operation - Operation type (deposit/withdraw)
-   * @returns {Object} Monitoring result
+   * Approve a spender for an ERC20 token if the current allowance is too low
+   * @param {string} tokenAddress - Token contract address
+   * @param {string} spender - Address to approve
+   * @param {bigint} amount - Required allowance in base units
+   * @param {Object} wallet - ethers wallet connected to the token's chain
+   * @param {number} chainId - Chain ID of the token
    */
-  async monitorCrossChainTransactionViem(txHash, operation) {
-    const transactionId = `${operation}_${Date.now()}`;
+  async ensureAllowance(tokenAddress, spender, amount, wallet, chainId) {
+    const tokenContract = new ethers.Contract(
+      tokenAddress,
+      [
+        'function approve(address spender, uint256 amount) returns (bool)',
+        'function allowance(address owner, address spender) view returns (uint256)'
+      ],
+      wallet
+    );
     
-    try {
-      // Monitor source chain transaction
-      const sourceChain = operation === 'deposit' ? this.polygonClient : this.gnosisClient;
-      
-      const receipt = await sourceChain.waitForTransactionReceipt({
-        hash: txHash,
-        timeout: 300000 // 5 minutes
+    const currentAllowance = await tokenContract.allowance(wallet.address, spender);
+    
+    if (currentAllowance < amount) {
+      const approveHash = await nonceManager.send(chainId, wallet.address, {
+        sign: async (nonce) => {
+          const approveTx = await tokenContract.approve.populateTransaction(spender, amount, { nonce });
+          const serialized = await wallet.signTransaction(await wallet.populateTransaction(approveTx));
+          return { hash: ethers.keccak256(serialized), serialized };
+        },
+        broadcast: (serialized) => wallet.provider.broadcastTransaction(serialized)
       });
+      await wallet.provider.waitForTransaction(approveHash);
       
-      if (receipt.status === 'success') {
-        // Simulate destination chain monitoring
-        logger.info('Cross-chain transaction monitoring started', {
-          transactionId,
-          operation,
-          sourceHash: txHash,
-          status: receipt.status
-        });
-        
-        return {
-          transactionId,
-          sourceHash: txHash,
-          status: 'completed',
-          operation,
-          receipt: {
-            blockNumber: receipt.blockNumber.toString(),
-            gasUsed: receipt.gasUsed.toString(),
-            status: receipt.status
-          }
-        };
-      } else {
-        throw new Error('Source transaction failed');
-      }
-      
-    } catch (error) {
-      logger.error('Transaction monitoring failed:', error);
-      throw error;
+      logger.info('Token approval confirmed', {
+        tokenAddress,
+        spender,
+        amount: amount.toString(),
+        txHash: approveHash
+      });
     }
   }
 
   /**
    * Estimate gas for operations using viem
    * @param {string} operation - Operation type (deposit/withdraw)
-   * @param {string} amount - Amount for the operation
+   * @param {string} amount - Amount for the operation in base units
+   * @param {string} strategyId - Strategy ID (default strategy if omitted)
    * @returns {Object} Gas estimation with viem
    */
-  async estimateGasViem(operation, amount) {
+  async estimateGasViem(operation, amount, strategyId = null) {
     try {
-      const client = operation === 'deposit' ? this.polygonWalletClient : this.gnosisWalletClient;
       
-      // Simulate transaction data (placeholder for actual Enso routes)
-      const routeData = {
-        to: process.env.ENSO_ROUTER_ADDRESS || '0x1234567890123456789012345678901234567890',
-        data: '0x',
-        value: 0n
-      };
+      // Estimate against the actual Enso route calldata
+      const route = operation === 'deposit'
+        ? await this.getDepositRoute(amount, 0.5, null, strategyId)
+        : await this.getWithdrawRoute(amount, 0.5, null, strategyId);
       
       // Estimate gas using viem
+      const { client, wallet } = this.getChainContext(route.chainId);
       const gasEstimate = await client.estimateGas({
-        to: routeData.to,
-        data: routeData.data,
-        value: routeData.value
+        account: wallet.address,
+        to: route.tx.to,
+        data: route.tx.data,
+        value: BigInt(route.tx.value)
       });
       
       // Get current gas price
@@ -821,4 +1181,6 @@ class EnsoYieldFarming {
   }
 }
 
-module.exports = EnsoYieldFarming;
\ No newline at end of file
+module.exports = EnsoYieldFarming;
+module.exports.PRICE_IMPACT_TOO_HIGH = PRICE_IMPACT_TOO_HIGH;
+module.exports.REWARDS_NOT_CLAIMABLE = REWARDS_NOT_CLAIMABLE;
\ No newline at end of file
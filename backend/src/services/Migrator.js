@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { DATABASE_CONFIG } = require('../config/database');
+
+// Migration files are `<version>_<name>.js`, e.g. 002_add_transaction_index.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const MIGRATION_TEMPLATE = `// Describe what this migration changes and why
+
+module.exports = {
+  up(db) {
+    db.exec(\`\`);
+  },
+
+  down(db) {
+    db.exec(\`\`);
+  }
+};
+`;
+
+class Migrator {
+  /**
+   * Applies and reverts numbered up/down migrations, recording applied
+   * versions in the migrations table. Every run holds SQLite's write lock
+   * (BEGIN IMMEDIATE), so concurrent processes apply each migration once.
+   * @param {Object} db - better-sqlite3 connection
+   * @param {Object} options - Migrator options
+   * @param {string} options.directory - Migration files directory
+   * @param {string} options.table - Table applied versions are recorded in
+   */
+  constructor(db, {
+    directory = DATABASE_CONFIG.migrations.directory,
+    table = DATABASE_CONFIG.migrations.table
+  } = {}) {
+    this.db = db;
+    this.directory = directory;
+    this.table = table;
+  }
+
+  /**
+   * Create the migrations table if it does not exist
+   */
+  ensureTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * List the migration files, lowest version first
+   * @returns {Array} Migrations ({ version, name, file })
+   */
+  getMigrations() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file: path.join(this.directory, file)
+      }))
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].name}, ${migration.name}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  /**
+   * Get the applied versions
+   * @returns {Map} Applied migrations ({ name, appliedAt }) by version
+   */
+  getApplied() {
+    this.ensureTable();
+
+    return new Map(this.db.prepare(`SELECT version, name, applied_at FROM ${this.table} ORDER BY version`).all()
+      .map(row => [row.version, { name: row.name, appliedAt: row.applied_at }]));
+  }
+
+  /**
+   * Describe every migration and whether it is applied
+   * @returns {Array} Status ({ version, name, applied, appliedAt, missing }), lowest version first
+   */
+  status() {
+    const applied = this.getApplied();
+    const migrations = this.getMigrations();
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return [
+      ...migrations.map(({ version, name }) => ({
+        version,
+        name,
+        applied: applied.has(version),
+        appliedAt: applied.get(version)?.appliedAt || null,
+        missing: false
+      })),
+      // Applied versions whose file is gone cannot be reverted
+      ...Array.from(applied)
+        .filter(([version]) => !known.has(version))
+        .map(([version, { name, appliedAt }]) => ({ version, name, applied: true, appliedAt, missing: true }))
+    ].sort((a, b) => a.version - b.version);
+  }
+
+  /**
+   * Apply pending migrations in order, all in one transaction
+   * @param {Object} options - Options
+   * @param {number} options.to - Highest version to apply (default: all)
+   * @returns {Array} Applied migrations
+   */
+  up({ to = Infinity } = {}) {
+    this.ensureTable();
+
+    return this.db.transaction(() => {
+      // Read under the lock: another process may have migrated while we waited
+      const applied = this.getApplied();
+      const pending = this.getMigrations().filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+      pending.forEach(migration => {
+        logger.info('Applying migration', { version: migration.version, name: migration.name });
+
+        this.load(migration).up(this.db);
+        this.db.prepare(`INSERT INTO ${this.table} (version, name, applied_at) VALUES (?, ?, ?)`)
+          .run(migration.version, migration.name, new Date().toISOString());
+      });
+
+      return pending.map(({ version, name }) => ({ version, name }));
+    }).immediate();
+  }
+
+  /**
+   * Revert the most recently applied migrations, newest first
+   * @param {Object} options - Options
+   * @param {number} options.steps - How many migrations to revert (default: 1)
+   * @returns {Array} Reverted migrations
+   */
+  down({ steps = 1 } = {}) {
+    this.ensureTable();
+
+    return this.db.transaction(() => {
+      const migrations = new Map(this.getMigrations().map(migration => [migration.version, migration]));
+      const targets = Array.from(this.getApplied().keys()).reverse().slice(0, steps);
+
+      return targets.map(version => {
+        const migration = migrations.get(version);
+        if (!migration) {
+          throw new Error(`Cannot revert migration ${version}: its file is missing`);
+        }
+
+        logger.info('Reverting migration', { version, name: migration.name });
+
+        this.load(migration).down(this.db);
+        this.db.prepare(`DELETE FROM ${this.table} WHERE version = ?`).run(version);
+
+        return { version, name: migration.name };
+      });
+    }).immediate();
+  }
+
+  /**
+   * Write a new migration file numbered after the highest existing version
+   * @param {string} name - Migration name (e.g. "add transaction index")
+   * @returns {string} Path of the created file
+   */
+  create(name) {
+    const slug = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+      throw new Error('Migration name must contain letters or digits');
+    }
+
+    const migrations = this.getMigrations();
+    const version = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+    const file = path.join(this.directory, `${String(version).padStart(3, '0')}_${slug}.js`);
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    fs.writeFileSync(file, MIGRATION_TEMPLATE, { flag: 'wx' });
+
+    return file;
+  }
+
+  /**
+   * Load a migration module and check it has up and down
+   */
+  load(migration) {
+    const definition = require(migration.file);
+
+    if (typeof definition.up !== 'function' || typeof definition.down !== 'function') {
+      throw new Error(`Migration ${path.basename(migration.file)} must export up(db) and down(db)`);
+    }
+
+    return definition;
+  }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,31 @@
+class PegPriceSource {
+  /**
+   * Prices stablecoins at their token-list peg (e.g. EURe at 1 EUR). Only the
+   * peg currency is answered; other currencies fall through to later sources.
+   */
+  constructor() {
+    this.name = 'peg';
+  }
+
+  /**
+   * Check if this source can price a token
+   * @param {Object} config - Token price configuration
+   * @param {string} currency - Fiat currency (lowercase)
+   * @returns {boolean} Whether the token is pegged to the currency
+   */
+  supports(config, currency) {
+    return Boolean(config.peg) && config.peg.toLowerCase() === currency;
+  }
+
+  /**
+   * Get quotes for pegged tokens
+   * @param {Array} configs - Token price configurations
+   * @returns {Map} Quotes ({ price, updatedAt }) by token key
+   */
+  async getQuotes(configs) {
+    const now = Date.now();
+    return new Map(configs.map(config => [config.key, { price: 1, updatedAt: now }]));
+  }
+}
+
+module.exports = PegPriceSource;
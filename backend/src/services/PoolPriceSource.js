@@ -0,0 +1,133 @@
+const { parseAbi } = require('viem');
+const logger = require('../utils/logger');
+const { VALUE_DECIMALS, fromBaseUnits, valueAtPrice } = require('../utils/amounts');
+const { getPublicClient, getMulticallAddress } = require('../config/chains');
+const { getTokenPriceConfig } = require('../config/tokens');
+
+const poolAbi = parseAbi([
+  'function coins(uint256 index) view returns (address)',
+  'function balances(uint256 index) view returns (uint256)',
+  'function totalSupply() view returns (uint256)'
+]);
+
+// Curve pools hold at most eight coins; missing indexes revert
+const MAX_POOL_COINS = 8;
+
+class PoolPriceSource {
+  /**
+   * Prices Curve LP tokens from on-chain pool reserves: the value of every
+   * coin the pool holds, divided by the LP supply. Factory pools are their
+   * own LP token. Coins are priced through the oracle that owns this source.
+   * @param {Object} oracle - Price oracle used to price the pool's coins
+   */
+  constructor(oracle) {
+    this.name = 'pool';
+    this.oracle = oracle;
+  }
+
+  /**
+   * Check if this source can price a token
+   * @param {Object} config - Token price configuration
+   * @returns {boolean} Whether the token is a registry LP token
+   */
+  supports(config) {
+    return config.isLP && config.decimals !== null;
+  }
+
+  /**
+   * Get quotes for LP tokens, one Multicall3 batch per pool
+   * @param {Array} configs - Token price configurations
+   * @param {string} currency - Fiat currency (lowercase)
+   * @returns {Map} Quotes ({ price, updatedAt }) by token key
+   */
+  async getQuotes(configs, currency) {
+    const quotes = new Map();
+
+    for (const config of configs) {
+      const quote = await this.getQuote(config, currency);
+      if (quote) {
+        quotes.set(config.key, quote);
+      }
+    }
+
+    return quotes;
+  }
+
+  async getQuote(config, currency) {
+    const { coins, balances, totalSupply } = await this.readReserves(config);
+
+    if (totalSupply === 0n || coins.length === 0) {
+      return null;
+    }
+
+    const coinConfigs = coins.map(coin => getTokenPriceConfig(coin, config.chainId));
+    const unknown = coinConfigs.filter(coin => coin.decimals === null || coin.isLP);
+    if (unknown.length > 0) {
+      logger.debug('Pool holds coins that cannot be priced', {
+        pool: config.address,
+        coins: unknown.map(coin => coin.address)
+      });
+      return null;
+    }
+
+    const coinQuotes = await this.oracle.getQuotes(coinConfigs, currency);
+    if (coinConfigs.some(coin => !coinQuotes.has(coin.key))) {
+      return null;
+    }
+
+    const reserveValue = coinConfigs.reduce((sum, coin, index) => {
+      return sum + valueAtPrice(balances[index], coin.decimals, coinQuotes.get(coin.key).price);
+    }, 0n);
+
+    return {
+      price: Number(fromBaseUnits(reserveValue * 10n ** BigInt(config.decimals) / totalSupply, VALUE_DECIMALS)),
+      // As fresh as the oldest coin price it was derived from
+      updatedAt: Math.min(...coinConfigs.map(coin => coinQuotes.get(coin.key).updatedAt))
+    };
+  }
+
+  /**
+   * Read a pool's coins, their balances and the LP supply in one batch
+   */
+  async readReserves(config) {
+    const client = getPublicClient(config.chainId);
+    const indexes = Array.from({ length: MAX_POOL_COINS }, (_, index) => BigInt(index));
+
+    const [supplyResult, ...results] = await client.multicall({
+      contracts: [
+        { address: config.address, abi: poolAbi, functionName: 'totalSupply' },
+        ...indexes.flatMap(index => [
+          { address: config.address, abi: poolAbi, functionName: 'coins', args: [index] },
+          { address: config.address, abi: poolAbi, functionName: 'balances', args: [index] }
+        ])
+      ],
+      multicallAddress: getMulticallAddress(config.chainId),
+      allowFailure: true,
+      batchSize: 0
+    });
+
+    if (supplyResult.status !== 'success') {
+      throw new Error(`Failed to read LP supply of ${config.address}: ${supplyResult.error?.shortMessage || supplyResult.error?.message}`);
+    }
+
+    const coins = [];
+    const balances = [];
+
+    // Coins are read until the first missing index
+    for (let index = 0; index < MAX_POOL_COINS; index++) {
+      const coin = results[index * 2];
+      const balance = results[index * 2 + 1];
+
+      if (coin.status !== 'success' || balance.status !== 'success') {
+        break;
+      }
+
+      coins.push(coin.result);
+      balances.push(balance.result);
+    }
+
+    return { coins, balances, totalSupply: supplyResult.result };
+  }
+}
+
+module.exports = PoolPriceSource;
@@ -0,0 +1,250 @@
+const logger = require('../utils/logger');
+const { VALUE_DECIMALS, toSignedBaseUnits, fromBaseUnits, toBigInt, valueAtPrice } = require('../utils/amounts');
+const { getStrategy, isSupportedStrategy } = require('../config/strategies');
+const { EXECUTION_MODES } = require('../config/execution');
+const transactionStore = require('./transactionStore');
+const { ACTIVE_STATUSES } = require('./transactionStateMachine');
+const priceService = require('./priceService');
+const { VALUATION_CURRENCIES } = require('./priceService');
+
+// Operations that move a position, in the order they are replayed
+const LEDGER_TYPES = ['deposit', 'compound', 'withdraw'];
+
+class PositionLedger {
+  /**
+   * Build an address's positions from its completed operations, one per
+   * strategy, valued at current prices
+   * @param {string} address - Wallet address
+   * @returns {Object} Positions and their totals in every valuation currency
+   */
+  async getPositions(address) {
+    const byStrategy = new Map();
+
+    this.listOperations(address).forEach(record => {
+      if (!byStrategy.has(record.strategyId)) {
+        byStrategy.set(record.strategyId, []);
+      }
+      byStrategy.get(record.strategyId).push(record);
+    });
+
+    const positions = [];
+    for (const [strategyId, records] of byStrategy) {
+      positions.push(await this.buildPosition(getStrategy(strategyId), records));
+    }
+
+    return {
+      address,
+      positions,
+      totals: this.sumPositions(positions),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * List the completed operations that move an address's positions
+   * @param {string} address - Wallet address
+   * @param {string} strategyId - Only this strategy's operations (optional)
+   * @returns {Array} Deposit, compound and withdraw records, oldest first
+   */
+  listOperations(address, strategyId = null) {
+    return transactionStore.list({ userAddress: address, status: 'completed', ...(strategyId && { strategyId }) })
+      .filter(record => LEDGER_TYPES.includes(record.type) && record.strategyId && isSupportedStrategy(record.strategyId));
+  }
+
+  /**
+   * LP an address can still withdraw from a strategy: what its completed
+   * operations hold, less what its withdrawals still in flight will burn.
+   * Live withdrawals only count live operations, so simulated deposits never
+   * back a real one.
+   * @param {string} address - Wallet address
+   * @param {Object} strategy - Strategy configuration
+   * @param {string} executionMode - Execution mode of the withdrawal
+   * @returns {bigint} LP in base units
+   */
+  getWithdrawableLp(address, strategy, executionMode) {
+    const counts = (record) => executionMode !== EXECUTION_MODES.LIVE || record.executionMode === EXECUTION_MODES.LIVE;
+
+    const { lp } = this.replay(this.listOperations(address, strategy.id).filter(counts), strategy.position.token.decimals);
+    const inFlight = transactionStore.list({ userAddress: address, type: 'withdraw', strategyId: strategy.id })
+      .filter(record => ACTIVE_STATUSES.includes(record.status) && counts(record))
+      .reduce((sum, record) => sum + toBigInt(record.amountRaw), 0n);
+
+    return lp > inFlight ? lp - inFlight : 0n;
+  }
+
+  /**
+   * Replay a strategy's operations at average cost. Deposits and compounds
+   * add the LP received at the cost paid; withdrawals remove cost pro rata to
+   * the LP burnt and realise the difference to what was received. Costs are
+   * kept in deposit-token base units and, from each record's values at the
+   * time it was initiated, in every valuation currency.
+   * @param {Array} records - Completed records of one strategy, oldest first
+   * @param {number} lpDecimals - Decimals of the strategy's LP token
+   * @returns {Object} LP held, its cost, realised P&L and time-weighted return factors
+   */
+  replay(records, lpDecimals) {
+    let lp = 0n;
+    let cost = 0n;
+    let realised = 0n;
+    const fiat = Object.fromEntries(VALUATION_CURRENCIES.map(currency => [currency, {
+      cost: 0n,
+      realised: 0n,
+      // Unknown once any record could not be valued in this currency
+      known: true,
+      // Growth of one unit invested, chained across the periods between operations
+      growth: 1,
+      lastPrice: null,
+      lastLp: 0n
+    }]));
+
+    records.forEach(record => {
+      const isExit = record.type === 'withdraw';
+      const lpMoved = isExit
+        ? (toBigInt(record.amountRaw) < lp ? toBigInt(record.amountRaw) : lp)
+        : toBigInt(record.expectedOutputRaw || 0);
+
+      if (lpMoved === 0n) {
+        return;
+      }
+
+      const lpBefore = lp;
+      const costShare = isExit && lp > 0n ? cost * lpMoved / lp : 0n;
+
+      if (isExit) {
+        realised += toBigInt(record.expectedOutputRaw || 0) - costShare;
+        cost -= costShare;
+        lp -= lpMoved;
+      } else {
+        cost += toBigInt(record.amountRaw);
+        lp += lpMoved;
+      }
+
+      VALUATION_CURRENCIES.forEach(currency => {
+        const state = fiat[currency];
+        const value = record.values?.[currency];
+
+        if (value === null || value === undefined) {
+          state.known = false;
+          return;
+        }
+
+        // The record's value of what it moved implies the LP unit price at the time
+        const raw = toSignedBaseUnits(value, VALUE_DECIMALS);
+        const price = Number(value) / Number(fromBaseUnits(isExit ? toBigInt(record.amountRaw) : lpMoved, lpDecimals));
+
+        if (isExit) {
+          const share = lpBefore > 0n ? state.cost * lpMoved / lpBefore : 0n;
+          state.realised += raw - share;
+          state.cost -= share;
+        } else {
+          state.cost += raw;
+        }
+
+        // Deposits and withdrawals are external flows, so the period before
+        // them ends on the LP held before; compounded rewards are return
+        if (state.lastPrice !== null && state.lastLp > 0n) {
+          const periodLp = record.type === 'compound' ? lp : lpBefore;
+          state.growth *= (Number(periodLp) * price) / (Number(state.lastLp) * state.lastPrice);
+        }
+        state.lastPrice = price;
+        state.lastLp = lp;
+      });
+    });
+
+    return { lp, cost, realised, fiat };
+  }
+
+  /**
+   * Describe one strategy position at current prices
+   * @param {Object} strategy - Strategy configuration
+   * @param {Array} records - Completed records of the strategy, oldest first
+   * @returns {Object} Position with cost basis, value and P&L per currency
+   */
+  async buildPosition(strategy, records) {
+    const lpToken = strategy.position.token;
+    const depositToken = strategy.deposit.token;
+    const { lp, cost, realised, fiat } = this.replay(records, lpToken.decimals);
+
+    const quotes = await Promise.all(VALUATION_CURRENCIES.map(currency => priceService.getQuotes([lpToken], currency)));
+    const format = (raw) => raw !== null ? fromBaseUnits(raw, VALUE_DECIMALS) : null;
+
+    const values = Object.fromEntries(VALUATION_CURRENCIES.map((currency, index) => {
+      const state = fiat[currency];
+      const quote = quotes[index].get(priceService.keyOf(lpToken));
+      const currentValue = quote ? valueAtPrice(lp, lpToken.decimals, quote.price) : null;
+      const costBasis = state.known ? state.cost : null;
+      const unrealised = currentValue !== null && costBasis !== null ? currentValue - costBasis : null;
+      const realisedPnl = state.known ? state.realised : null;
+
+      // Close the last period at the current price while LP is still held
+      let growth = state.known && state.lastPrice !== null ? state.growth : null;
+      if (growth !== null && state.lastLp > 0n) {
+        growth = quote ? growth * quote.price / state.lastPrice : null;
+      }
+
+      return [currency, {
+        price: quote ? quote.price : null,
+        costBasis: format(costBasis),
+        currentValue: format(currentValue),
+        realisedPnl: format(realisedPnl),
+        unrealisedPnl: format(unrealised),
+        totalPnl: format(unrealised !== null && realisedPnl !== null ? unrealised + realisedPnl : null),
+        // Percent, independent of the size and timing of deposits and withdrawals
+        timeWeightedReturn: growth !== null ? ((growth - 1) * 100).toFixed(4) : null
+      }];
+    }));
+
+    if (VALUATION_CURRENCIES.some(currency => !fiat[currency].known)) {
+      logger.debug('Position has operations without recorded values', { strategyId: strategy.id });
+    }
+
+    return {
+      strategyId: strategy.id,
+      name: strategy.name,
+      token: {
+        address: lpToken.address,
+        symbol: lpToken.symbol,
+        decimals: lpToken.decimals
+      },
+      balance: fromBaseUnits(lp, lpToken.decimals),
+      balanceRaw: lp.toString(),
+      // Deposit-token amount paid for the LP held, and gained on exits
+      costToken: depositToken.symbol,
+      cost: fromBaseUnits(cost, depositToken.decimals),
+      costRaw: cost.toString(),
+      realised: fromBaseUnits(realised, depositToken.decimals),
+      realisedRaw: realised.toString(),
+      values,
+      operations: {
+        deposits: records.filter(record => record.type === 'deposit').length,
+        compounds: records.filter(record => record.type === 'compound').length,
+        withdrawals: records.filter(record => record.type === 'withdraw').length
+      },
+      openedAt: records[0].createdAt,
+      lastOperationAt: records[records.length - 1].createdAt
+    };
+  }
+
+  /**
+   * Total cost basis, value and P&L across positions, per currency (null
+   * when any position's figure is unknown)
+   */
+  sumPositions(positions) {
+    const fields = ['costBasis', 'currentValue', 'realisedPnl', 'unrealisedPnl', 'totalPnl'];
+
+    return Object.fromEntries(VALUATION_CURRENCIES.map(currency => [
+      currency,
+      Object.fromEntries(fields.map(field => {
+        const figures = positions.map(position => position.values[currency][field]);
+        return [
+          field,
+          figures.includes(null)
+            ? null
+            : fromBaseUnits(figures.reduce((sum, figure) => sum + toSignedBaseUnits(figure, VALUE_DECIMALS), 0n), VALUE_DECIMALS)
+        ];
+      }))
+    ]));
+  }
+}
+
+module.exports = PositionLedger;
@@ -0,0 +1,344 @@
+const { decodeEventLog } = require('viem');
+const logger = require('../utils/logger');
+const { getPublicClient, getConfirmationPolicy } = require('../config/chains');
+const { getBridges, TRANSFER_EVENT } = require('../config/bridges');
+const database = require('./database');
+
+// Settlement status of a cross-chain operation
+const SETTLEMENT_STATUS = {
+  // Source-chain transaction mined successfully
+  SOURCE_CONFIRMED: 'source_confirmed',
+  // Waiting for the bridge to deliver on the destination chain
+  BRIDGING: 'bridging',
+  // Delivery matched on the destination chain and buried at its confirmation depth
+  DESTINATION_CONFIRMED: 'destination_confirmed'
+};
+
+class SettlementTracker {
+  constructor() {
+    // Destination blocks to look back when tracking starts, since delivery can
+    // land before the source receipt is first seen
+    this.lookbackBlocks = BigInt(parseInt(process.env.SETTLEMENT_LOOKBACK_BLOCKS) || 1000);
+    // Maximum block range per eth_getLogs request
+    this.maxBlockRange = 2000n;
+  }
+
+  /**
+   * Start tracking settlement from a successful source-chain receipt
+   * @param {Object} params - Tracking parameters
+   * @param {string} params.txId - Transaction ID the settlement belongs to
+   * @param {number} params.sourceChainId - Source chain ID
+   * @param {number} params.destinationChainId - Destination chain ID
+   * @param {Object} params.receipt - Source-chain receipt (ethers)
+   * @returns {Object} Settlement state
+   */
+  async start({ txId, sourceChainId, destinationChainId, receipt }) {
+    const message = this.findBridgeMessage(receipt.logs, sourceChainId, destinationChainId);
+    const latest = await getPublicClient(destinationChainId).getBlockNumber();
+    const fromBlock = latest > this.lookbackBlocks ? latest - this.lookbackBlocks : 0n;
+    // Deliveries can't come before the source leg, which bounds the lookback
+    const sourceBlock = await getPublicClient(sourceChainId).getBlock({ blockHash: receipt.blockHash });
+
+    logger.info('Source leg confirmed, tracking destination delivery', {
+      sourceChainId,
+      destinationChainId,
+      sourceTxHash: receipt.hash,
+      bridge: message?.bridge || null,
+      messageId: message?.messageId || null
+    });
+
+    return {
+      txId,
+      status: SETTLEMENT_STATUS.SOURCE_CONFIRMED,
+      source: {
+        chainId: sourceChainId,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        timestamp: Number(sourceBlock.timestamp)
+      },
+      destination: this.emptyDestination(destinationChainId),
+      bridge: message?.bridge || null,
+      messageId: message?.messageId || null,
+      messageAmount: message?.amount || null,
+      nextBlock: fromBlock.toString()
+    };
+  }
+
+  emptyDestination(chainId) {
+    return { chainId, txHash: null, logIndex: null, blockNumber: null, blockHash: null, confirmations: 0 };
+  }
+
+  /**
+   * Find a known bridge's outbound message event in source-chain logs, emitted
+   * by the bridge's own contract. Only bridges with contracts on both chains
+   * are matched; otherwise delivery falls back to the token transfer.
+   * @param {Array} logs - Receipt logs
+   * @param {number} sourceChainId - Source chain ID
+   * @param {number} destinationChainId - Destination chain ID
+   * @returns {Object|null} Bridge, message ID and the amount it credits
+   */
+  findBridgeMessage(logs, sourceChainId, destinationChainId) {
+    for (const bridge of getBridges()) {
+      const contract = bridge.contracts[sourceChainId];
+      if (!contract || !bridge.contracts[destinationChainId]) {
+        continue;
+      }
+
+      for (const log of logs) {
+        if (log.address.toLowerCase() !== contract) {
+          continue;
+        }
+
+        try {
+          const { args } = decodeEventLog({
+            abi: [bridge.sourceEvent],
+            data: log.data,
+            topics: log.topics
+          });
+
+          return {
+            bridge: bridge.id,
+            messageId: args[bridge.messageIdField],
+            amount: args[bridge.amountField].toString()
+          };
+        } catch (error) {
+          // Not this bridge's event
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Scan the destination chain for delivery, advancing the scan cursor. Once
+   * delivery is matched it is followed until it reaches the destination chain's
+   * confirmation depth; if its block is reorged out, the returned state carries
+   * `reorged` and scanning resumes from that block.
+   * @param {Object} settlement - Settlement state from start()
+   * @param {Object} expected - What delivery looks like
+   * @param {string} expected.receiver - Address receiving the routed tokens
+   * @param {string} expected.tokenOut - Token delivered on the destination chain
+   * @param {string} expected.minAmountOut - Minimum delivered amount in base units
+   * @returns {Object} Updated settlement state
+   */
+  async check(settlement, { receiver, tokenOut, minAmountOut }) {
+    if (settlement.status === SETTLEMENT_STATUS.DESTINATION_CONFIRMED) {
+      return settlement;
+    }
+
+    const client = getPublicClient(settlement.destination.chainId);
+    const latest = await client.getBlockNumber();
+
+    // Delivery already matched: wait for depth
+    if (settlement.destination.txHash) {
+      return this.confirmDelivery(client, settlement, latest);
+    }
+
+    let fromBlock = BigInt(settlement.nextBlock);
+
+    while (fromBlock <= latest) {
+      const toBlock = fromBlock + this.maxBlockRange - 1n < latest
+        ? fromBlock + this.maxBlockRange - 1n
+        : latest;
+
+      const delivery = settlement.messageId
+        ? await this.findMessageDelivery(client, settlement, fromBlock, toBlock)
+        : await this.findTransferDelivery(client, settlement, { receiver, tokenOut, minAmountOut }, fromBlock, toBlock);
+
+      if (delivery) {
+        logger.info('Destination delivery found', {
+          sourceTxHash: settlement.source.txHash,
+          destinationTxHash: delivery.transactionHash,
+          destinationChainId: settlement.destination.chainId
+        });
+
+        return this.confirmDelivery(client, {
+          ...settlement,
+          status: SETTLEMENT_STATUS.BRIDGING,
+          destination: {
+            ...settlement.destination,
+            txHash: delivery.transactionHash,
+            logIndex: Number(delivery.logIndex),
+            blockNumber: Number(delivery.blockNumber),
+            blockHash: delivery.blockHash
+          },
+          nextBlock: (toBlock + 1n).toString()
+        }, latest);
+      }
+
+      fromBlock = toBlock + 1n;
+    }
+
+    return {
+      ...settlement,
+      status: SETTLEMENT_STATUS.BRIDGING,
+      nextBlock: fromBlock.toString()
+    };
+  }
+
+  /**
+   * Check a matched delivery is still canonical and count its confirmations
+   * @param {Object} client - Destination chain public client
+   * @param {Object} settlement - Settlement state with a matched delivery
+   * @param {bigint} latest - Destination chain head
+   * @returns {Object} Updated settlement state
+   */
+  async confirmDelivery(client, settlement, latest) {
+    const { destination } = settlement;
+    const block = await this.getBlock(client, BigInt(destination.blockNumber));
+
+    if (!block || block.hash !== destination.blockHash) {
+      // The event may be re-included elsewhere, or not at all
+      this.releaseDelivery(settlement);
+
+      logger.warn('Destination delivery reorged out', {
+        sourceTxHash: settlement.source.txHash,
+        destinationTxHash: destination.txHash,
+        destinationChainId: destination.chainId,
+        blockNumber: destination.blockNumber,
+        blockHash: destination.blockHash
+      });
+
+      return {
+        ...settlement,
+        status: SETTLEMENT_STATUS.BRIDGING,
+        destination: this.emptyDestination(destination.chainId),
+        // The delivery may be re-included from the orphaned height onwards
+        nextBlock: destination.blockNumber.toString(),
+        reorged: {
+          leg: 'destination',
+          txHash: destination.txHash,
+          blockNumber: destination.blockNumber,
+          blockHash: destination.blockHash
+        }
+      };
+    }
+
+    const confirmations = Number(latest - BigInt(destination.blockNumber)) + 1;
+    const { confirmations: required } = getConfirmationPolicy(destination.chainId);
+
+    if (confirmations < required) {
+      return { ...settlement, destination: { ...destination, confirmations } };
+    }
+
+    logger.info('Destination leg confirmed', {
+      sourceTxHash: settlement.source.txHash,
+      destinationTxHash: destination.txHash,
+      destinationChainId: destination.chainId,
+      confirmations
+    });
+
+    return {
+      ...settlement,
+      status: SETTLEMENT_STATUS.DESTINATION_CONFIRMED,
+      destination: { ...destination, confirmations }
+    };
+  }
+
+  /**
+   * Get a block by number, or null if the chain is no longer that tall
+   */
+  async getBlock(client, blockNumber) {
+    try {
+      return await client.getBlock({ blockNumber });
+    } catch (error) {
+      if (error.name === 'BlockNotFoundError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Match the bridge's delivery event by message ID, emitted by the bridge's
+   * contract on the destination chain and crediting the amount that was sent
+   */
+  async findMessageDelivery(client, settlement, fromBlock, toBlock) {
+    const bridge = getBridges().find(b => b.id === settlement.bridge);
+
+    const logs = await client.getLogs({
+      address: bridge.contracts[settlement.destination.chainId],
+      event: bridge.destinationEvent,
+      args: { [bridge.messageIdField]: settlement.messageId },
+      fromBlock,
+      toBlock
+    });
+
+    return logs.find(log =>
+      log.args[bridge.amountField] === BigInt(settlement.messageAmount) &&
+      this.claimDelivery(settlement, log)
+    ) || null;
+  }
+
+  /**
+   * Match an ERC-20 transfer of the routed token to the receiver, made after
+   * the source leg and not already matched to another transaction
+   */
+  async findTransferDelivery(client, settlement, { receiver, tokenOut, minAmountOut }, fromBlock, toBlock) {
+    const logs = await client.getLogs({
+      address: tokenOut,
+      event: TRANSFER_EVENT,
+      args: { to: receiver },
+      fromBlock,
+      toBlock
+    });
+
+    for (const log of logs) {
+      if (log.args.value < BigInt(minAmountOut)) {
+        continue;
+      }
+
+      if (settlement.source.timestamp !== undefined) {
+        const block = await this.getBlock(client, log.blockNumber);
+        if (!block || Number(block.timestamp) < settlement.source.timestamp) {
+          continue;
+        }
+      }
+
+      if (this.claimDelivery(settlement, log)) {
+        return log;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a delivery as settling this transaction, unless another one
+   * already matched it
+   * @param {Object} settlement - Settlement state
+   * @param {Object} log - Delivery log
+   * @returns {boolean} Whether the delivery belongs to this transaction
+   */
+  claimDelivery(settlement, log) {
+    const db = database.getConnection();
+    const key = [settlement.destination.chainId, log.transactionHash, Number(log.logIndex)];
+
+    db.prepare(`
+      INSERT INTO settlement_deliveries (chain_id, tx_hash, log_index, tx_id, created_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (chain_id, tx_hash, log_index) DO NOTHING
+    `).run(...key, settlement.txId, new Date().toISOString());
+
+    const { tx_id: owner } = db.prepare(
+      'SELECT tx_id FROM settlement_deliveries WHERE chain_id = ? AND tx_hash = ? AND log_index = ?'
+    ).get(...key);
+
+    return owner === settlement.txId;
+  }
+
+  /**
+   * Free this transaction's matched delivery after it was reorged out
+   * @param {Object} settlement - Settlement state with a matched delivery
+   */
+  releaseDelivery(settlement) {
+    database.getConnection().prepare(
+      'DELETE FROM settlement_deliveries WHERE chain_id = ? AND tx_hash = ? AND tx_id = ?'
+    ).run(settlement.destination.chainId, settlement.destination.txHash, settlement.txId);
+  }
+}
+
+module.exports = SettlementTracker;
+module.exports.SETTLEMENT_STATUS = SETTLEMENT_STATUS;
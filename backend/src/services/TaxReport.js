@@ -0,0 +1,291 @@
+const logger = require('../utils/logger');
+const { VALUE_DECIMALS, toSignedBaseUnits, fromBaseUnits, toBigInt } = require('../utils/amounts');
+const { getStrategy } = require('../config/strategies');
+const PositionLedger = require('./PositionLedger');
+
+// Events are valued in this currency, at the prices of when they were initiated
+const REPORT_CURRENCY = 'EUR';
+
+// Which lots a withdrawal disposes of first
+const LOT_METHODS = ['fifo', 'lifo', 'hifo'];
+
+// Universal CSV import layout accepted by the common crypto-tax tools
+const CSV_COLUMNS = [
+  'Date',
+  'Sent Amount',
+  'Sent Currency',
+  'Received Amount',
+  'Received Currency',
+  'Fee Amount',
+  'Fee Currency',
+  'Net Worth Amount',
+  'Net Worth Currency',
+  'Label',
+  'Description',
+  'TxHash'
+];
+
+// Import labels per operation type
+const CSV_LABELS = {
+  deposit: 'liquidity in',
+  withdraw: 'liquidity out',
+  compound: 'reward'
+};
+
+const DAY_MS = 86400000;
+
+class TaxReport {
+  constructor() {
+    this.ledger = new PositionLedger();
+  }
+
+  /**
+   * Build a yearly tax report of an address's LP entries, exits and
+   * compounded rewards. Deposits and compounds open LP lots at their EUR
+   * value; withdrawals are matched against the lots over the whole history,
+   * so a year's gains use lots acquired in earlier years. Compounded rewards
+   * are income at their value when received.
+   * @param {Object} options - Report options
+   * @param {string} options.address - Wallet address
+   * @param {number} options.year - Calendar year (UTC)
+   * @param {string} options.method - Lot matching method (fifo, lifo, hifo)
+   * @returns {Object} Events, matched disposals and totals for the year
+   */
+  build({ address, year, method = 'fifo' }) {
+    if (!LOT_METHODS.includes(method)) {
+      throw new Error(`Unknown lot matching method: ${method}. Must be one of: ${LOT_METHODS.join(', ')}`);
+    }
+
+    const inYear = (date) => new Date(date).getUTCFullYear() === year;
+    const byStrategy = new Map();
+
+    this.ledger.listOperations(address).forEach(record => {
+      if (!byStrategy.has(record.strategyId)) {
+        byStrategy.set(record.strategyId, []);
+      }
+      byStrategy.get(record.strategyId).push(record);
+    });
+
+    const events = [];
+    const disposals = [];
+
+    byStrategy.forEach((records, strategyId) => {
+      const strategy = getStrategy(strategyId);
+
+      events.push(...records.filter(record => inYear(record.createdAt)).map(record => this.describeEvent(record, strategy)));
+      disposals.push(...this.matchLots(records, strategy, method).filter(disposal => inYear(disposal.disposedAt)));
+    });
+
+    events.sort((a, b) => a.date.localeCompare(b.date));
+    disposals.sort((a, b) => a.disposedAt.localeCompare(b.disposedAt));
+
+    return {
+      userAddress: address,
+      year,
+      method,
+      currency: REPORT_CURRENCY,
+      summary: this.summarize(events, disposals),
+      events,
+      disposals
+    };
+  }
+
+  /**
+   * Describe an operation as what was sent and received, and its value
+   * @param {Object} record - Completed operation record
+   * @param {Object} strategy - Strategy the operation belongs to
+   * @returns {Object} Report event
+   */
+  describeEvent(record, strategy) {
+    const depositToken = strategy.deposit.token;
+    const lpToken = strategy.position.token;
+    const leg = (token, raw) => ({
+      amount: fromBaseUnits(toBigInt(raw), token.decimals),
+      amountRaw: toBigInt(raw).toString(),
+      token: token.symbol
+    });
+    const isExit = record.type === 'withdraw';
+
+    return {
+      date: record.createdAt,
+      type: record.type,
+      txId: record.id,
+      txHash: record.txHash || null,
+      strategyId: strategy.id,
+      // Compounded rewards arrive as LP without anything being sent
+      sent: record.type === 'compound' ? null : leg(isExit ? lpToken : depositToken, record.amountRaw),
+      received: leg(isExit ? depositToken : lpToken, record.expectedOutputRaw || 0),
+      value: record.values?.[REPORT_CURRENCY] ?? null
+    };
+  }
+
+  /**
+   * Match a strategy's withdrawals against its LP lots
+   * @param {Array} records - Completed records of one strategy, oldest first
+   * @param {Object} strategy - Strategy configuration
+   * @param {string} method - Lot matching method (fifo, lifo, hifo)
+   * @returns {Array} Disposals, one per lot (part) a withdrawal consumed
+   */
+  matchLots(records, strategy, method) {
+    const lpToken = strategy.position.token;
+    const toValue = (value) => value !== null && value !== undefined ? toSignedBaseUnits(value, VALUE_DECIMALS) : null;
+    const format = (raw) => raw !== null ? fromBaseUnits(raw, VALUE_DECIMALS) : null;
+    const lots = [];
+    const disposals = [];
+
+    records.forEach(record => {
+      if (record.type !== 'withdraw') {
+        const amount = toBigInt(record.expectedOutputRaw || 0);
+        if (amount > 0n) {
+          lots.push({
+            txId: record.id,
+            type: record.type,
+            acquiredAt: record.createdAt,
+            remaining: amount,
+            cost: toValue(record.values?.[REPORT_CURRENCY])
+          });
+        }
+        return;
+      }
+
+      const amount = toBigInt(record.amountRaw);
+      const proceeds = toValue(record.values?.[REPORT_CURRENCY]);
+      let left = amount;
+      let allocated = 0n;
+
+      const take = (lot, part) => {
+        left -= part;
+        // The last part takes what is left of the proceeds, so the parts add up
+        const share = proceeds !== null ? (left === 0n ? proceeds - allocated : proceeds * part / amount) : null;
+        allocated += share ?? 0n;
+
+        let cost = null;
+        if (lot && lot.cost !== null) {
+          cost = lot.cost * part / lot.remaining;
+          lot.cost -= cost;
+        }
+        if (lot) {
+          lot.remaining -= part;
+        }
+
+        disposals.push({
+          txId: record.id,
+          strategyId: strategy.id,
+          disposedAt: record.createdAt,
+          acquisitionTxId: lot ? lot.txId : null,
+          acquisitionType: lot ? lot.type : null,
+          acquiredAt: lot ? lot.acquiredAt : null,
+          holdingDays: lot ? Math.floor((new Date(record.createdAt) - new Date(lot.acquiredAt)) / DAY_MS) : null,
+          token: lpToken.symbol,
+          amount: fromBaseUnits(part, lpToken.decimals),
+          amountRaw: part.toString(),
+          proceeds: format(share),
+          costBasis: format(cost),
+          gain: format(share !== null && cost !== null ? share - cost : null)
+        });
+      };
+
+      for (const lot of this.orderLots(lots, method)) {
+        if (left === 0n) {
+          break;
+        }
+        take(lot, lot.remaining < left ? lot.remaining : left);
+      }
+
+      if (left > 0n) {
+        // More LP left than the recorded history acquired
+        logger.warn('Withdrawal exceeds recorded lots', { txId: record.id, strategyId: strategy.id, unmatched: left.toString() });
+        take(null, left);
+      }
+
+      lots.splice(0, lots.length, ...lots.filter(lot => lot.remaining > 0n));
+    });
+
+    return disposals;
+  }
+
+  /**
+   * Order open lots in the sequence a withdrawal consumes them
+   * @param {Array} lots - Open lots, in acquisition order
+   * @param {string} method - fifo (oldest first), lifo (newest first) or hifo (highest unit cost first)
+   * @returns {Array} Ordered lots
+   */
+  orderLots(lots, method) {
+    if (method === 'lifo') {
+      return [...lots].reverse();
+    }
+
+    if (method === 'hifo') {
+      // Unit costs compared by cross-multiplying; unvalued lots go last
+      return [...lots].sort((a, b) => {
+        if (a.cost === null || b.cost === null) {
+          return (a.cost === null) - (b.cost === null);
+        }
+        const diff = b.cost * a.remaining - a.cost * b.remaining;
+        return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+      });
+    }
+
+    return lots;
+  }
+
+  /**
+   * Total proceeds, cost basis, gains and income of the year, leaving out
+   * unvalued items (counted in `unvalued`)
+   */
+  summarize(events, disposals) {
+    const sum = (values) => fromBaseUnits(
+      values.filter(value => value !== null).reduce((total, value) => total + toSignedBaseUnits(value, VALUE_DECIMALS), 0n),
+      VALUE_DECIMALS
+    );
+    const income = events.filter(event => event.type === 'compound');
+    const valued = disposals.filter(disposal => disposal.gain !== null);
+
+    return {
+      entries: events.filter(event => event.type === 'deposit').length,
+      exits: events.filter(event => event.type === 'withdraw').length,
+      compounds: income.length,
+      proceeds: sum(valued.map(disposal => disposal.proceeds)),
+      costBasis: sum(valued.map(disposal => disposal.costBasis)),
+      gain: sum(valued.map(disposal => disposal.gain)),
+      income: sum(income.map(event => event.value)),
+      unvalued: {
+        events: events.filter(event => event.value === null).length,
+        disposals: disposals.length - valued.length
+      }
+    };
+  }
+
+  /**
+   * Render a report's events in the universal crypto-tax CSV import layout
+   * @param {Object} report - Report from build()
+   * @returns {string} CSV document
+   */
+  toCsv(report) {
+    const field = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = report.events.map(event => [
+      // UTC, as YYYY-MM-DD HH:mm:ss
+      event.date.replace('T', ' ').replace(/\.\d+Z$|Z$/, ''),
+      event.sent?.amount,
+      event.sent?.token,
+      event.received.amount,
+      event.received.token,
+      null,
+      null,
+      event.value,
+      event.value !== null ? report.currency : null,
+      CSV_LABELS[event.type],
+      `${event.type} ${event.strategyId} (${event.txId})`,
+      event.txHash
+    ]);
+
+    return [CSV_COLUMNS, ...rows].map(row => row.map(field).join(',')).join('\n') + '\n';
+  }
+}
+
+module.exports = TaxReport;
+module.exports.LOT_METHODS = LOT_METHODS;
@@ -0,0 +1,465 @@
+const logger = require('../utils/logger');
+const { VALUE_DECIMALS, toBaseUnits, fromBaseUnits, valueAtPrice } = require('../utils/amounts');
+const { getStrategy } = require('../config/strategies');
+const { NATIVE_TOKEN_ADDRESS, getTokenByAddress, isSupportedToken } = require('../config/tokens');
+const { EXECUTION_MODES, resolveExecutionMode } = require('../config/execution');
+const EnsoYieldFarming = require('./EnsoYieldFarming');
+const { PRICE_IMPACT_TOO_HIGH, REWARDS_NOT_CLAIMABLE } = require('./EnsoYieldFarming');
+const database = require('./database');
+const transactionStore = require('./transactionStore');
+const { ACTIVE_STATUSES } = require('./transactionStateMachine');
+const priceService = require('./priceService');
+const { describeCompoundRoute, trackTransaction } = require('./operationTracker');
+
+// Keeper decisions and the reasons recorded with them
+const DECISIONS = {
+  COMPOUND: 'compound',
+  SKIP: 'skip',
+  ERROR: 'error'
+};
+
+const REASONS = {
+  // Net earnings after gas beat the subscriber's margin
+  PROFITABLE: 'profitable',
+  // The subscription's execution mode is above the environment's maximum,
+  // e.g. after EXECUTION_MODE was lowered
+  EXECUTION_MODE_NOT_ALLOWED: 'execution_mode_not_allowed',
+  // A compound for this position is still being monitored
+  COMPOUND_PENDING: 'compound_pending',
+  // Claimable rewards are below the strategy's minimum
+  BELOW_MINIMUM: 'below_minimum',
+  // Gas on some chain could not be valued, so profit is unknown
+  GAS_UNPRICED: 'gas_unpriced',
+  // Claimable rewards don't cover gas plus the margin
+  NOT_PROFITABLE: 'not_profitable',
+  // The compound route's quoted price impact is above the ceiling
+  PRICE_IMPACT_TOO_HIGH: 'price_impact_too_high',
+  // Claiming would pay the rewards to an address other than the service wallet
+  REWARDS_NOT_CLAIMABLE: 'rewards_not_claimable',
+  // The claim went through but paid out no rewards
+  NOTHING_CLAIMED: 'nothing_claimed',
+  FAILED: 'failed'
+};
+
+class CompoundKeeper {
+  constructor() {
+    // Subscriptions and the decision log live in the database; the log keeps
+    // the newest maxDecisions entries
+    this.maxDecisions = parseInt(process.env.KEEPER_DECISION_LOG_SIZE) || 5000;
+    this.interval = parseInt(process.env.KEEPER_INTERVAL_MS) || 3600000; // 1 hour
+    this.timer = null;
+    this.currentRun = null;
+    this.lastRun = null;
+    this.ensoService = null;
+  }
+
+  getEnsoService() {
+    if (!this.ensoService) {
+      this.ensoService = new EnsoYieldFarming(process.env.ENSO_API_KEY, process.env.PRIVATE_KEY);
+    }
+    return this.ensoService;
+  }
+
+  /**
+   * Opt a position in to keeper compounding, or update its settings
+   * @param {Object} params - Subscription parameters
+   * @param {string} params.userAddress - User's wallet address
+   * @param {string} params.strategyId - Strategy ID
+   * @param {string} params.margin - Minimum net gain after gas, in the strategy's currency
+   * @param {number} params.slippage - Slippage tolerance for compounds
+   * @param {string} params.executionMode - Execution mode override (default: environment mode)
+   * @returns {Object} Subscription and whether it was created
+   */
+  subscribe({ userAddress, strategyId, margin = '0', slippage = 0.5, executionMode = null }) {
+    const db = database.getConnection();
+    const address = userAddress.toLowerCase();
+    const now = new Date().toISOString();
+
+    const created = db.transaction(() => {
+      const existing = db.prepare('SELECT 1 FROM keeper_subscriptions WHERE user_address = ? AND strategy_id = ?')
+        .get(address, strategyId);
+
+      db.prepare(`
+        INSERT INTO keeper_subscriptions
+          (user_address, strategy_id, margin, currency, slippage, execution_mode, created_at, updated_at)
+        VALUES (@address, @strategyId, @margin, @currency, @slippage, @executionMode, @now, @now)
+        ON CONFLICT (user_address, strategy_id) DO UPDATE SET
+          margin = excluded.margin, currency = excluded.currency, slippage = excluded.slippage,
+          execution_mode = excluded.execution_mode, updated_at = excluded.updated_at
+      `).run({
+        address,
+        strategyId,
+        margin,
+        currency: getStrategy(strategyId).earnings.currency,
+        slippage,
+        executionMode,
+        now
+      });
+
+      return !existing;
+    }).immediate();
+
+    logger.info('Keeper subscription saved', { userAddress, strategyId, margin, created });
+
+    return { subscription: this.getSubscription(address, strategyId), created };
+  }
+
+  /**
+   * Opt a position out of keeper compounding. Its decisions stay in the log.
+   * @param {string} userAddress - User's wallet address
+   * @param {string} strategyId - Strategy ID
+   * @returns {boolean} Whether a subscription was removed
+   */
+  unsubscribe(userAddress, strategyId) {
+    const removed = database.getConnection()
+      .prepare('DELETE FROM keeper_subscriptions WHERE user_address = ? AND strategy_id = ?')
+      .run(userAddress.toLowerCase(), strategyId).changes > 0;
+
+    if (removed) {
+      logger.info('Keeper subscription removed', { userAddress, strategyId });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Get one subscription
+   * @param {string} userAddress - User's wallet address
+   * @param {string} strategyId - Strategy ID
+   * @returns {Object|null} Subscription
+   */
+  getSubscription(userAddress, strategyId) {
+    const row = database.getConnection()
+      .prepare('SELECT * FROM keeper_subscriptions WHERE user_address = ? AND strategy_id = ?')
+      .get(userAddress.toLowerCase(), strategyId);
+
+    return row ? this.toSubscription(row) : null;
+  }
+
+  /**
+   * List subscriptions, oldest first
+   * @param {string} userAddress - Only this address (optional)
+   * @returns {Array} Subscriptions
+   */
+  getSubscriptions(userAddress = null) {
+    const db = database.getConnection();
+    const rows = userAddress
+      ? db.prepare('SELECT * FROM keeper_subscriptions WHERE user_address = ? ORDER BY created_at').all(userAddress.toLowerCase())
+      : db.prepare('SELECT * FROM keeper_subscriptions ORDER BY created_at').all();
+
+    return rows.map(row => this.toSubscription(row));
+  }
+
+  /**
+   * Check every subscription once. Concurrent calls share the run in progress.
+   * @returns {Array} Decisions made in this run
+   */
+  async run() {
+    if (!this.currentRun) {
+      this.currentRun = this.checkAll().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+
+  async checkAll() {
+    const subscriptions = this.getSubscriptions();
+    const decisions = [];
+
+    logger.info('Keeper run started', { subscriptions: subscriptions.length });
+
+    // One position at a time: compounds share the hot wallet's nonces
+    for (const subscription of subscriptions) {
+      decisions.push(await this.check(subscription));
+    }
+
+    this.lastRun = new Date().toISOString();
+
+    logger.info('Keeper run finished', {
+      subscriptions: subscriptions.length,
+      compounded: decisions.filter(d => d.decision === DECISIONS.COMPOUND).length
+    });
+
+    return decisions;
+  }
+
+  /**
+   * Decide whether to compound one position, act on it and log the decision
+   * @param {Object} subscription - Keeper subscription
+   * @returns {Object} Recorded decision
+   */
+  async check(subscription) {
+    const { userAddress, strategyId, margin, slippage } = subscription;
+    const base = { userAddress, strategyId, margin, currency: subscription.currency, executionMode: subscription.executionMode };
+
+    let executionMode;
+    try {
+      executionMode = resolveExecutionMode(subscription.executionMode);
+    } catch (error) {
+      return this.record(subscription, { ...base, decision: DECISIONS.SKIP, reason: REASONS.EXECUTION_MODE_NOT_ALLOWED, error: error.message });
+    }
+    base.executionMode = executionMode;
+
+    try {
+      const ensoService = this.getEnsoService();
+      const strategy = getStrategy(strategyId);
+
+      const pending = transactionStore.list({ userAddress, strategyId, type: 'compound' })
+        .find(transaction => ACTIVE_STATUSES.includes(transaction.status));
+      if (pending) {
+        return this.record(subscription, { ...base, decision: DECISIONS.SKIP, reason: REASONS.COMPOUND_PENDING, txId: pending.id });
+      }
+
+      const earnings = await ensoService.getEarnings(userAddress, strategyId);
+      const claimable = { ...base, claimableValue: earnings.claimableValue };
+
+      if (!earnings.canCompound) {
+        return this.record(subscription, { ...claimable, decision: DECISIONS.SKIP, reason: REASONS.BELOW_MINIMUM });
+      }
+
+      const steps = await ensoService.estimateCompoundCost(userAddress, earnings, { slippage, strategyId });
+      const gasCost = await this.valueGas(steps, subscription.currency);
+
+      if (gasCost.total === null) {
+        return this.record(subscription, { ...claimable, decision: DECISIONS.SKIP, reason: REASONS.GAS_UNPRICED, gasCost });
+      }
+
+      const net = toBaseUnits(earnings.claimableValue, VALUE_DECIMALS) - toBaseUnits(gasCost.total, VALUE_DECIMALS);
+      const evaluated = { ...claimable, gasCost, netValue: fromBaseUnits(net, VALUE_DECIMALS) };
+
+      if (net <= toBaseUnits(margin, VALUE_DECIMALS)) {
+        return this.record(subscription, { ...evaluated, decision: DECISIONS.SKIP, reason: REASONS.NOT_PROFITABLE });
+      }
+
+      const result = await ensoService.compound(userAddress, earnings, {
+        slippage,
+        executionMode,
+        strategyId
+      });
+
+      if (result.message) {
+        return this.record(subscription, { ...evaluated, decision: DECISIONS.SKIP, reason: REASONS.NOTHING_CLAIMED, claimTxHash: result.claimTxHash });
+      }
+
+      const compoundAmount = fromBaseUnits(result.amount, strategy.deposit.token.decimals);
+
+      if (executionMode !== EXECUTION_MODES.DRY_RUN) {
+        trackTransaction(result, 'compound', {
+          amount: compoundAmount,
+          slippage,
+          executionMode,
+          strategyId,
+          ...describeCompoundRoute(strategy),
+          type: 'auto-compound',
+          originalEarnings: earnings.compoundable,
+          claimableValue: earnings.claimableValue,
+          currency: subscription.currency,
+          claim: result.claim,
+          swaps: result.swaps,
+          keeper: true
+        });
+      }
+
+      return this.record(subscription, {
+        ...evaluated,
+        decision: DECISIONS.COMPOUND,
+        reason: REASONS.PROFITABLE,
+        compoundAmount,
+        claimTxHash: result.claim.txHash,
+        txId: result.txId,
+        txHash: result.txHash,
+        status: result.status
+      });
+    } catch (error) {
+      if (error.code === PRICE_IMPACT_TOO_HIGH) {
+        return this.record(subscription, {
+          ...base,
+          decision: DECISIONS.SKIP,
+          reason: REASONS.PRICE_IMPACT_TOO_HIGH,
+          priceImpact: error.quote.priceImpact,
+          maxPriceImpact: error.quote.maxPriceImpact
+        });
+      }
+
+      if (error.code === REWARDS_NOT_CLAIMABLE) {
+        return this.record(subscription, { ...base, decision: DECISIONS.SKIP, reason: REASONS.REWARDS_NOT_CLAIMABLE, error: error.message });
+      }
+
+      logger.error('Keeper check failed', { userAddress, strategyId, error: error.message });
+
+      return this.record(subscription, { ...base, decision: DECISIONS.ERROR, reason: REASONS.FAILED, error: error.message });
+    }
+  }
+
+  /**
+   * Value per-chain gas costs in a fiat currency via each chain's native token
+   * @param {Array} steps - Gas estimates from EnsoYieldFarming.estimateCompoundCost
+   * @param {string} currency - Fiat currency
+   * @returns {Object} Valued steps and their total (null if any step is unpriced)
+   */
+  async valueGas(steps, currency) {
+    const valued = await Promise.all(steps.map(async step => {
+      const token = isSupportedToken(NATIVE_TOKEN_ADDRESS, step.chainId)
+        ? getTokenByAddress(NATIVE_TOKEN_ADDRESS, step.chainId)
+        : null;
+      const price = token ? await priceService.getPrice(token, currency.toLowerCase()) : null;
+
+      return {
+        ...step,
+        value: price !== null
+          ? fromBaseUnits(valueAtPrice(step.costRaw, token.decimals, price), VALUE_DECIMALS)
+          : null
+      };
+    }));
+
+    const total = valued.every(step => step.value !== null)
+      ? fromBaseUnits(valued.reduce((sum, step) => sum + toBaseUnits(step.value, VALUE_DECIMALS), 0n), VALUE_DECIMALS)
+      : null;
+
+    return { steps: valued, total };
+  }
+
+  /**
+   * Append a decision to the log
+   * @param {Object} subscription - Keeper subscription
+   * @param {Object} decision - Decision fields
+   * @returns {Object} Recorded decision
+   */
+  record(subscription, decision) {
+    const db = database.getConnection();
+    const timestamp = new Date().toISOString();
+    const { userAddress, strategyId } = decision;
+
+    const id = db.transaction(() => {
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO keeper_decisions (user_address, strategy_id, decision, entry, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(userAddress.toLowerCase(), strategyId, decision.decision, JSON.stringify({ ...decision, timestamp }), timestamp);
+
+      db.prepare('DELETE FROM keeper_decisions WHERE id <= ?').run(Number(lastInsertRowid) - this.maxDecisions);
+
+      subscription.lastDecision = {
+        id: Number(lastInsertRowid),
+        decision: decision.decision,
+        reason: decision.reason,
+        timestamp
+      };
+      db.prepare('UPDATE keeper_subscriptions SET last_decision = ? WHERE user_address = ? AND strategy_id = ?')
+        .run(JSON.stringify(subscription.lastDecision), userAddress.toLowerCase(), strategyId);
+
+      return Number(lastInsertRowid);
+    })();
+
+    const entry = { id, ...decision, timestamp };
+
+    logger.info('Keeper decision', {
+      userAddress: entry.userAddress,
+      strategyId: entry.strategyId,
+      decision: entry.decision,
+      reason: entry.reason,
+      claimableValue: entry.claimableValue,
+      gasCost: entry.gasCost?.total,
+      txId: entry.txId
+    });
+
+    return entry;
+  }
+
+  /**
+   * Query the decision log, newest first
+   * @param {Object} filter - Filters
+   * @param {string} filter.userAddress - Only this address
+   * @param {string} filter.strategyId - Only this strategy
+   * @param {string} filter.decision - Only this decision (compound, skip, error)
+   * @param {number} filter.limit - Maximum entries (default: 50)
+   * @returns {Object} Matching decisions and the total before the limit
+   */
+  getDecisions({ userAddress = null, strategyId = null, decision = null, limit = 50 } = {}) {
+    const db = database.getConnection();
+    const conditions = [];
+    const params = { userAddress: userAddress ? userAddress.toLowerCase() : null, strategyId, decision, limit };
+
+    if (userAddress) {
+      conditions.push('user_address = @userAddress');
+    }
+    if (strategyId) {
+      conditions.push('strategy_id = @strategyId');
+    }
+    if (decision) {
+      conditions.push('decision = @decision');
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const decisions = db.prepare(`SELECT * FROM keeper_decisions ${where} ORDER BY id DESC LIMIT @limit`)
+      .all(params)
+      .map(row => ({ id: row.id, ...JSON.parse(row.entry) }));
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM keeper_decisions ${where}`).get(params);
+
+    return { decisions, total };
+  }
+
+  toSubscription(row) {
+    return {
+      userAddress: row.user_address,
+      strategyId: row.strategy_id,
+      margin: row.margin,
+      currency: row.currency,
+      slippage: row.slippage,
+      executionMode: row.execution_mode,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      lastDecision: row.last_decision ? JSON.parse(row.last_decision) : null
+    };
+  }
+
+  /**
+   * Start periodic keeper runs
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => {
+        this.run().catch(error => {
+          logger.error('Keeper run failed', { error: error.message });
+        });
+      }, this.interval);
+      this.timer.unref();
+    }
+
+    logger.info('Compound keeper started', { interval: this.interval });
+  }
+
+  /**
+   * Stop periodic keeper runs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get keeper statistics
+   * @returns {Object} Keeper state
+   */
+  getStats() {
+    const db = database.getConnection();
+
+    return {
+      running: Boolean(this.timer),
+      interval: this.interval,
+      subscriptions: db.prepare('SELECT COUNT(*) AS count FROM keeper_subscriptions').get().count,
+      decisions: db.prepare('SELECT COUNT(*) AS count FROM keeper_decisions').get().count,
+      inProgress: Boolean(this.currentRun),
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Create singleton instance
+const compoundKeeper = new CompoundKeeper();
+
+module.exports = compoundKeeper;
+module.exports.DECISIONS = DECISIONS;
+module.exports.REASONS = REASONS;
@@ -0,0 +1,74 @@
+const SQLite = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { getConnectionOptions } = require('../config/database');
+const Migrator = require('./Migrator');
+
+class DatabaseService {
+  constructor() {
+    this.db = null;
+  }
+
+  /**
+   * Get the SQLite connection, opening it and applying pending migrations on
+   * first use
+   * @returns {Object} better-sqlite3 connection
+   */
+  getConnection() {
+    if (!this.db) {
+      const db = this.open(getConnectionOptions());
+
+      try {
+        const applied = new Migrator(db).up();
+        if (applied.length > 0) {
+          logger.info('Database migrated', { versions: applied.map(migration => migration.version) });
+        }
+      } catch (error) {
+        db.close();
+        throw error;
+      }
+
+      this.db = db;
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Open a connection with the configured journal, sync, cache and busy settings
+   * @param {Object} options - Connection options from config/database
+   * @returns {Object} better-sqlite3 connection
+   */
+  open({ filename, journalMode, synchronous, cacheSize, busyTimeout }) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    const db = new SQLite(filename, { timeout: busyTimeout });
+
+    db.pragma(`journal_mode = ${journalMode}`);
+    db.pragma(`synchronous = ${synchronous}`);
+    db.pragma(`cache_size = ${cacheSize}`);
+
+    logger.info('Database opened', { filename, journalMode });
+
+    return db;
+  }
+
+  /**
+   * Close the connection (it reopens on next use)
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      logger.info('Database closed');
+    }
+  }
+}
+
+// Create singleton instance
+const database = new DatabaseService();
+
+module.exports = database;
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const database = require('./database');
+
+const STATES = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+class IdempotencyStore {
+  constructor() {
+    // Stored responses are replayed for this long after the first request
+    this.ttl = parseInt(process.env.IDEMPOTENCY_TTL_MS) || 86400000; // 24 hours
+    // A request in progress holds its key for this long, and renews the lock
+    // while it runs; one that stops renewing (e.g. a crash) is taken as abandoned
+    this.lockTimeout = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS) || 300000; // 5 minutes
+  }
+
+  /**
+   * Claim a key for a request, or return the earlier request that holds it
+   * @param {string} key - Idempotency-Key header value
+   * @param {string} scope - Method, path and caller address the key is used on
+   * @param {string} requestHash - Hash of the request body
+   * @returns {Object} { reserved: true, lockId } or { reserved: false, existing } with the earlier request
+   */
+  reserve(key, scope, requestHash) {
+    const db = database.getConnection();
+
+    return db.transaction(() => {
+      const now = Date.now();
+      this.purge(now);
+
+      const existing = db.prepare('SELECT * FROM idempotency_keys WHERE idempotency_key = ? AND scope = ?').get(key, scope);
+      const abandoned = existing?.state === STATES.IN_PROGRESS && new Date(existing.locked_until).getTime() < now;
+
+      if (existing && !abandoned) {
+        return { reserved: false, existing: this.toRecord(existing) };
+      }
+
+      if (abandoned) {
+        logger.warn('Taking over abandoned idempotency key', { key, scope, since: existing.created_at });
+      }
+
+      const lockId = crypto.randomUUID();
+      db.prepare(`
+        INSERT OR REPLACE INTO idempotency_keys
+          (idempotency_key, scope, request_hash, state, locked_by, locked_until, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(key, scope, requestHash, STATES.IN_PROGRESS, lockId, new Date(now + this.lockTimeout).toISOString(), new Date(now).toISOString());
+
+      return { reserved: true, lockId };
+    }).immediate();
+  }
+
+  /**
+   * Extend the lock of a key held by a request that is still running
+   * @param {string} key - Idempotency key
+   * @param {string} scope - Method, path and caller address
+   * @param {string} lockId - Lock ID returned by reserve
+   * @returns {boolean} Whether the request still holds the key
+   */
+  renew(key, scope, lockId) {
+    return database.getConnection().prepare(`
+      UPDATE idempotency_keys SET locked_until = ?
+      WHERE idempotency_key = ? AND scope = ? AND state = ? AND locked_by = ?
+    `).run(new Date(Date.now() + this.lockTimeout).toISOString(), key, scope, STATES.IN_PROGRESS, lockId).changes > 0;
+  }
+
+  /**
+   * Store the response of a reserved key for replay. Does nothing if the
+   * request lost the key to a takeover.
+   * @param {string} key - Idempotency key
+   * @param {string} scope - Method, path and caller address
+   * @param {string} lockId - Lock ID returned by reserve
+   * @param {number} statusCode - Response status
+   * @param {Object} body - Response body
+   */
+  complete(key, scope, lockId, statusCode, body) {
+    database.getConnection().prepare(`
+      UPDATE idempotency_keys SET state = ?, status_code = ?, response = ?, completed_at = ?, locked_by = NULL, locked_until = NULL
+      WHERE idempotency_key = ? AND scope = ? AND locked_by = ?
+    `).run(STATES.COMPLETED, statusCode, JSON.stringify(body), new Date().toISOString(), key, scope, lockId);
+  }
+
+  /**
+   * Release a reserved key so the request can be retried with it
+   * @param {string} key - Idempotency key
+   * @param {string} scope - Method, path and caller address
+   * @param {string} lockId - Lock ID returned by reserve
+   */
+  release(key, scope, lockId) {
+    database.getConnection()
+      .prepare('DELETE FROM idempotency_keys WHERE idempotency_key = ? AND scope = ? AND state = ? AND locked_by = ?')
+      .run(key, scope, STATES.IN_PROGRESS, lockId);
+  }
+
+  /**
+   * Delete keys older than the TTL
+   */
+  purge(now = Date.now()) {
+    database.getConnection()
+      .prepare('DELETE FROM idempotency_keys WHERE created_at < ?')
+      .run(new Date(now - this.ttl).toISOString());
+  }
+
+  toRecord(row) {
+    return {
+      key: row.idempotency_key,
+      scope: row.scope,
+      requestHash: row.request_hash,
+      state: row.state,
+      statusCode: row.status_code,
+      response: row.response !== null ? JSON.parse(row.response) : null,
+      lockedUntil: row.locked_until,
+      createdAt: row.created_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+// Create singleton instance
+const idempotencyStore = new IdempotencyStore();
+
+module.exports = idempotencyStore;
+module.exports.STATES = STATES;
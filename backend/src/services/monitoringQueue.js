@@ -0,0 +1,138 @@
+const logger = require('../utils/logger');
+const database = require('./database');
+
+class MonitoringQueue {
+  /**
+   * Add a monitoring job
+   * @param {Object} monitor - Monitor state (must have a txId)
+   * @param {Date} runAt - When the first check is due
+   * @returns {boolean} Whether it was added (false if the transaction already has a job)
+   */
+  enqueue(monitor, runAt = new Date()) {
+    const now = new Date().toISOString();
+
+    const { changes } = database.getConnection().prepare(`
+      INSERT OR IGNORE INTO monitoring_jobs (tx_id, monitor, run_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(monitor.txId, JSON.stringify(monitor), runAt.toISOString(), now, now);
+
+    if (changes > 0) {
+      logger.debug('Monitoring job queued', { txId: monitor.txId, runAt: runAt.toISOString() });
+    }
+
+    return changes > 0;
+  }
+
+  /**
+   * Lock due jobs for a worker, earliest first
+   * @param {string} workerId - Worker claiming the jobs
+   * @param {number} limit - Most jobs to claim
+   * @param {number} leaseMs - How long the lock holds before another worker may claim the job
+   * @returns {Array} Claimed monitors
+   */
+  claim(workerId, limit, leaseMs) {
+    const db = database.getConnection();
+
+    return db.transaction(() => {
+      const now = new Date();
+      const rows = db.prepare(`
+        SELECT tx_id, monitor FROM monitoring_jobs
+        WHERE run_at <= @now AND (locked_until IS NULL OR locked_until < @now)
+        ORDER BY run_at
+        LIMIT @limit
+      `).all({ now: now.toISOString(), limit });
+
+      const lock = db.prepare('UPDATE monitoring_jobs SET locked_by = ?, locked_until = ? WHERE tx_id = ?');
+      const lockedUntil = new Date(now.getTime() + leaseMs).toISOString();
+      rows.forEach(row => lock.run(workerId, lockedUntil, row.tx_id));
+
+      return rows.map(row => JSON.parse(row.monitor));
+    }).immediate();
+  }
+
+  /**
+   * Store a claimed job's state and unlock it for its next check
+   * @param {string} workerId - Worker holding the job
+   * @param {Object} monitor - Updated monitor state
+   * @param {Date} runAt - When the next check is due
+   * @returns {boolean} Whether the job was still held (false if it was removed or taken over)
+   */
+  reschedule(workerId, monitor, runAt) {
+    const { changes } = database.getConnection().prepare(`
+      UPDATE monitoring_jobs SET monitor = ?, run_at = ?, locked_by = NULL, locked_until = NULL, updated_at = ?
+      WHERE tx_id = ? AND locked_by = ?
+    `).run(JSON.stringify(monitor), runAt.toISOString(), new Date().toISOString(), monitor.txId, workerId);
+
+    return changes > 0;
+  }
+
+  /**
+   * Delete a finished job held by a worker
+   * @param {string} workerId - Worker holding the job
+   * @param {string} txId - Transaction ID
+   */
+  complete(workerId, txId) {
+    database.getConnection()
+      .prepare('DELETE FROM monitoring_jobs WHERE tx_id = ? AND locked_by = ?')
+      .run(txId, workerId);
+  }
+
+  /**
+   * Delete a job whether or not it is locked
+   * @param {string} txId - Transaction ID
+   * @returns {boolean} Whether there was a job
+   */
+  remove(txId) {
+    return database.getConnection().prepare('DELETE FROM monitoring_jobs WHERE tx_id = ?').run(txId).changes > 0;
+  }
+
+  /**
+   * Make a job due now
+   * @param {string} txId - Transaction ID
+   * @returns {boolean} Whether there is a job
+   */
+  wake(txId) {
+    return database.getConnection()
+      .prepare('UPDATE monitoring_jobs SET run_at = ? WHERE tx_id = ?')
+      .run(new Date().toISOString(), txId).changes > 0;
+  }
+
+  /**
+   * Unlock every job a worker holds, e.g. when it shuts down
+   * @param {string} workerId - Worker ID
+   * @returns {number} Jobs released
+   */
+  release(workerId) {
+    return database.getConnection()
+      .prepare('UPDATE monitoring_jobs SET locked_by = NULL, locked_until = NULL WHERE locked_by = ?')
+      .run(workerId).changes;
+  }
+
+  /**
+   * List every job, earliest due first
+   * @returns {Array} Jobs ({ monitor, runAt, lockedBy, lockedUntil })
+   */
+  list() {
+    return database.getConnection().prepare(`
+      SELECT monitor, run_at, locked_by, locked_until FROM monitoring_jobs ORDER BY run_at
+    `).all().map(row => ({
+      monitor: JSON.parse(row.monitor),
+      runAt: row.run_at,
+      lockedBy: row.locked_by,
+      lockedUntil: row.locked_until
+    }));
+  }
+
+  /**
+   * Delete every job
+   * @returns {number} Jobs deleted
+   */
+  clear() {
+    return database.getConnection().prepare('DELETE FROM monitoring_jobs').run().changes;
+  }
+}
+
+// Create singleton instance
+const monitoringQueue = new MonitoringQueue();
+
+module.exports = monitoringQueue;
@@ -1,11 +1,38 @@
+const os = require('os');
+const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 const socketService = require('./socketService');
+const transactionStore = require('./transactionStore');
+const monitoringQueue = require('./monitoringQueue');
+const transactionStateMachine = require('./transactionStateMachine');
+const { TRANSACTION_STATUS, ILLEGAL_TRANSITION } = transactionStateMachine;
+const SettlementTracker = require('./SettlementTracker');
+const PositionLedger = require('./PositionLedger');
+const { SETTLEMENT_STATUS } = SettlementTracker;
+const { getProvider, getConfirmationPolicy } = require('../config/chains');
+const { EXECUTION_MODES } = require('../config/execution');
 
 class MonitoringService {
   constructor() {
-    this.activeMonitors = new Map();
-    this.monitoringInterval = 30000; // 30 seconds
-    this.maxRetries = 5;
+    // Checks run at the chain's polling interval for the fast window, then
+    // every slow interval until the stale deadline. A stale transaction is
+    // still re-checked every stale interval until it gets a final status.
+    this.fastWindow = parseInt(process.env.MONITOR_FAST_WINDOW_MS) || 900000; // 15 minutes
+    this.slowInterval = parseInt(process.env.MONITOR_SLOW_INTERVAL_MS) || 300000; // 5 minutes
+    this.staleAfter = parseInt(process.env.MONITOR_STALE_AFTER_MS) || 259200000; // 72 hours
+    this.staleInterval = parseInt(process.env.MONITOR_STALE_INTERVAL_MS) || 3600000; // 1 hour
+    // Queue worker: how often it looks for due checks, how many it runs at
+    // once, and how long a claimed check stays locked against other workers
+    this.workerInterval = parseInt(process.env.MONITOR_WORKER_INTERVAL_MS) || 1000;
+    this.concurrency = parseInt(process.env.MONITOR_WORKER_CONCURRENCY) || 10;
+    this.leaseTimeout = parseInt(process.env.MONITOR_JOB_LEASE_MS) || 120000; // 2 minutes
+    // Longest delay between checks while they keep failing
+    this.maxBackoff = parseInt(process.env.MONITOR_MAX_BACKOFF_MS) || 300000; // 5 minutes
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.currentPoll = null;
+    this.settlementTracker = new SettlementTracker();
+    this.positionLedger = new PositionLedger();
   }
 
   /**
@@ -17,11 +44,6 @@ class MonitoringService {
    * @param {Object} details - Transaction details
    */
   startTransactionMonitoring(txId, txHash, userId, type, details = {}) {
-    if (this.activeMonitors.has(txId)) {
-      logger.warn('Transaction already being monitored', { txId });
-      return;
-    }
-
     const monitor = {
       txId,
       txHash,
@@ -30,11 +52,37 @@ class MonitoringService {
       details,
       startTime: Date.now(),
       retryCount: 0,
-      status: 'monitoring',
-      lastCheck: null
+      // Consecutive failed checks, for backoff
+      errorCount: 0,
+      status: TRANSACTION_STATUS.MONITORING,
+      lastCheck: null,
+      // Block the receipt was last seen in, re-checked against the canonical chain
+      inclusion: null,
+      // Status before the receipt was reorged out, returned to once it is seen again
+      reorgedFrom: null,
+      // Two-leg settlement state for cross-chain operations
+      settlement: null,
+      // Past the fast window and checked at the slow interval
+      slowPolling: false
     };
 
-    this.activeMonitors.set(txId, monitor);
+    if (!monitoringQueue.enqueue(monitor)) {
+      logger.warn('Transaction already being monitored', { txId });
+      return;
+    }
+
+    let transaction = null;
+    try {
+      transaction = this.setStatus(monitor, TRANSACTION_STATUS.MONITORING, { reason: 'Transaction monitoring started' });
+    } finally {
+      // Drop the job of a transaction that cannot be monitored
+      if (!transaction) {
+        monitoringQueue.remove(txId);
+      }
+    }
+    if (!transaction) {
+      return;
+    }
 
     logger.info('Started transaction monitoring', {
       txId,
@@ -43,128 +91,504 @@ class MonitoringService {
       type
     });
 
-    // Start the monitoring loop
-    this.monitorTransaction(txId);
+    // Check right away rather than on the next poll
+    this.wake();
+  }
 
-    // Send initial update to user
-    socketService.broadcastTransactionUpdate(userId, {
-      txId,
-      txHash,
-      type,
-      status: 'monitoring',
-      message: 'Transaction monitoring started',
-      details
-    });
+  /**
+   * Start the worker, resuming monitoring jobs left unfinished by earlier runs
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.workerInterval);
+      this.timer.unref();
+
+      logger.info('Monitoring worker started', {
+        workerId: this.workerId,
+        interval: this.workerInterval,
+        unfinished: monitoringQueue.list().length
+      });
+
+      this.poll();
+    }
   }
 
   /**
-   * Monitor a specific transaction
-   * @param {string} txId - Transaction ID to monitor
+   * Stop the worker. Its jobs stay queued for the next worker to pick up.
    */
-  async monitorTransaction(txId) {
-    const monitor = this.activeMonitors.get(txId);
-    if (!monitor) {
-      return;
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      monitoringQueue.release(this.workerId);
+    }
+  }
+
+  /**
+   * Poll now if the worker is running
+   */
+  wake() {
+    if (this.timer) {
+      setImmediate(() => this.poll());
+    }
+  }
+
+  /**
+   * Claim the due jobs and check them; polls never overlap
+   * @returns {Promise} Resolves when the claimed checks are done
+   */
+  poll() {
+    if (!this.currentPoll) {
+      this.currentPoll = this.runDueChecks()
+        .catch(error => {
+          logger.error('Monitoring poll failed', { error: error.message });
+        })
+        .finally(() => {
+          this.currentPoll = null;
+        });
     }
+    return this.currentPoll;
+  }
+
+  /**
+   * Check the jobs due now, then reschedule or finish each one
+   */
+  async runDueChecks() {
+    const monitors = monitoringQueue.claim(this.workerId, this.concurrency, this.leaseTimeout);
+
+    await Promise.all(monitors.map(async monitor => {
+      const delay = await this.monitorTransaction(monitor);
+
+      if (delay === null) {
+        monitoringQueue.complete(this.workerId, monitor.txId);
+      } else {
+        monitoringQueue.reschedule(this.workerId, monitor, new Date(Date.now() + delay));
+      }
+    }));
+  }
+
+  /**
+   * Move a monitored transaction to a status through the state machine. If
+   * its status was changed elsewhere in a way that no longer allows this
+   * (e.g. it was cancelled through the API), monitoring it stops.
+   * @param {Object} monitor - Active monitor
+   * @param {string} status - New status
+   * @param {Object} options - Transition options ({ reason, changes, update })
+   * @returns {Object|null} Updated transaction, or null if the change was rejected
+   */
+  setStatus(monitor, status, options) {
+    try {
+      const transaction = transactionStateMachine.transition(monitor.txId, status, options);
+      monitor.status = transaction.status;
+      return transaction;
+    } catch (error) {
+      if (error.code !== ILLEGAL_TRANSITION) {
+        throw error;
+      }
+
+      logger.warn('Status change rejected, stopping monitoring', {
+        txId: monitor.txId,
+        from: error.from,
+        to: error.to
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Check a monitored transaction once
+   * @param {Object} monitor - Monitor state from the queue (updated in place)
+   * @returns {number|null} Milliseconds until the next check, or null when monitoring is done
+   */
+  async monitorTransaction(monitor) {
+    const transaction = transactionStore.get(monitor.txId);
+
+    // Finished elsewhere, e.g. cancelled before it was broadcast
+    if (!transaction || transactionStateMachine.isFinal(transaction.status)) {
+      logger.info('Transaction no longer needs monitoring', { txId: monitor.txId, status: transaction?.status });
+      return null;
+    }
+    monitor.status = transaction.status;
 
     try {
       monitor.lastCheck = new Date().toISOString();
       
-      // Simulate checking transaction status
-      const result = await this.checkTransactionStatus(monitor.txHash, monitor.type);
+      // Live transactions are checked on chain, everything else is simulated
+      const result = monitor.details.executionMode === EXECUTION_MODES.LIVE
+        ? await this.checkOnChainStatus(monitor, transaction.replacements)
+        : await this.checkTransactionStatus(monitor);
+      monitor.errorCount = 0;
       
-      if (result.completed) {
+      if (result.reorged) {
+        return await this.handleTransactionReorged(monitor, result);
+      } else if (result.cancelled) {
+        return await this.handleTransactionCancelled(monitor, result);
+      } else if (result.completed) {
         // Transaction completed
-        await this.handleTransactionCompleted(txId, result);
+        return await this.handleTransactionCompleted(monitor, result);
       } else if (result.failed) {
         // Transaction failed
-        await this.handleTransactionFailed(txId, result);
-      } else {
-        // Still pending, schedule next check
-        monitor.retryCount++;
-        
-        if (monitor.retryCount >= this.maxRetries) {
-          await this.handleTransactionTimeout(txId);
-        } else {
-          // Schedule next check
-          setTimeout(() => this.monitorTransaction(txId), this.monitoringInterval);
-          
-          // Send progress update
-          socketService.broadcastTransactionUpdate(monitor.userId, {
-            txId: monitor.txId,
-            txHash: monitor.txHash,
-            type: monitor.type,
-            status: 'pending',
-            message: `Transaction pending (check ${monitor.retryCount}/${this.maxRetries})`,
-            retryCount: monitor.retryCount,
-            details: monitor.details
-          });
-        }
+        return await this.handleTransactionFailed(monitor, result);
       }
+
+      // Still pending, schedule next check
+      monitor.retryCount++;
+
+      // Seen again (or still waiting) after a reorg: carry on from the status
+      // it had before
+      if (monitor.status === TRANSACTION_STATUS.REORGED) {
+        monitor.status = monitor.reorgedFrom;
+        monitor.reorgedFrom = null;
+      }
+
+      if (this.isStale(monitor) && monitor.status !== TRANSACTION_STATUS.STALE) {
+        return await this.handleTransactionStale(monitor);
+      }
+
+      if (!monitor.slowPolling && monitor.status !== TRANSACTION_STATUS.STALE && this.isSlowPolling(monitor)) {
+        this.handleSlowPolling(monitor);
+      }
+
+      // Once the source leg is final a pending cancellation can no longer
+      // win; until then a cancelling transaction stays cancelling. A stale
+      // transaction stays stale until it gets a final status.
+      let status = TRANSACTION_STATUS.PENDING;
+      if (monitor.status === TRANSACTION_STATUS.STALE) {
+        status = TRANSACTION_STATUS.STALE;
+      } else if (!monitor.settlement && monitor.status === TRANSACTION_STATUS.CANCELLING) {
+        status = TRANSACTION_STATUS.CANCELLING;
+      }
+
+      // Send progress update
+      const updated = this.setStatus(monitor, status, {
+        reason: this.describeProgress(monitor, result),
+        changes: monitor.settlement ? { txHash: result.minedTxHash, settlement: monitor.settlement } : {},
+        update: {
+          retryCount: monitor.retryCount,
+          slowPolling: monitor.slowPolling,
+          confirmations: result.confirmations,
+          requiredConfirmations: result.requiredConfirmations,
+          ...(monitor.settlement && this.describeSettlement(monitor.settlement))
+        }
+      });
+
+      return updated ? this.getPollingInterval(monitor) : null;
     } catch (error) {
       logger.error('Transaction monitoring error', {
-        txId,
+        txId: monitor.txId,
         error: error.message
       });
 
       monitor.retryCount++;
+      monitor.errorCount++;
       
-      if (monitor.retryCount >= this.maxRetries) {
-        await this.handleTransactionTimeout(txId);
-      } else {
-        // Retry after delay
-        setTimeout(() => this.monitorTransaction(txId), this.monitoringInterval);
+      if (this.isStale(monitor) && monitor.status !== TRANSACTION_STATUS.STALE) {
+        return await this.handleTransactionStale(monitor);
       }
+
+      // Retry after a delay that doubles while checks keep failing
+      return this.getRetryDelay(monitor);
     }
   }
 
   /**
-   * Check transaction status (simulated)
-   * @param {string} txHash - Transaction hash
-   * @param {string} type - Transaction type
+   * Get the polling interval for a monitor: the interval of the chain it is
+   * currently waiting on during the fast window, the slow interval after it,
+   * and the stale interval once it is stale
+   * @param {Object} monitor - Active monitor
+   * @returns {number} Interval in milliseconds
+   */
+  getPollingInterval(monitor) {
+    const chainId = monitor.settlement
+      ? monitor.settlement.destination.chainId
+      : monitor.details.chainId;
+    const { pollingInterval } = getConfirmationPolicy(chainId);
+
+    if (monitor.status === TRANSACTION_STATUS.STALE) {
+      return Math.max(pollingInterval, this.staleInterval);
+    }
+    return this.isSlowPolling(monitor) ? Math.max(pollingInterval, this.slowInterval) : pollingInterval;
+  }
+
+  /**
+   * Check whether a monitor is past the fast window
+   * @param {Object} monitor - Active monitor
+   * @returns {boolean} Is slow polling
+   */
+  isSlowPolling(monitor) {
+    return Date.now() - monitor.startTime >= this.fastWindow;
+  }
+
+  /**
+   * Check whether a monitor is past the stale deadline
+   * @param {Object} monitor - Active monitor
+   * @returns {boolean} Is stale
+   */
+  isStale(monitor) {
+    return Date.now() - monitor.startTime >= this.staleAfter;
+  }
+
+  /**
+   * Get the delay before retrying a failed check, doubling per consecutive error
+   * @param {Object} monitor - Active monitor
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(monitor) {
+    return Math.min(this.getPollingInterval(monitor) * 2 ** monitor.errorCount, this.maxBackoff);
+  }
+
+  /**
+   * Check a transaction again right away after a replacement was sent. The
+   * replacements themselves are read from the stored transaction.
+   * @param {string} txId - Transaction ID
+   * @param {Object} replacement - Replacement details ({ kind, txHash })
+   * @returns {boolean} Whether the transaction is being monitored
+   */
+  addReplacement(txId, replacement) {
+    if (!monitoringQueue.wake(txId)) {
+      return false;
+    }
+
+    logger.info('Following replacement transaction', {
+      txId,
+      kind: replacement.kind,
+      txHash: replacement.txHash
+    });
+
+    this.wake();
+    return true;
+  }
+
+  /**
+   * Check the original transaction and its replacements for a receipt
+   * @param {Object} monitor - Active monitor
+   * @param {Array} replacements - Same-nonce replacements (speed-up/cancel); whichever hash is mined wins
    * @returns {Object} Transaction status result
    */
-  async checkTransactionStatus(txHash, type) {
-    // Simulate network delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
+  async checkOnChainStatus(monitor, replacements = []) {
+    const { chainId } = monitor.details;
+    const provider = getProvider(chainId);
+    const { confirmations: requiredConfirmations } = getConfirmationPolicy(chainId);
 
-    // Simulate different outcomes based on transaction type and randomness
-    const random = Math.random();
-    
-    if (random < 0.7) {
-      // 70% chance of completion
-      return {
-        completed: true,
-        confirmations: 12,
-        gasUsed: this.getEstimatedGasUsed(type),
-        blockNumber: Math.floor(Math.random() * 1000000) + 40000000,
+    // A receipt seen on an earlier check must still be on the canonical chain
+    if (monitor.inclusion) {
+      const block = await provider.getBlock(monitor.inclusion.blockNumber);
+
+      if (!block || block.hash !== monitor.inclusion.blockHash) {
+        return { reorged: true, leg: 'source', ...monitor.inclusion };
+      }
+    }
+
+    const candidates = [
+      { kind: 'original', txHash: monitor.txHash },
+      ...replacements.map(({ kind, txHash }) => ({ kind, txHash }))
+    ];
+
+    for (const candidate of candidates) {
+      const receipt = await provider.getTransactionReceipt(candidate.txHash);
+      if (!receipt) {
+        continue;
+      }
+
+      monitor.inclusion = {
+        txHash: candidate.txHash,
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash
+      };
+
+      const mined = {
+        minedTxHash: candidate.txHash,
+        replacedBy: candidate.kind === 'original' ? null : candidate.kind,
+        confirmations: await receipt.confirmations(),
+        requiredConfirmations,
+        gasUsed: receipt.gasUsed.toString(),
+        blockNumber: receipt.blockNumber,
         timestamp: new Date().toISOString()
       };
-    } else if (random < 0.8) {
-      // 10% chance of failure
-      return {
-        failed: true,
-        error: 'Transaction reverted due to insufficient gas',
-        gasUsed: '21000'
+
+      // Nothing is final until the receipt is buried deep enough
+      if (mined.confirmations < requiredConfirmations) {
+        return { pending: true, confirming: true, ...mined };
+      }
+
+      // The receipt can come from a node that hasn't seen a reorg yet, so
+      // check its block is canonical once more before treating it as final
+      const block = await provider.getBlock(receipt.blockNumber);
+      if (!block || block.hash !== receipt.blockHash) {
+        return { reorged: true, leg: 'source', ...monitor.inclusion };
+      }
+
+      // A mined cancellation means the original call never ran
+      if (candidate.kind === 'cancel') {
+        return { cancelled: true, ...mined };
+      }
+
+      if (receipt.status !== 1) {
+        return { failed: true, error: 'Transaction reverted', ...mined };
+      }
+
+      // Cross-chain operations complete when the bridge delivers
+      if (this.isCrossChain(monitor)) {
+        return this.checkSettlement(monitor, receipt, mined);
+      }
+
+      return { completed: true, ...mined };
+    }
+
+    return { pending: true, confirmations: 0, requiredConfirmations };
+  }
+
+  /**
+   * Check if a monitored operation settles on another chain
+   * @param {Object} monitor - Active monitor
+   * @returns {boolean} Is cross-chain
+   */
+  isCrossChain(monitor) {
+    const { chainId, destinationChainId } = monitor.details;
+    return Boolean(destinationChainId) && destinationChainId !== chainId;
+  }
+
+  /**
+   * Advance the destination leg of a cross-chain operation
+   * @param {Object} monitor - Active monitor
+   * @param {Object} receipt - Successful source-chain receipt
+   * @param {Object} mined - Source leg result
+   * @returns {Object} Transaction status result
+   */
+  async checkSettlement(monitor, receipt, mined) {
+    const { chainId, destinationChainId, receiver, tokenOut, minAmountOut } = monitor.details;
+
+    const { reorged, ...settlement } = monitor.settlement
+      ? await this.settlementTracker.check(monitor.settlement, { receiver, tokenOut, minAmountOut })
+      : await this.settlementTracker.start({ txId: monitor.txId, sourceChainId: chainId, destinationChainId, receipt });
+
+    monitor.settlement = settlement;
+
+    if (reorged) {
+      return { reorged: true, ...reorged };
+    }
+
+    if (settlement.status === SETTLEMENT_STATUS.DESTINATION_CONFIRMED) {
+      return { completed: true, ...mined, settlement };
+    }
+
+    // A matched delivery is only waiting for destination-chain depth
+    return { pending: true, confirming: Boolean(settlement.destination.txHash), ...mined, settlement };
+  }
+
+  /**
+   * Summarize both legs of a settlement for updates
+   * @param {Object} settlement - Settlement state
+   * @returns {Object} Settlement status and both transaction hashes
+   */
+  describeSettlement(settlement) {
+    return {
+      settlementStatus: settlement.status,
+      sourceTxHash: settlement.source.txHash,
+      destinationTxHash: settlement.destination.txHash,
+      settlement: {
+        status: settlement.status,
+        source: settlement.source,
+        destination: settlement.destination,
+        bridge: settlement.bridge,
+        messageId: settlement.messageId
+      }
+    };
+  }
+
+  /**
+   * Describe a pending check for progress updates
+   * @param {Object} monitor - Active monitor
+   * @param {Object} result - Pending check result
+   * @returns {string} Progress message
+   */
+  describeProgress(monitor, result) {
+    const check = `check ${monitor.retryCount}${monitor.slowPolling ? ', slow polling' : ''}`;
+    const destination = monitor.settlement?.destination;
+
+    if (destination?.txHash) {
+      const { confirmations } = getConfirmationPolicy(destination.chainId);
+      return `Delivered on destination chain, waiting for confirmations (${destination.confirmations}/${confirmations})`;
+    }
+
+    if (result.confirming) {
+      return `Waiting for confirmations (${result.confirmations}/${result.requiredConfirmations})`;
+    }
+
+    switch (monitor.settlement?.status) {
+      case SETTLEMENT_STATUS.SOURCE_CONFIRMED:
+        return `Source transaction confirmed, waiting for bridge (${check})`;
+      case SETTLEMENT_STATUS.BRIDGING:
+        return `Bridging to destination chain (${check})`;
+      default:
+        return `Transaction pending (${check})`;
+    }
+  }
+
+  /**
+   * Check transaction status (simulated). Same-chain operations complete on
+   * the first check; cross-chain ones step through the settlement legs.
+   * @param {Object} monitor - Active monitor
+   * @returns {Object} Transaction status result
+   */
+  async checkTransactionStatus(monitor) {
+    // Simulate network delay
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    const { confirmations } = getConfirmationPolicy(monitor.details.chainId);
+    const mined = {
+      minedTxHash: monitor.txHash,
+      replacedBy: null,
+      confirmations,
+      requiredConfirmations: confirmations,
+      gasUsed: this.getEstimatedGasUsed(monitor.type),
+      blockNumber: 40000000 + monitor.retryCount,
+      timestamp: new Date().toISOString()
+    };
+
+    if (!this.isCrossChain(monitor)) {
+      return { completed: true, ...mined };
+    }
+
+    const { chainId, destinationChainId } = monitor.details;
+
+    if (!monitor.settlement) {
+      monitor.settlement = {
+        status: SETTLEMENT_STATUS.SOURCE_CONFIRMED,
+        source: { chainId, txHash: monitor.txHash, blockNumber: mined.blockNumber },
+        destination: this.settlementTracker.emptyDestination(destinationChainId),
+        bridge: null,
+        messageId: null
       };
+    } else if (monitor.settlement.status === SETTLEMENT_STATUS.SOURCE_CONFIRMED) {
+      monitor.settlement = { ...monitor.settlement, status: SETTLEMENT_STATUS.BRIDGING };
     } else {
-      // 20% chance still pending
-      return {
-        pending: true,
-        confirmations: Math.floor(Math.random() * 5)
+      monitor.settlement = {
+        ...monitor.settlement,
+        status: SETTLEMENT_STATUS.DESTINATION_CONFIRMED,
+        destination: {
+          chainId: destinationChainId,
+          // Deterministic stand-in for the delivery transaction
+          txHash: ethers.keccak256(monitor.txHash),
+          blockNumber: mined.blockNumber,
+          blockHash: null,
+          confirmations: getConfirmationPolicy(destinationChainId).confirmations
+        }
       };
+
+      return { completed: true, ...mined, settlement: monitor.settlement };
     }
+
+    return { pending: true, ...mined, settlement: monitor.settlement };
   }
 
   /**
    * Handle completed transaction
-   * @param {string} txId - Transaction ID
+   * @param {Object} monitor - Active monitor
    * @param {Object} result - Transaction result
+   * @returns {null} Monitoring is done
    */
-  async handleTransactionCompleted(txId, result) {
-    const monitor = this.activeMonitors.get(txId);
-    if (!monitor) return;
-
+  async handleTransactionCompleted(monitor, result) {
     const duration = Date.now() - monitor.startTime;
 
     logger.info('Transaction completed', {
@@ -175,17 +599,24 @@ class MonitoringService {
       confirmations: result.confirmations
     });
 
-    // Send completion notification to user
-    socketService.broadcastTransactionUpdate(monitor.userId, {
-      txId: monitor.txId,
-      txHash: monitor.txHash,
-      type: monitor.type,
-      status: 'completed',
-      message: 'Transaction completed successfully',
-      result,
-      duration,
-      details: monitor.details
+    const transaction = this.setStatus(monitor, TRANSACTION_STATUS.COMPLETED, {
+      reason: 'Transaction completed successfully',
+      changes: {
+        ...(result.minedTxHash && { txHash: result.minedTxHash }),
+        ...(result.settlement && {
+          settlement: result.settlement,
+          destinationTxHash: result.settlement.destination.txHash
+        }),
+        gasUsed: result.gasUsed,
+        completedAt: new Date().toISOString()
+      },
+      update: {
+        result,
+        ...(result.settlement && this.describeSettlement(result.settlement)),
+        duration
+      }
     });
+    if (!transaction) return null;
 
     // Send success notification
     socketService.sendUserNotification(monitor.userId, {
@@ -196,22 +627,20 @@ class MonitoringService {
       txHash: monitor.txHash
     });
 
-    // Clean up monitor
-    this.activeMonitors.delete(txId);
-
-    // Trigger balance update
+    // Trigger balance and position updates
     this.triggerBalanceUpdate(monitor.userId);
+    this.triggerPositionUpdate(monitor.userId);
+
+    return null;
   }
 
   /**
    * Handle failed transaction
-   * @param {string} txId - Transaction ID
+   * @param {Object} monitor - Active monitor
    * @param {Object} result - Failure result
+   * @returns {null} Monitoring is done
    */
-  async handleTransactionFailed(txId, result) {
-    const monitor = this.activeMonitors.get(txId);
-    if (!monitor) return;
-
+  async handleTransactionFailed(monitor, result) {
     const duration = Date.now() - monitor.startTime;
 
     logger.error('Transaction failed', {
@@ -221,17 +650,18 @@ class MonitoringService {
       error: result.error
     });
 
-    // Send failure notification to user
-    socketService.broadcastTransactionUpdate(monitor.userId, {
-      txId: monitor.txId,
-      txHash: monitor.txHash,
-      type: monitor.type,
-      status: 'failed',
-      message: 'Transaction failed',
-      error: result.error,
-      duration,
-      details: monitor.details
+    const transaction = this.setStatus(monitor, TRANSACTION_STATUS.FAILED, {
+      reason: `Transaction failed: ${result.error}`,
+      changes: {
+        ...(result.minedTxHash && { txHash: result.minedTxHash }),
+        error: result.error
+      },
+      update: {
+        error: result.error,
+        duration
+      }
     });
+    if (!transaction) return null;
 
     // Send error notification
     socketService.sendUserNotification(monitor.userId, {
@@ -242,50 +672,163 @@ class MonitoringService {
       txHash: monitor.txHash
     });
 
-    // Clean up monitor
-    this.activeMonitors.delete(txId);
+    return null;
   }
 
   /**
-   * Handle transaction timeout
-   * @param {string} txId - Transaction ID
+   * Handle a receipt (or bridge delivery) that was reorged out of the chain:
+   * the transaction becomes reorged and monitoring continues. Only checked
+   * until the transaction is final: a completed transaction was at its chain's
+   * confirmation depth, so a deeper reorg after that goes unnoticed.
+   * @param {Object} monitor - Active monitor
+   * @param {Object} result - Reorg result ({ leg, txHash, blockNumber, blockHash })
+   * @returns {number|null} Milliseconds until the next check, or null when monitoring is done
    */
-  async handleTransactionTimeout(txId) {
-    const monitor = this.activeMonitors.get(txId);
-    if (!monitor) return;
+  async handleTransactionReorged(monitor, result) {
+    logger.warn('Transaction reorged out', {
+      txId: monitor.txId,
+      leg: result.leg,
+      txHash: result.txHash,
+      blockNumber: result.blockNumber,
+      blockHash: result.blockHash
+    });
+
+    // A reorged source leg invalidates anything tracked on the destination chain
+    if (result.leg === 'source') {
+      monitor.inclusion = null;
+      monitor.settlement = null;
+    }
+    monitor.retryCount = 0;
+
+    // The next check that finds it still pending returns it to this status.
+    // Until the source leg is final again a sent cancellation can still win.
+    if (monitor.status !== TRANSACTION_STATUS.REORGED) {
+      monitor.reorgedFrom = result.leg === 'source' || monitor.status !== TRANSACTION_STATUS.CANCELLING
+        ? monitor.status
+        : TRANSACTION_STATUS.PENDING;
+    }
 
+    const transaction = this.setStatus(monitor, TRANSACTION_STATUS.REORGED, {
+      reason: result.leg === 'source'
+        ? 'Transaction was reorged out of the chain, waiting for it to be mined again'
+        : 'Destination delivery was reorged out of the chain, waiting for it again',
+      changes: { settlement: monitor.settlement },
+      update: {
+        reorged: {
+          leg: result.leg,
+          txHash: result.txHash,
+          blockNumber: result.blockNumber,
+          blockHash: result.blockHash
+        },
+        ...(monitor.settlement && this.describeSettlement(monitor.settlement))
+      }
+    });
+
+    return transaction ? this.getPollingInterval(monitor) : null;
+  }
+
+  /**
+   * Handle a transaction whose cancellation replacement was mined
+   * @param {Object} monitor - Active monitor
+   * @param {Object} result - Cancellation result
+   * @returns {null} Monitoring is done
+   */
+  async handleTransactionCancelled(monitor, result) {
     const duration = Date.now() - monitor.startTime;
 
-    logger.warn('Transaction monitoring timeout', {
+    logger.info('Transaction cancelled on chain', {
+      txId: monitor.txId,
+      originalTxHash: monitor.txHash,
+      cancelTxHash: result.minedTxHash,
+      duration
+    });
+
+    const transaction = this.setStatus(monitor, TRANSACTION_STATUS.CANCELLED, {
+      reason: 'Transaction cancelled',
+      changes: {
+        txHash: result.minedTxHash,
+        cancelledAt: new Date().toISOString()
+      },
+      update: {
+        originalTxHash: monitor.txHash,
+        result,
+        duration
+      }
+    });
+    if (!transaction) return null;
+
+    socketService.sendUserNotification(monitor.userId, {
+      type: 'info',
+      title: 'Transaction Cancelled',
+      message: `Your ${monitor.type} transaction was cancelled`,
+      txId: monitor.txId,
+      txHash: result.minedTxHash
+    });
+
+    return null;
+  }
+
+  /**
+   * Handle a transaction leaving the fast window. It stays pending and keeps
+   * being checked, less often; the user is told once.
+   * @param {Object} monitor - Active monitor (updated in place)
+   */
+  handleSlowPolling(monitor) {
+    monitor.slowPolling = true;
+
+    logger.info('Transaction moved to slow polling', {
       txId: monitor.txId,
       txHash: monitor.txHash,
-      duration,
+      duration: Date.now() - monitor.startTime,
       retryCount: monitor.retryCount
     });
 
-    // Send timeout notification to user
-    socketService.broadcastTransactionUpdate(monitor.userId, {
+    socketService.sendUserNotification(monitor.userId, {
+      type: 'info',
+      title: 'Transaction Taking Longer',
+      message: `Your ${monitor.type} transaction is taking longer than usual. We'll keep checking and let you know when it completes.`,
+      txId: monitor.txId,
+      txHash: monitor.txHash
+    });
+  }
+
+  /**
+   * Handle a transaction with no final status by the stale deadline. It is
+   * still re-checked every stale interval, and a later final status updates
+   * the record and notifies the user as usual.
+   * @param {Object} monitor - Active monitor
+   * @returns {number|null} Milliseconds until the next re-check, or null if the change was rejected
+   */
+  async handleTransactionStale(monitor) {
+    const duration = Date.now() - monitor.startTime;
+
+    logger.warn('Transaction monitoring stale', {
       txId: monitor.txId,
       txHash: monitor.txHash,
-      type: monitor.type,
-      status: 'timeout',
-      message: 'Transaction monitoring timed out - check manually',
       duration,
-      retryCount: monitor.retryCount,
-      details: monitor.details
+      retryCount: monitor.retryCount
+    });
+
+    const hours = Math.round(duration / 3600000);
+    const transaction = this.setStatus(monitor, TRANSACTION_STATUS.STALE, {
+      reason: `No final status after ${hours}h - still re-checking every ${Math.round(this.staleInterval / 60000)} minutes`,
+      update: {
+        duration,
+        retryCount: monitor.retryCount
+      }
     });
+    if (!transaction) return null;
 
     // Send warning notification
     socketService.sendUserNotification(monitor.userId, {
       type: 'warning',
       title: 'Transaction Status Unknown',
-      message: `Unable to confirm ${monitor.type} transaction status. Please check manually.`,
+      message: `Unable to confirm ${monitor.type} transaction status after ${hours} hours. We'll keep checking and let you know if it completes; you can also check it manually.`,
       txId: monitor.txId,
       txHash: monitor.txHash
     });
 
-    // Clean up monitor
-    this.activeMonitors.delete(txId);
+    return this.getPollingInterval(monitor);
   }
 
   /**
@@ -327,13 +870,29 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Push the user's positions, rebuilt with the completed transaction
+   * @param {string} userId - User ID or address
+   */
+  async triggerPositionUpdate(userId) {
+    try {
+      const positions = await this.positionLedger.getPositions(userId);
+      socketService.broadcastPositionUpdate(userId, positions);
+    } catch (error) {
+      logger.error('Failed to trigger position update', {
+        userId,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get monitoring statistics
    * @returns {Object} Monitoring statistics
    */
   getMonitoringStats() {
-    const activeCount = this.activeMonitors.size;
-    const monitors = Array.from(this.activeMonitors.values());
+    const jobs = monitoringQueue.list();
+    const monitors = jobs.map(job => job.monitor);
     
     const typeStats = {};
     const statusStats = {};
@@ -344,7 +903,13 @@ class MonitoringService {
     });
 
     return {
-      activeCount,
+      activeCount: monitors.length,
+      // Jobs a worker is checking right now
+      lockedCount: jobs.filter(job => job.lockedBy).length,
+      running: Boolean(this.timer),
+      workerId: this.workerId,
+      // Jobs past the fast window
+      slowPollingCount: monitors.filter(monitor => monitor.slowPolling).length,
       typeStats,
       statusStats,
       averageMonitoringTime: monitors.length > 0 
@@ -359,8 +924,7 @@ class MonitoringService {
    * @param {string} txId - Transaction ID
    */
   stopMonitoring(txId) {
-    if (this.activeMonitors.has(txId)) {
-      this.activeMonitors.delete(txId);
+    if (monitoringQueue.remove(txId)) {
       logger.info('Stopped monitoring transaction', { txId });
       return true;
     }
@@ -371,8 +935,7 @@ class MonitoringService {
    * Stop all monitoring
    */
   stopAllMonitoring() {
-    const count = this.activeMonitors.size;
-    this.activeMonitors.clear();
+    const count = monitoringQueue.clear();
     logger.info('Stopped all transaction monitoring', { count });
     return count;
   }
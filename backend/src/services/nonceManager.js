@@ -0,0 +1,473 @@
+const logger = require('../utils/logger');
+const { recordBroadcast } = require('../utils/broadcastContext');
+
+// Node errors meaning the nonce we used is already mined
+const NONCE_CONFLICT_PATTERNS = [
+  /nonce too low/i,
+  /nonce has already been used/i,
+  /NONCE_EXPIRED/
+];
+
+// Node errors meaning the nonce is ahead of the account's next nonce
+const NONCE_GAP_PATTERNS = [
+  /nonce too high/i,
+  /nonce gap/i
+];
+
+// Node errors meaning it already has this exact signed transaction, e.g. when
+// a retried request's first attempt got through
+const ALREADY_KNOWN_PATTERNS = [
+  /already known/i,
+  /known transaction/i,
+  /already imported/i
+];
+
+// Node errors meaning another pending transaction holds the nonce
+const NONCE_PENDING_PATTERNS = [
+  /replacement transaction underpriced/i,
+  /REPLACEMENT_UNDERPRICED/
+];
+
+class NonceManager {
+  constructor() {
+    // Hot-wallet accounts keyed by `${chainId}:${address}`
+    this.accounts = new Map();
+    this.reconcileInterval = 30000; // 30 seconds
+    this.droppedTimeout = parseInt(process.env.NONCE_DROPPED_TIMEOUT_MS) || 300000; // 5 minutes
+    this.timer = null;
+  }
+
+  /**
+   * Register a signing account so its nonces are coordinated (idempotent)
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Signer address
+   * @param {Object} provider - ethers provider for the chain
+   */
+  register(chainId, address, provider) {
+    const key = this.getKey(chainId, address);
+
+    if (!this.accounts.has(key)) {
+      this.accounts.set(key, {
+        chainId: Number(chainId),
+        address,
+        provider,
+        nextNonce: null,
+        // Nonces handed back before broadcast, reused lowest first to close gaps
+        released: [],
+        // Nonces handed out and not yet mined: nonce -> { status, txHash, reservedAt, sentAt }
+        inFlight: new Map(),
+        lock: Promise.resolve(),
+        lastSync: null
+      });
+    }
+  }
+
+  getKey(chainId, address) {
+    return `${Number(chainId)}:${address.toLowerCase()}`;
+  }
+
+  getAccount(chainId, address) {
+    const account = this.accounts.get(this.getKey(chainId, address));
+    if (!account) {
+      throw new Error(`No nonce manager registered for ${address} on chain ${chainId}`);
+    }
+    return account;
+  }
+
+  /**
+   * Run a function while holding the account's lock, so nonce state is only
+   * ever read and updated by one caller at a time
+   */
+  withLock(account, fn) {
+    const run = account.lock.then(fn);
+    account.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Resync an account from the node's `pending` nonce
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Signer address
+   * @returns {number} Next nonce to hand out
+   */
+  async sync(chainId, address) {
+    const account = this.getAccount(chainId, address);
+    return this.withLock(account, () => this.syncAccount(account));
+  }
+
+  // Must be called while holding the account's lock
+  async syncAccount(account) {
+    const [latest, pending] = await Promise.all([
+      account.provider.getTransactionCount(account.address, 'latest'),
+      account.provider.getTransactionCount(account.address, 'pending')
+    ]);
+
+    // Anything below the mined count is settled, whoever sent it
+    for (const nonce of account.inFlight.keys()) {
+      if (nonce < latest) {
+        account.inFlight.delete(nonce);
+      }
+    }
+    account.released = account.released.filter(nonce => nonce >= latest);
+
+    // Never hand out a nonce still reserved by a send in progress
+    const highestInFlight = Math.max(-1, ...account.inFlight.keys());
+    const previous = account.nextNonce;
+    account.nextNonce = Math.max(pending, highestInFlight + 1);
+    account.released = account.released.filter(nonce => nonce < account.nextNonce);
+    account.lastSync = new Date().toISOString();
+
+    if (previous !== null && previous !== account.nextNonce) {
+      logger.warn('Nonce resynced from chain', {
+        chainId: account.chainId,
+        address: account.address,
+        previous,
+        next: account.nextNonce,
+        latest,
+        pending
+      });
+    }
+
+    return account.nextNonce;
+  }
+
+  /**
+   * Resync every registered account (run on startup)
+   */
+  async syncAll() {
+    const results = await Promise.allSettled(
+      Array.from(this.accounts.values()).map(account =>
+        this.withLock(account, () => this.syncAccount(account))
+      )
+    );
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        const account = Array.from(this.accounts.values())[index];
+        logger.error('Failed to sync nonce', {
+          chainId: account.chainId,
+          address: account.address,
+          error: result.reason.message
+        });
+      }
+    });
+  }
+
+  /**
+   * Reserve the next nonce for an account
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Signer address
+   * @returns {number} Reserved nonce
+   */
+  async acquire(chainId, address) {
+    const account = this.getAccount(chainId, address);
+
+    return this.withLock(account, async () => {
+      if (account.nextNonce === null) {
+        await this.syncAccount(account);
+      }
+
+      const nonce = account.released.length > 0
+        ? account.released.shift()
+        : account.nextNonce++;
+
+      account.inFlight.set(nonce, {
+        status: 'reserved',
+        txHash: null,
+        reservedAt: Date.now(),
+        sentAt: null
+      });
+
+      return nonce;
+    });
+  }
+
+  /**
+   * Record that a reserved nonce was broadcast
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Signer address
+   * @param {number} nonce - Nonce used
+   * @param {string} txHash - Broadcast transaction hash
+   */
+  markSent(chainId, address, nonce, txHash) {
+    const entry = this.getAccount(chainId, address).inFlight.get(nonce);
+    if (entry) {
+      entry.status = 'sent';
+      entry.txHash = txHash;
+      entry.sentAt = Date.now();
+    }
+  }
+
+  /**
+   * Hand back a nonce that was never broadcast so it can be reused
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Signer address
+   * @param {number} nonce - Nonce to release
+   */
+  release(chainId, address, nonce) {
+    const account = this.getAccount(chainId, address);
+    account.inFlight.delete(nonce);
+
+    if (nonce === account.nextNonce - 1) {
+      account.nextNonce--;
+    } else if (!account.released.includes(nonce)) {
+      account.released.push(nonce);
+      account.released.sort((a, b) => a - b);
+    }
+  }
+
+  /**
+   * Send a transaction with a managed nonce. The transaction is signed before
+   * it is broadcast, so its hash is known whatever the node answers:
+   * - "already known" means the node has this very transaction, so it counts
+   *   as sent
+   * - "nonce too low" or a nonce gap resyncs the account and signs again with
+   *   a fresh nonce, once, but only if the first transaction is not on chain
+   *   or in the mempool (a nonce too low can't be mined any more, so it will
+   *   never land after that)
+   * - anything else hands the nonce back, unless another pending transaction
+   *   holds it or the transaction reached the node anyway
+   * @param {number} chainId - Chain ID
+   * @param {string} address - Signer address
+   * @param {Object} transaction - How to send
+   * @param {Function} transaction.sign - Called with the nonce; returns { hash, serialized } without broadcasting
+   * @param {Function} transaction.broadcast - Called with the serialized transaction; broadcasts it
+   * @returns {string} Transaction hash
+   * @throws {Error} The send error; with `txHash` set when the transaction may have been broadcast
+   */
+  async send(chainId, address, { sign, broadcast }) {
+    const account = this.getAccount(chainId, address);
+
+    for (let attempt = 0; ; attempt++) {
+      const nonce = await this.acquire(chainId, address);
+      let signed;
+
+      try {
+        signed = await sign(nonce);
+        // Counts even if the node errors: it may still have taken it
+        recordBroadcast();
+        await broadcast(signed.serialized);
+      } catch (error) {
+        const reason = error.shortMessage || error.message;
+
+        if (!signed) {
+          this.release(chainId, address, nonce);
+          throw error;
+        }
+
+        if (this.isAlreadyKnown(error)) {
+          logger.info('Transaction already known to node', { chainId, address, nonce, txHash: signed.hash });
+        } else if (this.isNonceConflict(error) || this.isNonceGap(error)) {
+          const found = await this.isBroadcast(account, signed.hash).catch(() => null);
+
+          if (found === null) {
+            // Can't tell whether it landed, so don't risk sending it twice
+            account.inFlight.delete(nonce);
+            error.txHash = signed.hash;
+            throw error;
+          }
+          if (found) {
+            logger.info('Transaction found after nonce error, not resending', {
+              chainId, address, nonce, txHash: signed.hash, error: reason
+            });
+          } else {
+            // The nonce is taken on chain or out of sequence; drop it and
+            // resync rather than reuse it
+            account.inFlight.delete(nonce);
+            await this.sync(chainId, address);
+
+            if (attempt > 0) {
+              throw error;
+            }
+            logger.warn('Nonce conflict, resyncing', { chainId, address, nonce, error: reason });
+            continue;
+          }
+        } else if (this.isNoncePending(error)) {
+          // Another pending transaction holds the nonce, so it can't be reused
+          account.inFlight.delete(nonce);
+          throw error;
+        } else {
+          // e.g. a timeout: the node may still have taken the transaction
+          const found = await this.isBroadcast(account, signed.hash).catch(() => null);
+
+          if (found === false) {
+            this.release(chainId, address, nonce);
+            throw error;
+          }
+          if (found === null) {
+            // Unknown: never reuse it; the next resync skips it if it was taken
+            account.inFlight.delete(nonce);
+            error.txHash = signed.hash;
+            throw error;
+          }
+          logger.warn('Transaction found after send error', { chainId, address, nonce, txHash: signed.hash, error: reason });
+        }
+      }
+
+      this.markSent(chainId, address, nonce, signed.hash);
+
+      logger.info('Transaction sent with managed nonce', { chainId, address, nonce, txHash: signed.hash });
+      return signed.hash;
+    }
+  }
+
+  /**
+   * Check whether a transaction is mined or pending on the node
+   * @param {Object} account - Registered account
+   * @param {string} txHash - Transaction hash
+   * @returns {boolean} Is known to the node
+   */
+  async isBroadcast(account, txHash) {
+    return Boolean(await account.provider.getTransaction(txHash));
+  }
+
+  /**
+   * Check if an error means the nonce is already used on chain
+   * @param {Error} error - Send error
+   * @returns {boolean} Is a nonce conflict
+   */
+  isNonceConflict(error) {
+    return error.code === 'NONCE_EXPIRED' || this.matches(error, NONCE_CONFLICT_PATTERNS);
+  }
+
+  /**
+   * Check if an error means the nonce is ahead of the account's next nonce
+   * @param {Error} error - Send error
+   * @returns {boolean} Is a nonce gap
+   */
+  isNonceGap(error) {
+    return this.matches(error, NONCE_GAP_PATTERNS);
+  }
+
+  /**
+   * Check if an error means the node already has the transaction
+   * @param {Error} error - Send error
+   * @returns {boolean} Is already known
+   */
+  isAlreadyKnown(error) {
+    return this.matches(error, ALREADY_KNOWN_PATTERNS);
+  }
+
+  /**
+   * Check if an error means another pending transaction holds the nonce
+   * @param {Error} error - Send error
+   * @returns {boolean} Is held by a pending transaction
+   */
+  isNoncePending(error) {
+    return error.code === 'REPLACEMENT_UNDERPRICED' || this.matches(error, NONCE_PENDING_PATTERNS);
+  }
+
+  matches(error, patterns) {
+    // viem nests the node's message in the error's cause chain
+    const messages = [];
+    for (let current = error; current; current = current.cause) {
+      messages.push(current.message, current.shortMessage, current.details);
+    }
+    return messages.filter(Boolean).some(message => patterns.some(pattern => pattern.test(message)));
+  }
+
+  /**
+   * Clear mined nonces and recover nonces of transactions the node dropped
+   * @param {Object} account - Registered account
+   */
+  async reconcileAccount(account) {
+    return this.withLock(account, async () => {
+      const latest = await account.provider.getTransactionCount(account.address, 'latest');
+
+      for (const [nonce, entry] of account.inFlight) {
+        if (nonce < latest) {
+          account.inFlight.delete(nonce);
+          continue;
+        }
+
+        if (entry.status !== 'sent' || Date.now() - entry.sentAt < this.droppedTimeout) {
+          continue;
+        }
+
+        const tx = await account.provider.getTransaction(entry.txHash);
+        if (!tx) {
+          // Dropped from the mempool: its nonce is a gap the next send must fill
+          account.inFlight.delete(nonce);
+          if (!account.released.includes(nonce)) {
+            account.released.push(nonce);
+            account.released.sort((a, b) => a - b);
+          }
+
+          logger.warn('Transaction dropped, nonce released for reuse', {
+            chainId: account.chainId,
+            address: account.address,
+            nonce,
+            txHash: entry.txHash
+          });
+        }
+      }
+
+      await this.syncAccount(account);
+    });
+  }
+
+  /**
+   * Reconcile every registered account
+   */
+  async reconcileAll() {
+    for (const account of this.accounts.values()) {
+      try {
+        await this.reconcileAccount(account);
+      } catch (error) {
+        logger.error('Nonce reconciliation failed', {
+          chainId: account.chainId,
+          address: account.address,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Resync all accounts and start periodic reconciliation
+   */
+  async start() {
+    await this.syncAll();
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.reconcileAll(), this.reconcileInterval);
+      this.timer.unref();
+    }
+
+    logger.info('Nonce manager started', { accounts: this.accounts.size });
+  }
+
+  /**
+   * Stop periodic reconciliation
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get nonce manager statistics
+   * @returns {Array} Per-account nonce state
+   */
+  getStats() {
+    return Array.from(this.accounts.values()).map(account => ({
+      chainId: account.chainId,
+      address: account.address,
+      nextNonce: account.nextNonce,
+      inFlight: Array.from(account.inFlight.entries()).map(([nonce, entry]) => ({
+        nonce,
+        status: entry.status,
+        txHash: entry.txHash
+      })),
+      released: [...account.released],
+      lastSync: account.lastSync
+    }));
+  }
+}
+
+// Create singleton instance
+const nonceManager = new NonceManager();
+
+module.exports = nonceManager;
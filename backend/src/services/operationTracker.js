@@ -0,0 +1,116 @@
+const logger = require('../utils/logger');
+const monitoringService = require('./monitoringService');
+const transactionStore = require('./transactionStore');
+const transactionStateMachine = require('./transactionStateMachine');
+const priceService = require('./priceService');
+const { getChainConfig, getChainSlug } = require('../config/chains');
+const { getTokenBySymbol } = require('../config/tokens');
+
+// Shared by the API and the compound keeper, so every operation is recorded
+// and monitored the same way
+
+/**
+ * Describe the chains and token of an operation for monitoring details
+ * @param {Object} leg - Strategy leg the tokens leave from ({ token, chain })
+ * @param {Object} otherLeg - Strategy leg the tokens arrive on
+ * @returns {Object} Monitoring details
+ */
+const describeRoute = (leg, otherLeg) => {
+  return {
+    chainId: leg.chain,
+    destinationChainId: otherLeg.chain,
+    fromChain: getChainSlug(getChainConfig(leg.chain)),
+    toChain: getChainSlug(getChainConfig(otherLeg.chain)),
+    token: leg.token.symbol
+  };
+};
+
+/**
+ * Describe a compound's route: its swaps run on the chain the rewards are paid
+ * out on, while its amount stays in deposit-token terms
+ * @param {Object} strategy - Strategy configuration
+ * @returns {Object} Chain and token fields for the transaction record
+ */
+const describeCompoundRoute = (strategy) => {
+  return describeRoute({ chain: strategy.earnings.chain, token: strategy.deposit.token }, strategy.position);
+};
+
+/**
+ * Record the EUR and USD value of a transaction's input amount at the prices
+ * of the moment it was initiated
+ * @param {string} txId - Transaction ID
+ * @param {Object} token - Token the amount is denominated in
+ * @param {string} amount - Amount in base units
+ */
+const valueTransaction = (txId, token, amount) => {
+  priceService.valueOf(token, amount)
+    .then(values => {
+      transactionStore.update(txId, { values, valuedAt: new Date().toISOString() });
+    })
+    .catch(error => {
+      logger.warn('Failed to value transaction', { txId, error: error.message });
+    });
+};
+
+/**
+ * Record a broadcast (or simulated) operation and start monitoring it
+ * @param {Object} result - Result from EnsoYieldFarming.executeOperation
+ * @param {string} type - Operation type (deposit, withdraw, compound)
+ * @param {Object} routeDetails - Monitoring details
+ * @param {Object} record - Extra record fields (e.g. the transaction a retry repeats)
+ */
+const trackTransaction = (result, type, routeDetails, record = {}) => {
+  // What delivery looks like on the destination chain, for settlement tracking
+  const details = {
+    ...routeDetails,
+    tokenOut: result.tokenOut,
+    receiver: result.receiver,
+    minAmountOut: result.minAmountOut
+  };
+
+  const token = getTokenBySymbol(details.token, details.chainId);
+
+  transactionStateMachine.create({
+    id: result.txId,
+    txHash: result.txHash,
+    userAddress: result.userAddress,
+    type,
+    amount: details.amount,
+    amountRaw: result.amount,
+    // LP received (or deposit token returned), used for cost basis
+    expectedOutputRaw: result.expectedOutput,
+    // Quote the route was bounded from, and that bound
+    quotedOutputRaw: result.quotedOutput,
+    minAmountOutRaw: result.minAmountOut,
+    priceImpact: result.priceImpact,
+    token: details.token,
+    tokenAddress: token.address,
+    chainId: details.chainId,
+    fromChain: details.fromChain,
+    toChain: details.toChain,
+    destinationChainId: details.destinationChainId,
+    slippage: result.slippage,
+    executionMode: result.executionMode,
+    strategyId: result.strategyId,
+    // Nonce and fees of the live broadcast, needed to speed up or cancel it
+    broadcast: result.broadcast || null,
+    ...record,
+    details
+  }, `${type} initiated (${result.executionMode})`);
+
+  valueTransaction(result.txId, token, result.amount);
+
+  monitoringService.startTransactionMonitoring(
+    result.txId,
+    result.txHash,
+    result.userAddress,
+    type,
+    details
+  );
+};
+
+module.exports = {
+  describeRoute,
+  describeCompoundRoute,
+  trackTransaction
+};
@@ -0,0 +1,182 @@
+const logger = require('../utils/logger');
+const { VALUE_DECIMALS, fromBaseUnits, valueAtPrice } = require('../utils/amounts');
+const { getTokenPriceConfig } = require('../config/tokens');
+const CoinGeckoPriceSource = require('./CoinGeckoPriceSource');
+const PoolPriceSource = require('./PoolPriceSource');
+const PegPriceSource = require('./PegPriceSource');
+
+// Currencies balances, earnings and transactions are valued in
+const VALUATION_CURRENCIES = ['EUR', 'USD'];
+
+// Sources tried in order until a token is priced, when PRICE_SOURCES is not set
+const DEFAULT_PRICE_SOURCES = 'coingecko,pool,peg';
+
+class PriceService {
+  constructor() {
+    this.sources = this.createSources(process.env.PRICE_SOURCES || DEFAULT_PRICE_SOURCES);
+    // Quotes keyed by `${tokenKey}:${currency}`
+    this.cache = new Map();
+    // Quotes are refetched after cacheTimeout, and never used once older than maxAge
+    this.cacheTimeout = parseInt(process.env.PRICE_CACHE_TTL_MS) || 60000; // 1 minute
+    this.maxAge = parseInt(process.env.PRICE_MAX_AGE_MS) || 3600000; // 1 hour
+  }
+
+  /**
+   * Build the configured price sources, in priority order
+   * @param {string} names - Comma-separated source names (coingecko, pool, peg)
+   * @returns {Array} Price sources
+   */
+  createSources(names) {
+    const factories = {
+      coingecko: () => new CoinGeckoPriceSource(),
+      pool: () => new PoolPriceSource(this),
+      peg: () => new PegPriceSource()
+    };
+
+    return names.split(',').map(name => name.trim()).filter(Boolean).map(name => {
+      if (!factories[name]) {
+        throw new Error(`Unknown price source: ${name}. Must be one of: ${Object.keys(factories).join(', ')}`);
+      }
+      return factories[name]();
+    });
+  }
+
+  /**
+   * Get the key prices are returned under for a token
+   * @param {Object} token - Registry token or any { address, chainId }
+   * @returns {string} Token key (`${chainId}:${address}`)
+   */
+  keyOf(token) {
+    return token.key || getTokenPriceConfig(token.address, token.chainId).key;
+  }
+
+  /**
+   * Get unit price quotes for tokens, trying each source in order. Cached
+   * quotes are reused until cacheTimeout; when every source fails, a cached
+   * quote is still used until it is older than maxAge.
+   * @param {Array} tokens - Registry tokens, reward tokens or price configurations
+   * @param {string} currency - Fiat currency (default: eur)
+   * @returns {Map} Quotes ({ price, currency, source, updatedAt }) by token key; unpriced tokens are absent
+   */
+  async getQuotes(tokens, currency = 'eur') {
+    const fiat = currency.toLowerCase();
+    const configs = new Map();
+    const quotes = new Map();
+
+    tokens.forEach(token => {
+      const config = token.key ? token : getTokenPriceConfig(token.address, token.chainId);
+      configs.set(config.key, config);
+    });
+
+    configs.forEach((config, key) => {
+      const cached = this.cache.get(`${key}:${fiat}`);
+      if (cached && Date.now() - cached.fetchedAt < this.cacheTimeout) {
+        quotes.set(key, cached.quote);
+      }
+    });
+
+    for (const source of this.sources) {
+      const candidates = Array.from(configs.values())
+        .filter(config => !quotes.has(config.key) && source.supports(config, fiat));
+
+      if (candidates.length === 0) {
+        continue;
+      }
+
+      try {
+        const fetched = await source.getQuotes(candidates, fiat);
+
+        fetched.forEach(({ price, updatedAt }, key) => {
+          if (Date.now() - updatedAt > this.maxAge) {
+            logger.warn('Ignoring stale price', { key, currency: fiat, source: source.name, updatedAt });
+            return;
+          }
+
+          const quote = { price, currency: fiat.toUpperCase(), source: source.name, updatedAt };
+          this.cache.set(`${key}:${fiat}`, { quote, fetchedAt: Date.now() });
+          quotes.set(key, quote);
+        });
+      } catch (error) {
+        // Later sources, or the cache, may still price these tokens
+        logger.warn('Price source failed', {
+          source: source.name,
+          tokens: candidates.map(config => config.symbol || config.address),
+          currency: fiat,
+          error: error.message
+        });
+      }
+    }
+
+    configs.forEach((config, key) => {
+      const cached = this.cache.get(`${key}:${fiat}`);
+      if (!quotes.has(key) && cached && Date.now() - cached.quote.updatedAt <= this.maxAge) {
+        quotes.set(key, cached.quote);
+      }
+    });
+
+    return quotes;
+  }
+
+  /**
+   * Get unit prices for tokens
+   * @param {Array} tokens - Registry tokens, reward tokens or price configurations
+   * @param {string} currency - Fiat currency (default: eur)
+   * @returns {Map} Unit price by token key; tokens that could not be priced are absent
+   */
+  async getPrices(tokens, currency = 'eur') {
+    const quotes = await this.getQuotes(tokens, currency);
+    return new Map(Array.from(quotes, ([key, quote]) => [key, quote.price]));
+  }
+
+  /**
+   * Get the unit price of a single token
+   * @param {Object} token - Registry token
+   * @param {string} currency - Fiat currency (default: eur)
+   * @returns {number|null} Unit price, or null if unknown
+   */
+  async getPrice(token, currency = 'eur') {
+    const prices = await this.getPrices([token], currency);
+    return prices.get(this.keyOf(token)) ?? null;
+  }
+
+  /**
+   * Value token amounts in every valuation currency
+   * @param {Array} entries - Amounts to value ({ token, raw } with raw in base units)
+   * @returns {Array} Values ({ EUR, USD } as decimal strings, null where unpriced), in entry order
+   */
+  async valueAll(entries) {
+    const tokens = entries.map(entry => entry.token);
+    const prices = await Promise.all(VALUATION_CURRENCIES.map(currency => this.getPrices(tokens, currency)));
+
+    return entries.map(({ token, raw }) => {
+      const key = this.keyOf(token);
+
+      return Object.fromEntries(VALUATION_CURRENCIES.map((currency, index) => {
+        const price = prices[index].get(key);
+        return [
+          currency,
+          price !== undefined && raw !== null && raw !== undefined
+            ? fromBaseUnits(valueAtPrice(raw, token.decimals, price), VALUE_DECIMALS)
+            : null
+        ];
+      }));
+    });
+  }
+
+  /**
+   * Value one token amount in every valuation currency
+   * @param {Object} token - Registry token
+   * @param {string|bigint} raw - Amount in base units
+   * @returns {Object} Values ({ EUR, USD }, null where unpriced)
+   */
+  async valueOf(token, raw) {
+    const [values] = await this.valueAll([{ token, raw }]);
+    return values;
+  }
+}
+
+// Create singleton instance
+const priceService = new PriceService();
+
+module.exports = priceService;
+module.exports.VALUATION_CURRENCIES = VALUATION_CURRENCIES;
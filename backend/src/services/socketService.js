@@ -1,4 +1,6 @@
 const logger = require('../utils/logger');
+const webhookService = require('./webhookService');
+const { WEBHOOK_EVENTS } = webhookService;
 const socketUsers = new Map(); // Store user socket connections
 
 class SocketService {
@@ -196,11 +198,14 @@ class SocketService {
   }
 
   /**
-   * Broadcast balance update to user
+   * Broadcast balance update to user. Every update sent to a user is also
+   * queued for their webhooks, whether or not Socket.io is up.
    * @param {string} userId - User ID or address
    * @param {Object} balances - Updated balance data
    */
   broadcastBalanceUpdate(userId, balances) {
+    webhookService.dispatch(WEBHOOK_EVENTS.BALANCE_UPDATE, userId, { balances });
+
     if (!this.io) {
       logger.warn('Socket.io not initialized');
       return;
@@ -217,8 +222,35 @@ class SocketService {
     logger.info('Balance update broadcasted', {
       userId,
       room,
-      polygon: balances.polygon?.eure?.balance || 'N/A',
-      gnosis: balances.gnosis?.lpToken?.balance || 'N/A'
+      chains: Object.keys(balances).filter(key => balances[key]?.chainId)
+    });
+  }
+
+  /**
+   * Broadcast position update to user (sent to balance subscribers)
+   * @param {string} userId - User ID or address
+   * @param {Object} positions - Position ledger for the address
+   */
+  broadcastPositionUpdate(userId, positions) {
+    webhookService.dispatch(WEBHOOK_EVENTS.POSITION_UPDATE, userId, { positions });
+
+    if (!this.io) {
+      logger.warn('Socket.io not initialized');
+      return;
+    }
+
+    const room = `balances:${userId}`;
+
+    this.io.to(room).emit('position:update', {
+      userId,
+      positions,
+      timestamp: new Date().toISOString()
+    });
+
+    logger.info('Position update broadcasted', {
+      userId,
+      room,
+      strategies: positions.positions.map(position => position.strategyId)
     });
   }
 
@@ -228,6 +260,8 @@ class SocketService {
    * @param {Object} transaction - Transaction data
    */
   broadcastTransactionUpdate(userId, transaction) {
+    webhookService.dispatch(WEBHOOK_EVENTS.TRANSACTION_UPDATE, userId, { transaction });
+
     if (!this.io) {
       logger.warn('Socket.io not initialized');
       return;
@@ -276,6 +310,8 @@ class SocketService {
    * @param {Object} notification - Notification data
    */
   sendUserNotification(userId, notification) {
+    webhookService.dispatch(WEBHOOK_EVENTS.USER_NOTIFICATION, userId, notification);
+
     if (!this.io) {
       logger.warn('Socket.io not initialized');
       return;
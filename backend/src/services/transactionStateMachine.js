@@ -0,0 +1,203 @@
+const logger = require('../utils/logger');
+const database = require('./database');
+const socketService = require('./socketService');
+const transactionStore = require('./transactionStore');
+
+const TRANSACTION_STATUS = {
+  // Recorded, monitoring not started yet
+  INITIATED: 'initiated',
+  // Monitoring started, not yet seen on chain
+  MONITORING: 'monitoring',
+  // Seen on chain (or, cross-chain, the source leg final) and waiting to settle
+  PENDING: 'pending',
+  // A cancellation replacement was sent and may still win
+  CANCELLING: 'cancelling',
+  // The block (or bridge delivery) it was seen in left the canonical chain;
+  // waiting for it to be mined again
+  REORGED: 'reorged',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  // No final status by the monitoring deadline; still re-checked, rarely
+  STALE: 'stale',
+  // Monitoring gave up early; only on transactions recorded before stale
+  // replaced it, nothing changes to it any more
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled'
+};
+
+const {
+  INITIATED, MONITORING, PENDING, CANCELLING, REORGED, COMPLETED, FAILED, STALE, TIMEOUT, CANCELLED
+} = TRANSACTION_STATUS;
+
+// Statuses each status may change to; final statuses have none. A cancelling
+// transaction goes back to pending when the original is final before the
+// cancellation is mined. A reorged transaction returns to the status it had
+// once it is seen on chain again. A stale transaction can still get its final
+// status when a re-check finds it.
+const TRANSITIONS = {
+  [INITIATED]: [MONITORING, FAILED, CANCELLED],
+  [MONITORING]: [PENDING, CANCELLING, REORGED, COMPLETED, FAILED, STALE, CANCELLED],
+  [PENDING]: [CANCELLING, REORGED, COMPLETED, FAILED, STALE, CANCELLED],
+  [CANCELLING]: [PENDING, REORGED, COMPLETED, FAILED, STALE, CANCELLED],
+  [REORGED]: [PENDING, CANCELLING, COMPLETED, FAILED, STALE, CANCELLED],
+  [COMPLETED]: [],
+  [FAILED]: [],
+  [STALE]: [REORGED, COMPLETED, FAILED, CANCELLED],
+  [TIMEOUT]: [],
+  [CANCELLED]: []
+};
+
+const FINAL_STATUSES = Object.keys(TRANSITIONS).filter(status => TRANSITIONS[status].length === 0);
+const ACTIVE_STATUSES = Object.keys(TRANSITIONS).filter(status => !FINAL_STATUSES.includes(status));
+
+const ILLEGAL_TRANSITION = 'ILLEGAL_TRANSITION';
+
+class TransactionStateMachine {
+  /**
+   * Check whether a transaction may change from one status to another.
+   * Staying in an active status is allowed (an update without a transition).
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @returns {boolean} Is allowed
+   */
+  canTransition(from, to) {
+    if (from === to) {
+      return ACTIVE_STATUSES.includes(from);
+    }
+    return Boolean(TRANSITIONS[from]?.includes(to));
+  }
+
+  /**
+   * Check whether a status is final
+   * @param {string} status - Transaction status
+   * @returns {boolean} Is final
+   */
+  isFinal(status) {
+    return FINAL_STATUSES.includes(status);
+  }
+
+  /**
+   * Record a new transaction as initiated
+   * @param {Object} transaction - Transaction record (must have an id)
+   * @param {string} reason - Why it was created
+   * @returns {Object} Stored transaction
+   */
+  create(transaction, reason) {
+    const db = database.getConnection();
+
+    const record = db.transaction(() => {
+      const saved = transactionStore.save({ ...transaction, status: INITIATED });
+      this.audit(saved.id, null, INITIATED, reason, saved.createdAt);
+      return saved;
+    })();
+
+    this.broadcast(record, null, reason);
+
+    return record;
+  }
+
+  /**
+   * Move a transaction to a status, recording the transition and sending a
+   * `transaction:update`. Staying in the same active status only applies the
+   * changes and sends the update.
+   * @param {string} txId - Transaction ID
+   * @param {string} status - New status
+   * @param {Object} options - Transition options
+   * @param {string} options.reason - Why the status changed (also the update message)
+   * @param {Object} options.changes - Record fields to update with the status
+   * @param {Object} options.update - Extra fields for the socket update
+   * @returns {Object} Updated transaction
+   * @throws {Error} ILLEGAL_TRANSITION when the change is not allowed
+   */
+  transition(txId, status, { reason, changes = {}, update = {} }) {
+    const db = database.getConnection();
+    let previousStatus;
+
+    const record = db.transaction(() => {
+      const updated = transactionStore.modify(txId, transaction => {
+        previousStatus = transaction.status;
+
+        if (!this.canTransition(previousStatus, status)) {
+          const error = new Error(`Transaction ${txId} cannot change from ${previousStatus} to ${status}`);
+          error.code = ILLEGAL_TRANSITION;
+          error.from = previousStatus;
+          error.to = status;
+          throw error;
+        }
+
+        Object.assign(transaction, changes, { status });
+      });
+
+      if (!updated) {
+        throw new Error(`Transaction ${txId} not found`);
+      }
+
+      if (previousStatus !== status) {
+        this.audit(txId, previousStatus, status, reason, updated.updatedAt);
+      }
+
+      return updated;
+    })();
+
+    if (previousStatus !== status) {
+      logger.info('Transaction status changed', { txId, from: previousStatus, to: status, reason });
+    }
+
+    this.broadcast(record, previousStatus, reason, update);
+
+    return record;
+  }
+
+  /**
+   * Get a transaction's status history, oldest first
+   * @param {string} txId - Transaction ID
+   * @returns {Array} Transitions ({ from, to, reason, at })
+   */
+  getTransitions(txId) {
+    return database.getConnection().prepare(`
+      SELECT from_status, to_status, reason, created_at FROM transaction_transitions
+      WHERE transaction_id = ? ORDER BY id
+    `).all(txId).map(row => ({
+      from: row.from_status,
+      to: row.to_status,
+      reason: row.reason,
+      at: row.created_at
+    }));
+  }
+
+  /**
+   * Append a transition to the audit log
+   */
+  audit(txId, from, to, reason, at) {
+    database.getConnection().prepare(`
+      INSERT INTO transaction_transitions (transaction_id, from_status, to_status, reason, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(txId, from, to, reason, at);
+  }
+
+  /**
+   * Send a `transaction:update` for a transaction's current status
+   */
+  broadcast(record, previousStatus, reason, update = {}) {
+    socketService.broadcastTransactionUpdate(record.userAddress, {
+      txId: record.id,
+      txHash: record.txHash,
+      type: record.type,
+      status: record.status,
+      previousStatus,
+      message: reason,
+      details: record.details,
+      ...update
+    });
+  }
+}
+
+// Create singleton instance
+const transactionStateMachine = new TransactionStateMachine();
+
+module.exports = transactionStateMachine;
+module.exports.TRANSACTION_STATUS = TRANSACTION_STATUS;
+module.exports.TRANSITIONS = TRANSITIONS;
+module.exports.FINAL_STATUSES = FINAL_STATUSES;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+module.exports.ILLEGAL_TRANSITION = ILLEGAL_TRANSITION;
@@ -0,0 +1,228 @@
+const logger = require('../utils/logger');
+const database = require('./database');
+const { getRangeEnd } = require('../utils/helpers');
+
+// Record fields that have their own column, so list() can filter in SQL
+const FILTER_COLUMNS = {
+  userAddress: 'user_address',
+  type: 'type',
+  status: 'status',
+  strategyId: 'strategy_id',
+  txHash: 'tx_hash'
+};
+
+class TransactionStore {
+  /**
+   * Save a new transaction record
+   * @param {Object} transaction - Transaction record (must have an id)
+   * @returns {Object} Stored transaction
+   */
+  save(transaction) {
+    const now = new Date().toISOString();
+    const record = {
+      replacements: [],
+      createdAt: now,
+      ...transaction,
+      updatedAt: now
+    };
+
+    database.getConnection().prepare(`
+      INSERT INTO transactions (
+        id, user_address, type, amount, token_address, from_chain, to_chain, tx_hash, status,
+        gas_used, gas_price, slippage, error_message, strategy_id, data, created_at, updated_at
+      ) VALUES (
+        @id, @user_address, @type, @amount, @token_address, @from_chain, @to_chain, @tx_hash, @status,
+        @gas_used, @gas_price, @slippage, @error_message, @strategy_id, @data, @created_at, @updated_at
+      )
+    `).run(this.toRow(record));
+
+    logger.debug('Transaction stored', { txId: record.id, status: record.status });
+
+    return record;
+  }
+
+  /**
+   * Get a transaction by internal ID
+   * @param {string} id - Transaction ID
+   * @returns {Object|null} Transaction record
+   */
+  get(id) {
+    const row = database.getConnection().prepare('SELECT data FROM transactions WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * List transactions matching every given field, oldest first
+   * @param {Object} filter - Field values to match (userAddress is case-insensitive)
+   * @returns {Array} Matching transaction records
+   */
+  list(filter = {}) {
+    const conditions = [];
+    const params = [];
+    const remaining = [];
+
+    Object.entries(filter).forEach(([field, value]) => {
+      if (!FILTER_COLUMNS[field]) {
+        remaining.push([field, value]);
+        return;
+      }
+      conditions.push(`${FILTER_COLUMNS[field]} = ?${field === 'userAddress' ? ' COLLATE NOCASE' : ''}`);
+      params.push(value);
+    });
+
+    const rows = database.getConnection().prepare(`
+      SELECT data FROM transactions
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at, rowid
+    `).all(...params);
+
+    return rows
+      .map(row => JSON.parse(row.data))
+      .filter(transaction => remaining.every(([field, value]) => transaction[field] === value));
+  }
+
+  /**
+   * Page through transactions matching a filter, newest first
+   * @param {Object} filter - Filter and page
+   * @param {string} filter.userAddress - Owner address (case-insensitive)
+   * @param {string} filter.status - Status
+   * @param {string} filter.type - Operation type
+   * @param {string} filter.strategyId - Strategy ID
+   * @param {Date} filter.from - Created at or after
+   * @param {Date|string} filter.to - Created at or before (a date-only string
+   *   covers that whole day, UTC)
+   * @param {number|null} filter.limit - Page size (null for every match)
+   * @param {number} filter.offset - Matches to skip
+   * @returns {Object} Page of records and the total number of matches
+   */
+  query({ from, to, limit = 20, offset = 0, ...fields } = {}) {
+    const conditions = [];
+    const params = [];
+
+    Object.entries(fields).forEach(([field, value]) => {
+      if (value === undefined) {
+        return;
+      }
+      if (!FILTER_COLUMNS[field]) {
+        throw new Error(`Cannot filter transactions by ${field}`);
+      }
+      conditions.push(`${FILTER_COLUMNS[field]} = ?${field === 'userAddress' ? ' COLLATE NOCASE' : ''}`);
+      params.push(value);
+    });
+
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(new Date(from).toISOString());
+    }
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(getRangeEnd(to).toISOString());
+    }
+
+    const db = database.getConnection();
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM transactions ${where}`).get(...params);
+    const rows = db.prepare(`
+      SELECT data FROM transactions ${where}
+      ORDER BY created_at DESC, rowid DESC
+      ${limit !== null ? 'LIMIT ? OFFSET ?' : ''}
+    `).all(...params, ...(limit !== null ? [limit, offset] : []));
+
+    return {
+      transactions: rows.map(row => JSON.parse(row.data)),
+      total
+    };
+  }
+
+  /**
+   * Update fields on a stored transaction
+   * @param {string} id - Transaction ID
+   * @param {Object} changes - Fields to update
+   * @returns {Object|null} Updated transaction, or null if not found
+   */
+  update(id, changes) {
+    return this.modify(id, transaction => Object.assign(transaction, changes));
+  }
+
+  /**
+   * Record a same-nonce replacement (speed-up or cancel) for a transaction
+   * @param {string} id - Transaction ID
+   * @param {Object} replacement - Replacement details ({ kind, txHash, fees })
+   * @returns {Object|null} Updated transaction, or null if not found
+   */
+  addReplacement(id, replacement) {
+    return this.modify(id, transaction => {
+      transaction.replacements.push({
+        ...replacement,
+        sentAt: new Date().toISOString()
+      });
+    });
+  }
+
+  /**
+   * Read, change and write back a transaction in one database transaction
+   * @param {string} id - Transaction ID
+   * @param {Function} change - Mutates the record in place
+   * @returns {Object|null} Updated transaction, or null if not found
+   */
+  modify(id, change) {
+    const db = database.getConnection();
+
+    return db.transaction(() => {
+      const transaction = this.get(id);
+      if (!transaction) {
+        return null;
+      }
+
+      change(transaction);
+      transaction.updatedAt = new Date().toISOString();
+
+      db.prepare(`
+        UPDATE transactions SET
+          user_address = @user_address, type = @type, amount = @amount, token_address = @token_address,
+          from_chain = @from_chain, to_chain = @to_chain, tx_hash = @tx_hash, status = @status,
+          gas_used = @gas_used, gas_price = @gas_price, slippage = @slippage, error_message = @error_message,
+          strategy_id = @strategy_id, data = @data, updated_at = @updated_at
+        WHERE id = @id
+      `).run(this.toRow(transaction));
+
+      return transaction;
+    })();
+  }
+
+  /**
+   * Map a record to the transactions table's columns (missing required
+   * fields fail the table's NOT NULL constraints)
+   * @param {Object} record - Transaction record
+   * @returns {Object} Named statement parameters
+   */
+  toRow(record) {
+    const error = record.error?.message || record.error || null;
+
+    return {
+      id: record.id,
+      user_address: record.userAddress ?? null,
+      type: record.type ?? null,
+      amount: record.amount ?? record.amountRaw ?? null,
+      token_address: record.tokenAddress ?? null,
+      from_chain: record.chainId ?? null,
+      to_chain: record.destinationChainId ?? record.chainId ?? null,
+      tx_hash: record.txHash || null,
+      status: record.status ?? null,
+      gas_used: record.gasUsed != null ? String(record.gasUsed) : null,
+      // Fee cap of the latest broadcast (replacements outbid the original)
+      gas_price: record.replacements?.[record.replacements.length - 1]?.maxFeePerGas || record.broadcast?.maxFeePerGas || null,
+      slippage: record.slippage ?? null,
+      error_message: error !== null ? String(error) : null,
+      strategy_id: record.strategyId || null,
+      data: JSON.stringify(record),
+      created_at: record.createdAt,
+      updated_at: record.updatedAt
+    };
+  }
+}
+
+// Create singleton instance
+const transactionStore = new TransactionStore();
+
+module.exports = transactionStore;
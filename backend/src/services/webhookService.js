@@ -0,0 +1,539 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { assertPublicUrl, lookupPublic } = require('../utils/hostGuard');
+const database = require('./database');
+
+// Events sent to webhooks, named after the Socket.io events they mirror
+const WEBHOOK_EVENTS = {
+  TRANSACTION_UPDATE: 'transaction:update',
+  BALANCE_UPDATE: 'balance:update',
+  POSITION_UPDATE: 'position:update',
+  USER_NOTIFICATION: 'user:notification'
+};
+
+const DELIVERY_STATUS = {
+  // Waiting for its next attempt
+  PENDING: 'pending',
+  // Accepted with a 2xx response
+  DELIVERED: 'delivered',
+  // Out of attempts
+  FAILED: 'failed'
+};
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+class WebhookService {
+  constructor() {
+    // Delivery worker: how often it looks for due deliveries, how many it
+    // sends at once, and how long to wait for a receiver to respond
+    this.workerInterval = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 1000;
+    this.concurrency = parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY) || 10;
+    this.requestTimeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000; // 10 seconds
+    // Failed attempts are retried after a delay that doubles each time, up to
+    // the max backoff, until the delivery has had max attempts
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+    this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 10000; // 10 seconds
+    this.maxBackoff = parseInt(process.env.WEBHOOK_MAX_BACKOFF_MS) || 3600000; // 1 hour
+    // Receivers on loopback or private networks, for local development only
+    this.allowPrivateUrls = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+    this.timer = null;
+    this.currentPoll = null;
+  }
+
+  /**
+   * Subscribe a URL to an address's events. The URL's host has to resolve to
+   * public addresses only.
+   * @param {Object} params - Subscription parameters
+   * @param {string} params.url - Receiver URL
+   * @param {string} params.userAddress - Address to receive events for
+   * @param {Array} params.events - Event types to receive (default: every event)
+   * @param {string} params.secret - Signing secret (default: generated)
+   * @returns {Promise<Object>} Webhook, including its secret
+   */
+  async subscribe({ url, userAddress, events = [], secret = null }) {
+    if (!this.allowPrivateUrls) {
+      await assertPublicUrl(url);
+    }
+
+    const webhook = {
+      id: uuidv4(),
+      url,
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      userAddress: userAddress.toLowerCase(),
+      events,
+      createdAt: new Date().toISOString()
+    };
+
+    database.getConnection().prepare(`
+      INSERT INTO webhooks (id, url, secret, user_address, events, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(webhook.id, webhook.url, webhook.secret, webhook.userAddress, JSON.stringify(events), webhook.createdAt);
+
+    logger.info('Webhook subscribed', {
+      webhookId: webhook.id,
+      url,
+      userAddress: webhook.userAddress,
+      events
+    });
+
+    return webhook;
+  }
+
+  /**
+   * Delete an address's webhook and its delivery log
+   * @param {string} id - Webhook ID
+   * @param {string} userAddress - Address the webhook belongs to
+   * @returns {boolean} Whether the address had the webhook
+   */
+  unsubscribe(id, userAddress) {
+    const db = database.getConnection();
+
+    const deleted = db.transaction(() => {
+      if (!this.getWebhook(id, userAddress)) {
+        return false;
+      }
+      db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+      return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+    })();
+
+    if (deleted) {
+      logger.info('Webhook unsubscribed', { webhookId: id, userAddress });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Get an address's webhook (without its secret)
+   * @param {string} id - Webhook ID
+   * @param {string} userAddress - Address the webhook belongs to
+   * @returns {Object|null} Webhook
+   */
+  getWebhook(id, userAddress) {
+    const row = database.getConnection()
+      .prepare('SELECT * FROM webhooks WHERE id = ? AND user_address = ?')
+      .get(id, userAddress.toLowerCase());
+    return row ? this.toWebhook(row) : null;
+  }
+
+  /**
+   * List an address's webhooks (without their secrets), oldest first
+   * @param {Object} filters - Filters
+   * @param {string} filters.userAddress - Address the webhooks belong to
+   * @param {string} filters.event - Only webhooks receiving this event
+   * @returns {Array} Webhooks
+   */
+  getWebhooks({ userAddress, event = null }) {
+    const rows = database.getConnection()
+      .prepare('SELECT * FROM webhooks WHERE user_address = ? ORDER BY created_at')
+      .all(userAddress.toLowerCase());
+
+    return rows
+      .map(row => this.toWebhook(row))
+      .filter(webhook => !event || this.receives(webhook, event));
+  }
+
+  /**
+   * Queue an event for every webhook subscribed to it. Never throws, so a
+   * webhook problem can't break the broadcast that raised the event.
+   * @param {string} event - Event type
+   * @param {string} userAddress - Address the event is for
+   * @param {Object} data - Event data
+   * @returns {number} Deliveries queued
+   */
+  dispatch(event, userAddress, data) {
+    try {
+      const db = database.getConnection();
+      const address = String(userAddress).toLowerCase();
+
+      const webhooks = db.prepare('SELECT * FROM webhooks WHERE user_address = ?')
+        .all(address)
+        .map(row => this.toWebhook(row))
+        .filter(webhook => this.receives(webhook, event));
+
+      if (webhooks.length === 0) {
+        return 0;
+      }
+
+      const createdAt = new Date().toISOString();
+      db.transaction(() => {
+        webhooks.forEach(webhook => {
+          this.enqueue(webhook.id, {
+            id: uuidv4(),
+            event,
+            userAddress: address,
+            data,
+            createdAt
+          });
+        });
+      })();
+
+      logger.debug('Webhook event queued', { event, userAddress: address, webhooks: webhooks.length });
+
+      this.wake();
+      return webhooks.length;
+    } catch (error) {
+      logger.error('Failed to queue webhook event', {
+        event,
+        userAddress,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Send a delivery's event again as a new delivery, whatever its status
+   * @param {string} deliveryId - Delivery ID
+   * @param {string} userAddress - Address the delivery's webhook belongs to
+   * @returns {Object|null} New delivery, or null if the address has no such delivery
+   */
+  redeliver(deliveryId, userAddress) {
+    const original = database.getConnection().prepare(`
+      SELECT d.* FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.id = ? AND w.user_address = ?
+    `).get(deliveryId, userAddress.toLowerCase());
+    if (!original) {
+      return null;
+    }
+
+    const { event, data } = JSON.parse(original.payload);
+    const delivery = this.enqueue(original.webhook_id, {
+      id: uuidv4(),
+      event,
+      userAddress: userAddress.toLowerCase(),
+      data,
+      createdAt: new Date().toISOString()
+    }, deliveryId);
+
+    logger.info('Webhook redelivery queued', {
+      webhookId: original.webhook_id,
+      deliveryId: delivery.id,
+      redeliveryOf: deliveryId
+    });
+
+    this.wake();
+    return delivery;
+  }
+
+  /**
+   * Store a pending delivery, due now
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} payload - Request body (its id is the delivery ID)
+   * @param {string} redeliveryOf - Delivery it redelivers
+   * @returns {Object} Delivery
+   */
+  enqueue(webhookId, payload, redeliveryOf = null) {
+    database.getConnection().prepare(`
+      INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, next_attempt_at, redelivery_of, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(payload.id, webhookId, payload.event, JSON.stringify(payload), DELIVERY_STATUS.PENDING,
+      payload.createdAt, redeliveryOf, payload.createdAt);
+
+    return this.getDelivery(payload.id);
+  }
+
+  /**
+   * Get a delivery
+   * @param {string} id - Delivery ID
+   * @returns {Object|null} Delivery
+   */
+  getDelivery(id) {
+    const row = database.getConnection().prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+    return row ? this.toDelivery(row) : null;
+  }
+
+  /**
+   * Query a webhook's delivery log, newest first
+   * @param {string} webhookId - Webhook ID
+   * @param {Object} filters - Filters
+   * @param {string} filters.status - Delivery status
+   * @param {number} filters.limit - Most deliveries to return
+   * @returns {Object} { deliveries, total }
+   */
+  getDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+    const db = database.getConnection();
+    const where = status ? 'webhook_id = @webhookId AND status = @status' : 'webhook_id = @webhookId';
+    const params = { webhookId, status, limit };
+
+    const deliveries = db.prepare(`
+      SELECT * FROM webhook_deliveries WHERE ${where}
+      ORDER BY created_at DESC, rowid DESC LIMIT @limit
+    `).all(params).map(row => this.toDelivery(row));
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM webhook_deliveries WHERE ${where}`).get(params);
+
+    return { deliveries, total };
+  }
+
+  /**
+   * Start the delivery worker
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.poll(), this.workerInterval);
+      this.timer.unref();
+
+      logger.info('Webhook worker started', { interval: this.workerInterval });
+
+      this.poll();
+    }
+  }
+
+  /**
+   * Stop the delivery worker. Pending deliveries stay queued.
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Poll now if the worker is running
+   */
+  wake() {
+    if (this.timer) {
+      setImmediate(() => this.poll());
+    }
+  }
+
+  /**
+   * Send the due deliveries; polls never overlap
+   * @returns {Promise} Resolves when the claimed deliveries are sent
+   */
+  poll() {
+    if (!this.currentPoll) {
+      this.currentPoll = this.runDueDeliveries()
+        .catch(error => {
+          logger.error('Webhook poll failed', { error: error.message });
+        })
+        .finally(() => {
+          this.currentPoll = null;
+        });
+    }
+    return this.currentPoll;
+  }
+
+  /**
+   * Lock the deliveries due now and send them
+   */
+  async runDueDeliveries() {
+    const db = database.getConnection();
+
+    const rows = db.transaction(() => {
+      const now = new Date();
+      const due = db.prepare(`
+        SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+        JOIN webhooks w ON w.id = d.webhook_id
+        WHERE d.status = @pending AND d.next_attempt_at <= @now
+          AND (d.locked_until IS NULL OR d.locked_until < @now)
+        ORDER BY d.next_attempt_at
+        LIMIT @limit
+      `).all({ pending: DELIVERY_STATUS.PENDING, now: now.toISOString(), limit: this.concurrency });
+
+      // Held for twice the request timeout so a slow receiver isn't sent it twice
+      const lockedUntil = new Date(now.getTime() + this.requestTimeout * 2).toISOString();
+      const lock = db.prepare('UPDATE webhook_deliveries SET locked_until = ? WHERE id = ?');
+      due.forEach(row => lock.run(lockedUntil, row.id));
+
+      return due;
+    }).immediate();
+
+    await Promise.all(rows.map(row => this.attempt(row)));
+  }
+
+  /**
+   * Send a delivery once and record the outcome
+   * @param {Object} row - Delivery row joined with its webhook's url and secret
+   */
+  async attempt(row) {
+    const attempts = row.attempts + 1;
+    let responseStatus = null;
+    let errorMessage = null;
+
+    try {
+      responseStatus = await this.post(row.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'enso-yield-farming-webhooks',
+        'X-Webhook-Id': row.id,
+        'X-Webhook-Event': row.event,
+        'X-Webhook-Attempt': String(attempts),
+        ...this.sign(row.secret, row.payload)
+      }, row.payload);
+
+      if (responseStatus < 200 || responseStatus >= 300) {
+        errorMessage = `Receiver responded with status ${responseStatus}`;
+      }
+    } catch (error) {
+      errorMessage = error.message;
+    }
+
+    const now = new Date();
+    let status = DELIVERY_STATUS.PENDING;
+    let nextAttemptAt = null;
+
+    if (!errorMessage) {
+      status = DELIVERY_STATUS.DELIVERED;
+    } else if (attempts >= this.maxAttempts) {
+      status = DELIVERY_STATUS.FAILED;
+    } else {
+      nextAttemptAt = new Date(now.getTime() + this.getRetryDelay(attempts)).toISOString();
+    }
+
+    database.getConnection().prepare(`
+      UPDATE webhook_deliveries SET
+        status = ?, attempts = ?, next_attempt_at = ?, locked_until = NULL, last_attempt_at = ?,
+        response_status = ?, error_message = ?, delivered_at = ?
+      WHERE id = ?
+    `).run(status, attempts, nextAttemptAt, now.toISOString(), responseStatus, errorMessage,
+      status === DELIVERY_STATUS.DELIVERED ? now.toISOString() : null, row.id);
+
+    const details = {
+      webhookId: row.webhook_id,
+      deliveryId: row.id,
+      event: row.event,
+      attempts,
+      responseStatus,
+      error: errorMessage || undefined,
+      nextAttemptAt: nextAttemptAt || undefined
+    };
+
+    if (status === DELIVERY_STATUS.DELIVERED) {
+      logger.info('Webhook delivered', details);
+    } else if (status === DELIVERY_STATUS.FAILED) {
+      logger.error('Webhook delivery failed', details);
+    } else {
+      logger.warn('Webhook delivery attempt failed, retrying', details);
+    }
+  }
+
+  /**
+   * POST a body to a receiver without following redirects. The host is checked
+   * again here and resolved through lookupPublic, so a receiver whose DNS
+   * later points at an internal address is not connected to.
+   * @param {string} url - Receiver URL
+   * @param {Object} headers - Request headers
+   * @param {string} body - Request body
+   * @returns {Promise<number>} Response status code
+   */
+  async post(url, headers, body) {
+    // IP literals are connected to without a lookup, so they are checked here
+    if (!this.allowPrivateUrls) {
+      await assertPublicUrl(url);
+    }
+
+    const transport = new URL(url).protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: this.allowPrivateUrls ? undefined : lookupPublic,
+        signal: AbortSignal.timeout(this.requestTimeout)
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Get the delay before the next attempt, doubling per failed attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxBackoff);
+  }
+
+  /**
+   * Sign a request body. The signature is an HMAC-SHA256 of
+   * `${timestamp}.${body}` with the webhook's secret, so receivers can
+   * reject bodies that were altered or replayed later.
+   * @param {string} secret - Webhook secret
+   * @param {string} body - Request body
+   * @param {number} timestamp - Unix seconds (default: now)
+   * @returns {Object} Signature and timestamp headers
+   */
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+    return {
+      [TIMESTAMP_HEADER]: String(timestamp),
+      [SIGNATURE_HEADER]: `sha256=${signature}`
+    };
+  }
+
+  /**
+   * Check whether a webhook receives an event type
+   */
+  receives(webhook, event) {
+    return webhook.events.length === 0 || webhook.events.includes(event);
+  }
+
+  toWebhook(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      userAddress: row.user_address,
+      events: JSON.parse(row.events),
+      createdAt: row.created_at
+    };
+  }
+
+  toDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      event: row.event,
+      payload: JSON.parse(row.payload),
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at,
+      lastAttemptAt: row.last_attempt_at,
+      responseStatus: row.response_status,
+      error: row.error_message,
+      redeliveryOf: row.redelivery_of,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+
+  /**
+   * Get webhook statistics
+   * @returns {Object} Worker state and delivery counts by status
+   */
+  getStats() {
+    const db = database.getConnection();
+    const deliveries = {};
+
+    db.prepare('SELECT status, COUNT(*) AS count FROM webhook_deliveries GROUP BY status').all()
+      .forEach(row => {
+        deliveries[row.status] = row.count;
+      });
+
+    return {
+      running: Boolean(this.timer),
+      webhooks: db.prepare('SELECT COUNT(*) AS count FROM webhooks').get().count,
+      deliveries
+    };
+  }
+}
+
+// Create singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.DELIVERY_STATUS = DELIVERY_STATUS;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+module.exports.TIMESTAMP_HEADER = TIMESTAMP_HEADER;
@@ -0,0 +1,199 @@
+// Decimal-safe token amount handling. Amounts travel through the service as
+// base-unit integer strings (BigInt in arithmetic); decimal strings are only
+// parsed from requests and produced for responses.
+
+// Plain decimal notation: no sign, exponent or thousands separators
+const DECIMAL_AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+// Base-unit amounts are unsigned integers
+const BASE_UNIT_PATTERN = /^\d+$/;
+
+// Fixed-point precision for unit prices and fiat values
+const VALUE_DECIMALS = 8;
+
+/**
+ * Check if a value is a plain decimal amount string (e.g. "12.5")
+ * @param {string} amount - Amount to check
+ * @returns {boolean} Is a decimal amount
+ */
+const isDecimalAmount = (amount) => {
+  return typeof amount === 'string' && DECIMAL_AMOUNT_PATTERN.test(amount);
+};
+
+/**
+ * Convert a decimal amount to base units without going through floating point
+ * @param {string} amount - Decimal amount (e.g. "100.25")
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in base units
+ */
+const toBaseUnits = (amount, decimals = 18) => {
+  const value = String(amount).trim();
+
+  if (!DECIMAL_AMOUNT_PATTERN.test(value)) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+
+  const [whole, fraction = ''] = value.split('.');
+
+  // Trailing zeros never lose precision; anything else beyond the token's
+  // decimals would have to be rounded, so reject it instead
+  const trimmedFraction = fraction.replace(/0+$/, '');
+  if (trimmedFraction.length > decimals) {
+    throw new Error(`Invalid amount: ${amount} has more than ${decimals} decimal places`);
+  }
+
+  return BigInt(whole + trimmedFraction.padEnd(decimals, '0'));
+};
+
+/**
+ * Convert a decimal amount that may be negative (e.g. a loss from
+ * fromBaseUnits) to base units
+ * @param {string} amount - Decimal amount (e.g. "-1.5")
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Amount in base units
+ */
+const toSignedBaseUnits = (amount, decimals = 18) => {
+  const value = String(amount).trim();
+
+  return value.startsWith('-')
+    ? -toBaseUnits(value.slice(1), decimals)
+    : toBaseUnits(value, decimals);
+};
+
+/**
+ * Convert base units to an exact decimal string (trailing zeros removed)
+ * @param {bigint|string|number} raw - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @returns {string} Exact decimal amount (e.g. "100.25")
+ */
+const fromBaseUnits = (raw, decimals = 18) => {
+  const value = toBigInt(raw);
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+};
+
+/**
+ * Format base units for display, truncating (never rounding up) to a fixed precision
+ * @param {bigint|string|number} raw - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @param {number} precision - Decimal places to show (default: 4)
+ * @returns {string} Display amount (e.g. "100.2500")
+ */
+const formatDisplayAmount = (raw, decimals = 18, precision = 4) => {
+  const [whole, fraction = ''] = fromBaseUnits(raw, decimals).split('.');
+
+  if (precision === 0) {
+    return whole;
+  }
+
+  return `${whole}.${fraction.slice(0, precision).padEnd(precision, '0')}`;
+};
+
+/**
+ * Coerce a base-unit amount to BigInt
+ * @param {bigint|string|number} raw - Amount in base units
+ * @returns {bigint} Amount
+ */
+const toBigInt = (raw) => {
+  if (typeof raw === 'bigint') {
+    return raw;
+  }
+
+  if (typeof raw === 'number') {
+    if (!Number.isSafeInteger(raw)) {
+      throw new Error(`Invalid base-unit amount: ${raw}`);
+    }
+    return BigInt(raw);
+  }
+
+  const value = String(raw).trim();
+  if (!/^-?\d+$/.test(value)) {
+    throw new Error(`Invalid base-unit amount: ${raw}`);
+  }
+
+  return BigInt(value);
+};
+
+/**
+ * Check if a value is a base-unit integer string
+ * @param {string} raw - Value to check
+ * @returns {boolean} Is a base-unit amount
+ */
+const isBaseUnitAmount = (raw) => {
+  return typeof raw === 'string' && BASE_UNIT_PATTERN.test(raw);
+};
+
+/**
+ * Apply a basis-point ratio to a base-unit amount, rounding down
+ * @param {bigint|string} raw - Amount in base units
+ * @param {number|bigint} bps - Ratio in basis points (10000 = 100%)
+ * @returns {bigint} Scaled amount
+ */
+const applyBps = (raw, bps) => {
+  return toBigInt(raw) * BigInt(bps) / 10000n;
+};
+
+/**
+ * Convert a unit price to fixed-point, truncated to VALUE_DECIMALS
+ * @param {number|string} price - Unit price (e.g. 0.4213)
+ * @returns {bigint} Price with VALUE_DECIMALS decimals
+ */
+const toFixedPrice = (price) => {
+  const value = Number(price);
+
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid price: ${price}`);
+  }
+
+  const [whole, fraction = ''] = value.toFixed(VALUE_DECIMALS + 2).split('.');
+  return toBaseUnits(`${whole}.${fraction.slice(0, VALUE_DECIMALS)}`, VALUE_DECIMALS);
+};
+
+/**
+ * Value a base-unit amount at a unit price, rounding down
+ * @param {bigint|string} raw - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @param {number|string} price - Unit price
+ * @returns {bigint} Value with VALUE_DECIMALS decimals
+ */
+const valueAtPrice = (raw, decimals, price) => {
+  return toBigInt(raw) * toFixedPrice(price) / 10n ** BigInt(decimals);
+};
+
+/**
+ * Convert a fixed-point value back to base units of a token at a unit price,
+ * rounding down
+ * @param {bigint|string} value - Value with VALUE_DECIMALS decimals
+ * @param {number} decimals - Token decimals
+ * @param {number|string} price - Unit price (must be non-zero)
+ * @returns {bigint} Amount in base units
+ */
+const amountAtPrice = (value, decimals, price) => {
+  const fixedPrice = toFixedPrice(price);
+
+  if (fixedPrice === 0n) {
+    throw new Error('Cannot convert a value at a zero price');
+  }
+
+  return toBigInt(value) * 10n ** BigInt(decimals) / fixedPrice;
+};
+
+module.exports = {
+  DECIMAL_AMOUNT_PATTERN,
+  VALUE_DECIMALS,
+  isDecimalAmount,
+  isBaseUnitAmount,
+  toBaseUnits,
+  toSignedBaseUnits,
+  fromBaseUnits,
+  formatDisplayAmount,
+  toBigInt,
+  applyBps,
+  valueAtPrice,
+  amountAtPrice
+};
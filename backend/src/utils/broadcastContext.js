@@ -0,0 +1,30 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request record of whether a transaction was handed to a node, so a
+// request that fails afterwards is known to have had on-chain effects
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function, recording any broadcast it makes into state
+ * @param {Object} state - Record with a `broadcast` flag
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+const trackBroadcasts = (state, fn) => {
+  return storage.run(state, fn);
+};
+
+/**
+ * Record that the current request sent a transaction to a node
+ */
+const recordBroadcast = () => {
+  const state = storage.getStore();
+  if (state) {
+    state.broadcast = true;
+  }
+};
+
+module.exports = {
+  trackBroadcasts,
+  recordBroadcast
+};
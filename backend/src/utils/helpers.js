@@ -1,34 +1,5 @@
 const { ethers } = require('ethers');
-
-/**
- * Format wei amount to human readable format
- * @param {string|BigNumber} amount - Amount in wei
- * @param {number} decimals - Token decimals (default: 18)
- * @param {number} precision - Decimal precision for display (default: 4)
- * @returns {string} Formatted amount
- */
-const formatAmount = (amount, decimals = 18, precision = 4) => {
-  try {
-    const formatted = ethers.formatUnits(amount, decimals);
-    return parseFloat(formatted).toFixed(precision);
-  } catch (error) {
-    return '0.0000';
-  }
-};
-
-/**
- * Parse human readable amount to wei
- * @param {string} amount - Human readable amount
- * @param {number} decimals - Token decimals (default: 18)
- * @returns {BigNumber} Amount in wei
- */
-const parseAmount = (amount, decimals = 18) => {
-  try {
-    return ethers.parseUnits(amount.toString(), decimals);
-  } catch (error) {
-    throw new Error(`Invalid amount: ${amount}`);
-  }
-};
+const { isChainSupported } = require('../config/chains');
 
 /**
  * Validate Ethereum address
@@ -123,19 +94,29 @@ const sanitizeInput = (input) => {
   return input.trim().replace(/[<>\"'&]/g, '');
 };
 
+/**
+ * Get the last moment an inclusive date range's upper bound covers. A
+ * date-only bound (e.g. 2024-03-31) covers that whole day, UTC.
+ * @param {Date|string} to - Upper bound
+ * @returns {Date} Last moment in the range
+ */
+const getRangeEnd = (to) => {
+  if (typeof to === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    return new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+  return new Date(to);
+};
+
 /**
  * Check if chain ID is supported
  * @param {number} chainId - Chain ID to check
  * @returns {boolean} Is supported chain
  */
 const isSupportedChain = (chainId) => {
-  const supportedChains = [137, 100]; // Polygon, Gnosis
-  return supportedChains.includes(chainId);
+  return isChainSupported(chainId);
 };
 
 module.exports = {
-  formatAmount,
-  parseAmount,
   isValidAddress,
   isValidPrivateKey,
   calculatePercentageChange,
@@ -143,5 +124,6 @@ module.exports = {
   retryWithBackoff,
   generateTxId,
   sanitizeInput,
+  getRangeEnd,
   isSupportedChain
 };
\ No newline at end of file
@@ -0,0 +1,101 @@
+const dns = require('dns');
+const net = require('net');
+
+// Error code for URLs whose host resolves to a non-public address
+const PRIVATE_ADDRESS = 'PRIVATE_ADDRESS';
+
+// Loopback, private, link-local (cloud metadata), shared, reserved and
+// multicast ranges
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => blockList.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([prefix, bits]) => blockList.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Check if an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Is public
+ */
+const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : address;
+  const type = net.isIPv4(ip) ? 'ipv4' : net.isIPv6(ip) ? 'ipv6' : null;
+
+  return type !== null && !blockList.check(ip, type);
+};
+
+const privateAddressError = (hostname, address) => {
+  const error = new Error(`${hostname} resolves to non-public address ${address}`);
+  error.code = PRIVATE_ADDRESS;
+  return error;
+};
+
+/**
+ * dns.lookup replacement for http(s).request that fails when the host
+ * resolves to a non-public address, so the address that is checked is the
+ * one connected to
+ */
+const lookupPublic = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(privateAddressError(hostname, blocked.address));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Resolve a URL's host and reject it unless every address is public
+ * @param {string} url - URL to check
+ */
+const assertPublicUrl = async (url) => {
+  const { hostname } = new URL(url);
+  // URL keeps IPv6 literals in brackets
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  const addresses = await dns.promises.lookup(host, { all: true });
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw privateAddressError(host, blocked.address);
+  }
+};
+
+module.exports = {
+  PRIVATE_ADDRESS,
+  isPublicAddress,
+  lookupPublic,
+  assertPublicUrl
+};
@@ -0,0 +1,81 @@
+process.env.LOG_LEVEL = 'error';
+
+const BalanceEngine = require('../src/services/BalanceEngine');
+const { getPublicClient, getMulticallAddress } = require('../src/config/chains');
+const { getTokensByChain } = require('../src/config/tokens');
+
+const ALICE = '0x2222222222222222222222222222222222222222';
+const POLYGON = 137;
+const GNOSIS = 100;
+
+describe('BalanceEngine', () => {
+  const engine = new BalanceEngine();
+  let multicalls;
+
+  // Answer every call of a batch: block 500, then 1.5 of the native currency
+  // and 2 of each token, in base units
+  const answer = (client, results = {}) => jest.spyOn(client, 'multicall').mockImplementation(async ({ contracts }) => {
+    multicalls.push({ chainId: client.chain.id, contracts });
+    return contracts.map((call, index) => {
+      if (index === 0) return { status: 'success', result: 500n };
+      if (index === 1) return { status: 'success', result: 1500000000000000000n };
+      return results[call.address] || { status: 'success', result: 2000000000000000000n };
+    });
+  });
+
+  beforeEach(() => {
+    multicalls = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads the requested address on every enabled chain, one Multicall3 batch per chain', async () => {
+    const multicall = answer(getPublicClient(POLYGON));
+    answer(getPublicClient(GNOSIS));
+
+    const balances = await engine.getBalances(ALICE);
+
+    expect(Object.keys(balances)).toEqual(['polygon', 'gnosis']);
+    expect(multicalls.map(batch => batch.chainId)).toEqual([POLYGON, GNOSIS]);
+    expect(multicall).toHaveBeenCalledWith(expect.objectContaining({
+      multicallAddress: getMulticallAddress(POLYGON),
+      allowFailure: true,
+      batchSize: 0
+    }));
+
+    const gnosisTokens = getTokensByChain(GNOSIS).filter(token => !token.isNative);
+    const [, ...gnosisCalls] = multicalls[1].contracts;
+    expect(gnosisCalls.map(call => call.functionName)).toEqual(['getEthBalance', ...gnosisTokens.map(() => 'balanceOf')]);
+    expect(gnosisCalls.map(call => call.address.toLowerCase()))
+      .toEqual([getMulticallAddress(GNOSIS), ...gnosisTokens.map(token => token.address)].map(address => address.toLowerCase()));
+    gnosisCalls.forEach(call => expect(call.args).toEqual([ALICE]));
+  });
+
+  it('formats balances with registry decimals and keeps the raw base units', async () => {
+    answer(getPublicClient(GNOSIS));
+
+    const { gnosis } = await engine.getBalances(ALICE, [GNOSIS]);
+
+    expect(gnosis).toEqual(expect.objectContaining({ chainId: GNOSIS, chain: 'gnosis', address: ALICE, blockNumber: '500' }));
+    expect(gnosis.native).toEqual({ symbol: 'xDAI', decimals: 18, balance: '1.5', raw: '1500000000000000000' });
+    expect(gnosis.tokens.EURe).toEqual(expect.objectContaining({ decimals: 18, balance: '2', raw: '2000000000000000000' }));
+  });
+
+  it('marks a failed call in the batch as unavailable without failing the others', async () => {
+    const eure = getTokensByChain(GNOSIS).find(token => token.symbol === 'EURe');
+    answer(getPublicClient(GNOSIS), { [eure.address]: { status: 'failure', error: new Error('execution reverted') } });
+
+    const { gnosis } = await engine.getBalances(ALICE, [GNOSIS]);
+
+    expect(gnosis.tokens.EURe).toEqual(expect.objectContaining({ balance: null, raw: null, error: 'Balance unavailable' }));
+    expect(gnosis.tokens.GNO.balance).toBe('2');
+  });
+
+  it('fails the read when the batch itself fails', async () => {
+    jest.spyOn(getPublicClient(GNOSIS), 'multicall').mockRejectedValue(new Error('RPC unavailable'));
+
+    await expect(engine.getBalances(ALICE, [GNOSIS])).rejects.toThrow('RPC unavailable');
+  });
+});
@@ -0,0 +1,177 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+process.env.EURE_LP_GAUGE_ADDRESS = '0x6666666666666666666666666666666666666666';
+
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../src/routes/api');
+const EarningsReader = require('../src/services/EarningsReader');
+const database = require('../src/services/database');
+const transactionStore = require('../src/services/transactionStore');
+const priceService = require('../src/services/priceService');
+const { getPublicClient } = require('../src/config/chains');
+const { getStrategy } = require('../src/config/strategies');
+const { getTokenBySymbol } = require('../src/config/tokens');
+const { toBaseUnits } = require('../src/utils/amounts');
+
+const GNOSIS = 100;
+const ALICE = '0x2222222222222222222222222222222222222222';
+const GAUGE = '0x6666666666666666666666666666666666666666';
+const REWARD = '0x7777777777777777777777777777777777777777';
+
+describe('EarningsReader', () => {
+  const strategy = getStrategy('eure-gnosis-lp');
+  const crv = getTokenBySymbol('CRV', GNOSIS);
+  const reader = new EarningsReader();
+  let multicall;
+
+  // Unit prices by currency: CRV and EURe are priced, the unknown reward isn't
+  const prices = {
+    eur: { [priceService.keyOf(crv)]: 0.5, [priceService.keyOf(strategy.deposit.token)]: 1 },
+    usd: { [priceService.keyOf(crv)]: 0.55, [priceService.keyOf(strategy.deposit.token)]: 1.1 }
+  };
+
+  // The pool and gauge: virtual price 1.02, 40 LP in the wallet and 60 staked,
+  // with 3 CRV and 1 of an unlisted 6-decimal token claimable (balances are
+  // answered by contract below)
+  const answer = ({ functionName, args }) => ({
+    get_virtual_price: toBaseUnits('1.02'),
+    reward_count: 2n,
+    reward_tokens: [crv.address, REWARD][Number(args?.[0])],
+    symbol: 'RWD',
+    decimals: 6,
+    claimable_reward: args?.[1] === REWARD ? 1000000n : toBaseUnits('3')
+  })[functionName];
+
+  beforeEach(() => {
+    database.getConnection().exec('DELETE FROM transaction_transitions; DELETE FROM transactions;');
+
+    multicall = jest.spyOn(getPublicClient(GNOSIS), 'multicall').mockImplementation(async ({ contracts }) => {
+      return contracts.map(call => {
+        if (call.functionName === 'balanceOf') {
+          return call.address === GAUGE ? toBaseUnits('60') : toBaseUnits('40');
+        }
+        return answer(call);
+      });
+    });
+    jest.spyOn(priceService, 'getPrices').mockImplementation(async (tokens, currency) => new Map(
+      tokens
+        .map(token => [priceService.keyOf(token), prices[currency.toLowerCase()][priceService.keyOf(token)]])
+        .filter(([, price]) => price !== undefined)
+    ));
+
+    // 100 EURe deposited for 100 LP
+    transactionStore.save({
+      id: 'tx_earnings_deposit',
+      userAddress: ALICE,
+      type: 'deposit',
+      status: 'completed',
+      strategyId: strategy.id,
+      executionMode: 'live',
+      amount: '100',
+      amountRaw: toBaseUnits('100').toString(),
+      expectedOutputRaw: toBaseUnits('100').toString(),
+      tokenAddress: strategy.deposit.token.address,
+      chainId: GNOSIS,
+      values: { EUR: '100', USD: '110' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('itemises claimable gauge rewards, reading unlisted reward tokens on chain', async () => {
+    const earnings = await reader.getEarnings(ALICE, strategy);
+
+    expect(earnings.rewards).toEqual([
+      {
+        token: { address: crv.address, symbol: 'CRV', decimals: 18 },
+        claimable: '3',
+        claimableRaw: '3000000000000000000',
+        price: 0.5,
+        value: '1.5',
+        values: { EUR: '1.5', USD: '1.65' }
+      },
+      {
+        token: { address: REWARD, symbol: 'RWD', decimals: 6 },
+        claimable: '1',
+        claimableRaw: '1000000',
+        price: null,
+        value: null,
+        values: { EUR: null, USD: null }
+      }
+    ]);
+    expect(multicall).toHaveBeenCalledWith(expect.objectContaining({
+      contracts: [
+        expect.objectContaining({ address: REWARD, functionName: 'symbol' }),
+        expect.objectContaining({ address: REWARD, functionName: 'decimals' })
+      ]
+    }));
+  });
+
+  it('reports LP value growth since the cost basis and totals what is priced', async () => {
+    const earnings = await reader.getEarnings(ALICE, strategy);
+
+    expect(earnings.lp).toEqual(expect.objectContaining({
+      balance: '100',
+      staked: '60',
+      virtualPrice: '1.02',
+      underlyingToken: 'EURe',
+      underlying: '102',
+      costBasis: '100',
+      growth: '2',
+      value: '102',
+      growthValue: '2',
+      values: { EUR: '102', USD: '112.2' },
+      growthValues: { EUR: '2', USD: '2.2' }
+    }));
+    expect(earnings).toEqual(expect.objectContaining({
+      currency: 'EUR',
+      claimableValue: '1.5',
+      totalValue: '3.5',
+      values: { EUR: { claimable: '1.5', total: '3.5' }, USD: { claimable: '1.65', total: '3.85' } },
+      compoundToken: 'EURe',
+      compoundable: '1.5',
+      canCompound: true
+    }));
+  });
+
+  it('reports only fee growth without a gauge, and no growth without a cost basis', async () => {
+    database.getConnection().exec('DELETE FROM transactions;');
+    const noGauge = { ...strategy, earnings: { ...strategy.earnings, gauge: null } };
+
+    const earnings = await reader.getEarnings(ALICE, noGauge);
+
+    expect(earnings.rewards).toEqual([]);
+    expect(earnings.lp).toEqual(expect.objectContaining({
+      balance: '40',
+      staked: '0',
+      underlying: '40.8',
+      costBasis: null,
+      growth: null,
+      growthValue: null
+    }));
+    expect(earnings).toEqual(expect.objectContaining({ claimableValue: '0', totalValue: '0', canCompound: false }));
+  });
+
+  it('serves the itemised breakdown from GET /api/earnings', async () => {
+    const app = express();
+    app.use('/api', apiRoutes);
+
+    const response = await request(app).get('/api/earnings').query({ userAddress: ALICE, strategyId: strategy.id });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({
+      userAddress: ALICE,
+      strategyId: strategy.id,
+      chainId: GNOSIS,
+      totalValue: '3.5',
+      canCompound: true,
+      minimumCompoundAmount: '0.01'
+    }));
+    expect(response.body.data.rewards.map(reward => [reward.token.symbol, reward.value])).toEqual([['CRV', '1.5'], ['RWD', null]]);
+    expect(response.body.data.lp.growth).toBe('2');
+  });
+});
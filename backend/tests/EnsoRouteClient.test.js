@@ -0,0 +1,120 @@
+process.env.LOG_LEVEL = 'error';
+
+const { ethers } = require('ethers');
+const EnsoRouteClient = require('../src/services/EnsoRouteClient');
+const { createEnsoMockServer, MOCK_ROUTER_ADDRESS } = require('../src/mocks/ensoMockServer');
+
+const USER = '0x2222222222222222222222222222222222222222';
+const TOKEN_IN = '0xcB444e90D8198415266c6a2724b7900fb12FC56E';
+const TOKEN_OUT = '0xE0B52e49357Fd4DAf2c15e02058DCE6BC0057db4';
+
+const routeInterface = new ethers.Interface([
+  'function routeMulti(address tokenIn, address tokenOut, uint256 amountIn, uint256 minAmountOut, address receiver, uint256 destinationChainId)'
+]);
+
+const routeParams = (overrides = {}) => ({
+  chainId: 100,
+  destinationChainId: 100,
+  fromAddress: USER,
+  tokenIn: TOKEN_IN,
+  tokenOut: TOKEN_OUT,
+  amountIn: '1000000000000000000',
+  ...overrides
+});
+
+describe('EnsoRouteClient against the mock Enso API', () => {
+  let mock;
+  let client;
+
+  beforeAll(async () => {
+    mock = createEnsoMockServer();
+    client = new EnsoRouteClient('test-key', await mock.start());
+  });
+
+  afterAll(() => mock.stop());
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+  });
+
+  it('bounds a route by slippage in basis points', async () => {
+    const route = await client.getRoute(routeParams({ slippage: 0.5 }));
+
+    expect(mock.requests[0].query.slippage).toBe('50');
+    expect(mock.requests[0].query).not.toHaveProperty('minAmountOut');
+    expect(route.amountOut).toBe('997000000000000000');
+    expect(route.minAmountOut).toBeNull();
+    expect(route.priceImpact).toBe(12);
+    expect(route.approvalTarget).toBe(MOCK_ROUTER_ADDRESS);
+    expect(route.tx.to).toBe(MOCK_ROUTER_ADDRESS);
+  });
+
+  it('sends an explicit minAmountOut instead of slippage', async () => {
+    const route = await client.getRoute(routeParams({ minAmountOut: '990000000000000000' }));
+
+    expect(mock.requests[0].query).not.toHaveProperty('slippage');
+    expect(route.minAmountOut).toBe('990000000000000000');
+
+    const { args } = routeInterface.parseTransaction({ data: route.tx.data });
+    expect(args.minAmountOut).toBe(990000000000000000n);
+    expect(args.receiver).toBe(USER);
+  });
+
+  it('requests a cross-chain route only when the chains differ', async () => {
+    const route = await client.getRoute(routeParams({ destinationChainId: 137 }));
+
+    expect(mock.requests[0].query.destinationChainId).toBe('137');
+    expect(route.destinationChainId).toBe(137);
+    expect(route.route[0].protocol).toBe('stargate');
+
+    await client.getRoute(routeParams());
+    expect(mock.requests[1].query).not.toHaveProperty('destinationChainId');
+  });
+
+  it('rejects a minAmountOut the route cannot meet', async () => {
+    await expect(client.getRoute(routeParams({ minAmountOut: '999000000000000000' })))
+      .rejects.toThrow('Enso route request failed');
+  });
+
+  it('quotes without the minAmountOut bound', async () => {
+    const quote = await client.getQuote(routeParams({ minAmountOut: '999000000000000000' }));
+
+    expect(quote).toEqual({ amountOut: '997000000000000000', priceImpact: 12, gas: '285000' });
+    expect(mock.requests[0].query).not.toHaveProperty('minAmountOut');
+  });
+
+  it('returns the router as the approval spender', async () => {
+    const approval = await client.getApproval({
+      chainId: 100,
+      fromAddress: USER,
+      tokenAddress: TOKEN_IN,
+      amount: 5n
+    });
+
+    expect(approval.spender).toBe(MOCK_ROUTER_ADDRESS);
+    expect(approval.amount).toBe('5');
+    expect(approval.tx.to).toBe(TOKEN_IN);
+  });
+});
+
+describe('EnsoRouteClient API key', () => {
+  let mock;
+  let url;
+
+  beforeAll(async () => {
+    mock = createEnsoMockServer({ apiKey: 'secret' });
+    url = await mock.start();
+  });
+
+  afterAll(() => mock.stop());
+
+  it('fails without the key the API expects', async () => {
+    await expect(new EnsoRouteClient('wrong', url).getRoute(routeParams()))
+      .rejects.toThrow('Enso route request failed');
+  });
+
+  it('sends the key as a bearer token', async () => {
+    const route = await new EnsoRouteClient('secret', url).getRoute(routeParams());
+    expect(route.amountOut).toBe('997000000000000000');
+  });
+});
@@ -0,0 +1,172 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const { ethers } = require('ethers');
+const EnsoYieldFarming = require('../src/services/EnsoYieldFarming');
+const { PRICE_IMPACT_TOO_HIGH } = require('../src/services/EnsoYieldFarming');
+const EnsoRouteClient = require('../src/services/EnsoRouteClient');
+const { createEnsoMockServer } = require('../src/mocks/ensoMockServer');
+const { getStrategy } = require('../src/config/strategies');
+
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const ALICE = '0x2222222222222222222222222222222222222222';
+
+const routeInterface = new ethers.Interface([
+  'function routeMulti(address tokenIn, address tokenOut, uint256 amountIn, uint256 minAmountOut, address receiver, uint256 destinationChainId)'
+]);
+
+describe('EnsoYieldFarming bounded routes', () => {
+  const { MAX_PRICE_IMPACT_BPS } = process.env;
+  const strategy = getStrategy('eure-gnosis-lp');
+  const service = new EnsoYieldFarming(undefined, PRIVATE_KEY);
+  // Mock Enso APIs reporting the default 12 bps, 250 bps and no price impact
+  const mocks = {
+    low: createEnsoMockServer(),
+    high: createEnsoMockServer({ priceImpactBps: 250 }),
+    none: createEnsoMockServer({ priceImpactBps: null })
+  };
+  const urls = {};
+
+  const route = (mock, slippage = 0.5) => {
+    service.routeClient = new EnsoRouteClient('test-key', urls[mock]);
+    return service.getBoundedRoute(strategy.buildDepositRoute({ amountIn: '1000000000000000000', fromAddress: ALICE, slippage }));
+  };
+
+  beforeAll(async () => {
+    for (const [name, mock] of Object.entries(mocks)) {
+      urls[name] = await mock.start();
+    }
+  });
+
+  afterAll(async () => {
+    for (const mock of Object.values(mocks)) {
+      await mock.stop();
+    }
+  });
+
+  beforeEach(() => {
+    Object.values(mocks).forEach(mock => {
+      mock.requests.length = 0;
+    });
+  });
+
+  afterEach(() => {
+    if (MAX_PRICE_IMPACT_BPS === undefined) {
+      delete process.env.MAX_PRICE_IMPACT_BPS;
+    } else {
+      process.env.MAX_PRICE_IMPACT_BPS = MAX_PRICE_IMPACT_BPS;
+    }
+  });
+
+  it('quotes first, then encodes the slippage-derived minAmountOut into the route', async () => {
+    const bounded = await route('low', 0.5);
+
+    // The quote is unbounded; the route carries 99.5% of the quoted output
+    expect(mocks.low.requests).toHaveLength(2);
+    expect(mocks.low.requests[0].query).not.toHaveProperty(['minAmountOut[]']);
+    expect(mocks.low.requests[1].query).toHaveProperty(['minAmountOut[]'], '992015000000000000');
+    expect(bounded.quote).toEqual({ amountOut: '997000000000000000', priceImpact: 12, gas: '285000', maxPriceImpact: 100 });
+    expect(bounded.minAmountOut).toBe('992015000000000000');
+    expect(routeInterface.parseTransaction({ data: bounded.tx.data }).args.minAmountOut).toBe(992015000000000000n);
+  });
+
+  it('rejects a route whose price impact is above the configured ceiling', async () => {
+    const error = await route('high').catch(rejection => rejection);
+
+    expect(error.code).toBe(PRICE_IMPACT_TOO_HIGH);
+    expect(error.message).toBe('Price impact of 250 bps exceeds the maximum of 100 bps');
+    expect(error.quote).toEqual(expect.objectContaining({ priceImpact: 250, maxPriceImpact: 100 }));
+    // Nothing is routed once the quote is refused
+    expect(mocks.high.requests).toHaveLength(1);
+
+    process.env.MAX_PRICE_IMPACT_BPS = '300';
+    expect((await route('high')).quote.maxPriceImpact).toBe(300);
+  });
+
+  it('routes a quote without a price impact and refuses an invalid ceiling', async () => {
+    expect((await route('none')).quote.priceImpact).toBeNull();
+
+    process.env.MAX_PRICE_IMPACT_BPS = '1.5';
+    await expect(route('low')).rejects.toThrow('Invalid MAX_PRICE_IMPACT_BPS: 1.5');
+  });
+});
+
+describe('EnsoYieldFarming execution modes', () => {
+  const { EXECUTION_MODE } = process.env;
+  const strategy = getStrategy('eure-gnosis-lp');
+  const service = new EnsoYieldFarming(undefined, PRIVATE_KEY);
+  const mock = createEnsoMockServer();
+  const txHash = `0x${'cd'.repeat(32)}`;
+
+  const deposit = (executionMode) => service.executeOperation('deposit', {
+    amount: '1000000000000000000',
+    userAddress: ALICE,
+    executionMode,
+    strategyId: strategy.id
+  });
+
+  beforeAll(async () => {
+    service.routeClient = new EnsoRouteClient('test-key', await mock.start());
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+  });
+
+  beforeEach(() => {
+    process.env.EXECUTION_MODE = 'live';
+    jest.spyOn(service, 'simulateRouteExecution').mockResolvedValue(txHash);
+    jest.spyOn(service, 'executeRoute').mockResolvedValue({ txHash, broadcast: { nonce: 7 } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (EXECUTION_MODE === undefined) {
+      delete process.env.EXECUTION_MODE;
+    } else {
+      process.env.EXECUTION_MODE = EXECUTION_MODE;
+    }
+  });
+
+  it('runs every mode on the same route and tags the result with its mode', async () => {
+    const call = jest.spyOn(service.getChainContext(strategy.deposit.chain).client, 'call').mockResolvedValue({ data: '0x01' });
+
+    const simulated = await deposit('simulate');
+    const dryRun = await deposit('dry-run');
+    const live = await deposit('live');
+
+    expect(simulated).toEqual(expect.objectContaining({ executionMode: 'simulate', txHash, status: 'initiated' }));
+    expect(dryRun).toEqual(expect.objectContaining({
+      executionMode: 'dry-run',
+      txHash: null,
+      status: 'validated',
+      dryRun: { success: true, returnData: '0x01', from: service.wallet.address }
+    }));
+    expect(live).toEqual(expect.objectContaining({ executionMode: 'live', txHash, broadcast: { nonce: 7 } }));
+
+    // Only live sends anything, and only dry-run calls the route
+    expect(service.simulateRouteExecution).toHaveBeenCalledTimes(1);
+    expect(call).toHaveBeenCalledTimes(1);
+    expect(call).toHaveBeenCalledWith(expect.objectContaining({ account: service.wallet.address }));
+    expect(service.executeRoute).toHaveBeenCalledTimes(1);
+    expect([simulated, dryRun, live].map(result => result.minAmountOut)).toEqual(Array(3).fill('992015000000000000'));
+  });
+
+  it('reports a reverted dry-run without broadcasting', async () => {
+    jest.spyOn(service.getChainContext(strategy.deposit.chain).client, 'call').mockRejectedValue(new Error('execution reverted'));
+
+    const result = await deposit('dry-run');
+
+    expect(result.status).toBe('reverted');
+    expect(result.dryRun).toEqual({ success: false, error: 'execution reverted', from: service.wallet.address });
+    expect(service.executeRoute).not.toHaveBeenCalled();
+  });
+
+  it('uses the environment\'s mode by default and refuses a higher one', async () => {
+    process.env.EXECUTION_MODE = 'simulate';
+
+    expect((await deposit()).executionMode).toBe('simulate');
+    await expect(deposit('live')).rejects.toThrow('not allowed in this environment (maximum: simulate)');
+    expect(service.executeRoute).not.toHaveBeenCalled();
+  });
+});
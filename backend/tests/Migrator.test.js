@@ -0,0 +1,149 @@
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SQLite = require('better-sqlite3');
+const Migrator = require('../src/services/Migrator');
+
+// Tables with their columns, and indexes with their columns, so schemas can
+// be compared however their SQL was written
+const describeSchema = (db) => {
+  const objects = db.prepare(`
+    SELECT type, name, tbl_name FROM sqlite_master
+    WHERE type IN ('table', 'index') AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+    ORDER BY type, name
+  `).all();
+
+  return objects.map(({ type, name, tbl_name: table }) => ({
+    type,
+    name,
+    table,
+    columns: type === 'table'
+      ? db.prepare(`SELECT name, type, "notnull", pk FROM pragma_table_info(?)`).all(name)
+      : db.prepare('SELECT name FROM pragma_index_info(?)').all(name).map(column => column.name)
+  }));
+};
+
+describe('Migrator with the repository migrations', () => {
+  let db;
+  let migrator;
+  let versions;
+
+  beforeEach(() => {
+    db = new SQLite(':memory:');
+    migrator = new Migrator(db);
+    versions = migrator.getMigrations().map(migration => migration.version);
+  });
+
+  afterEach(() => db.close());
+
+  it('applies every migration in order, once', () => {
+    expect(migrator.up().map(migration => migration.version)).toEqual(versions);
+    expect(migrator.up()).toEqual([]);
+    expect(migrator.status().every(migration => migration.applied && !migration.missing)).toBe(true);
+  });
+
+  it('reverts every migration back to an empty schema and reapplies it identically', () => {
+    migrator.up();
+    const migrated = describeSchema(db);
+
+    expect(migrator.down({ steps: versions.length }).map(migration => migration.version))
+      .toEqual([...versions].reverse());
+    expect(describeSchema(db)).toEqual([]);
+
+    migrator.up();
+    expect(describeSchema(db)).toEqual(migrated);
+  });
+
+  it('reverts each migration to the schema before it', () => {
+    const schemas = [describeSchema(db)];
+    versions.forEach(version => {
+      migrator.up({ to: version });
+      schemas.push(describeSchema(db));
+    });
+
+    [...versions].reverse().forEach((version, index) => {
+      expect(migrator.down()).toEqual([expect.objectContaining({ version })]);
+      expect(describeSchema(db)).toEqual(schemas[versions.length - index - 1]);
+    });
+  });
+
+  it('drops owner-less webhooks with their deliveries when webhooks get owners', () => {
+    migrator.up({ to: 6 });
+    db.exec(`
+      INSERT INTO webhooks (id, url, secret, user_address, events, created_at) VALUES
+        ('anyone', 'https://a.example', 's', NULL, '[]', 't'),
+        ('owned', 'https://b.example', 's', '0xab', '[]', 't');
+      INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, created_at) VALUES
+        ('d1', 'anyone', 'e', '{}', 'pending', 't'),
+        ('d2', 'owned', 'e', '{}', 'pending', 't');
+    `);
+
+    migrator.up({ to: 7 });
+
+    expect(db.prepare('SELECT id FROM webhooks').all()).toEqual([{ id: 'owned' }]);
+    expect(db.prepare('SELECT id FROM webhook_deliveries').all()).toEqual([{ id: 'd2' }]);
+    expect(() => db.prepare("INSERT INTO webhooks VALUES ('c', 'u', 's', NULL, '[]', 't')").run())
+      .toThrow('NOT NULL');
+  });
+});
+
+describe('Migrator with its own migration files', () => {
+  let directory;
+  let db;
+  let migrator;
+
+  const write = (file, body) => fs.writeFileSync(path.join(directory, file), body);
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    db = new SQLite(':memory:');
+    migrator = new Migrator(db, { directory });
+  });
+
+  afterEach(() => {
+    db.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('rolls back the whole run when a migration fails', () => {
+    write('001_first.js', "module.exports = { up: db => db.exec('CREATE TABLE first (id INTEGER)'), down: db => db.exec('DROP TABLE first') };");
+    write('002_broken.js', "module.exports = { up: db => db.exec('CREATE TABLE first (id INTEGER)'), down: () => {} };");
+
+    expect(() => migrator.up()).toThrow('already exists');
+    expect(describeSchema(db)).toEqual([]);
+    expect(migrator.status().map(migration => migration.applied)).toEqual([false, false]);
+  });
+
+  it('refuses migrations without down', () => {
+    write('001_one_way.js', 'module.exports = { up: () => {} };');
+
+    expect(() => migrator.up()).toThrow('must export up(db) and down(db)');
+  });
+
+  it('refuses duplicate versions', () => {
+    write('001_a.js', 'module.exports = { up: () => {}, down: () => {} };');
+    write('001_b.js', 'module.exports = { up: () => {}, down: () => {} };');
+
+    expect(() => migrator.getMigrations()).toThrow('Duplicate migration version 1');
+  });
+
+  it('cannot revert an applied migration whose file is gone', () => {
+    write('001_gone.js', 'module.exports = { up: () => {}, down: () => {} };');
+    migrator.up();
+    fs.rmSync(path.join(directory, '001_gone.js'));
+
+    expect(migrator.status()).toEqual([expect.objectContaining({ version: 1, applied: true, missing: true })]);
+    expect(() => migrator.down()).toThrow('Cannot revert migration 1: its file is missing');
+  });
+
+  it('creates numbered migration files from a template', () => {
+    write('004_existing.js', 'module.exports = { up: () => {}, down: () => {} };');
+
+    const file = migrator.create('Add transaction index');
+
+    expect(path.basename(file)).toBe('005_add_transaction_index.js');
+    expect(migrator.load({ file })).toEqual({ up: expect.any(Function), down: expect.any(Function) });
+  });
+});
@@ -0,0 +1,160 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../src/routes/api');
+const database = require('../src/services/database');
+const transactionStore = require('../src/services/transactionStore');
+const monitoringService = require('../src/services/monitoringService');
+const priceService = require('../src/services/priceService');
+const socketService = require('../src/services/socketService');
+const { getStrategy } = require('../src/config/strategies');
+const { toBaseUnits } = require('../src/utils/amounts');
+
+const ALICE = '0x2222222222222222222222222222222222222222';
+const BOB = '0x3333333333333333333333333333333333333333';
+
+describe('position ledger', () => {
+  const strategy = getStrategy('eure-polygon-gnosis-lp');
+  const lpKey = priceService.keyOf(strategy.position.token);
+  let app;
+  let lpPrices;
+  let recordCount = 0;
+
+  // A completed operation as trackTransaction records it, with amounts in
+  // whole tokens (all tokens here have 18 decimals)
+  const record = (type, { amount, output, values, ...fields }) => {
+    transactionStore.save({
+      id: `tx_position_${++recordCount}`,
+      userAddress: ALICE,
+      type,
+      status: 'completed',
+      strategyId: strategy.id,
+      executionMode: 'live',
+      amount,
+      amountRaw: toBaseUnits(amount).toString(),
+      expectedOutputRaw: toBaseUnits(output).toString(),
+      tokenAddress: strategy.deposit.token.address,
+      chainId: strategy.deposit.chain,
+      values,
+      createdAt: new Date(Date.UTC(2026, 0, recordCount)).toISOString(),
+      ...fields
+    });
+  };
+
+  const getPositions = (userAddress = ALICE) => request(app).get('/api/positions').query({ userAddress });
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api', apiRoutes);
+
+    database.getConnection().exec('DELETE FROM transaction_transitions; DELETE FROM transactions;');
+
+    // Current LP unit price by currency; a missing currency is unpriced
+    lpPrices = { EUR: 1.2 };
+    jest.spyOn(priceService, 'getQuotes').mockImplementation(async (tokens, currency) => new Map(
+      lpPrices[currency] !== undefined ? [[lpKey, { price: lpPrices[currency] }]] : []
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('computes cost basis, realised and unrealised P&L and time-weighted return', async () => {
+    // 100 EURe for 100 LP at 1.00, then half withdrawn for 55 EURe at 1.10
+    record('deposit', { amount: '100', output: '100', values: { EUR: '100', USD: '110' } });
+    record('withdraw', { amount: '50', output: '55', values: { EUR: '55', USD: '60.5' } });
+
+    const response = await getPositions();
+
+    expect(response.status).toBe(200);
+    const [position] = response.body.data.positions;
+    expect(position).toEqual(expect.objectContaining({
+      strategyId: strategy.id,
+      balance: '50',
+      costToken: 'EURe',
+      cost: '50',
+      realised: '5',
+      operations: { deposits: 1, compounds: 0, withdrawals: 1 },
+      openedAt: '2026-01-01T00:00:00.000Z',
+      lastOperationAt: '2026-01-02T00:00:00.000Z'
+    }));
+    expect(position.values.EUR).toEqual({
+      price: 1.2,
+      costBasis: '50',
+      currentValue: '60',
+      realisedPnl: '5',
+      unrealisedPnl: '10',
+      totalPnl: '15',
+      timeWeightedReturn: '20.0000'
+    });
+    // Unpriced in USD: what was paid and realised is still known
+    expect(position.values.USD).toEqual({
+      price: null,
+      costBasis: '55',
+      currentValue: null,
+      realisedPnl: '5.5',
+      unrealisedPnl: null,
+      totalPnl: null,
+      timeWeightedReturn: null
+    });
+    expect(response.body.data.totals.EUR).toEqual({
+      costBasis: '50', currentValue: '60', realisedPnl: '5', unrealisedPnl: '10', totalPnl: '15'
+    });
+    expect(response.body.data.totals.USD.currentValue).toBeNull();
+  });
+
+  it('counts compounded rewards as return rather than new money', async () => {
+    record('deposit', { amount: '100', output: '100', values: { EUR: '100', USD: '110' } });
+    // 11 EURe of rewards compounded into 10 LP at 1.10
+    record('compound', { amount: '11', output: '10', values: { EUR: '11', USD: '12.1' } });
+    lpPrices.EUR = 1.1;
+
+    const { values } = (await getPositions()).body.data.positions[0];
+
+    expect(values.EUR).toEqual(expect.objectContaining({
+      costBasis: '111',
+      currentValue: '121',
+      unrealisedPnl: '10',
+      // 100 grew to 121 without any new deposit
+      timeWeightedReturn: '21.0000'
+    }));
+  });
+
+  it('leaves figures unknown when an operation has no recorded value', async () => {
+    record('deposit', { amount: '100', output: '100', values: { EUR: '100', USD: null } });
+
+    const { values } = (await getPositions()).body.data.positions[0];
+
+    expect(values.EUR.costBasis).toBe('100');
+    expect(values.USD).toEqual(expect.objectContaining({ costBasis: null, realisedPnl: null, timeWeightedReturn: null }));
+  });
+
+  it('only counts the address\'s own completed operations', async () => {
+    record('deposit', { amount: '100', output: '100', values: { EUR: '100', USD: '110' } });
+    record('deposit', { amount: '40', output: '40', values: { EUR: '40', USD: '44' }, status: 'pending' });
+    record('deposit', { amount: '30', output: '30', values: { EUR: '30', USD: '33' }, userAddress: BOB });
+
+    const response = await getPositions();
+
+    expect(response.body.data.positions.map(position => position.balance)).toEqual(['100']);
+    expect((await getPositions(BOB)).body.data.positions[0].balance).toBe('30');
+    expect((await request(app).get('/api/positions')).status).toBe(400);
+  });
+
+  it('pushes the address\'s positions over the socket', async () => {
+    record('deposit', { amount: '100', output: '100', values: { EUR: '100', USD: '110' } });
+    const broadcast = jest.spyOn(socketService, 'broadcastPositionUpdate').mockImplementation(() => {});
+
+    await monitoringService.triggerPositionUpdate(ALICE);
+
+    expect(broadcast).toHaveBeenCalledWith(ALICE, expect.objectContaining({
+      address: ALICE,
+      positions: [expect.objectContaining({ strategyId: strategy.id, balance: '100' })],
+      totals: expect.objectContaining({ EUR: expect.objectContaining({ currentValue: '120' }) })
+    }));
+  });
+});
@@ -0,0 +1,178 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.STARGATE_OFT_ADDRESSES = '137:0x1111111111111111111111111111111111111111,100:0x5555555555555555555555555555555555555555';
+
+const { encodeEventTopics, encodeAbiParameters } = require('viem');
+const SettlementTracker = require('../src/services/SettlementTracker');
+const { SETTLEMENT_STATUS } = SettlementTracker;
+const { BRIDGES } = require('../src/config/bridges');
+const { getPublicClient, getConfirmationPolicy } = require('../src/config/chains');
+const database = require('../src/services/database');
+
+const POLYGON = 137;
+const GNOSIS = 100;
+const ALICE = '0x2222222222222222222222222222222222222222';
+const EURE = '0xcB444e90D8198415266c6a2724b7900fb12FC56E';
+const GUID = `0x${'12'.repeat(32)}`;
+const SOURCE_TX = `0x${'ab'.repeat(32)}`;
+const DELIVERY_TX = `0x${'cd'.repeat(32)}`;
+
+describe('SettlementTracker', () => {
+  const { confirmations: required } = getConfirmationPolicy(GNOSIS);
+  const tracker = new SettlementTracker();
+  const expected = { receiver: ALICE, tokenOut: EURE, minAmountOut: '990' };
+  let txCount = 0;
+  let gnosis;
+
+  // OFTSent from the Polygon OFT contract, as it appears in the source receipt
+  const oftSent = (address = '0x1111111111111111111111111111111111111111') => ({
+    address,
+    topics: encodeEventTopics({
+      abi: [BRIDGES.stargate.sourceEvent],
+      eventName: 'OFTSent',
+      args: { guid: GUID, fromAddress: ALICE }
+    }),
+    data: encodeAbiParameters(
+      [{ type: 'uint32' }, { type: 'uint256' }, { type: 'uint256' }],
+      [30145, 1000n, 995n]
+    )
+  });
+
+  const sourceReceipt = (logs) => ({ hash: SOURCE_TX, blockNumber: 40, blockHash: '0x40', logs });
+
+  const delivery = (fields) => ({
+    transactionHash: DELIVERY_TX,
+    logIndex: 3,
+    blockNumber: 950n,
+    blockHash: '0x950',
+    ...fields
+  });
+
+  const start = (logs = [oftSent()]) => tracker.start({
+    txId: `tx_settle_${++txCount}`,
+    sourceChainId: POLYGON,
+    destinationChainId: GNOSIS,
+    receipt: sourceReceipt(logs)
+  });
+
+  beforeEach(() => {
+    database.getConnection().exec('DELETE FROM settlement_deliveries');
+
+    // Gnosis at block 1000 with canonical blocks by number, and the logs
+    // getLogs answers for its filter
+    gnosis = { head: 1000n, blocks: new Map([[950n, { hash: '0x950', timestamp: 200n }]]), logs: [] };
+
+    const gnosisClient = getPublicClient(GNOSIS);
+    jest.spyOn(gnosisClient, 'getBlockNumber').mockImplementation(async () => gnosis.head);
+    jest.spyOn(gnosisClient, 'getBlock').mockImplementation(async ({ blockNumber }) => gnosis.blocks.get(blockNumber) || null);
+    jest.spyOn(gnosisClient, 'getLogs').mockImplementation(async (filter) => gnosis.logs.filter(log =>
+      log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock));
+    jest.spyOn(getPublicClient(POLYGON), 'getBlock').mockResolvedValue({ timestamp: 100n });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('starts from the bridge message in the source receipt and looks back on the destination chain', async () => {
+    const settlement = await start();
+
+    expect(settlement).toEqual(expect.objectContaining({
+      status: SETTLEMENT_STATUS.SOURCE_CONFIRMED,
+      source: { chainId: POLYGON, txHash: SOURCE_TX, blockNumber: 40, blockHash: '0x40', timestamp: 100 },
+      destination: expect.objectContaining({ chainId: GNOSIS, txHash: null }),
+      bridge: 'stargate',
+      messageId: GUID,
+      messageAmount: '995',
+      nextBlock: '0'
+    }));
+  });
+
+  it('ignores message events not emitted by the bridge contract', async () => {
+    const settlement = await start([oftSent('0x9999999999999999999999999999999999999999')]);
+
+    expect(settlement.bridge).toBeNull();
+    expect(settlement.messageId).toBeNull();
+  });
+
+  it('matches delivery by message ID and amount, then waits for the confirmation depth', async () => {
+    const settlement = await start();
+    gnosis.logs = [
+      delivery({ transactionHash: `0x${'ee'.repeat(32)}`, args: { guid: GUID, amountReceivedLD: 1n } }),
+      delivery({ args: { guid: GUID, amountReceivedLD: 995n } })
+    ];
+    gnosis.head = 950n + BigInt(required) - 2n;
+
+    const bridging = await tracker.check(settlement, expected);
+
+    expect(getPublicClient(GNOSIS).getLogs).toHaveBeenCalledWith(expect.objectContaining({
+      address: '0x5555555555555555555555555555555555555555',
+      args: { guid: GUID }
+    }));
+    expect(bridging.status).toBe(SETTLEMENT_STATUS.BRIDGING);
+    expect(bridging.destination).toEqual({
+      chainId: GNOSIS,
+      txHash: DELIVERY_TX,
+      logIndex: 3,
+      blockNumber: 950,
+      blockHash: '0x950',
+      confirmations: required - 1
+    });
+
+    gnosis.head += 1n;
+    const confirmed = await tracker.check(bridging, expected);
+
+    expect(confirmed.status).toBe(SETTLEMENT_STATUS.DESTINATION_CONFIRMED);
+    expect(confirmed.destination.confirmations).toBe(required);
+    expect(confirmed.source.txHash).toBe(SOURCE_TX);
+  });
+
+  it('falls back to a transfer of the routed token made after the source leg', async () => {
+    const settlement = await start([]);
+    gnosis.blocks.set(900n, { hash: '0x900', timestamp: 50n });
+    gnosis.logs = [
+      // Before the source leg
+      delivery({ transactionHash: `0x${'01'.repeat(32)}`, blockNumber: 900n, blockHash: '0x900', args: { to: ALICE, value: 1000n } }),
+      // Under the minimum
+      delivery({ transactionHash: `0x${'02'.repeat(32)}`, args: { to: ALICE, value: 989n } }),
+      delivery({ args: { to: ALICE, value: 990n } })
+    ];
+
+    const bridging = await tracker.check(settlement, expected);
+
+    expect(getPublicClient(GNOSIS).getLogs).toHaveBeenCalledWith(expect.objectContaining({ address: EURE, args: { to: ALICE } }));
+    expect(bridging.destination.txHash).toBe(DELIVERY_TX);
+  });
+
+  it('matches each delivery to one transaction only', async () => {
+    gnosis.logs = [delivery({ args: { to: ALICE, value: 1000n } })];
+
+    const first = await tracker.check(await start([]), expected);
+    const second = await tracker.check(await start([]), expected);
+
+    expect(first.destination.txHash).toBe(DELIVERY_TX);
+    expect(second.status).toBe(SETTLEMENT_STATUS.BRIDGING);
+    expect(second.destination.txHash).toBeNull();
+    expect(second.nextBlock).toBe('1001');
+  });
+
+  it('releases a reorged delivery and scans again from its block', async () => {
+    gnosis.logs = [delivery({ args: { guid: GUID, amountReceivedLD: 995n } })];
+    gnosis.head = 951n;
+    const bridging = await tracker.check(await start(), expected);
+
+    gnosis.blocks.set(950n, { hash: '0x950b', timestamp: 200n });
+    const reorged = await tracker.check(bridging, expected);
+
+    expect(reorged).toEqual(expect.objectContaining({
+      status: SETTLEMENT_STATUS.BRIDGING,
+      nextBlock: '950',
+      reorged: { leg: 'destination', txHash: DELIVERY_TX, blockNumber: 950, blockHash: '0x950' }
+    }));
+    expect(reorged.destination.txHash).toBeNull();
+
+    // Re-included in the new block 950, the delivery can be claimed again
+    gnosis.logs = [delivery({ blockHash: '0x950b', args: { guid: GUID, amountReceivedLD: 995n } })];
+    expect((await tracker.check(reorged, expected)).destination.blockHash).toBe('0x950b');
+  });
+});
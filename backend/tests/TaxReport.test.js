@@ -0,0 +1,156 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../src/routes/api');
+const TaxReport = require('../src/services/TaxReport');
+const database = require('../src/services/database');
+const transactionStore = require('../src/services/transactionStore');
+const { getStrategy } = require('../src/config/strategies');
+const { toBaseUnits } = require('../src/utils/amounts');
+
+const ALICE = '0x2222222222222222222222222222222222222222';
+
+// Stand-in transaction hash for a record
+const hashOf = (id) => `0x${id.replace(/\D/g, '').padStart(64, '0')}`;
+
+describe('TaxReport', () => {
+  const strategy = getStrategy('eure-polygon-gnosis-lp');
+  const report = new TaxReport();
+  let recordCount = 0;
+  let lots;
+
+  // A completed operation valued in EUR when it was initiated, with amounts in
+  // whole tokens (all tokens here have 18 decimals)
+  const record = (type, date, { amount, output, eur }) => {
+    const id = `tx_tax_${++recordCount}`;
+
+    transactionStore.save({
+      id,
+      txHash: hashOf(id),
+      userAddress: ALICE,
+      type,
+      status: 'completed',
+      strategyId: strategy.id,
+      executionMode: 'live',
+      amount,
+      amountRaw: toBaseUnits(amount).toString(),
+      expectedOutputRaw: toBaseUnits(output).toString(),
+      tokenAddress: strategy.deposit.token.address,
+      chainId: strategy.deposit.chain,
+      values: { EUR: eur, USD: null },
+      createdAt: `${date}T12:00:00.000Z`
+    });
+    return id;
+  };
+
+  beforeEach(() => {
+    database.getConnection().exec('DELETE FROM transaction_transitions; DELETE FROM transactions;');
+
+    // Three lots at unit costs of 1.00, 1.20 and 1.10 EUR, then 60 LP
+    // withdrawn the next year for 78 EUR
+    lots = {
+      first: record('deposit', '2025-03-01', { amount: '100', output: '100', eur: '100' }),
+      second: record('deposit', '2025-06-01', { amount: '50', output: '50', eur: '60' }),
+      compound: record('compound', '2025-09-01', { amount: '11', output: '10', eur: '11' })
+    };
+    record('withdraw', '2026-02-01', { amount: '60', output: '78', eur: '78' });
+  });
+
+  const matched = (method) => report.build({ address: ALICE, year: 2026, method }).disposals
+    .map(({ acquisitionTxId, amount, proceeds, costBasis, gain }) => ({ acquisitionTxId, amount, proceeds, costBasis, gain }));
+
+  it('matches the oldest lots first with fifo, carrying lots over from earlier years', () => {
+    const { disposals, summary } = report.build({ address: ALICE, year: 2026, method: 'fifo' });
+
+    expect(disposals).toEqual([expect.objectContaining({
+      acquisitionTxId: lots.first,
+      acquisitionType: 'deposit',
+      acquiredAt: '2025-03-01T12:00:00.000Z',
+      disposedAt: '2026-02-01T12:00:00.000Z',
+      holdingDays: 337,
+      token: 'LP-EURe',
+      amount: '60',
+      proceeds: '78',
+      costBasis: '60',
+      gain: '18'
+    })]);
+    expect(summary).toEqual({
+      entries: 0,
+      exits: 1,
+      compounds: 0,
+      proceeds: '78',
+      costBasis: '60',
+      gain: '18',
+      income: '0',
+      unvalued: { events: 0, disposals: 0 }
+    });
+  });
+
+  it('matches the newest lots first with lifo and the dearest with hifo, splitting proceeds pro rata', () => {
+    expect(matched('lifo')).toEqual([
+      { acquisitionTxId: lots.compound, amount: '10', proceeds: '13', costBasis: '11', gain: '2' },
+      { acquisitionTxId: lots.second, amount: '50', proceeds: '65', costBasis: '60', gain: '5' }
+    ]);
+    expect(matched('hifo')).toEqual([
+      { acquisitionTxId: lots.second, amount: '50', proceeds: '65', costBasis: '60', gain: '5' },
+      { acquisitionTxId: lots.compound, amount: '10', proceeds: '13', costBasis: '11', gain: '2' }
+    ]);
+    expect(() => report.build({ address: ALICE, year: 2026, method: 'average' }))
+      .toThrow('Unknown lot matching method: average. Must be one of: fifo, lifo, hifo');
+  });
+
+  it('reports entries and compounded rewards as income in the year they happened', () => {
+    const { events, disposals, summary } = report.build({ address: ALICE, year: 2025 });
+
+    expect(disposals).toEqual([]);
+    expect(events.map(event => [event.type, event.value])).toEqual([['deposit', '100'], ['deposit', '60'], ['compound', '11']]);
+    expect(events[2]).toEqual(expect.objectContaining({
+      sent: null,
+      received: { amount: '10', amountRaw: toBaseUnits('10').toString(), token: 'LP-EURe' }
+    }));
+    expect(summary).toEqual(expect.objectContaining({ entries: 2, exits: 0, compounds: 1, income: '11' }));
+  });
+
+  it('leaves a withdrawal beyond the recorded lots without a cost basis', () => {
+    record('withdraw', '2026-03-01', { amount: '110', output: '110', eur: '110' });
+
+    const { summary } = report.build({ address: ALICE, year: 2026 });
+
+    expect(matched('fifo').slice(1)).toEqual([
+      { acquisitionTxId: lots.first, amount: '40', proceeds: '40', costBasis: '40', gain: '0' },
+      { acquisitionTxId: lots.second, amount: '50', proceeds: '50', costBasis: '60', gain: '-10' },
+      { acquisitionTxId: lots.compound, amount: '10', proceeds: '10', costBasis: '11', gain: '-1' },
+      { acquisitionTxId: null, amount: '10', proceeds: '10', costBasis: null, gain: null }
+    ]);
+    expect(summary.unvalued).toEqual({ events: 0, disposals: 1 });
+    expect(summary.proceeds).toBe('178');
+  });
+
+  it('serves the report as JSON, or as CSV in the crypto-tax import layout', async () => {
+    const app = express();
+    app.use('/api', apiRoutes);
+
+    const json = await request(app).get('/api/reports/tax').query({ userAddress: ALICE, year: 2026, method: 'lifo' });
+    expect(json.status).toBe(200);
+    expect(json.body.data).toEqual(expect.objectContaining({ userAddress: ALICE, year: 2026, method: 'lifo', currency: 'EUR' }));
+    expect(json.body.data.summary.gain).toBe('7');
+
+    const csv = await request(app).get('/api/reports/tax').query({ userAddress: ALICE, year: 2025, format: 'csv' });
+    expect(csv.status).toBe(200);
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    expect(csv.headers['content-disposition']).toBe(`attachment; filename="tax-report-2025-${ALICE}.csv"`);
+    expect(csv.text.split('\n')).toEqual([
+      'Date,Sent Amount,Sent Currency,Received Amount,Received Currency,Fee Amount,Fee Currency,Net Worth Amount,Net Worth Currency,Label,Description,TxHash',
+      `2025-03-01 12:00:00,100,EURe,100,LP-EURe,,,100,EUR,liquidity in,deposit ${strategy.id} (${lots.first}),${hashOf(lots.first)}`,
+      `2025-06-01 12:00:00,50,EURe,50,LP-EURe,,,60,EUR,liquidity in,deposit ${strategy.id} (${lots.second}),${hashOf(lots.second)}`,
+      `2025-09-01 12:00:00,,,10,LP-EURe,,,11,EUR,reward,compound ${strategy.id} (${lots.compound}),${hashOf(lots.compound)}`,
+      ''
+    ]);
+
+    expect((await request(app).get('/api/reports/tax').query({ userAddress: ALICE, year: 2026, method: 'average' })).status).toBe(400);
+    expect((await request(app).get('/api/reports/tax').query({ userAddress: ALICE })).status).toBe(400);
+  });
+});
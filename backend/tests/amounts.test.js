@@ -0,0 +1,68 @@
+const {
+  isDecimalAmount,
+  isBaseUnitAmount,
+  toBaseUnits,
+  toSignedBaseUnits,
+  fromBaseUnits,
+  formatDisplayAmount,
+  toBigInt,
+  applyBps,
+  valueAtPrice,
+  amountAtPrice
+} = require('../src/utils/amounts');
+
+describe('amounts', () => {
+  it('converts decimal amounts to base units without floating point', () => {
+    expect(toBaseUnits('1234567.123456789012345678')).toBe(1234567123456789012345678n);
+    expect(toBaseUnits('0.1', 6)).toBe(100000n);
+    expect(toBaseUnits(' 100.2500 ', 2)).toBe(10025n);
+    expect(toBaseUnits('5', 0)).toBe(5n);
+    expect(toSignedBaseUnits('-1.5', 6)).toBe(-1500000n);
+  });
+
+  it('rejects amounts the token cannot represent exactly', () => {
+    expect(() => toBaseUnits('1.0000001', 6)).toThrow('Invalid amount: 1.0000001 has more than 6 decimal places');
+    ['-1', '1e18', '1,000', '.5', '1.', ''].forEach(amount => {
+      expect(() => toBaseUnits(amount)).toThrow(`Invalid amount: ${amount}`);
+    });
+    expect(isDecimalAmount('12.5')).toBe(true);
+    expect(isDecimalAmount(12.5)).toBe(false);
+  });
+
+  it('converts base units back to an exact decimal string', () => {
+    expect(fromBaseUnits(1234567123456789012345678n)).toBe('1234567.123456789012345678');
+    expect(fromBaseUnits('100000', 6)).toBe('0.1');
+    expect(fromBaseUnits(1, 18)).toBe('0.000000000000000001');
+    expect(fromBaseUnits(0n)).toBe('0');
+    expect(fromBaseUnits(-1500000n, 6)).toBe('-1.5');
+    expect(fromBaseUnits(toBaseUnits('98765.4321', 8), 8)).toBe('98765.4321');
+  });
+
+  it('truncates display amounts instead of rounding them up', () => {
+    expect(formatDisplayAmount(toBaseUnits('0.99999'), 18)).toBe('0.9999');
+    expect(formatDisplayAmount(toBaseUnits('2.5'), 18, 2)).toBe('2.50');
+    expect(formatDisplayAmount(toBaseUnits('2.9'), 18, 0)).toBe('2');
+  });
+
+  it('only accepts integer base-unit amounts', () => {
+    expect(toBigInt('-42')).toBe(-42n);
+    expect(toBigInt(42)).toBe(42n);
+    expect(() => toBigInt(2 ** 53)).toThrow('Invalid base-unit amount');
+    expect(() => toBigInt(1.5)).toThrow('Invalid base-unit amount: 1.5');
+    expect(() => toBigInt('1.5')).toThrow('Invalid base-unit amount: 1.5');
+    expect(isBaseUnitAmount('1000')).toBe(true);
+    expect(isBaseUnitAmount('-1000')).toBe(false);
+  });
+
+  it('applies basis points and prices, rounding down', () => {
+    expect(applyBps(999n, 9950)).toBe(994n);
+    expect(applyBps('10000', 10000n)).toBe(10000n);
+
+    // 1.5 tokens at 0.4213 = 0.63195, with 8 decimals
+    expect(valueAtPrice(toBaseUnits('1.5'), 18, 0.4213)).toBe(63195000n);
+    expect(valueAtPrice(1n, 18, 1)).toBe(0n);
+    expect(amountAtPrice(63195000n, 18, '0.4213')).toBe(toBaseUnits('1.5'));
+    expect(() => amountAtPrice(1n, 18, 0)).toThrow('Cannot convert a value at a zero price');
+    expect(() => valueAtPrice(1n, 18, -1)).toThrow('Invalid price: -1');
+  });
+});
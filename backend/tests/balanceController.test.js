@@ -0,0 +1,91 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../src/routes/api');
+const priceService = require('../src/services/priceService');
+const socketService = require('../src/services/socketService');
+const BalanceEngine = require('../src/services/BalanceEngine');
+
+const ALICE = '0x2222222222222222222222222222222222222222';
+const BOB = '0x3333333333333333333333333333333333333333';
+
+describe('balanceController history', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api', apiRoutes);
+
+    // Every token is worth 2 in either currency
+    jest.spyOn(priceService, 'getPrices').mockImplementation(async (tokens) => {
+      return new Map(tokens.map(token => [priceService.keyOf(token), 2]));
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('labels the generated history as synthetic', async () => {
+    const response = await request(app).get('/api/balances/history').query({ userAddress: ALICE });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(expect.objectContaining({
+      userAddress: ALICE,
+      synthetic: true,
+      notice: expect.stringContaining('randomly generated')
+    }));
+    // Today and the 7 days before it
+    expect(response.body.data.history).toHaveLength(8);
+
+    const { balance, values } = response.body.data.history[0].polygon.eure;
+    expect(values).toEqual({ EUR: (balance * 2).toFixed(2), USD: (balance * 2).toFixed(2) });
+  });
+});
+
+describe('balanceController balances', () => {
+  let app;
+  let read;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api', apiRoutes);
+
+    read = jest.spyOn(BalanceEngine.prototype, 'getBalances').mockImplementation(async (address) => ({
+      gnosis: {
+        chainId: 100,
+        address,
+        native: { symbol: 'xDAI', decimals: 18, balance: '1', raw: '1000000000000000000' },
+        tokens: {}
+      }
+    }));
+    jest.spyOn(priceService, 'getPrices').mockResolvedValue(new Map());
+    jest.spyOn(socketService, 'broadcastBalanceUpdate').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads the balances of the requested address, not the service wallet', async () => {
+    const alice = await request(app).get('/api/balances').query({ userAddress: ALICE });
+    const bob = await request(app).get('/api/balances/gnosis').query({ userAddress: BOB });
+
+    expect(alice.status).toBe(200);
+    expect(alice.body.data.gnosis.address).toBe(ALICE);
+    expect(bob.status).toBe(200);
+    expect(read.mock.calls).toEqual([[ALICE, null], [BOB, [100]]]);
+    expect(socketService.broadcastBalanceUpdate).toHaveBeenCalledWith(BOB, expect.anything());
+  });
+
+  it('requires a user address', async () => {
+    expect((await request(app).get('/api/balances')).status).toBe(400);
+    expect((await request(app).get('/api/balances/gnosis')).status).toBe(400);
+    expect(read).not.toHaveBeenCalled();
+  });
+});
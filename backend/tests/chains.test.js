@@ -0,0 +1,73 @@
+process.env.LOG_LEVEL = 'error';
+process.env.BASE_RPC_URL = 'http://127.0.0.1:8545';
+
+const chains = require('../src/config/chains');
+
+const PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+describe('chain registry', () => {
+  const { SUPPORTED_CHAINS } = process.env;
+
+  afterEach(() => {
+    if (SUPPORTED_CHAINS === undefined) {
+      delete process.env.SUPPORTED_CHAINS;
+    } else {
+      process.env.SUPPORTED_CHAINS = SUPPORTED_CHAINS;
+    }
+  });
+
+  it('enables Polygon and Gnosis by default', () => {
+    delete process.env.SUPPORTED_CHAINS;
+
+    expect(chains.getSupportedChainIds()).toEqual([137, 100]);
+    expect(chains.isChainSupported('100')).toBe(true);
+    expect(chains.isChainSupported(1)).toBe(false);
+    expect(() => chains.getChainConfig(1)).toThrow('Unsupported chain ID: 1');
+  });
+
+  it('enables the chains listed in SUPPORTED_CHAINS, by key or slug', () => {
+    process.env.SUPPORTED_CHAINS = 'base, polygon-amoy,GNOSIS_CHIADO';
+
+    expect(chains.getSupportedChainIds()).toEqual([8453, 80002, 10200]);
+    expect(chains.getChainByName('polygon-amoy').chainId).toBe(80002);
+    expect(chains.getChainSlug(chains.CHAINS.GNOSIS_CHIADO)).toBe('gnosis-chiado');
+    expect(() => chains.getChainByName('polygon')).toThrow('Unsupported chain name: polygon');
+
+    process.env.SUPPORTED_CHAINS = 'polygon,optimism';
+    expect(() => chains.getEnabledChains()).toThrow('Unknown chain in SUPPORTED_CHAINS: OPTIMISM');
+  });
+
+  it('reads each chain\'s RPC URL, explorer, confirmations and Multicall3 from its entry', () => {
+    process.env.SUPPORTED_CHAINS = 'base,sepolia';
+
+    expect(chains.getRpcUrl(8453)).toBe('http://127.0.0.1:8545');
+    expect(chains.getNativeCurrency(8453).symbol).toBe('ETH');
+    expect(chains.getConfirmationPolicy(11155111)).toEqual({ confirmations: 3, pollingInterval: 15000 });
+    expect(chains.getMulticallAddress(8453)).toBe('0xcA11bde05977b3631167028862bE2a173976CA11');
+    expect(chains.getTransactionUrl(8453, '0xabc')).toBe('https://basescan.org/tx/0xabc');
+    expect(chains.getAddressUrl(11155111, '0xdef')).toBe('https://sepolia.etherscan.io/address/0xdef');
+  });
+
+  it('builds each chain\'s clients once, from its configuration', () => {
+    process.env.SUPPORTED_CHAINS = 'base,sepolia';
+
+    const viemChain = chains.getViemChain(8453);
+    expect(viemChain).toEqual(expect.objectContaining({
+      id: 8453,
+      network: 'base',
+      rpcUrls: expect.objectContaining({ default: { http: ['http://127.0.0.1:8545'] } }),
+      testnet: false
+    }));
+    expect(chains.getViemChain(11155111).testnet).toBe(true);
+    expect(chains.getViemChain(8453)).toBe(viemChain);
+
+    expect(chains.getProvider(8453)).toBe(chains.getProvider(8453));
+    expect(chains.getProvider(8453)).not.toBe(chains.getProvider(11155111));
+    expect(chains.getPublicClient(8453).chain.id).toBe(8453);
+
+    const { wallet, walletClient } = chains.createSigners(8453, PRIVATE_KEY);
+    expect(walletClient.account.address).toBe(wallet.address);
+    expect(walletClient.chain.id).toBe(8453);
+    expect(wallet.provider).toBe(chains.getProvider(8453));
+  });
+});
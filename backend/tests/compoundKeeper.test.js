@@ -0,0 +1,246 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.EXECUTION_MODE = 'dry-run';
+process.env.PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../src/routes/api');
+const database = require('../src/services/database');
+const transactionStore = require('../src/services/transactionStore');
+const priceService = require('../src/services/priceService');
+const compoundKeeper = require('../src/services/compoundKeeper');
+const { DECISIONS, REASONS } = require('../src/services/compoundKeeper');
+const { generateToken } = require('../src/middleware/auth');
+const { getStrategy } = require('../src/config/strategies');
+
+const ALICE = '0x2222222222222222222222222222222222222222';
+const BOB = '0x3333333333333333333333333333333333333333';
+
+const strategy = getStrategy();
+const GNOSIS = 100;
+
+describe('compoundKeeper', () => {
+  let ensoService;
+  let earnings;
+
+  // Gas for the compound: 0.01 xDAI on Gnosis
+  const steps = [{ step: 'claim', chainId: GNOSIS, costRaw: '10000000000000000' }];
+
+  beforeEach(() => {
+    database.getConnection().exec(`
+      DELETE FROM keeper_decisions; DELETE FROM keeper_subscriptions;
+      DELETE FROM transaction_transitions; DELETE FROM transactions;
+    `);
+
+    earnings = { canCompound: true, claimableValue: '5', compoundable: [] };
+    ensoService = {
+      getEarnings: jest.fn(async () => earnings),
+      estimateCompoundCost: jest.fn(async () => steps),
+      compound: jest.fn(async (address, read, { executionMode }) => ({
+        txId: 'tx_compound',
+        txHash: `0x${'ab'.repeat(32)}`,
+        amount: '4000000000000000000',
+        executionMode,
+        claim: { txHash: `0x${'cd'.repeat(32)}` },
+        status: 'simulated'
+      }))
+    };
+    jest.spyOn(compoundKeeper, 'getEnsoService').mockReturnValue(ensoService);
+    // 1 xDAI = 2 EUR, so gas costs 0.02 EUR
+    jest.spyOn(priceService, 'getPrice').mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const subscribe = (fields = {}) => compoundKeeper.subscribe({
+    userAddress: ALICE,
+    strategyId: strategy.id,
+    margin: '1',
+    ...fields
+  }).subscription;
+
+  it('compounds when the claimable value after gas beats the margin', async () => {
+    subscribe();
+    const [compounded] = await compoundKeeper.run();
+
+    expect(compounded).toEqual(expect.objectContaining({
+      decision: DECISIONS.COMPOUND,
+      reason: REASONS.PROFITABLE,
+      executionMode: 'dry-run',
+      claimableValue: '5',
+      netValue: '4.98',
+      compoundAmount: '4'
+    }));
+    expect(compounded.gasCost.total).toBe('0.02');
+    expect(ensoService.compound).toHaveBeenCalledWith(ALICE, earnings, expect.objectContaining({ executionMode: 'dry-run' }));
+    expect(compoundKeeper.getSubscription(ALICE, strategy.id).lastDecision)
+      .toEqual(expect.objectContaining({ decision: DECISIONS.COMPOUND }));
+  });
+
+  it('skips when the net gain does not beat the margin', async () => {
+    subscribe({ margin: '4.98' });
+
+    const [decision] = await compoundKeeper.run();
+
+    expect(decision).toEqual(expect.objectContaining({ decision: DECISIONS.SKIP, reason: REASONS.NOT_PROFITABLE }));
+    expect(ensoService.compound).not.toHaveBeenCalled();
+  });
+
+  it('skips below the strategy minimum, with unpriced gas, or while a compound is pending', async () => {
+    subscribe();
+
+    earnings = { canCompound: false, claimableValue: '0.1' };
+    expect((await compoundKeeper.run())[0].reason).toBe(REASONS.BELOW_MINIMUM);
+
+    earnings = { canCompound: true, claimableValue: '5' };
+    priceService.getPrice.mockResolvedValue(null);
+    expect((await compoundKeeper.run())[0].reason).toBe(REASONS.GAS_UNPRICED);
+
+    transactionStore.save({
+      id: 'tx_pending_compound',
+      userAddress: ALICE,
+      type: 'compound',
+      amount: '1',
+      tokenAddress: strategy.deposit.token.address,
+      chainId: GNOSIS,
+      strategyId: strategy.id,
+      status: 'pending'
+    });
+    expect((await compoundKeeper.run())[0]).toEqual(expect.objectContaining({
+      reason: REASONS.COMPOUND_PENDING,
+      txId: 'tx_pending_compound'
+    }));
+    expect(ensoService.compound).not.toHaveBeenCalled();
+  });
+
+  it('records a mode above the environment\'s as a skip and checks the other subscriptions', async () => {
+    subscribe({ executionMode: 'live' });
+    subscribe({ userAddress: BOB });
+
+    const decisions = await compoundKeeper.run();
+
+    expect(decisions).toEqual([
+      expect.objectContaining({
+        userAddress: ALICE,
+        decision: DECISIONS.SKIP,
+        reason: REASONS.EXECUTION_MODE_NOT_ALLOWED,
+        executionMode: 'live',
+        error: expect.stringContaining('not allowed in this environment')
+      }),
+      expect.objectContaining({ userAddress: BOB, decision: DECISIONS.COMPOUND })
+    ]);
+    expect(ensoService.compound).toHaveBeenCalledTimes(1);
+    expect(compoundKeeper.getDecisions({ userAddress: ALICE }).decisions[0].reason).toBe(REASONS.EXECUTION_MODE_NOT_ALLOWED);
+  });
+
+  it('records a failed check as an error without stopping the run', async () => {
+    subscribe();
+    subscribe({ userAddress: BOB });
+    ensoService.getEarnings.mockRejectedValueOnce(new Error('RPC unavailable'));
+
+    const decisions = await compoundKeeper.run();
+
+    expect(decisions.map(decision => [decision.decision, decision.reason]))
+      .toEqual([[DECISIONS.ERROR, REASONS.FAILED], [DECISIONS.COMPOUND, REASONS.PROFITABLE]]);
+    expect(decisions[0].error).toBe('RPC unavailable');
+  });
+
+  it('runs on its interval once started, until stopped', async () => {
+    jest.useFakeTimers();
+    const run = jest.spyOn(compoundKeeper, 'run').mockResolvedValue([]);
+
+    try {
+      compoundKeeper.start();
+      expect(compoundKeeper.getStats().running).toBe(true);
+      jest.advanceTimersByTime(compoundKeeper.interval * 2);
+      expect(run).toHaveBeenCalledTimes(2);
+
+      compoundKeeper.stop();
+      jest.advanceTimersByTime(compoundKeeper.interval);
+      expect(run).toHaveBeenCalledTimes(2);
+      expect(compoundKeeper.getStats().running).toBe(false);
+    } finally {
+      compoundKeeper.stop();
+      jest.useRealTimers();
+    }
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api', apiRoutes);
+    });
+
+    afterEach(() => {
+      delete process.env.INTERNAL_API_KEY;
+      process.env.EXECUTION_MODE = 'dry-run';
+    });
+
+    it('only runs the keeper for requests with the internal API key', async () => {
+      subscribe();
+
+      expect((await request(app).post('/api/keeper/run')).status).toBe(403);
+
+      process.env.INTERNAL_API_KEY = 'keeper-key';
+      expect((await request(app).post('/api/keeper/run')).status).toBe(401);
+      expect((await request(app).post('/api/keeper/run').set('X-API-Key', 'wrong-key')).status).toBe(401);
+      expect(ensoService.compound).not.toHaveBeenCalled();
+
+      const response = await request(app).post('/api/keeper/run').set('X-API-Key', 'keeper-key');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.decisions).toEqual([expect.objectContaining({ decision: DECISIONS.COMPOUND })]);
+    });
+
+    it('requires a token to subscribe a position to live compounding', async () => {
+      process.env.EXECUTION_MODE = 'live';
+      const body = { userAddress: ALICE, strategyId: strategy.id, margin: '1', executionMode: 'live' };
+
+      expect((await request(app).post('/api/keeper/subscriptions').send(body)).status).toBe(401);
+      expect(compoundKeeper.getSubscription(ALICE, strategy.id)).toBeNull();
+
+      const response = await request(app)
+        .post('/api/keeper/subscriptions')
+        .set('Authorization', `Bearer ${generateToken(ALICE)}`)
+        .send(body);
+
+      expect(response.status).toBe(201);
+      expect((await request(app).post('/api/keeper/subscriptions').send({ ...body, executionMode: 'simulate' })).status).toBe(200);
+    });
+
+    it('serves an address\'s decision log newest first, and stops checking a position once unsubscribed', async () => {
+      subscribe();
+      subscribe({ userAddress: BOB });
+      await compoundKeeper.run();
+      earnings = { canCompound: false, claimableValue: '0.1' };
+      await compoundKeeper.run();
+
+      const decisions = (query) => request(app).get('/api/keeper/decisions').query({ userAddress: ALICE, ...query });
+
+      const all = await decisions();
+      expect(all.status).toBe(200);
+      expect(all.body.data.total).toBe(2);
+      expect(all.body.data.decisions.map(entry => entry.decision)).toEqual([DECISIONS.SKIP, DECISIONS.COMPOUND]);
+      expect((await decisions({ decision: 'compound', limit: 1 })).body.data).toEqual(expect.objectContaining({
+        total: 1,
+        decisions: [expect.objectContaining({ decision: DECISIONS.COMPOUND, claimableValue: '5' })]
+      }));
+      expect((await decisions({ decision: 'maybe' })).status).toBe(400);
+      expect((await request(app).get('/api/keeper/decisions')).status).toBe(400);
+
+      const unsubscribe = () => request(app).delete('/api/keeper/subscriptions').send({ userAddress: ALICE, strategyId: strategy.id });
+      expect((await unsubscribe()).status).toBe(200);
+      expect((await unsubscribe()).status).toBe(404);
+
+      // Only BOB is checked now; ALICE's log is kept
+      expect((await compoundKeeper.run()).map(decision => decision.userAddress)).toEqual([BOB]);
+      expect((await decisions()).body.data.total).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+process.env.LOG_LEVEL = 'error';
+
+const { EXECUTION_MODES, getDefaultExecutionMode, resolveExecutionMode } = require('../src/config/execution');
+
+describe('execution modes', () => {
+  const { EXECUTION_MODE, NODE_ENV } = process.env;
+
+  afterEach(() => {
+    Object.entries({ EXECUTION_MODE, NODE_ENV }).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  });
+
+  it('defaults to the environment\'s mode unless EXECUTION_MODE is set', () => {
+    delete process.env.EXECUTION_MODE;
+
+    expect(Object.fromEntries(['production', 'staging', 'development', 'test', 'preview'].map(environment => {
+      process.env.NODE_ENV = environment;
+      return [environment, getDefaultExecutionMode()];
+    }))).toEqual({
+      production: 'live',
+      staging: 'dry-run',
+      development: 'simulate',
+      test: 'simulate',
+      preview: 'simulate'
+    });
+
+    process.env.EXECUTION_MODE = EXECUTION_MODES.DRY_RUN;
+    expect(getDefaultExecutionMode()).toBe('dry-run');
+
+    process.env.EXECUTION_MODE = 'mainnet';
+    expect(() => getDefaultExecutionMode()).toThrow('Invalid EXECUTION_MODE: mainnet. Must be one of: simulate, dry-run, live');
+  });
+
+  it('lets a request pick a mode up to the environment\'s, never above it', () => {
+    process.env.EXECUTION_MODE = 'dry-run';
+
+    expect(resolveExecutionMode()).toBe('dry-run');
+    expect(resolveExecutionMode('simulate')).toBe('simulate');
+    expect(resolveExecutionMode('dry-run')).toBe('dry-run');
+    expect(() => resolveExecutionMode('live'))
+      .toThrow('Execution mode "live" is not allowed in this environment (maximum: dry-run)');
+    expect(() => resolveExecutionMode('broadcast')).toThrow('Invalid execution mode: broadcast');
+  });
+});
@@ -0,0 +1,270 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.EXECUTION_MODE = 'live';
+process.env.PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../src/routes/api');
+const EnsoYieldFarming = require('../src/services/EnsoYieldFarming');
+const { PRICE_IMPACT_TOO_HIGH } = require('../src/services/EnsoYieldFarming');
+const database = require('../src/services/database');
+const transactionStore = require('../src/services/transactionStore');
+const monitoringService = require('../src/services/monitoringService');
+const priceService = require('../src/services/priceService');
+const socketService = require('../src/services/socketService');
+const { generateToken } = require('../src/middleware/auth');
+const { transactionRateLimiter } = require('../src/middleware/rateLimiter');
+const { getStrategy } = require('../src/config/strategies');
+const { toBaseUnits } = require('../src/utils/amounts');
+
+const ALICE = '0x2222222222222222222222222222222222222222';
+const BOB = '0x3333333333333333333333333333333333333333';
+
+// supertest connects over loopback, as either form depending on the platform
+const LOOPBACK = ['::ffff:127.0.0.1', '127.0.0.1', '::1'];
+
+const strategy = getStrategy();
+const lp = (amount) => toBaseUnits(amount, strategy.position.token.decimals).toString();
+const eure = (amount) => toBaseUnits(amount, strategy.deposit.token.decimals).toString();
+
+describe('farmingController balance checks', () => {
+  let app;
+  let executeOperation;
+  let balances;
+  let recordCount = 0;
+
+  // A stored operation on the default strategy, as trackTransaction records it
+  const record = (fields) => {
+    transactionStore.save({
+      id: `tx_ledger_${++recordCount}`,
+      userAddress: ALICE,
+      amount: '1',
+      tokenAddress: strategy.deposit.token.address,
+      chainId: strategy.deposit.chain,
+      strategyId: strategy.id,
+      executionMode: 'live',
+      status: 'completed',
+      ...fields
+    });
+  };
+
+  const send = (path, body, userAddress = ALICE) => {
+    return request(app)
+      .post(`/api/${path}`)
+      .set('Authorization', `Bearer ${generateToken(userAddress)}`)
+      .send({ slippage: 0.5, executionMode: 'live', userAddress, ...body });
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api', apiRoutes);
+
+    LOOPBACK.forEach(ip => transactionRateLimiter.resetKey(ip));
+    database.getConnection().exec('DELETE FROM transaction_transitions; DELETE FROM transactions;');
+
+    // Every address holds plenty unless a test says otherwise
+    balances = new Map();
+    jest.spyOn(EnsoYieldFarming.prototype, 'getTokenBalance')
+      .mockImplementation(async (address) => balances.get(address.toLowerCase()) ?? 10n ** 30n);
+    executeOperation = jest.spyOn(EnsoYieldFarming.prototype, 'executeOperation')
+      .mockImplementation(async (operation, { amount, userAddress, executionMode, strategyId }) => ({
+        txId: `tx_op_${++recordCount}`,
+        txHash: `0x${'ab'.repeat(32)}`,
+        operation,
+        executionMode,
+        strategyId,
+        amount,
+        slippage: 0.5,
+        userAddress,
+        expectedOutput: amount,
+        quotedOutput: amount,
+        minAmountOut: amount,
+        priceImpact: 1,
+        maxPriceImpact: 100,
+        receiver: userAddress,
+        status: 'initiated'
+      }));
+    jest.spyOn(monitoringService, 'startTransactionMonitoring').mockImplementation(() => {});
+    jest.spyOn(priceService, 'valueOf').mockResolvedValue({});
+    jest.spyOn(socketService, 'sendUserNotification').mockImplementation(() => {});
+    jest.spyOn(socketService, 'broadcastTransactionUpdate').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('requires a token for the user address to run live', async () => {
+    record({ type: 'deposit', amountRaw: eure('10'), expectedOutputRaw: lp('10') });
+
+    const response = await request(app)
+      .post('/api/withdraw')
+      .send({ amount: '1', slippage: 0.5, executionMode: 'live', userAddress: ALICE });
+
+    expect(response.status).toBe(401);
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+
+  it('rejects a token for another address', async () => {
+    const response = await request(app)
+      .post('/api/withdraw')
+      .set('Authorization', `Bearer ${generateToken(BOB)}`)
+      .send({ amount: '1', slippage: 0.5, executionMode: 'live', userAddress: ALICE });
+
+    expect(response.status).toBe(403);
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+
+  it('withdraws up to the caller\'s position', async () => {
+    record({ type: 'deposit', amountRaw: eure('10'), expectedOutputRaw: lp('10') });
+
+    const response = await send('withdraw', { amount: '10' });
+
+    expect(response.status).toBe(202);
+    expect(executeOperation).toHaveBeenCalledWith('withdraw', expect.objectContaining({
+      amount: lp('10'),
+      userAddress: ALICE,
+      executionMode: 'live'
+    }));
+  });
+
+  it('rejects a withdrawal over the caller\'s position, whatever the hot wallet holds', async () => {
+    record({ type: 'deposit', amountRaw: eure('10'), expectedOutputRaw: lp('10') });
+    record({ type: 'withdraw', amountRaw: lp('4'), expectedOutputRaw: eure('4') });
+
+    const response = await send('withdraw', { amount: '6.000000000000000001' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Insufficient Balance');
+    expect(response.body.message).toContain('position. Available: 6, Required: 6.000000000000000001');
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+
+  it('does not let one address withdraw another\'s position', async () => {
+    record({ type: 'deposit', userAddress: BOB, amountRaw: eure('10'), expectedOutputRaw: lp('10') });
+
+    const response = await send('withdraw', { amount: '1' });
+
+    expect(response.status).toBe(400);
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+
+  it('counts withdrawals still in flight against the position', async () => {
+    record({ type: 'deposit', amountRaw: eure('10'), expectedOutputRaw: lp('10') });
+    record({ type: 'withdraw', status: 'pending', amountRaw: lp('8') });
+    // Failed withdrawals burnt nothing
+    record({ type: 'withdraw', status: 'failed', amountRaw: lp('5') });
+
+    expect((await send('withdraw', { amount: '3' })).status).toBe(400);
+    expect((await send('withdraw', { amount: '2' })).status).toBe(202);
+  });
+
+  it('does not back a live withdrawal with simulated deposits', async () => {
+    record({ type: 'deposit', executionMode: 'simulate', amountRaw: eure('10'), expectedOutputRaw: lp('10') });
+
+    expect((await send('withdraw', { amount: '1' })).status).toBe(400);
+    expect((await send('withdraw', { amount: '1', executionMode: 'simulate' })).status).toBe(202);
+  });
+
+  it('rejects a deposit over the caller\'s own balance', async () => {
+    balances.set(ALICE, BigInt(eure('5')));
+
+    const response = await send('deposit', { amount: '5.01' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(`Insufficient ${strategy.deposit.token.symbol} balance. Available: 5, Required: 5.01`);
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+
+  it('accepts a max deposit of the caller\'s exact balance', async () => {
+    const max = '1234567.123456789012345678';
+    balances.set(ALICE, BigInt(eure(max)));
+
+    const response = await send('deposit', { amount: max });
+
+    expect(response.status).toBe(202);
+    expect(executeOperation).toHaveBeenCalledWith('deposit', expect.objectContaining({ amount: eure(max) }));
+  });
+
+  it('rejects an amount with more decimals than the token has', async () => {
+    const response = await send('deposit', { amount: `1.${'0'.repeat(18)}1` });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid Amount');
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+
+  it('fails a deposit whose balance cannot be read instead of reading it as zero', async () => {
+    EnsoYieldFarming.prototype.getTokenBalance.mockRejectedValue(new Error('RPC unavailable'));
+
+    const response = await send('deposit', { amount: '1' });
+
+    expect(response.status).toBe(500);
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+
+  it('returns the quote, minimum output and price impact of a deposit', async () => {
+    executeOperation.mockImplementationOnce(async (operation, { amount, userAddress }) => ({
+      txId: 'tx_op_quoted',
+      txHash: `0x${'ab'.repeat(32)}`,
+      operation,
+      executionMode: 'live',
+      strategyId: strategy.id,
+      amount,
+      slippage: 0.5,
+      userAddress,
+      expectedOutput: lp('0.997'),
+      quotedOutput: lp('0.997'),
+      minAmountOut: lp('0.992015'),
+      priceImpact: 12,
+      maxPriceImpact: 100,
+      receiver: userAddress,
+      status: 'initiated'
+    }));
+
+    const response = await send('deposit', { amount: '1' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data).toEqual(expect.objectContaining({
+      quotedOutput: '0.997',
+      quotedOutputRaw: lp('0.997'),
+      minAmountOut: '0.992015',
+      minAmountOutRaw: lp('0.992015'),
+      priceImpact: 12,
+      maxPriceImpact: 100
+    }));
+  });
+
+  it('rejects an operation whose route quote exceeds the price impact ceiling', async () => {
+    const error = new Error('Price impact of 250 bps exceeds the maximum of 100 bps');
+    error.code = PRICE_IMPACT_TOO_HIGH;
+    error.quote = { amountOut: lp('0.975'), priceImpact: 250, gas: '285000', maxPriceImpact: 100 };
+    executeOperation.mockRejectedValue(error);
+    record({ type: 'deposit', amountRaw: eure('10'), expectedOutputRaw: lp('10') });
+
+    for (const path of ['deposit', 'withdraw']) {
+      const response = await send(path, { amount: '1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual(expect.objectContaining({
+        error: 'Price Impact Too High',
+        message: error.message,
+        data: { quotedOutputRaw: lp('0.975'), priceImpact: 250, maxPriceImpact: 100 }
+      }));
+    }
+    expect(transactionStore.list({ userAddress: ALICE })).toHaveLength(1);
+  });
+
+  it('rejects a deposit the hot wallet cannot fund', async () => {
+    const ensoService = new EnsoYieldFarming(undefined, process.env.PRIVATE_KEY);
+    balances.set(ensoService.wallet.address.toLowerCase(), 0n);
+
+    const response = await send('deposit', { amount: '1' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toContain('balance in the execution wallet');
+    expect(executeOperation).not.toHaveBeenCalled();
+  });
+});
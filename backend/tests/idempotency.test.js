@@ -0,0 +1,253 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const express = require('express');
+const request = require('supertest');
+const { idempotency } = require('../src/middleware/idempotency');
+const idempotencyStore = require('../src/services/idempotencyStore');
+const { recordBroadcast } = require('../src/utils/broadcastContext');
+
+const ALICE = '0x2222222222222222222222222222222222222222';
+const BOB = '0x3333333333333333333333333333333333333333';
+
+describe('idempotency middleware', () => {
+  let app;
+  let handler;
+  let calls;
+  let keyCount = 0;
+  let key;
+
+  beforeEach(() => {
+    calls = 0;
+    key = `key-${++keyCount}`;
+    handler = (req, res) => res.status(202).json({ operation: calls });
+
+    app = express();
+    app.use(express.json());
+    app.post('/api/deposit', idempotency, (req, res, next) => {
+      calls++;
+      return handler(req, res, next);
+    });
+    app.post('/api/withdraw', idempotency, (req, res) => {
+      calls++;
+      res.status(202).json({ operation: calls });
+    });
+  });
+
+  const deposit = (body = { amount: '10', userAddress: ALICE }, requestKey = key) => {
+    return request(app).post('/api/deposit').set('Idempotency-Key', requestKey).send(body);
+  };
+
+  it('replays the stored response for the same key and body', async () => {
+    const first = await deposit();
+    const second = await deposit({ userAddress: ALICE, amount: '10' });
+
+    expect(first.status).toBe(202);
+    expect(second.status).toBe(202);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  it('passes requests without a key through', async () => {
+    await request(app).post('/api/deposit').send({ amount: '10', userAddress: ALICE });
+    await request(app).post('/api/deposit').send({ amount: '10', userAddress: ALICE });
+
+    expect(calls).toBe(2);
+  });
+
+  it('rejects empty and overlong keys', async () => {
+    expect((await deposit(undefined, '')).status).toBe(400);
+    expect((await deposit(undefined, 'k'.repeat(256))).status).toBe(400);
+    expect(calls).toBe(0);
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    await deposit();
+    const reused = await deposit({ amount: '11', userAddress: ALICE });
+
+    expect(reused.status).toBe(409);
+    expect(reused.body.error).toBe('Idempotency Key Reused');
+    expect(calls).toBe(1);
+  });
+
+  it('scopes keys to the caller address', async () => {
+    const alice = await deposit();
+    const bob = await deposit({ amount: '10', userAddress: BOB });
+
+    expect(bob.headers['idempotent-replayed']).toBeUndefined();
+    expect(bob.body).not.toEqual(alice.body);
+    expect(calls).toBe(2);
+  });
+
+  it('scopes keys to the route', async () => {
+    await deposit();
+    const withdraw = await request(app).post('/api/withdraw').set('Idempotency-Key', key).send({ amount: '10', userAddress: ALICE });
+
+    expect(withdraw.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+  });
+
+  it('rejects a repeat while the first request is still running', async () => {
+    let finish;
+    handler = (req, res) => {
+      finish = () => res.status(202).json({ operation: 1 });
+    };
+
+    // supertest only sends a request once it is awaited or then() is called
+    const first = deposit().then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const second = await deposit();
+    finish();
+
+    expect(second.status).toBe(409);
+    expect(second.body.error).toBe('Request In Progress');
+    expect((await first).status).toBe(202);
+  });
+
+  it('releases the key when a request fails before broadcasting', async () => {
+    handler = (req, res) => res.status(500).json({ error: 'Deposit Failed' });
+    expect((await deposit()).status).toBe(500);
+
+    handler = (req, res) => res.status(202).json({ operation: calls });
+    const retried = await deposit();
+
+    expect(retried.status).toBe(202);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+  });
+
+  it('keeps the key and its response when a request fails after broadcasting', async () => {
+    handler = async (req, res) => {
+      await new Promise(resolve => setImmediate(resolve));
+      recordBroadcast();
+      res.status(500).json({ error: 'Deposit Failed', txHash: '0xabc' });
+    };
+    expect((await deposit()).status).toBe(500);
+
+    handler = (req, res) => res.status(202).json({ operation: calls });
+    const retried = await deposit();
+
+    expect(retried.status).toBe(500);
+    expect(retried.body).toEqual({ error: 'Deposit Failed', txHash: '0xabc' });
+    expect(retried.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  it('does not count broadcasts made outside the request', async () => {
+    recordBroadcast();
+    handler = (req, res) => res.status(500).json({ error: 'Deposit Failed' });
+    await deposit();
+
+    handler = (req, res) => res.status(202).json({ operation: calls });
+    expect((await deposit()).status).toBe(202);
+  });
+
+  it('keeps renewing the key of a request that outlasts the lock timeout', async () => {
+    const { lockTimeout } = idempotencyStore;
+    const renew = jest.spyOn(idempotencyStore, 'renew');
+    let finish;
+    handler = (req, res) => {
+      finish = () => res.status(202).json({ operation: 1 });
+    };
+
+    idempotencyStore.lockTimeout = 300;
+    try {
+      const first = deposit().then(response => response);
+      // Four renewals, every 100ms: longer than the 300ms lock timeout
+      while (renew.mock.calls.length < 4) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      const retried = await deposit();
+      finish();
+
+      expect(retried.status).toBe(409);
+      expect(retried.body.error).toBe('Request In Progress');
+      expect((await first).status).toBe(202);
+      expect(renew.mock.results.every(result => result.value === true)).toBe(true);
+      expect(calls).toBe(1);
+    } finally {
+      idempotencyStore.lockTimeout = lockTimeout;
+      renew.mockRestore();
+    }
+  });
+
+  it('takes over the key of a request whose process stopped renewing it', async () => {
+    const { lockTimeout } = idempotencyStore;
+    // The lock lapses at once and is never renewed, as when the process holding it crashed
+    const renew = jest.spyOn(idempotencyStore, 'renew').mockReturnValue(true);
+    let abandoned;
+    handler = (req, res) => {
+      abandoned = res;
+    };
+
+    idempotencyStore.lockTimeout = -1;
+    const first = deposit().then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    idempotencyStore.lockTimeout = lockTimeout;
+
+    handler = (req, res) => res.status(202).json({ operation: calls });
+    const takeover = await deposit();
+    renew.mockRestore();
+
+    // The first request finishing late does not overwrite the takeover's response
+    abandoned.status(202).json({ operation: 1 });
+    await first;
+    const replayed = await deposit();
+
+    expect(takeover.status).toBe(202);
+    expect(replayed.body).toEqual(takeover.body);
+    expect(replayed.body).toEqual({ operation: 2 });
+    expect(calls).toBe(2);
+  });
+});
+
+describe('idempotencyStore leases', () => {
+  const scope = 'POST /api/deposit 0x2222222222222222222222222222222222222222';
+  const { lockTimeout } = idempotencyStore;
+  let keyCount = 0;
+  let key;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00.000Z') });
+    key = `lease-${++keyCount}`;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('holds a key until its lock lapses, and as long as it is renewed', () => {
+    const { lockId } = idempotencyStore.reserve(key, scope, 'hash');
+
+    jest.advanceTimersByTime(lockTimeout * 0.9);
+    expect(idempotencyStore.renew(key, scope, lockId)).toBe(true);
+    jest.advanceTimersByTime(lockTimeout * 0.9);
+    expect(idempotencyStore.reserve(key, scope, 'hash')).toEqual({
+      reserved: false,
+      existing: expect.objectContaining({ state: 'in_progress' })
+    });
+
+    jest.advanceTimersByTime(lockTimeout * 0.2);
+    expect(idempotencyStore.reserve(key, scope, 'hash')).toEqual({ reserved: true, lockId: expect.any(String) });
+  });
+
+  it('ignores the first holder once another request took the key over', () => {
+    const first = idempotencyStore.reserve(key, scope, 'hash');
+    jest.advanceTimersByTime(lockTimeout + 1);
+    const second = idempotencyStore.reserve(key, scope, 'hash');
+
+    expect(idempotencyStore.renew(key, scope, first.lockId)).toBe(false);
+    idempotencyStore.release(key, scope, first.lockId);
+    idempotencyStore.complete(key, scope, first.lockId, 202, { operation: 1 });
+    expect(idempotencyStore.reserve(key, scope, 'hash').existing.state).toBe('in_progress');
+
+    idempotencyStore.complete(key, scope, second.lockId, 202, { operation: 2 });
+    expect(idempotencyStore.renew(key, scope, second.lockId)).toBe(false);
+    expect(idempotencyStore.reserve(key, scope, 'hash').existing).toEqual(expect.objectContaining({
+      state: 'completed',
+      response: { operation: 2 },
+      lockedUntil: null
+    }));
+  });
+});
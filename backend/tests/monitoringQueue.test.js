@@ -0,0 +1,177 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.MONITOR_MAX_BACKOFF_MS = '100000';
+
+const monitoringQueue = require('../src/services/monitoringQueue');
+const monitoringService = require('../src/services/monitoringService');
+const socketService = require('../src/services/socketService');
+const transactionStateMachine = require('../src/services/transactionStateMachine');
+const { getConfirmationPolicy } = require('../src/config/chains');
+
+const LEASE_MS = 60000;
+const past = () => new Date(Date.now() - 1000);
+const future = () => new Date(Date.now() + 60000);
+
+const monitor = (txId) => ({ txId, retryCount: 0 });
+
+describe('monitoringQueue', () => {
+  beforeEach(() => {
+    monitoringQueue.clear();
+  });
+
+  it('keeps one job per transaction', () => {
+    expect(monitoringQueue.enqueue(monitor('tx_1'))).toBe(true);
+    expect(monitoringQueue.enqueue(monitor('tx_1'))).toBe(false);
+    expect(monitoringQueue.list()).toHaveLength(1);
+  });
+
+  it('claims due jobs only, earliest first, up to the limit', () => {
+    monitoringQueue.enqueue(monitor('later'), new Date(Date.now() - 1000));
+    monitoringQueue.enqueue(monitor('earliest'), new Date(Date.now() - 3000));
+    monitoringQueue.enqueue(monitor('earlier'), new Date(Date.now() - 2000));
+    monitoringQueue.enqueue(monitor('not_due'), future());
+
+    expect(monitoringQueue.claim('worker-a', 2, LEASE_MS).map(job => job.txId)).toEqual(['earliest', 'earlier']);
+    expect(monitoringQueue.claim('worker-a', 10, LEASE_MS).map(job => job.txId)).toEqual(['later']);
+  });
+
+  it('keeps a claimed job from other workers until its lease expires', () => {
+    monitoringQueue.enqueue(monitor('tx_1'), past());
+
+    expect(monitoringQueue.claim('worker-a', 10, LEASE_MS)).toHaveLength(1);
+    expect(monitoringQueue.claim('worker-b', 10, LEASE_MS)).toHaveLength(0);
+    expect(monitoringQueue.list()[0].lockedBy).toBe('worker-a');
+  });
+
+  it('lets another worker take over an expired lease, and the first one loses the job', () => {
+    monitoringQueue.enqueue(monitor('tx_1'), past());
+    // A lease that has already lapsed, as when a worker crashed mid-check
+    monitoringQueue.claim('worker-a', 10, -1000);
+
+    expect(monitoringQueue.claim('worker-b', 10, LEASE_MS).map(job => job.txId)).toEqual(['tx_1']);
+
+    expect(monitoringQueue.reschedule('worker-a', { ...monitor('tx_1'), retryCount: 9 }, future())).toBe(false);
+    monitoringQueue.complete('worker-a', 'tx_1');
+    expect(monitoringQueue.list()).toEqual([expect.objectContaining({ lockedBy: 'worker-b', monitor: monitor('tx_1') })]);
+  });
+
+  it('stores state on reschedule and unlocks the job for its next check', () => {
+    monitoringQueue.enqueue(monitor('tx_1'), past());
+    monitoringQueue.claim('worker-a', 10, LEASE_MS);
+    const runAt = future();
+
+    expect(monitoringQueue.reschedule('worker-a', { ...monitor('tx_1'), retryCount: 1 }, runAt)).toBe(true);
+
+    expect(monitoringQueue.list()).toEqual([{
+      monitor: { txId: 'tx_1', retryCount: 1 },
+      runAt: runAt.toISOString(),
+      lockedBy: null,
+      lockedUntil: null
+    }]);
+    expect(monitoringQueue.claim('worker-b', 10, LEASE_MS)).toHaveLength(0);
+
+    monitoringQueue.wake('tx_1');
+    expect(monitoringQueue.claim('worker-b', 10, LEASE_MS)).toEqual([{ txId: 'tx_1', retryCount: 1 }]);
+  });
+
+  it('only lets the holder complete a job', () => {
+    monitoringQueue.enqueue(monitor('tx_1'), past());
+    monitoringQueue.claim('worker-a', 10, LEASE_MS);
+
+    monitoringQueue.complete('worker-b', 'tx_1');
+    expect(monitoringQueue.list()).toHaveLength(1);
+
+    monitoringQueue.complete('worker-a', 'tx_1');
+    expect(monitoringQueue.list()).toHaveLength(0);
+  });
+
+  it("releases a stopping worker's jobs", () => {
+    monitoringQueue.enqueue(monitor('tx_1'), past());
+    monitoringQueue.enqueue(monitor('tx_2'), past());
+    monitoringQueue.claim('worker-a', 1, LEASE_MS);
+    monitoringQueue.claim('worker-b', 1, LEASE_MS);
+
+    expect(monitoringQueue.release('worker-a')).toBe(1);
+    expect(monitoringQueue.claim('worker-c', 10, LEASE_MS).map(job => job.txId)).toEqual(['tx_1']);
+  });
+});
+
+describe('monitoringService backoff', () => {
+  const CHAIN_ID = 100;
+  const { pollingInterval } = getConfirmationPolicy(CHAIN_ID);
+  let txCount = 0;
+  let txId;
+
+  // Run one worker pass and return how far out the job was rescheduled. The
+  // clock is frozen, so the delay is exactly the one the check chose.
+  const runCheck = async () => {
+    monitoringQueue.wake(txId);
+    await monitoringService.runDueChecks();
+    const [job] = monitoringQueue.list();
+    return { delay: new Date(job.runAt).getTime() - Date.now(), job };
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00.000Z') });
+    monitoringQueue.clear();
+    jest.spyOn(socketService, 'broadcastTransactionUpdate').mockImplementation(() => {});
+    jest.spyOn(socketService, 'sendUserNotification').mockImplementation(() => {});
+
+    txId = `tx_backoff_${++txCount}`;
+    transactionStateMachine.create({
+      id: txId,
+      txHash: '0xabc',
+      userAddress: '0x2222222222222222222222222222222222222222',
+      type: 'deposit',
+      amount: '10',
+      tokenAddress: '0xcB444e90D8198415266c6a2724b7900fb12FC56E',
+      chainId: CHAIN_ID,
+      details: {}
+    }, 'deposit initiated (simulate)');
+    monitoringService.startTransactionMonitoring(txId, '0xabc', '0x2222222222222222222222222222222222222222', 'deposit', {
+      chainId: CHAIN_ID,
+      executionMode: 'simulate'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('doubles the delay while checks keep failing, up to the maximum', async () => {
+    jest.spyOn(monitoringService, 'checkTransactionStatus').mockRejectedValue(new Error('rpc down'));
+
+    const delays = [];
+    for (let i = 0; i < 4; i++) {
+      const { delay, job } = await runCheck();
+      delays.push(delay);
+      expect(job.lockedBy).toBeNull();
+      expect(job.monitor.errorCount).toBe(i + 1);
+    }
+
+    expect(delays).toEqual([pollingInterval * 2, pollingInterval * 4, pollingInterval * 8, 100000]);
+  });
+
+  it('goes back to the polling interval after a successful check', async () => {
+    const check = jest.spyOn(monitoringService, 'checkTransactionStatus').mockRejectedValue(new Error('rpc down'));
+    await runCheck();
+    await runCheck();
+
+    check.mockResolvedValue({ pending: true });
+    const { delay, job } = await runCheck();
+
+    expect(job.monitor.errorCount).toBe(0);
+    expect(delay).toBe(pollingInterval);
+  });
+
+  it('finishes the job once the transaction is final', async () => {
+    jest.spyOn(monitoringService, 'checkTransactionStatus').mockResolvedValue({ completed: true });
+    jest.spyOn(monitoringService, 'handleTransactionCompleted').mockResolvedValue(null);
+
+    monitoringQueue.wake(txId);
+    await monitoringService.runDueChecks();
+
+    expect(monitoringQueue.list()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,426 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const monitoringQueue = require('../src/services/monitoringQueue');
+const monitoringService = require('../src/services/monitoringService');
+const socketService = require('../src/services/socketService');
+const transactionStore = require('../src/services/transactionStore');
+const transactionStateMachine = require('../src/services/transactionStateMachine');
+const { getProvider, getConfirmationPolicy } = require('../src/config/chains');
+
+const CHAIN_ID = 100;
+const ALICE = '0x2222222222222222222222222222222222222222';
+const TX_HASH = `0x${'ab'.repeat(32)}`;
+
+describe('monitoringService reorgs', () => {
+  const { confirmations: required } = getConfirmationPolicy(CHAIN_ID);
+  const provider = getProvider(CHAIN_ID);
+  let txCount = 0;
+  let txId;
+  let chain;
+
+  // Blocks on the canonical chain by number, and the receipt the node returns
+  const block = (number, hash) => ({ number, hash });
+  const receipt = (blockNumber, blockHash, confirmations) => ({
+    blockNumber,
+    blockHash,
+    status: 1,
+    gasUsed: 21000n,
+    confirmations: async () => confirmations
+  });
+
+  const runCheck = async () => {
+    monitoringQueue.wake(txId);
+    await monitoringService.runDueChecks();
+    return transactionStore.get(txId);
+  };
+
+  const lastUpdate = () => socketService.broadcastTransactionUpdate.mock.calls.at(-1)[1];
+
+  beforeEach(() => {
+    monitoringQueue.clear();
+    jest.spyOn(socketService, 'broadcastTransactionUpdate').mockImplementation(() => {});
+    jest.spyOn(socketService, 'sendUserNotification').mockImplementation(() => {});
+    jest.spyOn(monitoringService, 'triggerBalanceUpdate').mockImplementation(() => {});
+    jest.spyOn(monitoringService, 'triggerPositionUpdate').mockImplementation(() => {});
+
+    chain = { blocks: new Map(), receipt: null };
+    jest.spyOn(provider, 'getTransactionReceipt').mockImplementation(async () => chain.receipt);
+    jest.spyOn(provider, 'getBlock').mockImplementation(async (number) => chain.blocks.get(number) || null);
+
+    txId = `tx_reorg_${++txCount}`;
+    transactionStateMachine.create({
+      id: txId,
+      txHash: TX_HASH,
+      userAddress: ALICE,
+      type: 'deposit',
+      amount: '10',
+      tokenAddress: '0xcB444e90D8198415266c6a2724b7900fb12FC56E',
+      chainId: CHAIN_ID,
+      details: {}
+    }, 'deposit initiated (live)');
+    monitoringService.startTransactionMonitoring(txId, TX_HASH, ALICE, 'deposit', {
+      chainId: CHAIN_ID,
+      executionMode: 'live'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Mine the transaction in block 10, short of the confirmation depth
+  const mineUnconfirmed = async () => {
+    chain.blocks.set(10, block(10, '0xa1'));
+    chain.receipt = receipt(10, '0xa1', 1);
+    return runCheck();
+  };
+
+  it('reports a reorged receipt as reorged, then carries on once it is mined again', async () => {
+    expect((await mineUnconfirmed()).status).toBe('pending');
+
+    // Block 10 is replaced and the transaction is back in the mempool
+    chain.blocks.set(10, block(10, '0xb1'));
+    chain.receipt = null;
+
+    expect((await runCheck()).status).toBe('reorged');
+    expect(lastUpdate()).toEqual(expect.objectContaining({
+      status: 'reorged',
+      previousStatus: 'pending',
+      reorged: { leg: 'source', txHash: TX_HASH, blockNumber: 10, blockHash: '0xa1' }
+    }));
+
+    expect((await runCheck()).status).toBe('pending');
+    expect(lastUpdate()).toEqual(expect.objectContaining({ status: 'pending', previousStatus: 'reorged' }));
+
+    chain.blocks.set(11, block(11, '0xb2'));
+    chain.receipt = receipt(11, '0xb2', required);
+
+    expect((await runCheck()).status).toBe('completed');
+    expect(transactionStateMachine.getTransitions(txId).map(({ from, to }) => `${from}->${to}`)).toEqual([
+      'null->initiated',
+      'initiated->monitoring',
+      'monitoring->pending',
+      'pending->reorged',
+      'reorged->pending',
+      'pending->completed'
+    ]);
+    expect(monitoringQueue.list()).toHaveLength(0);
+    // Completion pushes the owner's updated positions
+    expect(monitoringService.triggerPositionUpdate).toHaveBeenCalledWith(ALICE);
+  });
+
+  it('re-checks the block at the confirmation depth before completing', async () => {
+    chain.blocks.set(10, block(10, '0xb1'));
+    // A lagging node still returns the receipt from the orphaned block
+    chain.receipt = receipt(10, '0xa1', required);
+
+    expect((await runCheck()).status).toBe('reorged');
+    expect(lastUpdate()).toEqual(expect.objectContaining({ previousStatus: 'monitoring' }));
+
+    chain.blocks.set(10, block(10, '0xa1'));
+    expect((await runCheck()).status).toBe('completed');
+  });
+
+  it('returns to cancelling while a sent cancellation can still win', async () => {
+    await mineUnconfirmed();
+    transactionStateMachine.transition(txId, 'cancelling', { reason: 'Cancellation transaction sent' });
+
+    chain.blocks.set(10, block(10, '0xb1'));
+    chain.receipt = null;
+
+    expect((await runCheck()).status).toBe('reorged');
+    expect((await runCheck()).status).toBe('cancelling');
+  });
+
+  it('returns to stale without telling the user again', async () => {
+    await mineUnconfirmed();
+    transactionStateMachine.transition(txId, 'stale', { reason: 'No final status' });
+    jest.spyOn(monitoringService, 'isStale').mockReturnValue(true);
+
+    chain.blocks.set(10, block(10, '0xb1'));
+    chain.receipt = null;
+
+    expect((await runCheck()).status).toBe('reorged');
+    expect((await runCheck()).status).toBe('stale');
+    expect(socketService.sendUserNotification).not.toHaveBeenCalled();
+  });
+
+  it('stops checking for reorgs once the transaction is completed', async () => {
+    chain.blocks.set(10, block(10, '0xa1'));
+    chain.receipt = receipt(10, '0xa1', required);
+    expect((await runCheck()).status).toBe('completed');
+    provider.getBlock.mockClear();
+
+    // Nothing is left to notice a reorg deeper than the confirmation depth
+    chain.blocks.set(10, block(10, '0xb1'));
+    expect((await runCheck()).status).toBe('completed');
+    expect(provider.getBlock).not.toHaveBeenCalled();
+  });
+});
+
+describe('monitoringService slow and stale polling', () => {
+  const { pollingInterval } = getConfirmationPolicy(CHAIN_ID);
+  const MINUTE = 60000;
+  const HOUR = 60 * MINUTE;
+  let txCount = 0;
+  let txId;
+  let check;
+
+  // Move the frozen clock to some time after monitoring started, run one
+  // worker pass and return the record and how far out the job was rescheduled
+  const runCheckAt = async (elapsed) => {
+    jest.setSystemTime(Date.parse('2024-03-01T00:00:00.000Z') + elapsed);
+    monitoringQueue.wake(txId);
+    await monitoringService.runDueChecks();
+    const [job] = monitoringQueue.list();
+    return {
+      transaction: transactionStore.get(txId),
+      delay: job ? new Date(job.runAt).getTime() - Date.now() : null
+    };
+  };
+
+  const notificationTitles = () => socketService.sendUserNotification.mock.calls.map(([, notification]) => notification.title);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00.000Z') });
+    monitoringQueue.clear();
+    jest.spyOn(socketService, 'broadcastTransactionUpdate').mockImplementation(() => {});
+    jest.spyOn(socketService, 'sendUserNotification').mockImplementation(() => {});
+    jest.spyOn(monitoringService, 'triggerBalanceUpdate').mockImplementation(() => {});
+    jest.spyOn(monitoringService, 'triggerPositionUpdate').mockImplementation(() => {});
+    check = jest.spyOn(monitoringService, 'checkTransactionStatus').mockResolvedValue({ pending: true });
+
+    txId = `tx_slow_${++txCount}`;
+    transactionStateMachine.create({
+      id: txId,
+      txHash: TX_HASH,
+      userAddress: ALICE,
+      type: 'deposit',
+      amount: '10',
+      tokenAddress: '0xcB444e90D8198415266c6a2724b7900fb12FC56E',
+      chainId: CHAIN_ID,
+      details: {}
+    }, 'deposit initiated (simulate)');
+    monitoringService.startTransactionMonitoring(txId, TX_HASH, ALICE, 'deposit', {
+      chainId: CHAIN_ID,
+      executionMode: 'simulate'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('polls at the chain interval, then at the slow interval past the fast window', async () => {
+    expect(await runCheckAt(0)).toEqual({ transaction: expect.objectContaining({ status: 'pending' }), delay: pollingInterval });
+    expect((await runCheckAt(15 * MINUTE - 1)).delay).toBe(pollingInterval);
+    expect(notificationTitles()).toEqual([]);
+
+    const slow = await runCheckAt(15 * MINUTE);
+    expect(slow.transaction.status).toBe('pending');
+    expect(slow.delay).toBe(5 * MINUTE);
+    expect(monitoringQueue.list()[0].monitor.slowPolling).toBe(true);
+
+    // Still checked, without telling the user again
+    expect((await runCheckAt(HOUR)).delay).toBe(5 * MINUTE);
+    expect(notificationTitles()).toEqual(['Transaction Taking Longer']);
+  });
+
+  it('marks a transaction stale only at the deadline, and keeps re-checking it', async () => {
+    expect((await runCheckAt(72 * HOUR - 1)).transaction.status).toBe('pending');
+
+    const stale = await runCheckAt(72 * HOUR);
+    expect(stale.transaction.status).toBe('stale');
+    expect(stale.delay).toBe(HOUR);
+
+    // A failed re-check backs off from the stale interval
+    check.mockRejectedValueOnce(new Error('rpc down'));
+    const failed = await runCheckAt(73 * HOUR);
+    expect(failed.transaction.status).toBe('stale');
+    expect(failed.delay).toBe(monitoringService.maxBackoff);
+
+    expect(await runCheckAt(100 * HOUR)).toEqual({ transaction: expect.objectContaining({ status: 'stale' }), delay: HOUR });
+    expect(notificationTitles()).toEqual(['Transaction Taking Longer', 'Transaction Status Unknown']);
+  });
+
+  it('completes a stale transaction a later check finds, and tells the user', async () => {
+    await runCheckAt(72 * HOUR);
+    check.mockResolvedValue({ completed: true, minedTxHash: TX_HASH, gasUsed: '250000', confirmations: 12 });
+
+    const { transaction, delay } = await runCheckAt(96 * HOUR);
+
+    expect(transaction).toEqual(expect.objectContaining({ status: 'completed', gasUsed: '250000' }));
+    expect(delay).toBeNull();
+    expect(transactionStateMachine.getTransitions(txId).map(transition => transition.to)).toEqual(
+      ['initiated', 'monitoring', 'stale', 'completed']
+    );
+    expect(notificationTitles().at(-1)).toBe('Transaction Successful');
+    expect(monitoringService.triggerPositionUpdate).toHaveBeenCalledWith(ALICE);
+  });
+});
+
+describe('monitoringService replacements', () => {
+  const { confirmations: required } = getConfirmationPolicy(CHAIN_ID);
+  const provider = getProvider(CHAIN_ID);
+  const SPEEDUP_HASH = `0x${'cd'.repeat(32)}`;
+  const CANCEL_HASH = `0x${'ef'.repeat(32)}`;
+  let txCount = 0;
+  let txId;
+  let receipts;
+
+  // Mine a hash at the confirmation depth in a canonical block
+  const mine = (txHash, status = 1) => {
+    receipts.set(txHash, {
+      blockNumber: 10,
+      blockHash: '0xa1',
+      status,
+      gasUsed: 21000n,
+      confirmations: async () => required
+    });
+  };
+
+  const runCheck = async () => {
+    monitoringQueue.wake(txId);
+    await monitoringService.runDueChecks();
+    return transactionStore.get(txId);
+  };
+
+  beforeEach(() => {
+    monitoringQueue.clear();
+    jest.spyOn(socketService, 'broadcastTransactionUpdate').mockImplementation(() => {});
+    jest.spyOn(socketService, 'sendUserNotification').mockImplementation(() => {});
+    jest.spyOn(monitoringService, 'triggerBalanceUpdate').mockImplementation(() => {});
+    jest.spyOn(monitoringService, 'triggerPositionUpdate').mockImplementation(() => {});
+
+    receipts = new Map();
+    jest.spyOn(provider, 'getTransactionReceipt').mockImplementation(async (txHash) => receipts.get(txHash) || null);
+    jest.spyOn(provider, 'getBlock').mockImplementation(async (number) => ({ number, hash: '0xa1' }));
+
+    txId = `tx_replaced_${++txCount}`;
+    transactionStateMachine.create({
+      id: txId,
+      txHash: TX_HASH,
+      userAddress: ALICE,
+      type: 'deposit',
+      amount: '10',
+      tokenAddress: '0xcB444e90D8198415266c6a2724b7900fb12FC56E',
+      chainId: CHAIN_ID,
+      details: {}
+    }, 'deposit initiated (live)');
+    monitoringService.startTransactionMonitoring(txId, TX_HASH, ALICE, 'deposit', {
+      chainId: CHAIN_ID,
+      executionMode: 'live'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('completes with the speed-up that got mined', async () => {
+    expect((await runCheck()).status).toBe('pending');
+    transactionStore.addReplacement(txId, { kind: 'speedup', txHash: SPEEDUP_HASH, nonce: 7 });
+    mine(SPEEDUP_HASH);
+
+    const transaction = await runCheck();
+
+    expect(transaction).toEqual(expect.objectContaining({ status: 'completed', txHash: SPEEDUP_HASH }));
+    expect(provider.getTransactionReceipt).toHaveBeenCalledWith(TX_HASH);
+    expect(socketService.broadcastTransactionUpdate).toHaveBeenLastCalledWith(ALICE, expect.objectContaining({
+      status: 'completed',
+      result: expect.objectContaining({ minedTxHash: SPEEDUP_HASH, replacedBy: 'speedup' })
+    }));
+  });
+
+  it('completes with the original when it is mined ahead of its replacement', async () => {
+    transactionStore.addReplacement(txId, { kind: 'speedup', txHash: SPEEDUP_HASH, nonce: 7 });
+    mine(TX_HASH);
+
+    expect(await runCheck()).toEqual(expect.objectContaining({ status: 'completed', txHash: TX_HASH }));
+  });
+
+  it('cancels once the cancellation is mined, whatever its receipt status', async () => {
+    await runCheck();
+    transactionStateMachine.transition(txId, 'cancelling', { reason: 'Cancellation transaction sent' });
+    transactionStore.addReplacement(txId, { kind: 'cancel', txHash: CANCEL_HASH, nonce: 7 });
+
+    expect((await runCheck()).status).toBe('cancelling');
+
+    mine(CANCEL_HASH, 0);
+    const transaction = await runCheck();
+
+    expect(transaction).toEqual(expect.objectContaining({ status: 'cancelled', txHash: CANCEL_HASH }));
+    expect(socketService.sendUserNotification).toHaveBeenCalledWith(ALICE, expect.objectContaining({
+      title: 'Transaction Cancelled',
+      txHash: CANCEL_HASH
+    }));
+    expect(monitoringQueue.list()).toHaveLength(0);
+  });
+});
+
+describe('monitoringService confirmation policies', () => {
+  const POLYGON = 137;
+  let txCount = 0;
+
+  // Monitor a live deposit on a chain whose receipt is 12 blocks deep
+  const monitorOn = (chainId) => {
+    const provider = getProvider(chainId);
+    jest.spyOn(provider, 'getTransactionReceipt').mockResolvedValue({
+      blockNumber: 10,
+      blockHash: '0xa1',
+      status: 1,
+      gasUsed: 21000n,
+      confirmations: async () => 12
+    });
+    jest.spyOn(provider, 'getBlock').mockResolvedValue({ number: 10, hash: '0xa1' });
+
+    const txId = `tx_policy_${++txCount}`;
+    transactionStateMachine.create({
+      id: txId,
+      txHash: TX_HASH,
+      userAddress: ALICE,
+      type: 'deposit',
+      amount: '10',
+      tokenAddress: '0xcB444e90D8198415266c6a2724b7900fb12FC56E',
+      chainId,
+      details: {}
+    }, 'deposit initiated (live)');
+    monitoringService.startTransactionMonitoring(txId, TX_HASH, ALICE, 'deposit', { chainId, executionMode: 'live' });
+    return txId;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T00:00:00.000Z') });
+    monitoringQueue.clear();
+    jest.spyOn(socketService, 'broadcastTransactionUpdate').mockImplementation(() => {});
+    jest.spyOn(socketService, 'sendUserNotification').mockImplementation(() => {});
+    jest.spyOn(monitoringService, 'triggerBalanceUpdate').mockImplementation(() => {});
+    jest.spyOn(monitoringService, 'triggerPositionUpdate').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('confirms each chain at its own depth and polls it at its own cadence', async () => {
+    const gnosis = monitorOn(CHAIN_ID);
+    const polygon = monitorOn(POLYGON);
+
+    await monitoringService.runDueChecks();
+
+    expect(transactionStore.get(gnosis).status).toBe('completed');
+    expect(transactionStore.get(polygon).status).toBe('pending');
+    expect(socketService.broadcastTransactionUpdate).toHaveBeenCalledWith(ALICE, expect.objectContaining({
+      txId: polygon,
+      confirmations: 12,
+      requiredConfirmations: getConfirmationPolicy(POLYGON).confirmations
+    }));
+
+    const [job] = monitoringQueue.list();
+    expect(job.monitor.txId).toBe(polygon);
+    expect(new Date(job.runAt).getTime() - Date.now()).toBe(getConfirmationPolicy(POLYGON).pollingInterval);
+  });
+});
@@ -0,0 +1,158 @@
+process.env.LOG_LEVEL = 'error';
+
+const nonceManager = require('../src/services/nonceManager');
+
+const CHAIN_ID = 100;
+let accountCount = 0;
+
+// Node stand-in: nonce counts and the transactions it knows by hash
+const createProvider = ({ latest = 5, pending = latest } = {}) => {
+  const provider = {
+    latest,
+    pending,
+    known: new Set(),
+    getTransactionCount: jest.fn(async (address, tag) => (tag === 'latest' ? provider.latest : provider.pending)),
+    getTransaction: jest.fn(async (hash) => (provider.known.has(hash) ? { hash } : null))
+  };
+  return provider;
+};
+
+const register = (provider) => {
+  const address = `0x${(++accountCount).toString(16).padStart(40, '0')}`;
+  nonceManager.register(CHAIN_ID, address, provider);
+  return address;
+};
+
+// Signs as hash-per-nonce-and-attempt, and broadcasts through the given handler
+const createTransaction = (broadcast = async () => {}) => {
+  let signCount = 0;
+  return {
+    sign: jest.fn(async (nonce) => {
+      signCount++;
+      return { hash: `0x${nonce}-${signCount}`, serialized: `raw-${nonce}-${signCount}` };
+    }),
+    broadcast: jest.fn(broadcast)
+  };
+};
+
+const rejectWith = (message) => async () => {
+  throw new Error(message);
+};
+
+describe('nonceManager.send', () => {
+  it('hands out sequential nonces to concurrent sends', async () => {
+    const address = register(createProvider({ latest: 5, pending: 7 }));
+
+    const hashes = await Promise.all([1, 2, 3].map(() => nonceManager.send(CHAIN_ID, address, createTransaction())));
+
+    expect(hashes).toEqual(['0x7-1', '0x8-1', '0x9-1']);
+  });
+
+  it('treats an already known transaction as sent without resyncing', async () => {
+    const provider = createProvider();
+    const address = register(provider);
+    const transaction = createTransaction(rejectWith('already known'));
+
+    await expect(nonceManager.send(CHAIN_ID, address, transaction)).resolves.toBe('0x5-1');
+
+    expect(transaction.broadcast).toHaveBeenCalledTimes(1);
+    expect(provider.getTransactionCount).toHaveBeenCalledTimes(2); // the initial sync only
+    expect(nonceManager.getAccount(CHAIN_ID, address).inFlight.get(5)).toMatchObject({ status: 'sent', txHash: '0x5-1' });
+  });
+
+  it('resyncs on nonce too low and signs again when the first transaction is not on chain', async () => {
+    const provider = createProvider();
+    const address = register(provider);
+    const transaction = createTransaction(async (serialized) => {
+      if (serialized === 'raw-5-1') {
+        provider.latest = provider.pending = 6;
+        throw new Error('nonce too low');
+      }
+    });
+
+    await expect(nonceManager.send(CHAIN_ID, address, transaction)).resolves.toBe('0x6-2');
+
+    expect(provider.getTransaction).toHaveBeenCalledWith('0x5-1');
+    expect(transaction.sign.mock.calls.map(([nonce]) => nonce)).toEqual([5, 6]);
+  });
+
+  it('does not resend when the first transaction landed despite the nonce error', async () => {
+    const provider = createProvider();
+    const address = register(provider);
+    const transaction = createTransaction(async () => {
+      provider.known.add('0x5-1');
+      throw new Error('nonce too low');
+    });
+
+    await expect(nonceManager.send(CHAIN_ID, address, transaction)).resolves.toBe('0x5-1');
+
+    expect(transaction.broadcast).toHaveBeenCalledTimes(1);
+  });
+
+  it('resyncs on a nonce gap', async () => {
+    const provider = createProvider({ latest: 5, pending: 5 });
+    const address = register(provider);
+    // A send that the node rejected out of sequence
+    nonceManager.getAccount(CHAIN_ID, address).nextNonce = 9;
+    const transaction = createTransaction(async (serialized) => {
+      if (serialized.startsWith('raw-9')) {
+        throw new Error('nonce too high');
+      }
+    });
+
+    await expect(nonceManager.send(CHAIN_ID, address, transaction)).resolves.toBe('0x5-2');
+  });
+
+  it('gives up after one resync', async () => {
+    const address = register(createProvider());
+    const transaction = createTransaction(rejectWith('nonce too low'));
+
+    await expect(nonceManager.send(CHAIN_ID, address, transaction)).rejects.toThrow('nonce too low');
+
+    expect(transaction.broadcast).toHaveBeenCalledTimes(2);
+  });
+
+  it('never resends when it cannot tell whether the first transaction landed', async () => {
+    const provider = createProvider();
+    const address = register(provider);
+    provider.getTransaction.mockRejectedValue(new Error('rpc down'));
+    const transaction = createTransaction(rejectWith('nonce too low'));
+
+    const error = await nonceManager.send(CHAIN_ID, address, transaction).catch(e => e);
+
+    expect(error.txHash).toBe('0x5-1');
+    expect(transaction.broadcast).toHaveBeenCalledTimes(1);
+    // The nonce may be taken, so it is not handed out again
+    await expect(nonceManager.acquire(CHAIN_ID, address)).resolves.toBe(6);
+  });
+
+  it('reuses the nonce of a transaction the node never received', async () => {
+    const address = register(createProvider());
+
+    await expect(nonceManager.send(CHAIN_ID, address, createTransaction(rejectWith('timeout'))))
+      .rejects.toThrow('timeout');
+
+    await expect(nonceManager.send(CHAIN_ID, address, createTransaction())).resolves.toBe('0x5-1');
+  });
+
+  it('keeps the nonce of a transaction that reached the node despite an error', async () => {
+    const provider = createProvider();
+    const address = register(provider);
+    const transaction = createTransaction(async () => {
+      provider.known.add('0x5-1');
+      throw new Error('timeout');
+    });
+
+    await expect(nonceManager.send(CHAIN_ID, address, transaction)).resolves.toBe('0x5-1');
+    await expect(nonceManager.send(CHAIN_ID, address, createTransaction())).resolves.toBe('0x6-1');
+  });
+
+  it('releases the nonce when signing fails', async () => {
+    const address = register(createProvider());
+    const transaction = createTransaction();
+    transaction.sign.mockRejectedValueOnce(new Error('signer unavailable'));
+
+    await expect(nonceManager.send(CHAIN_ID, address, transaction)).rejects.toThrow('signer unavailable');
+    await expect(nonceManager.send(CHAIN_ID, address, createTransaction())).resolves.toBe('0x5-1');
+  });
+});
@@ -0,0 +1,166 @@
+process.env.LOG_LEVEL = 'error';
+process.env.PRICE_CACHE_TTL_MS = '60000';
+process.env.PRICE_MAX_AGE_MS = '3600000';
+
+const http = require('http');
+const priceService = require('../src/services/priceService');
+const { getPublicClient } = require('../src/config/chains');
+const { getTokenBySymbol } = require('../src/config/tokens');
+const { toBaseUnits } = require('../src/utils/amounts');
+
+const GNOSIS = 100;
+
+describe('priceService', () => {
+  const { COINGECKO_API_URL, COINGECKO_API_KEY } = process.env;
+  const eure = getTokenBySymbol('EURe', GNOSIS);
+  const crv = getTokenBySymbol('CRV', GNOSIS);
+  const gno = getTokenBySymbol('GNO', GNOSIS);
+  const lp = getTokenBySymbol('LP-EURe', GNOSIS);
+  let server;
+  let fixture;
+  let now;
+
+  // A CoinGecko-compatible /simple/price fixture answering from `fixture.prices`
+  const startFixtureServer = () => new Promise(resolve => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      fixture.requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), apiKey: req.headers['x-cg-demo-api-key'] });
+
+      if (fixture.status !== 200) {
+        res.writeHead(fixture.status);
+        return res.end();
+      }
+
+      const currency = url.searchParams.get('vs_currencies');
+      const body = Object.fromEntries(url.searchParams.get('ids').split(',')
+        .filter(id => fixture.prices[id]?.[currency] !== undefined)
+        .map(id => [id, { [currency]: fixture.prices[id][currency], last_updated_at: fixture.updatedAt / 1000 }]));
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+  });
+
+  beforeAll(async () => {
+    process.env.COINGECKO_API_URL = await startFixtureServer();
+    process.env.COINGECKO_API_KEY = 'demo-key';
+  });
+
+  afterAll(() => {
+    server.close();
+
+    Object.entries({ COINGECKO_API_URL, COINGECKO_API_KEY }).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  });
+
+  beforeEach(() => {
+    now = Date.UTC(2026, 0, 1);
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    fixture = {
+      status: 200,
+      updatedAt: now,
+      requests: [],
+      prices: {
+        'curve-dao-token': { eur: 0.5, usd: 0.55 },
+        gnosis: { eur: 150, usd: 165 }
+      }
+    };
+    priceService.sources = priceService.createSources('coingecko,pool,peg');
+    priceService.cache.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prices tokens by coingeckoId from the configured server in one request per currency', async () => {
+    const quotes = await priceService.getQuotes([crv, gno], 'EUR');
+
+    expect(quotes.get(priceService.keyOf(crv))).toEqual({ price: 0.5, currency: 'EUR', source: 'coingecko', updatedAt: now });
+    expect(quotes.get(priceService.keyOf(gno)).price).toBe(150);
+    expect(fixture.requests).toEqual([{
+      path: '/simple/price',
+      query: { ids: 'curve-dao-token,gnosis', vs_currencies: 'eur', include_last_updated_at: 'true' },
+      apiKey: 'demo-key'
+    }]);
+
+    expect(await priceService.getPrice(crv, 'usd')).toBe(0.55);
+  });
+
+  it('prices stablecoins at their peg and LP tokens from pool reserves', async () => {
+    // The pool holds 62 EURe and 80 CRV against 100 LP: (62 + 80 * 0.5) / 100
+    jest.spyOn(getPublicClient(GNOSIS), 'multicall').mockResolvedValue([
+      { status: 'success', result: toBaseUnits('100') },
+      { status: 'success', result: eure.address },
+      { status: 'success', result: toBaseUnits('62') },
+      { status: 'success', result: crv.address },
+      { status: 'success', result: toBaseUnits('80') },
+      { status: 'failure', error: new Error('execution reverted') },
+      { status: 'failure', error: new Error('execution reverted') }
+    ]);
+
+    const quotes = await priceService.getQuotes([eure, lp], 'eur');
+
+    expect(quotes.get(priceService.keyOf(eure))).toEqual(expect.objectContaining({ price: 1, source: 'peg' }));
+    expect(quotes.get(priceService.keyOf(lp))).toEqual(expect.objectContaining({ price: 1.02, source: 'pool', updatedAt: now }));
+
+    // EURe is only pegged to EUR, and CoinGecko has no USD price for it here
+    expect(await priceService.getPrice(eure, 'usd')).toBeNull();
+  });
+
+  it('reuses cached quotes until the cache timeout', async () => {
+    await priceService.getPrices([crv], 'eur');
+    now += 59000;
+    await priceService.getPrices([crv], 'eur');
+    expect(fixture.requests).toHaveLength(1);
+
+    fixture.prices['curve-dao-token'].eur = 0.6;
+    now += 2000;
+    expect(await priceService.getPrice(crv, 'eur')).toBe(0.6);
+    expect(fixture.requests).toHaveLength(2);
+  });
+
+  it('falls back to a cached quote while the source is down, until it is older than the max age', async () => {
+    await priceService.getPrices([crv], 'eur');
+    fixture.status = 503;
+
+    now += 3600000;
+    expect(await priceService.getPrice(crv, 'eur')).toBe(0.5);
+
+    now += 1;
+    expect(await priceService.getPrice(crv, 'eur')).toBeNull();
+  });
+
+  it('ignores quotes the source last updated longer ago than the max age', async () => {
+    fixture.updatedAt = now - 3600001;
+
+    expect(await priceService.getPrice(crv, 'eur')).toBeNull();
+    expect(priceService.cache.size).toBe(0);
+  });
+
+  it('values amounts in EUR and USD, leaving unpriced currencies null', async () => {
+    const values = await priceService.valueAll([
+      { token: crv, raw: toBaseUnits('3') },
+      { token: eure, raw: toBaseUnits('2.5') },
+      { token: crv, raw: null }
+    ]);
+
+    expect(values).toEqual([
+      { EUR: '1.5', USD: '1.65' },
+      { EUR: '2.5', USD: null },
+      { EUR: null, USD: null }
+    ]);
+  });
+
+  it('refuses unknown price sources', () => {
+    expect(() => priceService.createSources('coingecko,chainlink'))
+      .toThrow('Unknown price source: chainlink. Must be one of: coingecko, pool, peg');
+  });
+});
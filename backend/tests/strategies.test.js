@@ -0,0 +1,89 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../src/routes/api');
+const { schemas } = require('../src/middleware/validation');
+const {
+  DEFAULT_STRATEGY_ID, getStrategies, getStrategy, isSupportedStrategy, getStrategyMetadata
+} = require('../src/config/strategies');
+
+const ALICE = '0x2222222222222222222222222222222222222222';
+
+describe('farming strategies', () => {
+  const { SUPPORTED_CHAINS } = process.env;
+
+  afterEach(() => {
+    if (SUPPORTED_CHAINS === undefined) {
+      delete process.env.SUPPORTED_CHAINS;
+    } else {
+      process.env.SUPPORTED_CHAINS = SUPPORTED_CHAINS;
+    }
+  });
+
+  it('falls back to the default strategy and rejects unknown ones', () => {
+    expect(getStrategy().id).toBe(DEFAULT_STRATEGY_ID);
+    expect(getStrategy('eure-gnosis-lp').id).toBe('eure-gnosis-lp');
+    expect(() => getStrategy('wbtc-lp')).toThrow('Unknown strategy: wbtc-lp');
+    expect(isSupportedStrategy('wbtc-lp')).toBe(false);
+  });
+
+  it('only offers strategies whose chains are all enabled', () => {
+    expect(getStrategies().map(strategy => strategy.id)).toEqual(['eure-polygon-gnosis-lp', 'eure-gnosis-lp']);
+
+    process.env.SUPPORTED_CHAINS = 'gnosis';
+
+    expect(getStrategies().map(strategy => strategy.id)).toEqual(['eure-gnosis-lp']);
+    expect(() => getStrategy('eure-polygon-gnosis-lp')).toThrow('not available on the enabled chains');
+    expect(schemas.deposit.validate({
+      amount: '1', userAddress: ALICE, strategyId: 'eure-polygon-gnosis-lp'
+    }).error.message).toBe('Unknown or unavailable strategy: eure-polygon-gnosis-lp');
+  });
+
+  it('builds deposit, withdraw and compound routes between the strategy\'s legs', () => {
+    const strategy = getStrategy('eure-polygon-gnosis-lp');
+    const params = { amountIn: '100', fromAddress: ALICE, slippage: 50 };
+
+    expect(strategy.buildDepositRoute(params)).toEqual({
+      chainId: 137,
+      destinationChainId: 100,
+      fromAddress: ALICE,
+      receiver: ALICE,
+      tokenIn: strategy.deposit.token.address,
+      tokenOut: strategy.position.token.address,
+      amountIn: '100',
+      slippage: 50
+    });
+    expect(strategy.buildWithdrawRoute({ ...params, receiver: '0x3333333333333333333333333333333333333333' })).toEqual(expect.objectContaining({
+      chainId: 100,
+      destinationChainId: 137,
+      receiver: '0x3333333333333333333333333333333333333333',
+      tokenIn: strategy.position.token.address,
+      tokenOut: strategy.deposit.token.address
+    }));
+    expect(strategy.buildCompoundRoute({ ...params, tokenIn: '0x4444444444444444444444444444444444444444' })).toEqual(expect.objectContaining({
+      chainId: 100,
+      destinationChainId: 100,
+      tokenIn: '0x4444444444444444444444444444444444444444',
+      tokenOut: strategy.position.token.address
+    }));
+  });
+
+  it('lists strategy metadata without the route builders', async () => {
+    const app = express();
+    app.use('/api', apiRoutes);
+
+    const response = await request(app).get('/api/strategies');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.count).toBe(2);
+    expect(response.body.data.strategies[0]).toEqual(getStrategyMetadata(getStrategy('eure-polygon-gnosis-lp')));
+    expect(response.body.data.strategies.map(strategy => [strategy.id, strategy.crossChain, strategy.isDefault])).toEqual([
+      ['eure-polygon-gnosis-lp', true, true],
+      ['eure-gnosis-lp', false, false]
+    ]);
+    expect(response.body.data.strategies[0].buildDepositRoute).toBeUndefined();
+  });
+});
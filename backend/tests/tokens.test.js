@@ -0,0 +1,144 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../src/routes/api');
+const tokens = require('../src/config/tokens');
+
+const GNOSIS_EURE = '0xcB444e90D8198415266c6a2724b7900fb12FC56E';
+
+describe('token registry', () => {
+  const { TOKEN_LIST_PATHS } = process.env;
+  let directory;
+
+  // Load the registry afresh, with the given operator lists in TOKEN_LIST_PATHS
+  const loadWith = (...lists) => {
+    process.env.TOKEN_LIST_PATHS = lists.map((list, index) => {
+      const file = path.join(directory, `operator-${index}.tokenlist.json`);
+      fs.writeFileSync(file, typeof list === 'string' ? list : JSON.stringify(list));
+      return file;
+    }).join(',');
+
+    let registry;
+    jest.isolateModules(() => {
+      registry = require('../src/config/tokens');
+    });
+    return registry;
+  };
+
+  const operatorList = (entries) => ({
+    name: 'Operator',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    version: { major: 2, minor: 0, patch: 1 },
+    tokens: entries
+  });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tokenlists-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    if (TOKEN_LIST_PATHS === undefined) {
+      delete process.env.TOKEN_LIST_PATHS;
+    } else {
+      process.env.TOKEN_LIST_PATHS = TOKEN_LIST_PATHS;
+    }
+  });
+
+  it('indexes the bundled list by chain and address, or chain and symbol', () => {
+    const eure = tokens.getTokenByAddress(GNOSIS_EURE.toLowerCase(), '100');
+
+    expect(eure).toEqual(expect.objectContaining({
+      address: GNOSIS_EURE,
+      symbol: 'EURe',
+      chainId: 100,
+      decimals: 18,
+      isStable: true,
+      isNative: false,
+      coingeckoId: 'monerium-eur-money',
+      peg: 'EUR',
+      list: 'Enso Yield Farming'
+    }));
+    expect(tokens.getTokenBySymbol('eure', 100)).toBe(eure);
+    expect(tokens.getTokenBySymbol('xDAI', 100).isNative).toBe(true);
+    expect(tokens.getTokensByChain(137).map(token => token.symbol)).toEqual(['EURe', 'MATIC']);
+    expect(tokens.isSupportedToken(GNOSIS_EURE, 137)).toBe(false);
+    expect(() => tokens.getTokenBySymbol('EURe', 1)).toThrow('Token not found: EURe on chain 1');
+    expect(() => tokens.getTokensByChain(1)).toThrow('No tokens configured for chain ID: 1');
+  });
+
+  it('prices registry tokens from their entry and other tokens from their own fields', () => {
+    expect(tokens.getTokenPriceConfig(GNOSIS_EURE, 100)).toEqual({
+      key: `100:${GNOSIS_EURE.toLowerCase()}`,
+      address: GNOSIS_EURE,
+      chainId: 100,
+      symbol: 'EURe',
+      decimals: 18,
+      coingeckoId: 'monerium-eur-money',
+      isStable: true,
+      isLP: false,
+      peg: 'EUR'
+    });
+    expect(tokens.getTokenPriceConfig('0x4444444444444444444444444444444444444444', '100')).toEqual(expect.objectContaining({
+      chainId: 100,
+      symbol: null,
+      decimals: null,
+      coingeckoId: null,
+      peg: null
+    }));
+  });
+
+  it('lets operator lists add tokens and take precedence over the bundled list', () => {
+    const registry = loadWith(operatorList([
+      { chainId: 100, address: GNOSIS_EURE, name: 'Monerium EUR (operator)', symbol: 'EURe', decimals: 18 },
+      { chainId: 1, address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', name: 'USD Coin', symbol: 'USDC', decimals: 6 }
+    ]));
+
+    expect(registry.getTokenByAddress(GNOSIS_EURE, 100)).toEqual(expect.objectContaining({
+      name: 'Monerium EUR (operator)',
+      list: 'Operator',
+      isStable: false
+    }));
+    expect(registry.getTokenBySymbol('USDC', 1).decimals).toBe(6);
+    expect(registry.getLoadedTokenLists().map(({ name, version, tokenCount }) => [name, version, tokenCount])).toEqual([
+      ['Operator', '2.0.1', 2],
+      ['Enso Yield Farming', '1.2.0', 7]
+    ]);
+  });
+
+  it('refuses to start with an unreadable or invalid list', () => {
+    expect(() => loadWith('{ not json')).toThrow(/^Failed to read token list .*operator-0\.tokenlist\.json/);
+    expect(() => loadWith(operatorList([
+      { chainId: 100, address: '0x1234', name: 'Broken', symbol: 'BRK', decimals: 18 }
+    ]))).toThrow(/^Invalid token list .*"tokens\[0\]\.address"/);
+  });
+
+  it('lists registry tokens over the API, optionally for one chain', async () => {
+    const app = express();
+    app.use('/api', apiRoutes);
+
+    const all = await request(app).get('/api/tokens');
+    const gnosis = await request(app).get('/api/tokens').query({ chainId: '100' });
+    const invalid = await request(app).get('/api/tokens').query({ chainId: 'gnosis' });
+
+    expect(all.status).toBe(200);
+    expect(all.body.data.count).toBe(tokens.getAllTokens().length);
+    expect(all.body.data.chainId).toBeNull();
+    expect(all.body.data.lists).toEqual([{
+      name: 'Enso Yield Farming', version: '1.2.0', timestamp: expect.any(String), tokenCount: 7
+    }]);
+
+    expect(gnosis.status).toBe(200);
+    expect(gnosis.body.data.chainId).toBe(100);
+    expect(gnosis.body.data.tokens.map(token => token.symbol)).toEqual(['EURe', 'LP-EURe', 'xDAI', 'CRV', 'GNO']);
+
+    expect(invalid.status).toBe(400);
+  });
+});
@@ -0,0 +1,404 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.EXECUTION_MODE = 'live';
+process.env.PRIVATE_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+
+const express = require('express');
+const request = require('supertest');
+const apiRoutes = require('../src/routes/api');
+const EnsoYieldFarming = require('../src/services/EnsoYieldFarming');
+const database = require('../src/services/database');
+const transactionStore = require('../src/services/transactionStore');
+const transactionStateMachine = require('../src/services/transactionStateMachine');
+const monitoringService = require('../src/services/monitoringService');
+const priceService = require('../src/services/priceService');
+const socketService = require('../src/services/socketService');
+const { generateToken } = require('../src/middleware/auth');
+const { transactionRateLimiter } = require('../src/middleware/rateLimiter');
+const { getStrategy } = require('../src/config/strategies');
+
+const ALICE = '0x2222222222222222222222222222222222222222';
+const BOB = '0x3333333333333333333333333333333333333333';
+
+// supertest connects over loopback, as either form depending on the platform
+const LOOPBACK = ['::ffff:127.0.0.1', '127.0.0.1', '::1'];
+
+const strategy = getStrategy();
+// The hot wallet the controller's service sends from
+const HOT_WALLET = new EnsoYieldFarming(undefined, process.env.PRIVATE_KEY).wallet.address;
+
+describe('transactionController', () => {
+  let app;
+  let recordCount = 0;
+
+  // A stored deposit on the default strategy, as trackTransaction records it
+  const record = (fields = {}) => transactionStore.save({
+    id: `tx_stored_${++recordCount}`,
+    txHash: `0x${'cd'.repeat(32)}`,
+    userAddress: ALICE,
+    type: 'deposit',
+    amount: '10',
+    amountRaw: '10000000000000000000',
+    slippage: 0.5,
+    tokenAddress: strategy.deposit.token.address,
+    chainId: strategy.deposit.chain,
+    strategyId: strategy.id,
+    executionMode: 'live',
+    status: 'failed',
+    ...fields
+  });
+
+  const post = (path, body, token = generateToken(body.userAddress)) => {
+    const pending = request(app).post(`/api/transactions/${path}`);
+    if (token) {
+      pending.set('Authorization', `Bearer ${token}`);
+    }
+    return pending.send(body);
+  };
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api', apiRoutes);
+
+    LOOPBACK.forEach(ip => transactionRateLimiter.resetKey(ip));
+    database.getConnection().exec('DELETE FROM transaction_transitions; DELETE FROM transactions;');
+
+    jest.spyOn(monitoringService, 'startTransactionMonitoring').mockImplementation(() => {});
+    jest.spyOn(priceService, 'valueOf').mockResolvedValue({});
+    jest.spyOn(socketService, 'sendUserNotification').mockImplementation(() => {});
+    jest.spyOn(socketService, 'broadcastTransactionUpdate').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('retryTransaction', () => {
+    let executeOperation;
+
+    beforeEach(() => {
+      executeOperation = jest.spyOn(EnsoYieldFarming.prototype, 'executeOperation')
+        .mockImplementation(async (operation, { amount, userAddress, executionMode, strategyId }) => ({
+          txId: `tx_retry_${++recordCount}`,
+          txHash: `0x${'ef'.repeat(32)}`,
+          operation,
+          executionMode,
+          strategyId,
+          amount,
+          slippage: 0.5,
+          userAddress,
+          expectedOutput: amount,
+          quotedOutput: amount,
+          minAmountOut: amount,
+          receiver: userAddress,
+          status: 'initiated'
+        }));
+    });
+
+    it('runs a failed live deposit again for its authenticated owner', async () => {
+      const original = record();
+
+      const response = await post('retry', { transactionId: original.id, userAddress: ALICE });
+
+      expect(response.status).toBe(202);
+      expect(executeOperation).toHaveBeenCalledWith('deposit', expect.objectContaining({
+        amount: original.amountRaw,
+        userAddress: ALICE,
+        executionMode: 'live'
+      }));
+      expect(transactionStore.get(response.body.data.retryTransactionId))
+        .toEqual(expect.objectContaining({ retryOf: original.id, retryAttempt: 1 }));
+    });
+
+    it('requires a token to retry a live transaction', async () => {
+      const original = record();
+
+      const response = await post('retry', { transactionId: original.id, userAddress: ALICE }, null);
+
+      expect(response.status).toBe(401);
+      expect(executeOperation).not.toHaveBeenCalled();
+    });
+
+    it('retries a simulated transaction without a token', async () => {
+      const original = record({ executionMode: 'simulate' });
+
+      const response = await post('retry', { transactionId: original.id, userAddress: ALICE }, null);
+
+      expect(response.status).toBe(202);
+      expect(executeOperation).toHaveBeenCalledWith('deposit', expect.objectContaining({ executionMode: 'simulate' }));
+    });
+
+    it('answers 404 for another address\'s transaction', async () => {
+      const original = record();
+
+      const response = await post('retry', { transactionId: original.id, userAddress: BOB });
+
+      expect(response.status).toBe(404);
+      expect(executeOperation).not.toHaveBeenCalled();
+    });
+
+    it('refuses transactions that have not failed, or were already retried', async () => {
+      const pending = record({ status: 'pending' });
+      const retried = record();
+      record({ status: 'pending', retryOf: retried.id });
+
+      expect((await post('retry', { transactionId: pending.id, userAddress: ALICE })).status).toBe(400);
+      expect((await post('retry', { transactionId: retried.id, userAddress: ALICE })).status).toBe(409);
+      expect(executeOperation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancel and speed-up', () => {
+    let chain;
+    let sent;
+
+    // A pending live deposit, broadcast with nonce 7
+    const broadcastRecord = (fields = {}) => record({
+      status: 'pending',
+      broadcast: {
+        chainId: strategy.deposit.chain,
+        from: HOT_WALLET,
+        nonce: 7,
+        to: '0x5555555555555555555555555555555555555555',
+        data: '0xdeadbeef',
+        value: '0',
+        gas: '300000',
+        maxFeePerGas: '100',
+        maxPriorityFeePerGas: '10'
+      },
+      ...fields
+    });
+
+    beforeEach(() => {
+      sent = [];
+      chain = {
+        // Transactions mined from the hot wallet; nonce 7 is still open
+        minedCount: 7,
+        fees: { maxFeePerGas: 1n, maxPriorityFeePerGas: 1n },
+        onSend: () => {}
+      };
+
+      jest.spyOn(EnsoYieldFarming.prototype, 'getChainContext').mockReturnValue({
+        client: {
+          getTransactionCount: async () => chain.minedCount,
+          estimateFeesPerGas: async () => chain.fees
+        },
+        wallet: { address: HOT_WALLET },
+        walletClient: {
+          sendTransaction: async (transaction) => {
+            chain.onSend();
+            sent.push(transaction);
+            return `0x${String(sent.length).padStart(64, '0')}`;
+          }
+        }
+      });
+      jest.spyOn(monitoringService, 'addReplacement').mockReturnValue(true);
+      jest.spyOn(monitoringService, 'stopMonitoring').mockReturnValue(true);
+    });
+
+    it('resends a speed-up with the same nonce, call and fees bumped by the default 15%', async () => {
+      const original = broadcastRecord();
+
+      const response = await post('speedup', { transactionId: original.id, userAddress: ALICE });
+
+      expect(response.status).toBe(202);
+      expect(sent).toEqual([{
+        to: original.broadcast.to,
+        data: '0xdeadbeef',
+        value: 0n,
+        gas: 300000n,
+        nonce: 7,
+        // Rounded up, so the bump is never below the percentage
+        maxFeePerGas: 115n,
+        maxPriorityFeePerGas: 12n
+      }]);
+      expect(response.body.data).toEqual(expect.objectContaining({
+        status: 'pending',
+        nonce: 7,
+        originalTxHash: original.txHash,
+        replacementTxHash: `0x${'1'.padStart(64, '0')}`
+      }));
+
+      expect(transactionStore.get(original.id).replacements)
+        .toEqual([expect.objectContaining({ kind: 'speedup', nonce: 7, maxFeePerGas: '115' })]);
+      expect(monitoringService.addReplacement).toHaveBeenCalledWith(original.id, expect.objectContaining({ kind: 'speedup' }));
+    });
+
+    it('outbids the latest replacement rather than the original', async () => {
+      const original = broadcastRecord();
+
+      await post('speedup', { transactionId: original.id, userAddress: ALICE });
+      await post('speedup', { transactionId: original.id, userAddress: ALICE, feeBumpPercent: 20 });
+
+      expect(sent.map(transaction => [transaction.nonce, transaction.maxFeePerGas, transaction.maxPriorityFeePerGas]))
+        .toEqual([[7, 115n, 12n], [7, 138n, 15n]]);
+      expect(transactionStore.get(original.id).replacements).toHaveLength(2);
+    });
+
+    it('never bids below the current network fees', async () => {
+      const original = broadcastRecord();
+      chain.fees = { maxFeePerGas: 500n, maxPriorityFeePerGas: 40n };
+
+      await post('speedup', { transactionId: original.id, userAddress: ALICE });
+
+      expect(sent[0]).toEqual(expect.objectContaining({ maxFeePerGas: 500n, maxPriorityFeePerGas: 40n }));
+    });
+
+    it('cancels with a zero-value transfer to the hot wallet on the same nonce', async () => {
+      const original = broadcastRecord();
+
+      const response = await post('cancel', { transactionId: original.id, userAddress: ALICE });
+
+      expect(response.status).toBe(202);
+      expect(sent).toEqual([{
+        to: HOT_WALLET,
+        data: '0x',
+        value: 0n,
+        gas: 21000n,
+        nonce: 7,
+        maxFeePerGas: 115n,
+        maxPriorityFeePerGas: 12n
+      }]);
+      expect(transactionStore.get(original.id)).toEqual(expect.objectContaining({
+        status: 'cancelling',
+        replacements: [expect.objectContaining({ kind: 'cancel', nonce: 7 })]
+      }));
+    });
+
+    it('answers 409 without sending when the nonce was mined first', async () => {
+      const original = broadcastRecord();
+      chain.minedCount = 8;
+
+      const speedUp = await post('speedup', { transactionId: original.id, userAddress: ALICE });
+      const cancel = await post('cancel', { transactionId: original.id, userAddress: ALICE });
+
+      expect(speedUp.status).toBe(409);
+      expect(cancel.status).toBe(409);
+      expect(cancel.body.error).toBe('Transaction Already Mined');
+      expect(sent).toEqual([]);
+      expect(transactionStore.get(original.id)).toEqual(expect.objectContaining({ status: 'pending', replacements: [] }));
+    });
+
+    it('answers 409 when the transaction completes while its cancellation is sent', async () => {
+      const original = broadcastRecord();
+      chain.onSend = () => transactionStateMachine.transition(original.id, 'completed', { reason: 'Mined' });
+
+      const response = await post('cancel', { transactionId: original.id, userAddress: ALICE });
+
+      expect(response.status).toBe(409);
+      expect(response.body.currentStatus).toBe('completed');
+      expect(transactionStore.get(original.id).status).toBe('completed');
+    });
+
+    it('only lets the authenticated owner replace a transaction', async () => {
+      const original = broadcastRecord();
+
+      expect((await post('cancel', { transactionId: original.id, userAddress: BOB })).status).toBe(404);
+      expect((await post('speedup', { transactionId: original.id, userAddress: BOB })).status).toBe(404);
+      expect((await post('cancel', { transactionId: original.id, userAddress: ALICE }, null)).status).toBe(401);
+      expect((await post('speedup', { transactionId: original.id, userAddress: ALICE }, generateToken(BOB))).status).toBe(403);
+      expect((await post('cancel', { transactionId: original.id }, generateToken(ALICE))).status).toBe(400);
+
+      expect(sent).toEqual([]);
+      expect(transactionStore.get(original.id).status).toBe('pending');
+    });
+
+    it('cancels a transaction that was never broadcast locally, without a token', async () => {
+      const simulated = record({ status: 'pending', executionMode: 'simulate' });
+
+      const response = await post('cancel', { transactionId: simulated.id, userAddress: ALICE }, null);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('cancelled');
+      expect(monitoringService.stopMonitoring).toHaveBeenCalledWith(simulated.id);
+      expect(sent).toEqual([]);
+    });
+
+    it('refuses to speed up a transaction that is final or was never broadcast', async () => {
+      const completed = broadcastRecord({ status: 'completed' });
+      const simulated = record({ status: 'pending', executionMode: 'simulate' });
+
+      expect((await post('speedup', { transactionId: completed.id, userAddress: ALICE })).status).toBe(400);
+      expect((await post('speedup', { transactionId: simulated.id, userAddress: ALICE })).body.error).toBe('Not Broadcast');
+      expect(sent).toEqual([]);
+    });
+  });
+
+  describe('history, lookup and stats', () => {
+    const DAY_MS = 86400000;
+    const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+    const ids = (response) => response.body.data.transactions.map(transaction => transaction.id);
+
+    beforeEach(() => {
+      recordCount = 0;
+      record({ status: 'completed', token: 'EURe', amount: '10', values: { EUR: '10', USD: '11' }, gasUsed: '200000', createdAt: daysAgo(40) });
+      record({ status: 'completed', token: 'EURe', amount: '2.5', values: { EUR: '2.5', USD: null }, gasUsed: '100000', createdAt: daysAgo(3) });
+      record({ type: 'withdraw', status: 'completed', token: 'LP-EURe', amount: '1', values: { EUR: '1.5', USD: '1.65' }, gasUsed: '300000', createdAt: daysAgo(2) });
+      record({ status: 'failed', createdAt: daysAgo(1.5) });
+      record({ type: 'compound', status: 'pending', strategyId: 'eure-gnosis-lp', createdAt: daysAgo(1) });
+      record({ status: 'stale', createdAt: daysAgo(0.5) });
+      record({ userAddress: BOB, status: 'completed', token: 'EURe', amount: '100', createdAt: daysAgo(1) });
+    });
+
+    it('lists stored transactions newest first, filtered and paged', async () => {
+      const all = await request(app).get('/api/transactions').query({ userAddress: ALICE, limit: 4, offset: 1 });
+
+      expect(all.status).toBe(200);
+      expect(ids(all)).toEqual(['tx_stored_5', 'tx_stored_4', 'tx_stored_3', 'tx_stored_2']);
+      expect(all.body.data.pagination).toEqual({ limit: 4, offset: 1, total: 6, hasMore: true });
+
+      const filtered = (query) => request(app).get('/api/transactions').query({ userAddress: ALICE, ...query }).then(ids);
+      expect(await filtered({ status: 'completed' })).toEqual(['tx_stored_3', 'tx_stored_2', 'tx_stored_1']);
+      expect(await filtered({ type: 'withdraw' })).toEqual(['tx_stored_3']);
+      expect(await filtered({ strategyId: 'eure-gnosis-lp' })).toEqual(['tx_stored_5']);
+      expect(await filtered({ from: daysAgo(4), to: daysAgo(2.5) })).toEqual(['tx_stored_2']);
+
+      expect((await request(app).get('/api/transactions').query({ status: 'lost' })).status).toBe(400);
+    });
+
+    it('looks up a stored transaction with its transitions, and 404s an unknown one', async () => {
+      transactionStateMachine.create({
+        id: 'tx_looked_up',
+        userAddress: ALICE,
+        type: 'deposit',
+        amount: '1',
+        tokenAddress: strategy.deposit.token.address,
+        chainId: strategy.deposit.chain,
+        details: {}
+      }, 'deposit initiated (live)');
+      transactionStateMachine.transition('tx_looked_up', 'monitoring', { reason: 'Monitoring started' });
+
+      const found = await request(app).get('/api/transactions/tx_looked_up');
+      expect(found.status).toBe(200);
+      expect(found.body.data).toEqual(expect.objectContaining({ id: 'tx_looked_up', status: 'monitoring' }));
+      expect(found.body.data.transitions.map(({ from, to }) => [from, to])).toEqual([[null, 'initiated'], ['initiated', 'monitoring']]);
+
+      const missing = await request(app).get('/api/transactions/tx_invented');
+      expect(missing.status).toBe(404);
+      expect(missing.body.error).toBe('Transaction Not Found');
+    });
+
+    it('aggregates stats from the stored transactions in the period', async () => {
+      const response = await request(app).get('/api/transactions/stats').query({ userAddress: ALICE, days: 30 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(expect.objectContaining({
+        userAddress: ALICE,
+        period: '30 days',
+        summary: { total: 5, completed: 2, pending: 1, stale: 1, failed: 1, cancelled: 0, successRate: '66.7' },
+        byStatus: { completed: 2, failed: 1, pending: 1, stale: 1 },
+        byType: { deposit: 3, withdraw: 1, compound: 1 },
+        volumes: {
+          byToken: { EURe: '2.5', 'LP-EURe': '1' },
+          EUR: { total: '4', average: '2', valued: 2 },
+          USD: { total: '1.65', average: '1.65', valued: 1 }
+        },
+        gas: { totalGasUsed: '400000', averageGasUsed: '200000' }
+      }));
+
+      const byStrategy = await request(app).get('/api/transactions/stats').query({ userAddress: ALICE, strategyId: 'eure-gnosis-lp' });
+      expect(byStrategy.body.data.summary).toEqual(expect.objectContaining({ total: 1, pending: 1, successRate: null }));
+    });
+  });
+});
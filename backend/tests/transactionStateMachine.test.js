@@ -0,0 +1,130 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const socketService = require('../src/services/socketService');
+const transactionStore = require('../src/services/transactionStore');
+const transactionStateMachine = require('../src/services/transactionStateMachine');
+
+const { TRANSACTION_STATUS, FINAL_STATUSES, ILLEGAL_TRANSITION } = transactionStateMachine;
+const { INITIATED, MONITORING, PENDING, CANCELLING, COMPLETED, FAILED, STALE, TIMEOUT, CANCELLED } = TRANSACTION_STATUS;
+
+const USER = '0x2222222222222222222222222222222222222222';
+let txCount = 0;
+
+const createTransaction = () => {
+  return transactionStateMachine.create({
+    id: `tx_${++txCount}`,
+    txHash: `0x${txCount}`,
+    userAddress: USER,
+    type: 'deposit',
+    amount: '10',
+    tokenAddress: '0xcB444e90D8198415266c6a2724b7900fb12FC56E',
+    chainId: 100,
+    details: {}
+  }, 'deposit initiated (simulate)');
+};
+
+// Walk a new transaction through the given statuses
+const walk = (statuses) => {
+  const { id } = createTransaction();
+  statuses.forEach(status => transactionStateMachine.transition(id, status, { reason: `to ${status}` }));
+  return id;
+};
+
+describe('transactionStateMachine', () => {
+  let updates;
+
+  beforeEach(() => {
+    updates = [];
+    jest.spyOn(socketService, 'broadcastTransactionUpdate').mockImplementation((userAddress, update) => {
+      updates.push({ userAddress, ...update });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records new transactions as initiated and announces them', () => {
+    const record = createTransaction();
+
+    expect(record.status).toBe(INITIATED);
+    expect(transactionStore.get(record.id).status).toBe(INITIATED);
+    expect(updates).toEqual([expect.objectContaining({ userAddress: USER, txId: record.id, status: INITIATED, previousStatus: null })]);
+  });
+
+  it.each([
+    ['completes', [MONITORING, PENDING, COMPLETED]],
+    ['fails', [MONITORING, FAILED]],
+    ['cancels before broadcast', [CANCELLED]],
+    ['goes back to pending when the original wins over a cancellation', [MONITORING, CANCELLING, PENDING, COMPLETED]],
+    ['completes a stale transaction a re-check finds', [MONITORING, PENDING, STALE, COMPLETED]],
+    ['fails a stale transaction', [MONITORING, STALE, FAILED]],
+    ['cancels a stale transaction', [MONITORING, PENDING, STALE, CANCELLED]]
+  ])('%s', (name, statuses) => {
+    const id = walk(statuses);
+
+    expect(transactionStore.get(id).status).toBe(statuses[statuses.length - 1]);
+    expect(transactionStateMachine.getTransitions(id).map(({ from, to }) => [from, to])).toEqual(
+      [INITIATED, ...statuses].map((to, index, all) => [index === 0 ? null : all[index - 1], to])
+    );
+  });
+
+  it.each([
+    [INITIATED, COMPLETED],
+    [INITIATED, PENDING],
+    [STALE, PENDING],
+    [PENDING, MONITORING],
+    [PENDING, TIMEOUT]
+  ])('rejects %s -> %s', (from, to) => {
+    expect(transactionStateMachine.canTransition(from, to)).toBe(false);
+  });
+
+  it.each(FINAL_STATUSES)('allows no change out of %s', (status) => {
+    Object.values(TRANSACTION_STATUS).forEach(to => {
+      expect(transactionStateMachine.canTransition(status, to)).toBe(false);
+    });
+  });
+
+  it('refuses an illegal transition without changing the record or its history', () => {
+    const id = walk([MONITORING, COMPLETED]);
+    updates.length = 0;
+
+    let error;
+    try {
+      transactionStateMachine.transition(id, PENDING, { reason: 'late receipt', changes: { txHash: '0xother' } });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toMatchObject({ code: ILLEGAL_TRANSITION, from: COMPLETED, to: PENDING });
+    expect(transactionStore.get(id)).toMatchObject({ status: COMPLETED, txHash: `0x${txCount}` });
+    expect(transactionStateMachine.getTransitions(id)).toHaveLength(3);
+    expect(updates).toHaveLength(0);
+  });
+
+  it('applies updates in an active status without recording a transition', () => {
+    const id = walk([MONITORING, PENDING]);
+    updates.length = 0;
+
+    transactionStateMachine.transition(id, PENDING, {
+      reason: '3 of 12 confirmations',
+      changes: { confirmations: 3 },
+      update: { requiredConfirmations: 12 }
+    });
+
+    expect(transactionStore.get(id).confirmations).toBe(3);
+    expect(transactionStateMachine.getTransitions(id)).toHaveLength(3);
+    expect(updates).toEqual([expect.objectContaining({
+      status: PENDING,
+      previousStatus: PENDING,
+      message: '3 of 12 confirmations',
+      requiredConfirmations: 12
+    })]);
+  });
+
+  it('throws for unknown transactions', () => {
+    expect(() => transactionStateMachine.transition('missing', MONITORING, { reason: 'test' }))
+      .toThrow('Transaction missing not found');
+  });
+});
@@ -0,0 +1,134 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../src/services/database');
+const transactionStore = require('../src/services/transactionStore');
+const { schemas } = require('../src/middleware/validation');
+
+const ALICE = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const BOB = '0x3333333333333333333333333333333333333333';
+
+const save = (id, createdAt, fields = {}) => transactionStore.save({
+  id,
+  userAddress: ALICE,
+  type: 'deposit',
+  amount: '1',
+  tokenAddress: '0xcB444e90D8198415266c6a2724b7900fb12FC56E',
+  chainId: 137,
+  status: 'completed',
+  createdAt,
+  ...fields
+});
+
+const ids = ({ transactions }) => transactions.map(transaction => transaction.id);
+
+describe('transactionStore', () => {
+  beforeEach(() => {
+    database.getConnection().exec('DELETE FROM transaction_transitions; DELETE FROM transactions;');
+  });
+
+  it('stores records and lists them by column and record fields, oldest first', () => {
+    save('tx_2', '2024-03-02T00:00:00.000Z', { retryOf: 'tx_1' });
+    save('tx_1', '2024-03-01T00:00:00.000Z', { status: 'failed' });
+    save('tx_3', '2024-03-03T00:00:00.000Z', { userAddress: BOB });
+
+    expect(transactionStore.get('tx_1')).toEqual(expect.objectContaining({ status: 'failed', replacements: [] }));
+    expect(transactionStore.get('tx_missing')).toBeNull();
+    expect(transactionStore.list({ userAddress: '0xAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA' }).map(record => record.id))
+      .toEqual(['tx_1', 'tx_2']);
+    expect(transactionStore.list({ retryOf: 'tx_1' }).map(record => record.id)).toEqual(['tx_2']);
+  });
+
+  it('pages newest first with the total number of matches', () => {
+    ['01', '02', '03', '04'].forEach(day => save(`tx_${day}`, `2024-03-${day}T12:00:00.000Z`));
+
+    const page = transactionStore.query({ userAddress: ALICE, limit: 2, offset: 1 });
+
+    expect(ids(page)).toEqual(['tx_03', 'tx_02']);
+    expect(page.total).toBe(4);
+    expect(() => transactionStore.query({ retryOf: 'tx_01' })).toThrow('Cannot filter transactions by retryOf');
+  });
+
+  it('includes the whole day of a date-only upper bound', () => {
+    save('tx_start', '2024-03-31T00:00:00.000Z');
+    save('tx_evening', '2024-03-31T23:59:59.999Z');
+    save('tx_next_day', '2024-04-01T00:00:00.000Z');
+
+    expect(ids(transactionStore.query({ to: '2024-03-31' }))).toEqual(['tx_evening', 'tx_start']);
+    expect(ids(transactionStore.query({ from: new Date('2024-03-31'), to: '2024-03-31' }))).toEqual(['tx_evening', 'tx_start']);
+  });
+
+  it('treats an upper bound with a time as that exact moment', () => {
+    save('tx_morning', '2024-03-31T09:00:00.000Z');
+    save('tx_evening', '2024-03-31T18:00:00.000Z');
+
+    expect(ids(transactionStore.query({ to: '2024-03-31T12:00:00.000Z' }))).toEqual(['tx_morning']);
+    expect(ids(transactionStore.query({ to: new Date('2024-03-31T09:00:00.000Z') }))).toEqual(['tx_morning']);
+  });
+
+  it('validates the range: date-only upper bounds cover their day, and either end may be left out', () => {
+    const validate = (query) => schemas.transactionQuery.validate(query, { convert: true });
+
+    expect(validate({ from: '2024-03-31T12:00:00Z', to: '2024-03-31' }).error).toBeUndefined();
+    expect(validate({ from: '2024-03-31T12:00:00Z', to: '2024-03-31' }).value.to).toBe('2024-03-31');
+    expect(validate({ to: '2024-03-31T12:00:00Z' }).error).toBeUndefined();
+    expect(validate({ from: '2024-04-01', to: '2024-03-31' }).error.message).toBe('to must not be before from');
+    expect(validate({ from: '2024-03-31T12:00:00Z', to: '2024-03-31T11:00:00Z' }).error.message).toBe('to must not be before from');
+    expect(validate({ to: 'yesterday' }).error).toBeDefined();
+  });
+});
+
+describe('transactionStore persistence', () => {
+  const { DATABASE_URL } = process.env;
+  let directory;
+
+  // The store and its connection as a freshly started process loads them
+  const load = () => {
+    let modules;
+    jest.isolateModules(() => {
+      modules = {
+        database: require('../src/services/database'),
+        transactionStore: require('../src/services/transactionStore')
+      };
+    });
+    return modules;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'transactions-'));
+    process.env.DATABASE_URL = `sqlite:${path.join(directory, 'data.db')}`;
+  });
+
+  afterEach(() => {
+    process.env.DATABASE_URL = DATABASE_URL;
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('keeps transactions in a WAL database file across restarts', () => {
+    const before = load();
+    before.transactionStore.save({
+      id: 'tx_1',
+      userAddress: ALICE,
+      type: 'deposit',
+      amount: '1',
+      tokenAddress: '0xcB444e90D8198415266c6a2724b7900fb12FC56E',
+      chainId: 137,
+      status: 'pending'
+    });
+    before.transactionStore.update('tx_1', { status: 'completed', gasUsed: '210000' });
+    expect(before.database.getConnection().pragma('journal_mode', { simple: true })).toBe('wal');
+    before.database.close();
+
+    const after = load();
+    expect(after.transactionStore.get('tx_1')).toEqual(expect.objectContaining({
+      userAddress: ALICE,
+      status: 'completed',
+      gasUsed: '210000'
+    }));
+    expect(after.transactionStore.query({ userAddress: ALICE }).total).toBe(1);
+    after.database.close();
+  });
+});
@@ -0,0 +1,229 @@
+process.env.LOG_LEVEL = 'error';
+process.env.DATABASE_URL = 'sqlite::memory:';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_RETRY_DELAY_MS = '10000';
+process.env.WEBHOOK_MAX_BACKOFF_MS = '15000';
+process.env.WEBHOOK_TIMEOUT_MS = '2000';
+
+const crypto = require('crypto');
+const http = require('http');
+const database = require('../src/services/database');
+const webhookService = require('../src/services/webhookService');
+const { DELIVERY_STATUS, WEBHOOK_EVENTS } = require('../src/services/webhookService');
+const { PRIVATE_ADDRESS } = require('../src/utils/hostGuard');
+
+const USER = '0x1111111111111111111111111111111111111111';
+const OTHER_USER = '0x2222222222222222222222222222222222222222';
+const SECRET = 'test-secret';
+
+// Local receiver answering with the next queued status (200 once they run out)
+let server;
+let receiverUrl;
+let received;
+let statuses;
+
+// Make a pending delivery due now, as if its retry delay had passed
+const makeDue = (deliveryId) => {
+  database.getConnection()
+    .prepare('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?')
+    .run(new Date(Date.now() - 1000).toISOString(), deliveryId);
+};
+
+const deliveriesOf = (webhookId) => webhookService.getDeliveries(webhookId).deliveries;
+
+describe('webhookService', () => {
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.length > 0 ? statuses.shift() : 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    statuses = [];
+    // The receiver is on loopback, which only local development allows
+    webhookService.allowPrivateUrls = true;
+    database.getConnection().exec('DELETE FROM webhook_deliveries; DELETE FROM webhooks;');
+  });
+
+  it('signs each delivery so the receiver can verify it with the secret', async () => {
+    const webhook = await webhookService.subscribe({ url: receiverUrl, userAddress: USER, secret: SECRET });
+
+    expect(webhookService.dispatch(WEBHOOK_EVENTS.TRANSACTION_UPDATE, USER, { txId: 'tx_1' })).toBe(1);
+    await webhookService.poll();
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    const expected = crypto.createHmac('sha256', SECRET)
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(headers['x-webhook-event']).toBe(WEBHOOK_EVENTS.TRANSACTION_UPDATE);
+    expect(headers['x-webhook-attempt']).toBe('1');
+    expect(JSON.parse(body)).toEqual(expect.objectContaining({
+      id: headers['x-webhook-id'],
+      event: WEBHOOK_EVENTS.TRANSACTION_UPDATE,
+      userAddress: USER,
+      data: { txId: 'tx_1' }
+    }));
+
+    expect(deliveriesOf(webhook.id)).toEqual([expect.objectContaining({
+      status: DELIVERY_STATUS.DELIVERED,
+      attempts: 1,
+      responseStatus: 200
+    })]);
+  });
+
+  it('gives a body signed with another secret or timestamp a different signature', () => {
+    const body = JSON.stringify({ id: 'delivery_1' });
+    const signed = webhookService.sign(SECRET, body, 1700000000);
+
+    expect(webhookService.sign('other-secret', body, 1700000000)['X-Webhook-Signature'])
+      .not.toBe(signed['X-Webhook-Signature']);
+    expect(webhookService.sign(SECRET, body, 1700000001)['X-Webhook-Signature'])
+      .not.toBe(signed['X-Webhook-Signature']);
+    expect(signed['X-Webhook-Timestamp']).toBe('1700000000');
+  });
+
+  it('retries non-2xx responses with a doubling delay, then marks the delivery failed', async () => {
+    const webhook = await webhookService.subscribe({ url: receiverUrl, userAddress: USER, secret: SECRET });
+    statuses = [500, 503, 502];
+
+    webhookService.dispatch(WEBHOOK_EVENTS.BALANCE_UPDATE, USER, {});
+
+    let before = Date.now();
+    await webhookService.poll();
+    let [delivery] = deliveriesOf(webhook.id);
+    expect(delivery).toEqual(expect.objectContaining({
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 1,
+      responseStatus: 500,
+      error: 'Receiver responded with status 500'
+    }));
+    let delay = new Date(delivery.nextAttemptAt).getTime() - before;
+    expect(delay).toBeGreaterThanOrEqual(10000);
+    expect(delay).toBeLessThan(11000);
+
+    // Not due yet, so nothing is sent
+    await webhookService.poll();
+    expect(received).toHaveLength(1);
+
+    makeDue(delivery.id);
+    before = Date.now();
+    await webhookService.poll();
+    [delivery] = deliveriesOf(webhook.id);
+    expect(delivery).toEqual(expect.objectContaining({ status: DELIVERY_STATUS.PENDING, attempts: 2, responseStatus: 503 }));
+    // Doubled to 20 seconds, capped by the 15 second max backoff
+    delay = new Date(delivery.nextAttemptAt).getTime() - before;
+    expect(delay).toBeGreaterThanOrEqual(15000);
+    expect(delay).toBeLessThan(16000);
+
+    makeDue(delivery.id);
+    await webhookService.poll();
+    [delivery] = deliveriesOf(webhook.id);
+    expect(delivery).toEqual(expect.objectContaining({
+      status: DELIVERY_STATUS.FAILED,
+      attempts: 3,
+      responseStatus: 502,
+      nextAttemptAt: null
+    }));
+    expect(received.map(request => request.headers['x-webhook-attempt'])).toEqual(['1', '2', '3']);
+
+    // Failed deliveries are not sent again
+    await webhookService.poll();
+    expect(received).toHaveLength(3);
+  });
+
+  it('doubles the retry delay per attempt up to the max backoff', () => {
+    expect(webhookService.getRetryDelay(1)).toBe(10000);
+    expect(webhookService.getRetryDelay(2)).toBe(15000);
+    expect(webhookService.getRetryDelay(5)).toBe(15000);
+  });
+
+  it('redelivers an event as a new delivery, for the webhook owner only', async () => {
+    const webhook = await webhookService.subscribe({ url: receiverUrl, userAddress: USER, secret: SECRET });
+    webhookService.dispatch(WEBHOOK_EVENTS.POSITION_UPDATE, USER, { position: 1 });
+    await webhookService.poll();
+    const [original] = deliveriesOf(webhook.id);
+
+    expect(webhookService.redeliver(original.id, OTHER_USER)).toBeNull();
+
+    const redelivery = webhookService.redeliver(original.id, USER);
+    expect(redelivery).toEqual(expect.objectContaining({ redeliveryOf: original.id, status: DELIVERY_STATUS.PENDING }));
+    await webhookService.poll();
+
+    expect(received).toHaveLength(2);
+    expect(JSON.parse(received[1].body).data).toEqual({ position: 1 });
+    expect(webhookService.getDelivery(redelivery.id).status).toBe(DELIVERY_STATUS.DELIVERED);
+  });
+
+  it('only sends an address its own events, for the event types it subscribed to', async () => {
+    const webhook = await webhookService.subscribe({
+      url: receiverUrl,
+      userAddress: USER,
+      events: [WEBHOOK_EVENTS.TRANSACTION_UPDATE]
+    });
+
+    expect(webhookService.dispatch(WEBHOOK_EVENTS.TRANSACTION_UPDATE, OTHER_USER, {})).toBe(0);
+    expect(webhookService.dispatch(WEBHOOK_EVENTS.BALANCE_UPDATE, USER, {})).toBe(0);
+    expect(webhookService.dispatch(WEBHOOK_EVENTS.TRANSACTION_UPDATE, USER, {})).toBe(1);
+
+    await webhookService.poll();
+    expect(received).toHaveLength(1);
+    expect(deliveriesOf(webhook.id)).toHaveLength(1);
+  });
+
+  it('keeps webhooks scoped to the address that owns them', async () => {
+    const webhook = await webhookService.subscribe({ url: receiverUrl, userAddress: USER });
+
+    expect(webhook.secret).toMatch(/^[0-9a-f]{64}$/);
+    expect(webhookService.getWebhook(webhook.id, USER)).not.toHaveProperty('secret');
+    expect(webhookService.getWebhook(webhook.id, OTHER_USER)).toBeNull();
+    expect(webhookService.getWebhooks({ userAddress: OTHER_USER })).toEqual([]);
+    expect(webhookService.getWebhooks({ userAddress: USER }).map(item => item.id)).toEqual([webhook.id]);
+
+    expect(webhookService.unsubscribe(webhook.id, OTHER_USER)).toBe(false);
+    expect(webhookService.getWebhook(webhook.id, USER)).not.toBeNull();
+    expect(webhookService.unsubscribe(webhook.id, USER)).toBe(true);
+    expect(webhookService.getWebhook(webhook.id, USER)).toBeNull();
+  });
+
+  it('refuses receivers on loopback or private addresses', async () => {
+    webhookService.allowPrivateUrls = false;
+
+    for (const url of ['http://127.0.0.1/hook', 'http://10.0.0.1/hook', 'http://169.254.169.254/latest', 'http://[::1]/hook']) {
+      await expect(webhookService.subscribe({ url, userAddress: USER }))
+        .rejects.toMatchObject({ code: PRIVATE_ADDRESS });
+    }
+    expect(webhookService.getWebhooks({ userAddress: USER })).toEqual([]);
+  });
+
+  it('does not connect to a receiver that has become private since it subscribed', async () => {
+    const webhook = await webhookService.subscribe({ url: receiverUrl, userAddress: USER });
+    webhookService.dispatch(WEBHOOK_EVENTS.USER_NOTIFICATION, USER, {});
+    webhookService.allowPrivateUrls = false;
+
+    await webhookService.poll();
+
+    expect(received).toHaveLength(0);
+    expect(deliveriesOf(webhook.id)).toEqual([expect.objectContaining({
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 1,
+      responseStatus: null,
+      error: expect.stringContaining('non-public address')
+    })]);
+  });
+});